@@ -9,24 +9,31 @@ echo INSTRUCTIONS:
 echo 1. Export your Google Sheets as CSV files
 echo 2. Run this script
 echo 3. Copy the new CSV files when prompted
-echo 4. Refresh your admin dashboard
+echo 4. Refresh the admin dashboard (homina)
 echo.
 echo Press any key to continue...
 pause >nul
 
 echo.
-echo Opening data folder...
+echo Opening data folders...
 start "" "%~dp0data"
+if not exist "%USERPROFILE%\.popsorte-admin\data" mkdir "%USERPROFILE%\.popsorte-admin\data"
+start "" "%USERPROFILE%\.popsorte-admin\data"
 
 echo.
 echo ===========================================
 echo  CSV FILES TO UPDATE:
 echo ===========================================
 echo.
-echo 1. entries.csv - From your ENTRIES sheet
-echo 2. results.csv - From your RESULTS sheet
-echo 3. recharge-popluz.csv - From POPLUZ recharge sheet
-echo 4. recharge-popn1.csv - From POPN1 recharge sheet
+echo In this folder:
+echo 1. results.csv - From your RESULTS sheet
+echo 2. draw-calendar.csv - From your DRAW CALENDAR sheet (holidays / special days)
+echo.
+echo In %USERPROFILE%\.popsorte-admin\data (admin server only - never in this folder,
+echo it is published with the site and these files hold WhatsApp numbers):
+echo 3. entries.csv - From your ENTRIES sheet
+echo 4. recharge-popluz.csv - From POPLUZ recharge sheet
+echo 5. recharge-popn1.csv - From POPN1 recharge sheet
 echo.
 echo Replace these files with your exported CSVs.
 echo.
@@ -34,6 +41,6 @@ echo Press any key when done...
 pause >nul
 
 echo.
-echo CSV files updated! Refresh your admin dashboard.
+echo CSV files updated! Refresh the admin dashboard (homina).
 echo.
 pause
\ No newline at end of file
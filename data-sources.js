@@ -0,0 +1,459 @@
+/**
+ * POP-SORTE - Data Sources Module
+ *
+ * Where each dataset (entries, recharges, results, draw calendar) is read from,
+ * and where the admin API (login, session, protected data) lives. Loaded by the public ticket pages (index, luz, n1,
+ * bilhete, meus-bilhetes) and the homina admin dashboard; the fetchers ask for a dataset by name and always
+ * get CSV text back, whatever the source.
+ *
+ * Adapters:
+ * - sheet:   Google Sheets CSV export (cache-busted, rejects the login page)
+ * - file:    CSV/JSON file served with the site, or a file picked / dropped in the browser
+ * - rest:    JSON endpoint returning an array of rows (arrays or objects)
+ * - fixture: rows or CSV text given in memory (demos, manual checks)
+ *
+ * Configuration, later layers win per dataset:
+ * 1. Built-in defaults (the production sheets; entries and recharges only through the admin API)
+ * 2. data-sources.json next to this file, or, on pages whose script tag has
+ *    data-allow-sources-param (the admin dashboard), the file named by ?sources=<path>
+ *    (remembered for the browser tab; ?sources=default goes back to the defaults)
+ * 3. DataSources.configure() / useFile() calls for the current page
+ *
+ * ?sources= only accepts a file of this site (a relative path, resolved on this origin), so a link
+ * cannot make a page read its configuration from elsewhere. Config files never change the API base
+ * URLs ("endpoint" datasets: adminApi, ticketApi) - logins, session tokens and two-factor codes go
+ * there, and bilhete.html trusts it to verify tickets. Those are set here or by configure().
+ *
+ * Relative URLs are resolved against the site root (the folder of this file).
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Data Sources Module
+// ============================================
+window.DataSources = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Production sources, one per dataset
+     * Entries and recharges hold full WhatsApp numbers, so only the admin API reads their sheets:
+     * it checks the session token and masks contacts for the role before anything reaches the browser.
+     */
+    const DEFAULT_SOURCES = {
+        // Admin SORTE sheet - DATA/HORA REGISTRO, TICKET ID, VERIFICATION CODE, PLATFORM, GAME ID, ...
+        'entries': { type: 'admin-api' },
+
+        // Recharge sheets - Member ID, Order Number, Record Time, Change Amount, Balance After Change
+        'recharges.POPLUZ': { type: 'admin-api' },
+        'recharges.POPN1': { type: 'admin-api' },
+
+        // Official results - Contest, Draw Date, Number1..Number5, Saved At, Source
+        'results': { type: 'sheet', url: 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644' },
+
+        // Admin API base URL (Worker) - not a CSV dataset: AdminAuth calls <url>/login, <url>/session
+        // and registers the "admin-api" type, which reads a dataset from <url>/data/<dataset>
+        'adminApi': { type: 'endpoint', url: 'https://popsorte-api.danilla-vargas1923.workers.dev/admin' },
+
+        // Public ticket API base URL (Worker) - not a CSV dataset: bilhete.html reads <url>/api/tickets/<id>,
+        // meus-bilhetes.html <url>/api/tickets?gameId=<Game ID>
+        'ticketApi': { type: 'endpoint', url: 'https://popsorte-api.danilla-vargas1923.workers.dev' },
+
+        // Special draw days - DATE, TYPE, HOUR, LABEL
+        'drawCalendar': { type: 'file', url: 'admin/data/draw-calendar.csv' },
+
+        // Public ticket pages: blurred entries (all platforms, then per platform page)
+        'publicEntries': { type: 'sheet', url: 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0' },
+        'publicEntries.POPLUZ': { type: 'sheet', url: 'https://docs.google.com/spreadsheets/d/1b_VAYANY_XUsO0_kZzyb3PpJveO4KviwuF5mPxoHKLo/gviz/tq?tqx=out:csv&sheet=LUZ' },
+        'publicEntries.POPN1': { type: 'sheet', url: 'https://docs.google.com/spreadsheets/d/1b_VAYANY_XUsO0_kZzyb3PpJveO4KviwuF5mPxoHKLo/gviz/tq?tqx=out:csv&sheet=N1' }
+    };
+
+    /**
+     * Config file loaded when the page has no ?sources= parameter
+     */
+    const DEFAULT_CONFIG_FILE = 'data-sources.json';
+
+    /**
+     * Session storage key remembering the ?sources= choice
+     */
+    const CONFIG_STORAGE_KEY = 'popsorte_data_sources_config';
+
+    /**
+     * Fetch timeout in milliseconds (15 seconds)
+     */
+    const FETCH_TIMEOUT = 15 * 1000;
+
+    /**
+     * Site root, taken from this script's own URL
+     */
+    const BASE_URL = (typeof document !== 'undefined' && document.currentScript && document.currentScript.src)
+        ? new URL('.', document.currentScript.src).href
+        : null;
+
+    /**
+     * Whether this page honors ?sources= (its script tag opts in with data-allow-sources-param).
+     * Public pages do not, so a shared link cannot show visitors data from another config.
+     */
+    const ALLOW_SOURCES_PARAM = typeof document !== 'undefined' &&
+        Boolean(document.currentScript && document.currentScript.hasAttribute('data-allow-sources-param'));
+
+    /**
+     * Datasets config files may not change: the API base URLs
+     */
+    const ENDPOINT_DATASETS = Object.keys(DEFAULT_SOURCES).filter(dataset => DEFAULT_SOURCES[dataset].type === 'endpoint');
+
+    // ============================================
+    // State
+    // ============================================
+    let fileSources = {};
+    let runtimeSources = {};
+    let configFile = null;
+    let configPromise = null;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Resolve a URL against the site root
+     * @param {string} url - Absolute or root-relative URL
+     * @returns {string} Absolute URL (unchanged if no root is known)
+     */
+    function resolveUrl(url) {
+        return BASE_URL ? new URL(url, BASE_URL).href : url;
+    }
+
+    /**
+     * Whether a ?sources= value names a file of this site: a relative or root-relative path that
+     * resolves on the site's origin (no scheme, no //host, no backslashes)
+     * @param {string} value - Config file path
+     * @returns {boolean} True if it may be loaded
+     */
+    function isSiteFile(value) {
+        if (!BASE_URL || typeof value !== 'string' || !value.trim()) return false;
+        if (/^[a-z][a-z0-9+.-]*:/i.test(value) || /^[\\/]{2}/.test(value) || value.includes('\\')) return false;
+        try {
+            return new URL(value, BASE_URL).origin === new URL(BASE_URL).origin;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn a config value into a source spec
+     * A bare string is a URL: Google Sheets URLs are sheets, *.json is REST, anything else a file.
+     * @param {Object|string} value - Spec or URL
+     * @returns {Object|null} Source spec
+     */
+    function normalizeSpec(value) {
+        if (!value) return null;
+        if (typeof value === 'string') {
+            if (value.includes('docs.google.com/spreadsheets')) return { type: 'sheet', url: value };
+            if (/\.json(\?|$)/i.test(value)) return { type: 'rest', url: value };
+            return { type: 'file', url: value };
+        }
+        return { ...value };
+    }
+
+    /**
+     * Fetch with the module timeout
+     * @param {string} url - URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>}
+     */
+    async function fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out - please try again');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Convert rows to CSV text
+     * Object rows use `columns` (or the first row's keys) as the header.
+     * @param {Array<Array|Object>} rows - Rows; array rows must include the header row
+     * @param {string[]} columns - Column order for object rows
+     * @returns {string} CSV text
+     */
+    function rowsToCSV(rows, columns = null) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Expected an array of rows');
+        }
+
+        let table = rows;
+        if (rows.length > 0 && !Array.isArray(rows[0])) {
+            const header = columns || Object.keys(rows[0]);
+            table = [header, ...rows.map(row => header.map(col => row[col]))];
+        }
+
+        return table
+            .map(row => row.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+    }
+
+    // ============================================
+    // Adapters
+    // ============================================
+
+    /**
+     * Adapters by type: (spec, dataset) => Promise<string> CSV text
+     */
+    const adapters = {
+        /**
+         * Google Sheets CSV export
+         */
+        async sheet(spec) {
+            const separator = spec.url.includes('?') ? '&' : '?';
+            const response = await fetchWithTimeout(`${spec.url}${separator}t=${Date.now()}`, {
+                cache: 'no-store',
+                redirect: 'follow'
+            });
+            const text = await response.text();
+
+            // Google serves its login page when the sheet is not public
+            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
+                throw new Error('Sheet not publicly accessible');
+            }
+            return text;
+        },
+
+        /**
+         * Site file ({url}) or file loaded in the browser ({text})
+         */
+        async file(spec) {
+            if (typeof spec.text === 'string') return spec.text;
+            const response = await fetchWithTimeout(resolveUrl(spec.url), { cache: 'no-store' });
+            return response.text();
+        },
+
+        /**
+         * JSON endpoint: {url, headers?, path?: 'data.items', columns?: [...]}
+         */
+        async rest(spec) {
+            const response = await fetchWithTimeout(resolveUrl(spec.url), {
+                cache: 'no-store',
+                headers: { 'Accept': 'application/json', ...(spec.headers || {}) }
+            });
+            let body = await response.json();
+            if (spec.path) {
+                body = spec.path.split('.').reduce((value, key) => (value == null ? value : value[key]), body);
+            }
+            return rowsToCSV(body, spec.columns);
+        },
+
+        /**
+         * In-memory rows or CSV text: {rows, columns?} or {text}
+         */
+        async fixture(spec) {
+            if (typeof spec.text === 'string') return spec.text;
+            return rowsToCSV(spec.rows || [], spec.columns);
+        }
+    };
+
+    // ============================================
+    // Configuration
+    // ============================================
+
+    /**
+     * Pick the config file: ?sources= parameter, then the tab's last choice, then the default.
+     * Pages without data-allow-sources-param always use the default file.
+     * @returns {string|null} Config file URL, or null for built-in defaults only
+     */
+    function pickConfigFile() {
+        if (!ALLOW_SOURCES_PARAM) return DEFAULT_CONFIG_FILE;
+
+        let chosen = null;
+        try {
+            chosen = new URLSearchParams(window.location.search).get('sources');
+            if (chosen && (chosen === 'default' || isSiteFile(chosen))) {
+                sessionStorage.setItem(CONFIG_STORAGE_KEY, chosen);
+            } else if (!chosen) {
+                chosen = sessionStorage.getItem(CONFIG_STORAGE_KEY);
+            }
+        } catch (e) {
+            // No location / storage (file:// or sandboxed frame) - use the default file
+        }
+
+        if (chosen === 'default') return null;
+        if (chosen && !isSiteFile(chosen)) {
+            console.warn(`⚠️ Data sources: ignoring ${chosen} - only a file of this site can be chosen`);
+            return DEFAULT_CONFIG_FILE;
+        }
+        return chosen || DEFAULT_CONFIG_FILE;
+    }
+
+    /**
+     * Load the config file once. A missing default file is normal and silent.
+     * @returns {Promise<void>}
+     */
+    function whenReady() {
+        if (configPromise) return configPromise;
+
+        configPromise = (async () => {
+            configFile = pickConfigFile();
+            if (!configFile || typeof fetch !== 'function') return;
+
+            try {
+                const response = await fetchWithTimeout(resolveUrl(configFile), { cache: 'no-store' });
+                const config = await response.json();
+                fileSources = {};
+                Object.keys(config || {}).forEach(dataset => {
+                    const spec = normalizeSpec(config[dataset]);
+                    if (!spec) return;
+                    if (ENDPOINT_DATASETS.includes(dataset) || spec.type === 'endpoint') {
+                        console.warn(`⚠️ Data sources: ${configFile} cannot change "${dataset}" - API base URLs are set in data-sources.js`);
+                        return;
+                    }
+                    fileSources[dataset] = spec;
+                });
+                console.log(`🔌 Data sources: ${Object.keys(fileSources).length} datasets from ${configFile}`);
+            } catch (error) {
+                if (configFile !== DEFAULT_CONFIG_FILE) {
+                    console.warn(`⚠️ Data sources: could not load ${configFile}, using defaults:`, error.message);
+                }
+                configFile = null;
+            }
+        })();
+        return configPromise;
+    }
+
+    /**
+     * Override sources for the current page
+     * @param {Object} sources - { dataset: spec or URL }; null removes the override
+     */
+    function configure(sources = {}) {
+        Object.keys(sources).forEach(dataset => {
+            const spec = normalizeSpec(sources[dataset]);
+            if (spec) {
+                runtimeSources[dataset] = spec;
+            } else {
+                delete runtimeSources[dataset];
+            }
+        });
+    }
+
+    /**
+     * Use a file picked or dropped in the browser for a dataset (current page only)
+     * @param {string} dataset - Dataset name
+     * @param {File|Blob|string} file - File or its text
+     * @returns {Promise<Object>} The new source spec
+     */
+    async function useFile(dataset, file) {
+        const text = typeof file === 'string' ? file : await file.text();
+        runtimeSources[dataset] = { type: 'file', name: file.name || 'local file', text };
+        return getSource(dataset);
+    }
+
+    /**
+     * Drop page overrides (one dataset, or all)
+     * @param {string} dataset - Dataset name (optional)
+     */
+    function reset(dataset = null) {
+        if (dataset) {
+            delete runtimeSources[dataset];
+        } else {
+            runtimeSources = {};
+        }
+    }
+
+    /**
+     * Register an adapter type
+     * @param {string} type - Adapter name used in specs
+     * @param {Function} load - (spec, dataset) => Promise<string> CSV text
+     */
+    function registerAdapter(type, load) {
+        adapters[type] = load;
+    }
+
+    // ============================================
+    // Lookup & Fetch
+    // ============================================
+
+    /**
+     * Active source of a dataset
+     * @param {string} dataset - Dataset name
+     * @returns {Object|null} { type, url?, name?, origin: 'page'|'config'|'default' }
+     */
+    function getSource(dataset) {
+        if (runtimeSources[dataset]) return { ...runtimeSources[dataset], origin: 'page' };
+        if (fileSources[dataset]) return { ...fileSources[dataset], origin: 'config' };
+        if (DEFAULT_SOURCES[dataset]) return { ...DEFAULT_SOURCES[dataset], origin: 'default' };
+        return null;
+    }
+
+    /**
+     * Short label for a dataset's source (status bars, logs)
+     * @param {string} dataset - Dataset name
+     * @returns {string} e.g. "sheet (default)", "file entries.csv (page)"
+     */
+    function describe(dataset) {
+        const source = getSource(dataset);
+        if (!source) return 'not configured';
+        const target = source.name || source.url || '';
+        const shortTarget = source.type === 'sheet' && source.origin === 'default' ? '' : ` ${target}`;
+        return `${source.type}${shortTarget} (${source.origin})`;
+    }
+
+    /**
+     * Fetch a dataset as CSV text (header row first)
+     * @param {string} dataset - Dataset name
+     * @returns {Promise<string>} CSV text
+     */
+    async function fetchText(dataset) {
+        await whenReady();
+
+        const source = getSource(dataset);
+        if (!source) {
+            throw new Error(`No data source configured for "${dataset}"`);
+        }
+
+        const adapter = adapters[source.type];
+        if (!adapter) {
+            throw new Error(`Unknown data source type "${source.type}" for "${dataset}"`);
+        }
+
+        return adapter(source, dataset);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Fetch
+        fetchText,
+        whenReady,
+
+        // Configuration
+        configure,
+        useFile,
+        reset,
+        registerAdapter,
+
+        // Lookup
+        getSource,
+        describe,
+        getConfigFile: () => configFile,
+        getPageDatasets: () => Object.keys(runtimeSources),
+        getDatasets: () => Object.keys({ ...DEFAULT_SOURCES, ...fileSources, ...runtimeSources }),
+
+        // Helpers
+        rowsToCSV
+    };
+})();
@@ -0,0 +1,708 @@
+/**
+ * POP-SORTE - Draw Calendar Module
+ *
+ * Single source of truth for the draw schedule. Loaded by the public ticket
+ * pages (index, luz, n1), the homina admin dashboard and the reconcile CLI.
+ *
+ * Features:
+ * - No-draw days (Sundays + configurable holiday list)
+ * - Special-day table (no-draw, early-draw, extra-draw) loaded from CSV/JSON
+ * - Per-date draw hour (20:00 BRT, 17:00 BRT on early-draw days)
+ * - Registration cutoff and current draw schedule
+ * - Concurso numbering anchored to the official results history
+ * - Recharge eligibility windows (eligible1 / eligible2)
+ *
+ * All calculations use Brazil time (BRT, fixed UTC-3) regardless of the
+ * browser timezone. Dates are keyed internally as YYYY-MM-DD strings.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Draw Calendar Module
+// ============================================
+window.DrawCalendar = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Brazil offset from UTC in hours (BRT = UTC-3, no DST)
+     */
+    const BRT_OFFSET_HOURS = 3;
+
+    /**
+     * Regular draw hour (20:00 BRT). Registration for a draw closes at this hour.
+     */
+    const DEFAULT_DRAW_HOUR = 20;
+
+    /**
+     * Draw hour on early-draw days (17:00 BRT)
+     */
+    const EARLY_DRAW_HOUR = 17;
+
+    /**
+     * Weekdays without draws (0 = Sunday)
+     */
+    const NO_DRAW_WEEKDAYS = [0];
+
+    /**
+     * Day type markers used in the holiday list
+     */
+    const DayType = {
+        NO_DRAW: 'no-draw',
+        EARLY_DRAW: 'early-draw',
+        EXTRA_DRAW: 'extra-draw'
+    };
+
+    /**
+     * Default holiday list, keyed by MM-DD (recurring every year).
+     * Specific dates (YYYY-MM-DD) from the special-day table take precedence.
+     */
+    const DEFAULT_HOLIDAYS = {
+        '12-25': { type: DayType.NO_DRAW, label: 'Natal' },
+        '01-01': { type: DayType.NO_DRAW, label: 'Ano Novo' },
+        '12-24': { type: DayType.EARLY_DRAW, hour: EARLY_DRAW_HOUR, label: 'Véspera de Natal' },
+        '12-31': { type: DayType.EARLY_DRAW, hour: EARLY_DRAW_HOUR, label: 'Véspera de Ano Novo' }
+    };
+
+    /**
+     * Known contest used as the base for concurso numbering
+     * Only used until the results history is loaded (see setKnownDraws)
+     */
+    const DEFAULT_CONCURSO_REFERENCE = {
+        number: 6903,
+        date: '2025-12-15'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let holidays = { ...DEFAULT_HOLIDAYS };
+    let concursoReference = { ...DEFAULT_CONCURSO_REFERENCE };
+    let loadPromise = null;
+    let knownDraws = [];    // [{dateKey, contest}] sorted by date
+    let knownByDate = {};   // dateKey -> contest
+
+    // ============================================
+    // Date Key Helpers
+    // ============================================
+
+    /**
+     * Month abbreviations used by the sheets' weekday dates ("Mon, 22 Dec 2025")
+     */
+    const MONTH_ABBR = {
+        jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+        jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+    };
+
+    /**
+     * Convert a Date or date string to a BRT calendar key
+     * Accepts Date objects, YYYY-MM-DD(THH...), DD/MM/YYYY and "Mon, 22 Dec 2025" strings
+     * @param {Date|string} input - Date to convert
+     * @returns {string|null} YYYY-MM-DD or null if invalid
+     */
+    function toDateKey(input) {
+        if (input instanceof Date) {
+            if (isNaN(input.getTime())) return null;
+            const shifted = new Date(input.getTime() - BRT_OFFSET_HOURS * 60 * 60 * 1000);
+            const y = shifted.getUTCFullYear();
+            const m = String(shifted.getUTCMonth() + 1).padStart(2, '0');
+            const d = String(shifted.getUTCDate()).padStart(2, '0');
+            return `${y}-${m}-${d}`;
+        }
+
+        if (typeof input !== 'string') return null;
+        const str = input.trim();
+
+        let match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+        match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (match) {
+            return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        }
+
+        match = str.match(/^(?:[A-Za-z]{3},?\s+)?(\d{1,2})\s+([A-Za-z]{3})\s+(\d{4})/);
+        if (match && MONTH_ABBR[match[2].toLowerCase()]) {
+            const month = String(MONTH_ABBR[match[2].toLowerCase()]).padStart(2, '0');
+            return `${match[3]}-${month}-${match[1].padStart(2, '0')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a Date at a BRT wall-clock time on a calendar day
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} hour - Hour in BRT
+     * @param {number} minute - Minute
+     * @param {number} second - Second
+     * @returns {Date} Date instance
+     */
+    function fromDateKey(dateKey, hour = 0, minute = 0, second = 0) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d, hour + BRT_OFFSET_HOURS, minute, second));
+    }
+
+    /**
+     * Add calendar days to a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} YYYY-MM-DD
+     */
+    function addDays(dateKey, days) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days, 12)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get weekday for a calendar day (0 = Sunday)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {number} Weekday
+     */
+    function getWeekday(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d, 12)).getUTCDay();
+    }
+
+    // ============================================
+    // Configuration
+    // ============================================
+
+    /**
+     * Override calendar settings
+     * @param {Object} options - {holidays, concursoReference}
+     *   holidays: map of 'MM-DD' or 'YYYY-MM-DD' -> {type: 'no-draw'|'early-draw'|'extra-draw', hour?, label?}
+     *   concursoReference: {number, date: 'YYYY-MM-DD'}
+     */
+    function configure(options = {}) {
+        if (options.holidays) {
+            holidays = { ...options.holidays };
+        }
+        if (options.concursoReference) {
+            concursoReference = {
+                number: Number(options.concursoReference.number),
+                date: toDateKey(options.concursoReference.date)
+            };
+        }
+    }
+
+    /**
+     * Restore built-in defaults
+     */
+    function reset() {
+        holidays = { ...DEFAULT_HOLIDAYS };
+        concursoReference = { ...DEFAULT_CONCURSO_REFERENCE };
+        loadPromise = null;
+        knownDraws = [];
+        knownByDate = {};
+    }
+
+    /**
+     * Get the holiday/special-day rule for a date
+     * A specific YYYY-MM-DD entry wins over a recurring MM-DD entry.
+     * @param {Date|string} date - Date to check
+     * @returns {Object|null} Rule or null
+     */
+    function getHoliday(date) {
+        const key = toDateKey(date);
+        if (!key) return null;
+        return holidays[key] || holidays[key.slice(5)] || null;
+    }
+
+    /**
+     * Get all configured holiday/special-day rules
+     * @returns {Object} Map of date key -> rule
+     */
+    function getHolidays() {
+        return { ...holidays };
+    }
+
+    // ============================================
+    // Special-Day Table
+    // ============================================
+
+    /**
+     * Normalize a day type label ("NO DRAW", "early_draw", ...) to a DayType value
+     * @param {string} value - Raw type
+     * @returns {string|null} DayType value or null if unknown
+     */
+    function normalizeDayType(value) {
+        const type = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+        return Object.values(DayType).includes(type) ? type : null;
+    }
+
+    /**
+     * Normalize a special-day date to 'YYYY-MM-DD' or recurring 'MM-DD'
+     * Accepts YYYY-MM-DD, DD/MM/YYYY, MM-DD and DD/MM
+     * @param {string} value - Raw date
+     * @returns {string|null} Key or null if invalid
+     */
+    function normalizeSpecialDate(value) {
+        const str = String(value || '').trim();
+        const full = toDateKey(str);
+        if (full) return full;
+
+        let match = str.match(/^(\d{2})-(\d{2})$/);
+        if (match) return `${match[1]}-${match[2]}`;
+
+        match = str.match(/^(\d{1,2})\/(\d{1,2})$/);
+        if (match) return `${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+        return null;
+    }
+
+    /**
+     * Split a CSV line honouring quotes
+     * @param {string} line - CSV line
+     * @returns {string[]} Cells
+     */
+    function splitCSVLine(line) {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (ch === ',' && !inQuotes) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Parse a special-day table
+     *
+     * CSV (sheet export): DATE,TYPE,HOUR,LABEL
+     * JSON: {"days": [{"date", "type", "hour", "label"}], "concursoReference"?}
+     *       or a bare array of day objects
+     *
+     * @param {string} text - CSV or JSON text
+     * @returns {Object} {holidays, concursoReference, skipped}
+     */
+    function parseSpecialDays(text) {
+        const trimmed = String(text || '').trim();
+        let rows = [];
+        let reference = null;
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            rows = Array.isArray(data) ? data : (data.days || []);
+            reference = Array.isArray(data) ? null : (data.concursoReference || null);
+        } else {
+            const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+            const header = splitCSVLine(lines[0] || '').map(h => h.toLowerCase());
+            const col = (name, fallback) => {
+                const idx = header.indexOf(name);
+                return idx === -1 ? fallback : idx;
+            };
+            const dateCol = col('date', 0);
+            const typeCol = col('type', 1);
+            const hourCol = col('hour', 2);
+            const labelCol = col('label', 3);
+
+            rows = lines.slice(1).map(line => {
+                const cells = splitCSVLine(line);
+                return {
+                    date: cells[dateCol],
+                    type: cells[typeCol],
+                    hour: cells[hourCol],
+                    label: cells[labelCol]
+                };
+            });
+        }
+
+        const parsed = {};
+        let skipped = 0;
+
+        rows.forEach(row => {
+            const key = normalizeSpecialDate(row.date);
+            const type = normalizeDayType(row.type);
+            if (!key || !type) {
+                skipped++;
+                return;
+            }
+
+            const rule = { type, label: row.label ? String(row.label) : '' };
+            const hour = parseInt(row.hour, 10);
+            if (type !== DayType.NO_DRAW) {
+                rule.hour = Number.isFinite(hour)
+                    ? hour
+                    : (type === DayType.EARLY_DRAW ? EARLY_DRAW_HOUR : DEFAULT_DRAW_HOUR);
+            }
+            parsed[key] = rule;
+        });
+
+        return { holidays: parsed, concursoReference: reference, skipped };
+    }
+
+    /**
+     * Load the special-day table and merge it over the built-in holidays
+     * Falls back to the built-in list if the file cannot be loaded.
+     * @param {string|Function} source - CSV or JSON URL, or a loader returning a Promise of the text
+     * @returns {Promise<number>} Number of special days loaded
+     */
+    function loadSpecialDays(source) {
+        loadPromise = (async () => {
+            try {
+                let text;
+                if (typeof source === 'function') {
+                    text = await source();
+                } else {
+                    const response = await fetch(source, { cache: 'no-store' });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    text = await response.text();
+                }
+
+                const table = parseSpecialDays(text);
+                configure({
+                    holidays: { ...DEFAULT_HOLIDAYS, ...table.holidays },
+                    concursoReference: table.concursoReference || undefined
+                });
+
+                if (table.skipped > 0) {
+                    console.warn(`⚠️ Draw calendar: skipped ${table.skipped} invalid special-day rows`);
+                }
+                console.log(`📅 Draw calendar: ${Object.keys(table.holidays).length} special days loaded`);
+                return Object.keys(table.holidays).length;
+            } catch (error) {
+                console.warn('⚠️ Draw calendar: using built-in holidays, special-day table unavailable:', error.message);
+                return 0;
+            }
+        })();
+        return loadPromise;
+    }
+
+    /**
+     * Wait for the last special-day load to settle (resolves immediately if none)
+     * @returns {Promise<void>}
+     */
+    async function whenReady() {
+        if (loadPromise) await loadPromise;
+    }
+
+    // ============================================
+    // Draw Day Rules
+    // ============================================
+
+    /**
+     * Check if a date is a no-draw day (Sunday or no-draw holiday)
+     * Extra-draw days are always draw days, even on a Sunday.
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if no draw on this day
+     */
+    function isNoDrawDay(date) {
+        const key = toDateKey(date);
+        if (!key) return false;
+        const rule = getHoliday(key);
+        if (rule && rule.type === DayType.EXTRA_DRAW) return false;
+        if (rule && rule.type === DayType.NO_DRAW) return true;
+        return NO_DRAW_WEEKDAYS.includes(getWeekday(key));
+    }
+
+    /**
+     * Check if a date is a valid draw day
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if a draw happens on this day
+     */
+    function isDrawDay(date) {
+        return !!toDateKey(date) && !isNoDrawDay(date);
+    }
+
+    /**
+     * Check if a date draws earlier than usual
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True on early-draw days
+     */
+    function isEarlyDrawDay(date) {
+        const rule = getHoliday(date);
+        return !!rule && rule.type === DayType.EARLY_DRAW;
+    }
+
+    /**
+     * Get the draw hour (BRT) for a date. Registration closes at this hour.
+     * @param {Date|string} date - Date to check
+     * @returns {number} Draw hour
+     */
+    function getDrawHour(date) {
+        const rule = getHoliday(date);
+        if (rule && rule.type === DayType.EARLY_DRAW) {
+            return Number.isFinite(rule.hour) ? rule.hour : EARLY_DRAW_HOUR;
+        }
+        if (rule && rule.type === DayType.EXTRA_DRAW && Number.isFinite(rule.hour)) {
+            return rule.hour;
+        }
+        return DEFAULT_DRAW_HOUR;
+    }
+
+    /**
+     * Get the cutoff instant for a draw day (draw hour, BRT)
+     * Tickets registered at or after this instant belong to the next draw.
+     * @param {Date|string} date - Draw day
+     * @returns {Date|null} Cutoff instant
+     */
+    function getCutoff(date) {
+        const key = toDateKey(date);
+        if (!key) return null;
+        return fromDateKey(key, getDrawHour(key));
+    }
+
+    /**
+     * Get next valid draw date on or after a date
+     * @param {Date|string} fromDate - Starting date
+     * @returns {Date} Midnight BRT of the next draw day
+     */
+    function getNextValidDrawDate(fromDate) {
+        const startKey = toDateKey(fromDate);
+        if (!startKey) throw new Error('Invalid date for draw calendar');
+
+        let key = startKey;
+        for (let i = 0; i < 14; i++) {
+            if (isDrawDay(key)) return fromDateKey(key);
+            key = addDays(key, 1);
+        }
+
+        throw new Error('No valid draw date found in range');
+    }
+
+    // ============================================
+    // Schedule
+    // ============================================
+
+    /**
+     * Build the schedule for a draw day
+     * @param {Date|string} date - Draw day
+     * @returns {Object} {dateKey, drawDate, drawHour, cutoff, regStart}
+     *   cutoff is the last second tickets are accepted (draw hour - 1s)
+     *   regStart is the first second after the previous day's draw hour
+     */
+    function buildScheduleForDate(date) {
+        const dateKey = toDateKey(date);
+        const drawHour = getDrawHour(dateKey);
+        const cutoff = new Date(fromDateKey(dateKey, drawHour).getTime() - 1000);
+
+        const prevKey = addDays(dateKey, -1);
+        const regStart = fromDateKey(prevKey, getDrawHour(prevKey), 0, 1);
+
+        return {
+            dateKey,
+            drawDate: fromDateKey(dateKey),
+            drawHour,
+            cutoff,
+            regStart
+        };
+    }
+
+    /**
+     * Get the draw a ticket registered at a given instant belongs to
+     * @param {Date} now - Registration instant
+     * @returns {Object} Schedule (see buildScheduleForDate) plus `now`
+     */
+    function getScheduleAt(now) {
+        let key = toDateKey(now);
+        for (let i = 0; i < 15; i++) {
+            if (isDrawDay(key)) {
+                const schedule = buildScheduleForDate(key);
+                if (now <= schedule.cutoff) {
+                    return { ...schedule, now };
+                }
+            }
+            key = addDays(key, 1);
+        }
+        throw new Error('No valid draw date found');
+    }
+
+    /**
+     * Set the official results history used to anchor concurso numbers
+     * @param {Object[]} draws - [{contest, date}] (date as Date or any toDateKey format)
+     * @returns {number} Number of draws accepted
+     */
+    function setKnownDraws(draws) {
+        const byDate = {};
+        (draws || []).forEach(draw => {
+            const key = toDateKey(draw.date);
+            const contest = parseInt(draw.contest, 10);
+            if (key && Number.isFinite(contest)) {
+                byDate[key] = contest;
+            }
+        });
+
+        knownByDate = byDate;
+        knownDraws = Object.keys(byDate).sort().map(dateKey => ({ dateKey, contest: byDate[dateKey] }));
+        return knownDraws.length;
+    }
+
+    /**
+     * Get the results history currently used for concurso numbers
+     * @returns {Object[]} [{dateKey, contest}] sorted by date
+     */
+    function getKnownDraws() {
+        return knownDraws.slice();
+    }
+
+    /**
+     * Count draw days from an anchor contest to a target day
+     * @param {Object} anchor - {number, date: 'YYYY-MM-DD'}
+     * @param {string} targetKey - YYYY-MM-DD
+     * @returns {number} Concurso number
+     */
+    function countFromAnchor(anchor, targetKey) {
+        const step = targetKey >= anchor.date ? 1 : -1;
+        let count = 0;
+        let cursor = anchor.date;
+
+        while (cursor !== targetKey) {
+            cursor = addDays(cursor, step);
+            if (isDrawDay(cursor)) count += 1;
+        }
+
+        return anchor.number + count * step;
+    }
+
+    /**
+     * Resolve the concurso number for a draw date
+     *
+     * - known: the date is in the results history
+     * - extrapolated: counted from the closest earlier known draw (or the
+     *   earliest known draw for dates before the history)
+     * - reference: no history loaded, counted from the built-in reference
+     *
+     * @param {Date|string} drawDate - Draw date
+     * @returns {Object} {concurso, source, anchorDate}
+     */
+    function resolveConcurso(drawDate) {
+        const targetKey = toDateKey(drawDate);
+        if (!targetKey) return { concurso: NaN, source: null, anchorDate: null };
+
+        if (knownByDate[targetKey] !== undefined) {
+            return { concurso: knownByDate[targetKey], source: 'known', anchorDate: targetKey };
+        }
+
+        if (knownDraws.length === 0) {
+            return {
+                concurso: countFromAnchor(concursoReference, targetKey),
+                source: 'reference',
+                anchorDate: concursoReference.date
+            };
+        }
+
+        let anchor = knownDraws[0];
+        for (const draw of knownDraws) {
+            if (draw.dateKey > targetKey) break;
+            anchor = draw;
+        }
+
+        return {
+            concurso: countFromAnchor({ number: anchor.contest, date: anchor.dateKey }, targetKey),
+            source: 'extrapolated',
+            anchorDate: anchor.dateKey
+        };
+    }
+
+    /**
+     * Calculate concurso number for a draw date
+     * @param {Date|string} drawDate - Draw date
+     * @returns {number} Concurso number
+     */
+    function calculateConcurso(drawDate) {
+        return resolveConcurso(drawDate).concurso;
+    }
+
+    // ============================================
+    // Eligibility Windows
+    // ============================================
+
+    /**
+     * Calculate the two draws a recharge makes a player eligible for
+     *
+     * - eligible1: first draw whose cutoff is after the recharge
+     * - eligible2: next draw after eligible1
+     * - expiresAt: cutoff (draw hour) on eligible2
+     * - eligibilityDay1/eligibilityDay2: calendar days of the recharge and the
+     *   following day, i.e. when tickets may be created with this recharge
+     *
+     * @param {Date} rechargeTime - When the recharge occurred
+     * @returns {Object|null} Window or null if rechargeTime is invalid
+     */
+    function getEligibilityWindow(rechargeTime) {
+        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
+            return null;
+        }
+
+        const rechargeKey = toDateKey(rechargeTime);
+        const isCutoff = rechargeTime.getTime() >= fromDateKey(rechargeKey, getDrawHour(rechargeKey)).getTime();
+
+        const eligible1 = getNextValidDrawDate(isCutoff ? addDays(rechargeKey, 1) : rechargeKey);
+        const eligible2 = getNextValidDrawDate(addDays(toDateKey(eligible1), 1));
+
+        return {
+            eligible1,
+            eligible2,
+            expiresAt: getCutoff(eligible2),
+            isCutoff,
+            rechargeTime,
+            eligibilityDay1: fromDateKey(rechargeKey),
+            eligibilityDay2: fromDateKey(addDays(rechargeKey, 1))
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Configuration
+        configure,
+        reset,
+        getHoliday,
+        getHolidays,
+        parseSpecialDays,
+        loadSpecialDays,
+        whenReady,
+
+        // Draw day rules
+        isNoDrawDay,
+        isDrawDay,
+        isEarlyDrawDay,
+        getDrawHour,
+        getCutoff,
+        getNextValidDrawDate,
+
+        // Schedule
+        buildScheduleForDate,
+        getScheduleAt,
+        calculateConcurso,
+        resolveConcurso,
+        setKnownDraws,
+        getKnownDraws,
+
+        // Eligibility
+        getEligibilityWindow,
+
+        // Date helpers
+        toDateKey,
+        fromDateKey,
+        addDays,
+        getWeekday,
+
+        // Constants
+        DayType,
+        DEFAULT_DRAW_HOUR,
+        EARLY_DRAW_HOUR
+    };
+})();
@@ -0,0 +1,1891 @@
+#!/usr/bin/env node
+/**
+ * POP-SORTE - Admin API (local stand-in)
+ *
+ * Local stand-in for the Worker's admin endpoints and its public ticket lookup, so the dashboard
+ * login, its protected data and "Meus bilhetes" can be run and checked without deploying the
+ * Worker. Both implement the same contract:
+ *
+ *   POST /admin/login           { username, password, deviceToken? } -> { token, username, role, expiresAt },
+ *                               or { mfaRequired, challenge } for accounts with two-factor login
+ *   POST /admin/login/mfa       { challenge, code, rememberDevice? } -> { token, ..., deviceToken? }
+ *   GET  /admin/session         Bearer token -> { username, role, expiresAt, mfaEnabled }
+ *   GET  /admin/data/<dataset>  Bearer token -> CSV text of the dataset
+ *   POST /admin/audit           Bearer token, { entries: [...] } -> { accepted, rejected }
+ *   GET  /admin/audit           Bearer token (superadmin) -> { entries } newest first,
+ *                               filtered by ?user=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days)
+ *   GET  /admin/overrides       Bearer token -> { overrides: [{ key, status, reason, by, at }] }
+ *   POST /admin/overrides       Bearer token (overrideValidity), { key, status: VALID | INVALID | null,
+ *                               reason, ticket } -> { override } or { override: null, removed }
+ *   GET  /admin/payouts         Bearer token (markPayouts) -> { entries } (payout ledger)
+ *   POST /admin/payouts/sync    Bearer token (markPayouts), { platform, contests, winners } -> { added, updated, entries }
+ *   POST /admin/payouts/paid    Bearer token (markPayouts), { key, version, amount, reference } -> { entry }
+ *   POST /admin/payouts/dispute Bearer token (markPayouts), { key, version, note } -> { entry }
+ *   POST /admin/payouts/resolve Bearer token (markPayouts), { key, version } -> { entry }
+ *   POST /admin/payouts/import  Bearer token (markPayouts), { entries } -> { imported, skipped, entries }
+ *   GET  /admin/lockouts        Bearer token (superadmin) -> { accounts, clients } being throttled
+ *   POST /admin/lockouts/unlock Bearer token (superadmin), { username } or { client } -> { unlocked }
+ *   GET  /admin/mfa             Bearer token -> { enabled, backupCodesLeft }
+ *   POST /admin/mfa/setup       Bearer token -> { secret, otpauthUrl } (not enabled until confirmed)
+ *   POST /admin/mfa/enable      Bearer token, { code } -> { backupCodes } (shown once)
+ *   POST /admin/mfa/backup-codes Bearer token, { code } -> { backupCodes } (replaces the old ones)
+ *   POST /admin/mfa/disable     Bearer token, { code } -> { enabled: false }
+ *   GET  /api/tickets?gameId=   (public) -> { success, tickets } of one Game ID (see Ticket lookup)
+ *
+ * A missing, forged or expired token gets 401, as do bad credentials. A request body over its
+ * limit gets 413 and is not read any further; one that is not a JSON object gets 400.
+ *
+ * Contacts: roles without unmasked contact access (viewer, validator) get entries rebuilt in the
+ * sheet layout (CsvLayouts, columns found by header name) with the WHATSAPP column masked, as on
+ * screen; other columns are dropped. Recharges, results and the draw calendar are served as they
+ * are. Any other file, or one with a contact column outside the entries layout, is refused (500)
+ * for those roles rather than served unmasked.
+ *
+ * Passwords: the users CSV (the private credentials sheet, exported) has the columns
+ * username, password_hash, role (viewer | validator | finance | superadmin, default viewer).
+ * Hashes are "pbkdf2-sha256$<iterations>$<salt>$<hash>" (base64),
+ * made with `hash-password`; PBKDF2 is available in Node (crypto) and in Workers (WebCrypto).
+ * Plaintext passwords are never stored, and never reach the browser.
+ *
+ * Login throttling: failed logins are counted per username (known or not) and per client
+ * address. After FREE_ATTEMPTS failures each further attempt must wait an exponentially
+ * growing delay (429 with Retry-After), and LOCKOUT_FAILURES failures for a username
+ * (CLIENT_LOCKOUT_FAILURES for a client) lock it for LOCKOUT_DURATION (423), even with
+ * the right password. Counts are forgotten FAILURE_WINDOW after the last failure, and a
+ * successful login clears its username's count. Counts live in memory.
+ *
+ * Two-factor login (optional, per account): TOTP (RFC 6238: SHA-1, 30-second steps, 6 digits,
+ * one step of clock drift either way), enrolled from the dashboard with any authenticator app.
+ * A code is accepted once. Each account also gets BACKUP_CODE_COUNT single-use backup codes,
+ * stored as SHA-256 hashes. After the password, the API answers with a 5-minute challenge
+ * token instead of a session. Wrong codes count as failed logins. "Remember this device" returns
+ * a device token valid for SESSION_TTL that skips the code for that account; disabling or
+ * re-enrolling two-factor login invalidates it. Secrets are kept in the --mfa file.
+ *
+ * Ticket lookup: the tickets of one Game ID in the last LOOKUP_RECENT_CONTESTS concursos, newest
+ * first, as { platform, gameId, whatsappNumber (***1234), numerosEscolhidos, drawDate (YYYY-MM-DD),
+ * concurso, bilheteNumber, status, registeredAt }; validity overrides replace the sheet status. Ticket IDs and
+ * verification codes are never included. Each client address may look up LOOKUP_CLIENT_LIMIT
+ * times per LOOKUP_WINDOW, at most once per LOOKUP_MIN_INTERVAL, and each Game ID is answered at
+ * most LOOKUP_GAME_ID_LIMIT times per LOOKUP_WINDOW whoever asks; over either limit the answer is
+ * 429 with Retry-After. Counts live in memory.
+ *
+ * Session token: "<payload>.<signature>" - base64url JSON { sub, role, iat, exp } signed with
+ * HMAC-SHA256 and ADMIN_SESSION_SECRET. It lasts as long as a dashboard session (12 hours).
+ * Without ADMIN_SESSION_SECRET a random secret is used and sessions end with the server.
+ *
+ * Audit log: one JSON entry per line in the --audit file, appended only. Entries are stamped
+ * with the token's user and role (entries claiming another user are rejected) and the time
+ * they were received; failed logins and validity overrides are logged by the server itself.
+ *
+ * Validity overrides: manual VALID / INVALID decisions per ticket (ValidityOverrides keys), kept
+ * in <state>/overrides.json. Every role reads them, since they change which tickets win; only
+ * roles with overrideValidity may change them, and each change is logged as ticket.override.
+ *
+ * Payout ledger: what each winning ticket is owed and what was paid (PayoutLedger keys), kept in
+ * <state>/payouts.json and only readable and writable by roles with markPayouts. `sync` records
+ * the prizes of a platform's winners calculation: new winners are added, changed prizes updated
+ * and tickets of those contests that no longer win drop to 0 owed (entries are never deleted).
+ * Payments, disputes and resolutions carry the entry's version as the dashboard read it; if the
+ * entry changed since, the API answers 409 with the current entry instead of overwriting it.
+ * Imports keep, per key, the most recently updated entry. The server stamps who paid and when,
+ * and logs payout.paid, payout.disputed, payout.resolved, payout.import and payout.sync itself.
+ *
+ * Usage:
+ *   node homina/cli/admin-server.js hash-password <username> [role]   (password read from stdin)
+ *   node homina/cli/admin-server.js serve --users <csv> [--state <dir>] [--data <json>] [--audit <file>] [--mfa <file>]
+ *                                         [--port <port>]
+ *   node homina/cli/admin-server.js totp <base32 secret> [--at <ISO time>]   (prints the code)
+ *
+ * --state is the server's own folder, ~/.popsorte-admin by default: --audit defaults to
+ * <state>/audit.jsonl and --mfa to <state>/mfa.json, and validity overrides and the payout
+ * ledger are kept in <state>/overrides.json and <state>/payouts.json. The site folder is served
+ * as static files,
+ * so the server refuses to read the users file or keep any of them inside it.
+ * `totp` computes codes without an authenticator app, at any fixed time, for offline checks.
+ * --data maps datasets to files or URLs ({ "entries": "/srv/popsorte/entries.csv", ... }).
+ * By default entries and recharges are read from <state>/data/ (entries.csv, recharge-popn1.csv,
+ * recharge-popluz.csv), and results and the draw calendar from the public admin/data/ copies.
+ * Entries and recharges are never read from a file inside the site folder.
+ *
+ * Exit code: 0 on success, 1 on bad arguments or unreadable input
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const { loadBrowserModules } = require('./reconcile.js');
+
+// ============================================
+// Constants
+// ============================================
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+/**
+ * Same 12-hour TTL as AdminCore's SESSION_TTL
+ */
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+const PBKDF2_ITERATIONS = 210000;
+const PBKDF2_KEY_LENGTH = 32;
+const HASH_PREFIX = 'pbkdf2-sha256';
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Roles, whether they see full WhatsApp numbers, may override ticket validity, may keep the
+ * payout ledger, may read the audit log and may see and unlock throttled accounts
+ * (keep in sync with AdminCore.ROLES)
+ */
+const ROLES = {
+    viewer: { unmaskedContacts: false, overrideValidity: false, markPayouts: false, viewAudit: false, manageAccounts: false },
+    validator: { unmaskedContacts: false, overrideValidity: true, markPayouts: false, viewAudit: false, manageAccounts: false },
+    finance: { unmaskedContacts: true, overrideValidity: false, markPayouts: true, viewAudit: false, manageAccounts: false },
+    superadmin: { unmaskedContacts: true, overrideValidity: true, markPayouts: true, viewAudit: true, manageAccounts: true }
+};
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Datasets with full WhatsApp numbers or back-office orders: never read from inside the site
+ */
+const PROTECTED_DATASET = /^(entries|recharges)(\.|$)/;
+
+/**
+ * Header names that may hold phone numbers, besides the entries WHATSAPP column
+ */
+const CONTACT_HEADER = /whats|fone|phone|celular|contato|contact/i;
+
+/**
+ * Draw calendar header (DATE,TYPE,HOUR,LABEL), served as it is
+ */
+const CALENDAR_COLUMNS = ['date', 'type'];
+
+/**
+ * Largest request body accepted (login form)
+ */
+const MAX_BODY_BYTES = 10 * 1024;
+
+/**
+ * Login throttling (see the header)
+ */
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+const LOCKOUT_FAILURES = 5;
+const CLIENT_LOCKOUT_FAILURES = 20;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const FAILURE_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Two-factor login (see the header)
+ */
+const TOTP_STEP = 30 * 1000;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_ISSUER = 'POP-SORTE Admin';
+const MFA_CHALLENGE_TTL = 5 * 60 * 1000;
+const BACKUP_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Server state (audit log, two-factor secrets), outside the site folder
+ */
+const DEFAULT_STATE_DIR = path.join(os.homedir(), '.popsorte-admin');
+const AUDIT_FILE_NAME = 'audit.jsonl';
+const MFA_FILE_NAME = 'mfa.json';
+const OVERRIDES_FILE_NAME = 'overrides.json';
+const PAYOUTS_FILE_NAME = 'payouts.json';
+
+/**
+ * Validity overrides (see the header)
+ */
+const OVERRIDE_STATUSES = ['VALID', 'INVALID'];
+const MAX_OVERRIDE_REASON = 500;
+
+/**
+ * Payout ledger (see the header; keep in sync with PayoutLedger)
+ */
+const PAYOUT_STATUS = { OUTSTANDING: 'outstanding', PAID: 'paid', DISPUTED: 'disputed' };
+const PAYOUT_AMOUNT_TOLERANCE = 0.005;
+const MAX_PAYOUT_BODY_BYTES = 1024 * 1024;
+const PAYOUT_AUDIT_ACTIONS = { paid: 'payout.paid', dispute: 'payout.disputed', resolve: 'payout.resolved' };
+
+/**
+ * Text fields of a payout ledger entry, with their longest accepted value
+ */
+const PAYOUT_TEXT_FIELDS = {
+    key: 200, contest: 16, platform: 16, ticketNumber: 64, gameId: 64, whatsapp: 64, drawDate: 64,
+    paidAt: 64, paidBy: 64, paymentReference: 200, note: 500, updatedAt: 64
+};
+
+/**
+ * Largest audit upload: a browser sends its pending entries in one request
+ */
+/**
+ * Public ticket lookup by Game ID (see the header)
+ */
+const LOOKUP_CLIENT_LIMIT = 5;
+const LOOKUP_GAME_ID_LIMIT = 10;
+const LOOKUP_WINDOW = 10 * 60 * 1000;
+const LOOKUP_MIN_INTERVAL = 5 * 1000;
+const LOOKUP_RECENT_CONTESTS = 10;
+const GAME_ID_REGEX = /^[0-9]{10}$/;
+
+const MAX_AUDIT_BODY_BYTES = 1024 * 1024;
+const MAX_AUDIT_ENTRIES = 2000;
+
+const USAGE = `Usage:
+  node homina/cli/admin-server.js hash-password <username> [role]
+  node homina/cli/admin-server.js serve --users <csv> [--state <dir>] [--data <json>] [--audit <file>] [--mfa <file>] [--port <port>]
+  node homina/cli/admin-server.js totp <base32 secret> [--at <ISO time>]`;
+
+// ============================================
+// Password Hashing
+// ============================================
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password - Plaintext password
+ * @returns {string} "pbkdf2-sha256$<iterations>$<salt>$<hash>"
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, PBKDF2_KEY_LENGTH, 'sha256');
+    return [HASH_PREFIX, PBKDF2_ITERATIONS, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Stored hash from hashPassword()
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, stored) {
+    const [prefix, iterations, salt, hash] = String(stored || '').split('$');
+    if (prefix !== HASH_PREFIX || !iterations || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.pbkdf2Sync(password, Buffer.from(salt, 'base64'), parseInt(iterations, 10), expected.length, 'sha256');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash compared against when the username is unknown, so both cases take the same time
+ */
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// ============================================
+// Two-Factor (TOTP)
+// ============================================
+
+/**
+ * @param {Buffer} bytes - Bytes
+ * @returns {string} Base32 text without padding (RFC 4648)
+ */
+function base32Encode(bytes) {
+    let bits = '';
+    bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+/**
+ * @param {string} text - Base32 text (case, spaces and padding ignored)
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(text) {
+    const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+    if (/[^A-Z2-7]/.test(clean)) throw new Error('Not a base32 secret');
+
+    const bits = clean.split('').map(c => BASE32_ALPHABET.indexOf(c).toString(2).padStart(5, '0')).join('');
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * TOTP code of a secret for a time step (RFC 6238 / RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (ms since epoch / TOTP_STEP, floored)
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, step, digits = TOTP_DIGITS) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * TOTP code of a secret at a time
+ * @param {string} secret - Base32 secret
+ * @param {number} now - Time in ms (tests pass a fixed clock)
+ * @returns {string} Code
+ */
+function totp(secret, now = Date.now()) {
+    return hotp(secret, Math.floor(now / TOTP_STEP));
+}
+
+/**
+ * Check a TOTP code, allowing TOTP_DRIFT_STEPS of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the admin
+ * @param {number} now - Time in ms
+ * @param {number} lastStep - Step of the last accepted code (older or equal steps are replays)
+ * @returns {number|null} Matching step, or null
+ */
+function verifyTotp(secret, code, now, lastStep = -1) {
+    const typed = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(typed) || typed.length !== TOTP_DIGITS) return null;
+
+    const current = Math.floor(now / TOTP_STEP);
+    for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+        const expected = Buffer.from(hotp(secret, step));
+        if (step > lastStep && crypto.timingSafeEqual(expected, Buffer.from(typed))) return step;
+    }
+    return null;
+}
+
+/**
+ * @returns {string} New random TOTP secret (160 bits, base32)
+ */
+function createTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * @param {string} code - Backup code ("abcd-efgh"; case and dashes ignored)
+ * @returns {string} SHA-256 hex of the normalized code
+ */
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+/**
+ * @returns {string[]} New backup codes ("abcd-efgh")
+ */
+function createBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex').slice(0, 8);
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+}
+
+// ============================================
+// Session Tokens
+// ============================================
+
+/**
+ * @param {Buffer|string} value - Bytes or text
+ * @returns {string} base64url text
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Sign a session token
+ * @param {Object} payload - { sub, role, iat, exp }
+ * @param {string} secret - Signing secret
+ * @returns {string} "<payload>.<signature>"
+ */
+function signToken(payload, secret) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${signature}`;
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token - Token from signToken()
+ * @param {string} secret - Signing secret
+ * @param {number} now - Current time in ms (tests pass a fixed clock)
+ * @returns {Object|null} Payload, or null if forged, malformed or expired
+ */
+function verifyToken(token, secret, now = Date.now()) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(base64url(crypto.createHmac('sha256', secret).update(body).digest()));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+        return payload.exp && now < payload.exp ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+// ============================================
+// Users & Data
+// ============================================
+
+/**
+ * @param {string} file - File path
+ * @returns {boolean} True if the file is in the site folder (served as static files)
+ */
+function isInsideSite(file) {
+    const relative = path.relative(ROOT_DIR, path.resolve(file));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Read the users CSV (username, password_hash, role; header row optional)
+ * @param {string} file - File path
+ * @returns {Map} lowercase username -> { username, passwordHash, role }
+ */
+function readUsers(file) {
+    const users = new Map();
+    fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+        const [username, passwordHash, role] = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+        if (!username || !passwordHash || username.toLowerCase() === 'username') return;
+        if (!passwordHash.startsWith(`${HASH_PREFIX}$`)) {
+            throw new Error(`${file}: password for "${username}" is not a ${HASH_PREFIX} hash (use hash-password)`);
+        }
+        if (role && !ROLES[role.toLowerCase()]) {
+            throw new Error(`${file}: unknown role "${role}" for "${username}" (${Object.keys(ROLES).join(', ')})`);
+        }
+        users.set(username.toLowerCase(), { username, passwordHash, role: role ? role.toLowerCase() : DEFAULT_ROLE });
+    });
+
+    if (users.size === 0) {
+        throw new Error(`${file}: no users`);
+    }
+    return users;
+}
+
+/**
+ * Read a dataset from its file or URL
+ * @param {string} source - File path (relative to the site root) or http(s) URL
+ * @returns {Promise<string>} CSV text
+ */
+async function readDataset(source) {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await fetch(source, { redirect: 'follow' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    }
+    return fs.promises.readFile(path.resolve(ROOT_DIR, source), 'utf8');
+}
+
+/**
+ * Datasets served by default: entries and recharges from the state folder, the public copies
+ * of results and the draw calendar from the site
+ * @param {string} stateDir - Server state folder
+ * @returns {Object} dataset -> file
+ */
+function getDefaultData(stateDir) {
+    const dataDir = path.join(stateDir, 'data');
+    return {
+        'entries': path.join(dataDir, 'entries.csv'),
+        'recharges.POPLUZ': path.join(dataDir, 'recharge-popluz.csv'),
+        'recharges.POPN1': path.join(dataDir, 'recharge-popn1.csv'),
+        'results': 'admin/data/results.csv',
+        'drawCalendar': 'admin/data/draw-calendar.csv'
+    };
+}
+
+/**
+ * Refuse a data map that reads entries or recharges from the site folder
+ * @param {Object} data - dataset -> file or URL
+ */
+function checkDataSources(data) {
+    Object.keys(data).forEach(dataset => {
+        const source = String(data[dataset]);
+        if (PROTECTED_DATASET.test(dataset) && !/^https?:\/\//i.test(source) && isInsideSite(path.resolve(ROOT_DIR, source))) {
+            throw new Error(`"${dataset}" (${source}) is inside the site folder, which is served as static files - move it out`);
+        }
+    });
+}
+
+/**
+ * The dashboard's CSV layouts (loaded once, as the reconcile CLI loads them)
+ * @returns {Object} CsvLayouts
+ */
+function getCsvLayouts() {
+    if (typeof CsvLayouts === 'undefined') loadBrowserModules(true);
+    return CsvLayouts;
+}
+
+/**
+ * Entries of the entries dataset, parsed as the dashboard parses them
+ * @param {Object} context - Server context
+ * @returns {Promise<Object[]>} Entries (DataFetcher.parseEntryRow)
+ */
+async function readEntries(context) {
+    const { rows } = getCsvLayouts().readSheetRows('entries', await readDataset(context.data.entries), 'entries');
+    return rows.map(row => DataFetcher.parseEntryRow(row)).filter(entry => entry.gameId);
+}
+
+/**
+ * @param {string} number - WhatsApp number in any format
+ * @returns {string} ***1234, as AdminCore.maskWhatsApp
+ */
+function maskWhatsApp(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    return digits.length < 4 ? '****' : `***${digits.slice(-4)}`;
+}
+
+/**
+ * @param {string[]} cells - Cells
+ * @returns {string} CSV line, quoting cells with commas, quotes or line breaks
+ */
+function toCSVLine(cells) {
+    return cells.map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(',');
+}
+
+/**
+ * Apply the role's contact policy to a dataset (see the header). Fails closed: a file whose
+ * contacts cannot be located by header is refused, never served unmasked.
+ * @param {string} csvText - CSV text
+ * @param {string} role - Role of the requesting session
+ * @param {string} dataset - Dataset name (for errors)
+ * @returns {string} CSV text
+ */
+function applyContactPolicy(csvText, role, dataset) {
+    if ((ROLES[role] || ROLES[DEFAULT_ROLE]).unmaskedContacts) return csvText;
+
+    const layouts = getCsvLayouts();
+    const { header } = layouts.readTable(csvText);
+    const kind = layouts.detectLayout(header);
+
+    if (kind === 'entries') {
+        const sheetHeader = layouts.LAYOUTS.entries.sheetHeader;
+        const whatsappCol = sheetHeader.indexOf('WHATSAPP');
+        const { rows } = layouts.readSheetRows('entries', csvText, dataset);
+        rows.forEach(row => { row[whatsappCol] = maskWhatsApp(row[whatsappCol]); });
+        return [sheetHeader, ...rows].map(toCSVLine).join('\n') + '\n';
+    }
+
+    const hasContacts = header.some(name => CONTACT_HEADER.test(name));
+    const isCalendar = CALENDAR_COLUMNS.every(name => header.includes(name));
+    if (hasContacts || !(kind === 'recharges' || kind === 'results' || isCalendar)) {
+        throw new Error(`cannot mask the contacts in "${dataset}" - not an entries, recharge, results or calendar file`);
+    }
+    return csvText;
+}
+
+// ============================================
+// Login Throttling
+// ============================================
+
+/**
+ * Create the failed-login counters
+ * @returns {Object} { accounts: Map, clients: Map } of key -> { failures, lastFailure, lockedUntil }
+ */
+function createThrottle() {
+    return { accounts: new Map(), clients: new Map() };
+}
+
+/**
+ * Drop counters whose last failure is older than FAILURE_WINDOW and that are not locked
+ * @param {Map} counters - key -> counter
+ * @param {number} now - Current time in ms
+ */
+function pruneCounters(counters, now) {
+    for (const [key, counter] of counters) {
+        if (now - counter.lastFailure > FAILURE_WINDOW && now >= counter.lockedUntil) {
+            counters.delete(key);
+        }
+    }
+}
+
+/**
+ * Time left before a counter may try again
+ * @param {Object|undefined} counter - { failures, lastFailure, lockedUntil }
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} { locked: boolean, retryAfter: ms }, or null if it may try now
+ */
+function getWait(counter, now) {
+    if (!counter) return null;
+    if (now < counter.lockedUntil) {
+        return { locked: true, retryAfter: counter.lockedUntil - now };
+    }
+    if (counter.failures < FREE_ATTEMPTS) return null;
+
+    const delay = Math.min(BASE_DELAY * 2 ** (counter.failures - FREE_ATTEMPTS), MAX_DELAY);
+    const retryAfter = counter.lastFailure + delay - now;
+    return retryAfter > 0 ? { locked: false, retryAfter } : null;
+}
+
+/**
+ * Count a failed login
+ * @param {Map} counters - key -> counter
+ * @param {string} key - Username (lowercase) or client address
+ * @param {number} limit - Failures that lock the key
+ * @param {number} now - Current time in ms
+ * @returns {Object} Updated counter
+ */
+function countFailure(counters, key, limit, now) {
+    const counter = counters.get(key) || { failures: 0, lastFailure: 0, lockedUntil: 0 };
+    // A lockout that has run out starts a fresh count
+    if (counter.lockedUntil && now >= counter.lockedUntil) {
+        counter.failures = 0;
+        counter.lockedUntil = 0;
+    }
+
+    counter.failures++;
+    counter.lastFailure = now;
+    if (counter.failures >= limit) {
+        counter.lockedUntil = now + LOCKOUT_DURATION;
+    }
+    counters.set(key, counter);
+    return counter;
+}
+
+/**
+ * Counters as listed to admins
+ * @param {Map} counters - key -> counter
+ * @param {string} keyName - 'username' | 'client'
+ * @param {number} now - Current time in ms
+ * @returns {Object[]} Locked or delayed keys, locked first
+ */
+function listCounters(counters, keyName, now) {
+    return Array.from(counters, ([key, counter]) => ({ key, counter, wait: getWait(counter, now) }))
+        .filter(({ wait }) => wait)
+        .sort((a, b) => Number(b.wait.locked) - Number(a.wait.locked) || b.counter.lastFailure - a.counter.lastFailure)
+        .map(({ key, counter, wait }) => ({
+            [keyName]: key,
+            failures: counter.failures,
+            lastFailure: new Date(counter.lastFailure).toISOString(),
+            locked: wait.locked,
+            retryAt: new Date(now + wait.retryAfter).toISOString()
+        }));
+}
+
+// ============================================
+// Lookup Limits
+// ============================================
+
+/**
+ * Create the ticket lookup counters
+ * @returns {Object} { clients: Map, gameIds: Map } of key -> lookup times (ms), oldest first
+ */
+function createLookupLimits() {
+    return { clients: new Map(), gameIds: new Map() };
+}
+
+/**
+ * Lookups of a key still inside LOOKUP_WINDOW (drops the key when there are none)
+ * @param {Map} counters - key -> lookup times
+ * @param {string} key - Client address or Game ID
+ * @param {number} now - Current time in ms
+ * @returns {number[]} Lookup times, oldest first
+ */
+function recentLookups(counters, key, now) {
+    const times = (counters.get(key) || []).filter(time => now - time < LOOKUP_WINDOW);
+    if (times.length > 0) counters.set(key, times);
+    else counters.delete(key);
+    return times;
+}
+
+/**
+ * Count a lookup if the client and the Game ID are both under their limits
+ * @param {Object} context - Server context
+ * @param {string} client - Client address
+ * @param {string} gameId - Game ID looked up
+ * @returns {number} 0 if counted, otherwise ms until the lookup would be allowed
+ */
+function takeLookupSlot(context, client, gameId) {
+    const now = context.now();
+    const { clients, gameIds } = context.lookups;
+    const byClient = recentLookups(clients, client, now);
+    const byGameId = recentLookups(gameIds, gameId, now);
+
+    const waits = [];
+    if (byClient.length > 0) waits.push(byClient[byClient.length - 1] + LOOKUP_MIN_INTERVAL - now);
+    if (byClient.length >= LOOKUP_CLIENT_LIMIT) waits.push(byClient[byClient.length - LOOKUP_CLIENT_LIMIT] + LOOKUP_WINDOW - now);
+    if (byGameId.length >= LOOKUP_GAME_ID_LIMIT) waits.push(byGameId[byGameId.length - LOOKUP_GAME_ID_LIMIT] + LOOKUP_WINDOW - now);
+    const wait = Math.max(0, ...waits);
+    if (wait > 0) return wait;
+
+    clients.set(client, [...byClient, now]);
+    gameIds.set(gameId, [...byGameId, now]);
+    return 0;
+}
+
+// ============================================
+// Audit Log
+// ============================================
+
+/**
+ * Read the audit file
+ * @param {string} file - JSONL file path
+ * @returns {Object[]} Entries, oldest first (missing file: none)
+ */
+function readAudit(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * Append entries to the audit file, skipping IDs already logged (a browser retrying a send)
+ * @param {Object} context - Server context (audit file and known IDs)
+ * @param {Object[]} entries - Entries to append
+ * @returns {number} Entries appended
+ */
+function appendAudit(context, entries) {
+    const fresh = entries.filter(entry => !context.auditIds.has(entry.id));
+    if (fresh.length === 0) return 0;
+
+    fs.appendFileSync(context.audit, fresh.map(entry => JSON.stringify(entry) + '\n').join(''));
+    fresh.forEach(entry => context.auditIds.add(entry.id));
+    return fresh.length;
+}
+
+/**
+ * Check an entry sent by the dashboard and stamp it with the token's user
+ * @param {Object} entry - { id, at, username, action, params }
+ * @param {Object} session - Token payload
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Entry to log, or null if malformed or claiming another user
+ */
+function normalizeAuditEntry(entry, session, now) {
+    if (!entry || typeof entry.id !== 'string' || typeof entry.action !== 'string') return null;
+    if (isNaN(Date.parse(entry.at))) return null;
+    if (entry.username && String(entry.username).toLowerCase() !== session.sub.toLowerCase()) return null;
+
+    return {
+        id: entry.id.slice(0, 64),
+        at: new Date(entry.at).toISOString(),
+        receivedAt: new Date(now).toISOString(),
+        username: session.sub,
+        role: session.role || DEFAULT_ROLE,
+        action: entry.action.slice(0, 64),
+        params: entry.params && typeof entry.params === 'object' ? entry.params : {}
+    };
+}
+
+// ============================================
+// Two-Factor Store
+// ============================================
+
+/**
+ * Read the two-factor file
+ * @param {string} file - JSON file path
+ * @returns {Object} lowercase username -> { secret, enabledAt, lastStep, backupCodes: [hash], pendingSecret? }
+ */
+function readMfa(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Write the two-factor file (owner-only permissions: it holds the TOTP secrets)
+ * @param {Object} context - Server context
+ */
+function saveMfa(context) {
+    fs.writeFileSync(context.mfaFile, JSON.stringify(context.mfa, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Two-factor settings of an account, if enabled
+ * @param {Object} context - Server context
+ * @param {string} username - Username
+ * @returns {Object|null} Settings
+ */
+function getMfa(context, username) {
+    const mfa = context.mfa[username.toLowerCase()];
+    return mfa && mfa.enabledAt ? mfa : null;
+}
+
+/**
+ * Check a TOTP or backup code of an enabled account; a used code cannot be used again
+ * @param {Object} context - Server context
+ * @param {Object} mfa - Account settings from getMfa()
+ * @param {string} code - Code typed by the admin
+ * @returns {string|null} 'totp' | 'backup', or null if wrong
+ */
+function useSecondFactor(context, mfa, code) {
+    const step = verifyTotp(mfa.secret, code, context.now(), mfa.lastStep);
+    if (step !== null) {
+        mfa.lastStep = step;
+        saveMfa(context);
+        return 'totp';
+    }
+
+    const index = mfa.backupCodes.indexOf(hashBackupCode(code));
+    if (String(code || '').length >= 8 && index >= 0) {
+        mfa.backupCodes.splice(index, 1);
+        saveMfa(context);
+        return 'backup';
+    }
+    return null;
+}
+
+// ============================================
+// Override Store
+// ============================================
+
+/**
+ * Read the overrides file
+ * @param {string} file - JSON file path
+ * @returns {Object} key -> { key, status, reason, by, at }
+ */
+function readOverrides(file) {
+    // Null prototype, so any ticket key is just a key
+    return Object.assign(Object.create(null), fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+}
+
+/**
+ * Write the overrides file (owner-only permissions, like the rest of the state folder)
+ * @param {Object} context - Server context
+ */
+function saveOverrides(context) {
+    fs.writeFileSync(context.overridesFile, JSON.stringify(context.overrides, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Ticket details of a change, as sent by the dashboard, for the audit entry
+ * @param {Object} ticket - { platform, gameId, contest, ticketNumber, sheetStatus }
+ * @returns {Object} Same fields, as short strings
+ */
+function describeTicket(ticket) {
+    const details = {};
+    ['platform', 'gameId', 'contest', 'ticketNumber', 'sheetStatus'].forEach(field => {
+        if (ticket && ticket[field] != null) details[field] = String(ticket[field]).slice(0, 64);
+    });
+    return details;
+}
+
+// ============================================
+// Payout Store
+// ============================================
+
+/**
+ * Read the payout ledger file
+ * @param {string} file - JSON file path
+ * @returns {Object} key -> ledger entry (see PayoutLedger)
+ */
+function readPayouts(file) {
+    return Object.assign(Object.create(null), fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+}
+
+/**
+ * Write the payout ledger file (owner-only permissions)
+ * @param {Object} context - Server context
+ */
+function savePayouts(context) {
+    fs.writeFileSync(context.payoutsFile, JSON.stringify(context.payouts, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Round a currency amount to cents
+ * @param {*} value - Amount
+ * @returns {number} Rounded amount (0 if not a number)
+ */
+function roundAmount(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Text field of a ledger entry, trimmed to its limit
+ * @param {*} value - Value sent by the dashboard
+ * @param {string} field - Field name (PAYOUT_TEXT_FIELDS)
+ * @returns {string} Text
+ */
+function payoutText(value, field) {
+    return String(value ?? '').trim().slice(0, PAYOUT_TEXT_FIELDS[field]);
+}
+
+/**
+ * Recompute status after amounts change. Disputes are only cleared explicitly.
+ * @param {Object} entry - Ledger entry
+ */
+function refreshPayoutStatus(entry) {
+    if (entry.status === PAYOUT_STATUS.DISPUTED) return;
+    const settled = entry.paidAmount > 0 && entry.paidAmount + PAYOUT_AMOUNT_TOLERANCE >= entry.amountOwed;
+    entry.status = settled ? PAYOUT_STATUS.PAID : PAYOUT_STATUS.OUTSTANDING;
+}
+
+/**
+ * Stamp a changed ledger entry with the time and its next version
+ * @param {Object} entry - Ledger entry
+ * @param {Object} context - Server context
+ */
+function touchPayout(entry, context) {
+    entry.updatedAt = new Date(context.now()).toISOString();
+    entry.version = (entry.version || 0) + 1;
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * Send a response; the dashboard may be served from another origin (bearer tokens, no cookies)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object|string} body - JSON body, or text for CSV
+ * @param {Object} headers - Extra headers
+ */
+function send(res, status, body, headers = {}) {
+    const isText = typeof body === 'string';
+    res.writeHead(status, {
+        'Content-Type': isText ? 'text/csv; charset=utf-8' : 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        ...headers
+    });
+    res.end(isText ? body : JSON.stringify(body));
+}
+
+/**
+ * Error answered with its own HTTP status (bad request bodies)
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} Error with a status
+ */
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Read a JSON request body. A body over maxBytes is not read any further (413), and one
+ * that is not a JSON object is refused (400); createServer answers both.
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Object>} Parsed body ({} if empty)
+ */
+function readJSONBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+            reject(httpError(413, 'Request too large'));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeListener('data', onData);
+                reject(httpError(413, 'Request too large'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            if (size > maxBytes) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                const body = JSON.parse(text || '{}');
+                if (body && typeof body === 'object' && !Array.isArray(body)) {
+                    resolve(body);
+                    return;
+                }
+            } catch {
+                // Answered below
+            }
+            reject(httpError(400, 'invalid JSON'));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Session of a request, from its Authorization header
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} context - Server context
+ * @returns {Object|null} Token payload
+ */
+function authenticate(req, context) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const payload = match ? verifyToken(match[1], context.secret, context.now()) : null;
+    // Challenge and device tokens are signed the same way but are not sessions
+    return payload && !payload.purpose ? payload : null;
+}
+
+/**
+ * Session of a request whose role has a permission; answers 401/403 otherwise
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Server context
+ * @param {string} permission - Permission in ROLES
+ * @param {string} message - 403 message
+ * @returns {Object|null} Token payload
+ */
+function authorize(req, res, context, permission, message) {
+    const session = authenticate(req, context);
+    if (!session) {
+        send(res, 401, { error: 'Session expired' });
+        return null;
+    }
+    if (!(ROLES[session.role] || ROLES[DEFAULT_ROLE])[permission]) {
+        send(res, 403, { error: message });
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Turn the request away (429/423) if its username or client must wait
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Server context
+ * @param {string} key - Lowercase username
+ * @param {string} client - Client address
+ * @returns {boolean} True if a response was sent
+ */
+function rejectThrottled(res, context, key, client) {
+    const now = context.now();
+    pruneCounters(context.throttle.accounts, now);
+    pruneCounters(context.throttle.clients, now);
+
+    const wait = getWait(context.throttle.accounts.get(key), now) || getWait(context.throttle.clients.get(client), now);
+    if (!wait) return false;
+
+    const retryAfter = Math.ceil(wait.retryAfter / 1000);
+    send(res, wait.locked ? 423 : 429, {
+        error: wait.locked ? 'Too many failed logins - temporarily locked' : 'Too many attempts - wait before retrying',
+        locked: wait.locked,
+        retryAfter
+    }, { 'Retry-After': String(retryAfter) });
+    return true;
+}
+
+/**
+ * Count a failed login (wrong password or second factor) and log it
+ * @param {Object} context - Server context
+ * @param {string} username - Username as typed
+ * @param {string} client - Client address
+ * @param {string} action - 'login.failed' | 'login.mfa_failed'
+ * @param {Object} params - Extra audit parameters
+ */
+function recordFailedLogin(context, username, client, action, params) {
+    const now = context.now();
+    const account = countFailure(context.throttle.accounts, username.toLowerCase(), LOCKOUT_FAILURES, now);
+    const source = countFailure(context.throttle.clients, client, CLIENT_LOCKOUT_FAILURES, now);
+
+    const logged = { at: new Date(now).toISOString(), username: username.slice(0, 64), role: '' };
+    const entries = [{ ...logged, id: crypto.randomUUID(), action, params: { ip: client, ...params, failures: account.failures } }];
+    // Locked keys are turned away before checking, so a lock now is a new one
+    if (account.lockedUntil > now || source.lockedUntil > now) {
+        entries.push({
+            ...logged,
+            id: crypto.randomUUID(),
+            action: 'login.locked',
+            params: { ip: client, account: account.lockedUntil > now, client: source.lockedUntil > now, until: new Date(now + LOCKOUT_DURATION).toISOString() }
+        });
+    }
+    appendAudit(context, entries);
+}
+
+/**
+ * Answer a completed login with a session token (and a device token when asked)
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Server context
+ * @param {Object} user - { username, role }
+ * @param {boolean} rememberDevice - Also return a device token that skips the second factor
+ */
+function sendSession(res, context, user, rememberDevice = false) {
+    const now = context.now();
+    context.throttle.accounts.delete(user.username.toLowerCase());
+
+    const payload = { sub: user.username, role: user.role, iat: now, exp: now + SESSION_TTL };
+    const body = { token: signToken(payload, context.secret), username: user.username, role: user.role, expiresAt: payload.exp };
+
+    const mfa = getMfa(context, user.username);
+    if (rememberDevice && mfa) {
+        body.deviceToken = signToken({ sub: user.username, purpose: 'device', mfa: mfa.enabledAt, iat: now, exp: now + SESSION_TTL }, context.secret);
+    }
+    send(res, 200, body);
+}
+
+/**
+ * POST /admin/login
+ */
+async function handleLogin(req, res, context) {
+    const { username, password, deviceToken } = await readJSONBody(req);
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+        send(res, 400, { error: 'Username and password are required' });
+        return;
+    }
+
+    const key = username.trim().toLowerCase();
+    const client = req.socket.remoteAddress || 'unknown';
+    // Checked before the password, so a locked account cannot be probed either
+    if (rejectThrottled(res, context, key, client)) return;
+
+    const user = context.users.get(key);
+    const isValid = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH) && Boolean(user);
+    if (!isValid) {
+        recordFailedLogin(context, username.trim(), client, 'login.failed', { knownUser: Boolean(user) });
+        send(res, 401, { error: 'Invalid username or password' });
+        return;
+    }
+
+    const mfa = getMfa(context, user.username);
+    if (mfa) {
+        const device = verifyToken(deviceToken, context.secret, context.now());
+        const isRemembered = device && device.purpose === 'device' && device.sub === user.username && device.mfa === mfa.enabledAt;
+        if (!isRemembered) {
+            const now = context.now();
+            const challenge = signToken({ sub: user.username, purpose: 'mfa', iat: now, exp: now + MFA_CHALLENGE_TTL }, context.secret);
+            send(res, 200, { mfaRequired: true, challenge });
+            return;
+        }
+    }
+
+    sendSession(res, context, user);
+}
+
+/**
+ * POST /admin/login/mfa
+ */
+async function handleLoginMfa(req, res, context) {
+    const { challenge, code, rememberDevice } = await readJSONBody(req);
+    const pending = verifyToken(challenge, context.secret, context.now());
+    if (!pending || pending.purpose !== 'mfa') {
+        send(res, 401, { error: 'Sign-in expired - enter your password again', expired: true });
+        return;
+    }
+
+    const client = req.socket.remoteAddress || 'unknown';
+    if (rejectThrottled(res, context, pending.sub.toLowerCase(), client)) return;
+
+    const user = context.users.get(pending.sub.toLowerCase());
+    const mfa = getMfa(context, pending.sub);
+    const factor = user && mfa ? useSecondFactor(context, mfa, code) : null;
+    if (!factor) {
+        recordFailedLogin(context, pending.sub, client, 'login.mfa_failed', {});
+        send(res, 401, { error: 'Invalid verification code' });
+        return;
+    }
+
+    if (factor === 'backup') {
+        appendAudit(context, [{
+            id: crypto.randomUUID(),
+            at: new Date(context.now()).toISOString(),
+            username: user.username,
+            role: user.role,
+            action: 'mfa.backup_used',
+            params: { ip: client, backupCodesLeft: mfa.backupCodes.length }
+        }]);
+    }
+    sendSession(res, context, user, rememberDevice === true);
+}
+
+/**
+ * GET /admin/session
+ */
+function handleSession(req, res, context) {
+    const session = authenticate(req, context);
+    if (!session) {
+        send(res, 401, { error: 'Session expired' });
+        return;
+    }
+    send(res, 200, {
+        username: session.sub,
+        role: session.role || DEFAULT_ROLE,
+        expiresAt: session.exp,
+        mfaEnabled: Boolean(getMfa(context, session.sub))
+    });
+}
+
+/**
+ * GET /admin/data/<dataset>
+ */
+async function handleData(req, res, context, dataset) {
+    const session = authenticate(req, context);
+    if (!session) {
+        send(res, 401, { error: 'Session expired' });
+        return;
+    }
+
+    // Own keys only: "constructor", "toString"... are not datasets
+    const source = Object.hasOwn(context.data, dataset) ? context.data[dataset] : null;
+    if (!source) {
+        send(res, 404, { error: `Unknown dataset "${dataset}"` });
+        return;
+    }
+    const csvText = await readDataset(source);
+    let served;
+    try {
+        served = applyContactPolicy(csvText, session.role, dataset);
+    } catch (error) {
+        console.error(`❌ /admin/data/${dataset}: ${error.message}`);
+        send(res, 500, { error: `"${dataset}" cannot be served to this role` });
+        return;
+    }
+    send(res, 200, served);
+}
+
+/**
+ * POST /admin/audit
+ */
+async function handleAuditAppend(req, res, context) {
+    const session = authenticate(req, context);
+    if (!session) {
+        send(res, 401, { error: 'Session expired' });
+        return;
+    }
+
+    const { entries } = await readJSONBody(req, MAX_AUDIT_BODY_BYTES);
+    if (!Array.isArray(entries) || entries.length > MAX_AUDIT_ENTRIES) {
+        send(res, 400, { error: `entries must be a list of at most ${MAX_AUDIT_ENTRIES}` });
+        return;
+    }
+
+    const now = context.now();
+    const valid = entries.map(entry => normalizeAuditEntry(entry, session, now)).filter(Boolean);
+    appendAudit(context, valid);
+    send(res, 200, { accepted: valid.length, rejected: entries.length - valid.length });
+}
+
+/**
+ * GET /admin/audit
+ */
+function handleAuditList(req, res, context, query) {
+    if (!authorize(req, res, context, 'viewAudit', 'The audit log is for superadmins')) return;
+
+    const user = (query.get('user') || '').toLowerCase();
+    const action = query.get('action');
+    const from = query.get('from');
+    const to = query.get('to');
+
+    const entries = readAudit(context.audit).filter(entry => {
+        const day = String(entry.at || '').slice(0, 10);
+        if (user && String(entry.username || '').toLowerCase() !== user) return false;
+        if (action && entry.action !== action) return false;
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        return true;
+    });
+    send(res, 200, { entries: entries.reverse() });
+}
+
+/**
+ * GET /admin/overrides
+ */
+function handleOverridesList(req, res, context) {
+    if (!authenticate(req, context)) {
+        send(res, 401, { error: 'Session expired' });
+        return;
+    }
+    send(res, 200, { overrides: Object.values(context.overrides) });
+}
+
+/**
+ * POST /admin/overrides
+ */
+async function handleOverrideChange(req, res, context) {
+    const session = authorize(req, res, context, 'overrideValidity', 'Your role cannot override ticket validity');
+    if (!session) return;
+
+    const { key, status, reason, ticket } = await readJSONBody(req);
+    if (typeof key !== 'string' || !key.trim() || key.length > 200) {
+        send(res, 400, { error: 'key is required' });
+        return;
+    }
+    if (status !== null && !OVERRIDE_STATUSES.includes(status)) {
+        send(res, 400, { error: `status must be ${OVERRIDE_STATUSES.join(', ')} or null` });
+        return;
+    }
+    const note = typeof reason === 'string' ? reason.trim().slice(0, MAX_OVERRIDE_REASON) : '';
+    if (status !== null && !note) {
+        send(res, 400, { error: 'A reason is required to override validity' });
+        return;
+    }
+
+    const previous = Object.hasOwn(context.overrides, key) ? context.overrides[key] : null;
+    const override = status === null ? null : { key, status, reason: note, by: session.sub, at: new Date(context.now()).toISOString() };
+    if (override) {
+        context.overrides[key] = override;
+    } else {
+        delete context.overrides[key];
+    }
+    if (override || previous) {
+        saveOverrides(context);
+        appendAudit(context, [{
+            id: crypto.randomUUID(),
+            at: new Date(context.now()).toISOString(),
+            username: session.sub,
+            role: session.role,
+            action: 'ticket.override',
+            params: { key, ...describeTicket(ticket), from: previous ? previous.status : null, to: status, ...(override ? { reason: note } : {}) }
+        }]);
+    }
+    send(res, 200, override ? { override } : { override: null, removed: Boolean(previous) });
+}
+
+/**
+ * POST /admin/payouts/sync: record the prizes of one platform's winners calculation
+ * @returns {Object} { added, updated, entries: changed entries }
+ */
+function syncPayouts(context, { platform, contests, winners }) {
+    const platformCode = payoutText(platform, 'platform').toUpperCase();
+    if (!platformCode || !Array.isArray(contests) || !Array.isArray(winners)) {
+        throw httpError(400, 'platform, contests and winners are required');
+    }
+
+    const knownContests = new Set(contests.map(contest => String(contest)));
+    const owedKeys = new Set();
+    const changed = new Map();
+
+    winners.forEach(winner => {
+        const key = payoutText(winner && winner.key, 'key');
+        const contest = payoutText(winner && winner.contest, 'contest');
+        const amountOwed = roundAmount(winner && winner.amountOwed);
+        if (!key || !knownContests.has(contest) || !(amountOwed > 0)) return;
+        owedKeys.add(key);
+
+        const matches = parseInt(winner.matches, 10) || 0;
+        const existing = context.payouts[key];
+        if (!existing) {
+            const entry = {
+                key,
+                contest,
+                platform: platformCode,
+                ticketNumber: payoutText(winner.ticketNumber, 'ticketNumber'),
+                gameId: payoutText(winner.gameId, 'gameId'),
+                whatsapp: payoutText(winner.whatsapp, 'whatsapp'),
+                drawDate: payoutText(winner.drawDate, 'drawDate'),
+                matches,
+                amountOwed,
+                paidAmount: 0,
+                paidAt: '',
+                paidBy: '',
+                paymentReference: '',
+                status: PAYOUT_STATUS.OUTSTANDING,
+                note: '',
+                noLongerWinner: false
+            };
+            touchPayout(entry, context);
+            context.payouts[key] = entry;
+            changed.set(key, 'added');
+            return;
+        }
+
+        if (Math.abs(existing.amountOwed - amountOwed) > PAYOUT_AMOUNT_TOLERANCE || existing.noLongerWinner || existing.matches !== matches) {
+            existing.amountOwed = amountOwed;
+            existing.matches = matches;
+            existing.noLongerWinner = false;
+            refreshPayoutStatus(existing);
+            touchPayout(existing, context);
+            changed.set(key, 'updated');
+        }
+    });
+
+    // Tickets of this platform that were owed before but no longer are - only in contests the
+    // calculation knows about, so a partial load can't wipe older prizes
+    Object.values(context.payouts).forEach(entry => {
+        if (entry.platform !== platformCode || owedKeys.has(entry.key) || entry.noLongerWinner) return;
+        if (!knownContests.has(entry.contest)) return;
+
+        entry.amountOwed = 0;
+        entry.noLongerWinner = true;
+        refreshPayoutStatus(entry);
+        touchPayout(entry, context);
+        changed.set(entry.key, 'updated');
+    });
+
+    const added = [...changed.values()].filter(change => change === 'added').length;
+    return { added, updated: changed.size - added, entries: [...changed.keys()].map(key => context.payouts[key]) };
+}
+
+/**
+ * POST /admin/payouts/import: merge entries of a ledger export, most recently updated wins
+ * @returns {Object} { imported, skipped, entries: imported entries }
+ */
+function importPayouts(context, { entries }) {
+    if (!Array.isArray(entries)) throw httpError(400, 'entries is required');
+
+    const imported = [];
+    let skipped = 0;
+    entries.forEach(item => {
+        const incoming = {};
+        Object.keys(PAYOUT_TEXT_FIELDS).forEach(field => { incoming[field] = payoutText(item && item[field], field); });
+        const existing = incoming.key ? context.payouts[incoming.key] : null;
+        if (!incoming.key || (existing && existing.updatedAt >= incoming.updatedAt)) {
+            skipped++;
+            return;
+        }
+
+        Object.assign(incoming, {
+            matches: parseInt(item.matches, 10) || 0,
+            amountOwed: roundAmount(item.amountOwed),
+            paidAmount: roundAmount(item.paidAmount),
+            status: Object.values(PAYOUT_STATUS).includes(item.status) ? item.status : PAYOUT_STATUS.OUTSTANDING,
+            noLongerWinner: item.noLongerWinner === true,
+            version: (existing ? existing.version || 0 : 0) + 1
+        });
+        context.payouts[incoming.key] = incoming;
+        imported.push(incoming);
+    });
+    return { imported: imported.length, skipped, entries: imported };
+}
+
+/**
+ * GET /admin/payouts, POST /admin/payouts/<action>
+ * @param {string} action - '' (list) | sync | paid | dispute | resolve | import
+ */
+async function handlePayouts(req, res, context, action) {
+    const session = authorize(req, res, context, 'markPayouts', 'Your role cannot see or record payouts');
+    if (!session) return;
+
+    if (req.method === 'GET' && action === '') {
+        send(res, 200, { entries: Object.values(context.payouts) });
+        return;
+    }
+    if (req.method !== 'POST' || !['sync', 'import', ...Object.keys(PAYOUT_AUDIT_ACTIONS)].includes(action)) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const body = await readJSONBody(req, MAX_PAYOUT_BODY_BYTES);
+    const logged = { id: crypto.randomUUID(), at: new Date(context.now()).toISOString(), username: session.sub, role: session.role };
+
+    if (action === 'sync') {
+        const result = syncPayouts(context, body);
+        if (result.entries.length > 0) {
+            savePayouts(context);
+            appendAudit(context, [{ ...logged, action: 'payout.sync', params: { platform: result.entries[0].platform, added: result.added, updated: result.updated } }]);
+        }
+        send(res, 200, result);
+        return;
+    }
+    if (action === 'import') {
+        const result = importPayouts(context, body);
+        if (result.entries.length > 0) savePayouts(context);
+        appendAudit(context, [{ ...logged, action: 'payout.import', params: { imported: result.imported, skipped: result.skipped } }]);
+        send(res, 200, result);
+        return;
+    }
+
+    const key = typeof body.key === 'string' ? body.key : '';
+    const entry = key && Object.hasOwn(context.payouts, key) ? context.payouts[key] : null;
+    if (!entry) {
+        send(res, 404, { error: 'Ledger entry not found' });
+        return;
+    }
+    if (body.version !== (entry.version || 0)) {
+        send(res, 409, { error: 'This payout was changed by someone else - check it and try again', entry });
+        return;
+    }
+
+    let params;
+    if (action === 'paid') {
+        const amount = roundAmount(body.amount);
+        const reference = payoutText(body.reference, 'paymentReference');
+        if (!(amount > 0)) {
+            send(res, 400, { error: 'Paid amount must be greater than zero' });
+            return;
+        }
+        if (!reference) {
+            send(res, 400, { error: 'Payment reference is required' });
+            return;
+        }
+        entry.paidAmount = amount;
+        entry.paidAt = logged.at;
+        entry.paidBy = session.sub;
+        entry.paymentReference = reference;
+        if (entry.status === PAYOUT_STATUS.DISPUTED) entry.status = PAYOUT_STATUS.OUTSTANDING;
+        refreshPayoutStatus(entry);
+        params = { key, amount, reference, status: entry.status };
+    } else if (action === 'dispute') {
+        const note = payoutText(body.note, 'note');
+        if (!note) {
+            send(res, 400, { error: 'A note is required to dispute a prize' });
+            return;
+        }
+        entry.status = PAYOUT_STATUS.DISPUTED;
+        entry.note = note;
+        params = { key, note };
+    } else {
+        entry.status = PAYOUT_STATUS.OUTSTANDING;
+        refreshPayoutStatus(entry);
+        params = { key, status: entry.status };
+    }
+
+    touchPayout(entry, context);
+    savePayouts(context);
+    appendAudit(context, [{ ...logged, action: PAYOUT_AUDIT_ACTIONS[action], params }]);
+    send(res, 200, { entry });
+}
+
+/**
+ * GET /api/tickets?gameId= (public, see Ticket lookup in the header)
+ */
+async function handleTicketLookup(req, res, context, gameId) {
+    if (!GAME_ID_REGEX.test(gameId || '')) {
+        send(res, 400, { success: false, error: 'gameId must be 10 digits' });
+        return;
+    }
+    if (!Object.hasOwn(context.data, 'entries')) {
+        send(res, 404, { success: false, error: 'Ticket lookup is not available' });
+        return;
+    }
+
+    const wait = takeLookupSlot(context, req.socket.remoteAddress || 'unknown', gameId);
+    if (wait > 0) {
+        const retryAfter = Math.ceil(wait / 1000);
+        send(res, 429, { success: false, error: 'Too many lookups - wait before retrying', retryAfter }, { 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    const entries = await readEntries(context);
+    const latestContest = Math.max(0, ...entries.map(entry => parseInt(entry.contest, 10) || 0));
+    const tickets = entries
+        .filter(entry => entry.gameId === gameId && parseInt(entry.contest, 10) > latestContest - LOOKUP_RECENT_CONTESTS)
+        .sort((a, b) => parseInt(b.contest, 10) - parseInt(a.contest, 10))
+        .map(entry => {
+            const override = context.overrides[ValidityOverrides.buildKey(entry)];
+            return {
+                platform: entry.platform,
+                gameId: entry.gameId,
+                whatsappNumber: maskWhatsApp(entry.whatsapp),
+                numerosEscolhidos: entry.numbers.join(','),
+                drawDate: entry.drawDate,
+                concurso: entry.contest,
+                bilheteNumber: entry.ticketNumber,
+                status: override ? override.status : entry.status,
+                registeredAt: entry.timestamp
+            };
+        });
+    send(res, 200, { success: true, tickets });
+}
+
+/**
+ * GET /admin/lockouts
+ */
+function handleLockouts(req, res, context) {
+    if (!authorize(req, res, context, 'manageAccounts', 'Locked accounts are for superadmins')) return;
+
+    const now = context.now();
+    send(res, 200, {
+        accounts: listCounters(context.throttle.accounts, 'username', now),
+        clients: listCounters(context.throttle.clients, 'client', now)
+    });
+}
+
+/**
+ * POST /admin/lockouts/unlock
+ */
+async function handleUnlock(req, res, context) {
+    const session = authorize(req, res, context, 'manageAccounts', 'Locked accounts are for superadmins');
+    if (!session) return;
+
+    const { username, client } = await readJSONBody(req);
+    const unlocked = typeof username === 'string'
+        ? context.throttle.accounts.delete(username.trim().toLowerCase())
+        : typeof client === 'string' && context.throttle.clients.delete(client);
+
+    if (unlocked) {
+        appendAudit(context, [{
+            id: crypto.randomUUID(),
+            at: new Date(context.now()).toISOString(),
+            username: session.sub,
+            role: session.role,
+            action: 'account.unlock',
+            params: typeof username === 'string' ? { username } : { client }
+        }]);
+    }
+    send(res, 200, { unlocked });
+}
+
+/**
+ * Log a two-factor change of the session's own account
+ * @param {Object} context - Server context
+ * @param {Object} session - Token payload
+ * @param {string} action - Audit action
+ * @param {Object} params - Audit parameters
+ */
+function auditMfa(context, session, action, params = {}) {
+    appendAudit(context, [{
+        id: crypto.randomUUID(),
+        at: new Date(context.now()).toISOString(),
+        username: session.sub,
+        role: session.role,
+        action,
+        params
+    }]);
+}
+
+/**
+ * /admin/mfa, /admin/mfa/<action> - the session's own account
+ */
+async function handleMfa(req, res, context, action) {
+    const session = authenticate(req, context);
+    if (!session) {
+        send(res, 401, { error: 'Session expired' });
+        return;
+    }
+
+    const key = session.sub.toLowerCase();
+    const mfa = getMfa(context, session.sub);
+
+    if (req.method === 'GET' && action === '') {
+        send(res, 200, { enabled: Boolean(mfa), backupCodesLeft: mfa ? mfa.backupCodes.length : 0 });
+        return;
+    }
+    if (req.method !== 'POST') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (action === 'setup') {
+        if (mfa) {
+            send(res, 409, { error: 'Two-factor login is already on' });
+            return;
+        }
+        const secret = createTotpSecret();
+        context.mfa[key] = { pendingSecret: secret };
+        saveMfa(context);
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${session.sub}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP / 1000}`;
+        send(res, 200, { secret, otpauthUrl });
+        return;
+    }
+
+    const { code } = await readJSONBody(req);
+
+    if (action === 'enable') {
+        const pending = context.mfa[key];
+        const step = pending && pending.pendingSecret ? verifyTotp(pending.pendingSecret, code, context.now()) : null;
+        if (step === null) {
+            send(res, 400, { error: 'Invalid verification code - check the app and the device clock' });
+            return;
+        }
+
+        const backupCodes = createBackupCodes();
+        context.mfa[key] = {
+            secret: pending.pendingSecret,
+            enabledAt: new Date(context.now()).toISOString(),
+            lastStep: step,
+            backupCodes: backupCodes.map(hashBackupCode)
+        };
+        saveMfa(context);
+        auditMfa(context, session, 'mfa.enabled');
+        send(res, 200, { backupCodes });
+        return;
+    }
+
+    if (action === 'backup-codes' || action === 'disable') {
+        if (!mfa) {
+            send(res, 409, { error: 'Two-factor login is off' });
+            return;
+        }
+        if (!useSecondFactor(context, mfa, code)) {
+            send(res, 400, { error: 'Invalid verification code' });
+            return;
+        }
+
+        if (action === 'disable') {
+            delete context.mfa[key];
+            saveMfa(context);
+            auditMfa(context, session, 'mfa.disabled');
+            send(res, 200, { enabled: false });
+        } else {
+            const backupCodes = createBackupCodes();
+            mfa.backupCodes = backupCodes.map(hashBackupCode);
+            saveMfa(context);
+            auditMfa(context, session, 'mfa.backup_codes');
+            send(res, 200, { backupCodes });
+        }
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Create the admin API server
+ * @param {Object} options - { users: Map, data: dataset -> source, secret, audit?: file, mfaFile?: file,
+ *   now?: () => ms }
+ *   (now drives token expiry and login throttling, so tests can run on a fixed clock)
+ * @returns {http.Server} Server (not listening yet)
+ */
+function createServer(options) {
+    const context = {
+        now: Date.now,
+        audit: path.join(DEFAULT_STATE_DIR, AUDIT_FILE_NAME),
+        mfaFile: path.join(DEFAULT_STATE_DIR, MFA_FILE_NAME),
+        overridesFile: path.join(DEFAULT_STATE_DIR, OVERRIDES_FILE_NAME),
+        payoutsFile: path.join(DEFAULT_STATE_DIR, PAYOUTS_FILE_NAME),
+        throttle: createThrottle(),
+        lookups: createLookupLimits(),
+        ...options
+    };
+    context.auditIds = new Set(readAudit(context.audit).map(entry => entry.id));
+    context.mfa = readMfa(context.mfaFile);
+    context.overrides = readOverrides(context.overridesFile);
+    context.payouts = readPayouts(context.payoutsFile);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+                });
+                res.end();
+            } else if (req.method === 'POST' && url.pathname === '/admin/login') {
+                await handleLogin(req, res, context);
+            } else if (req.method === 'POST' && url.pathname === '/admin/login/mfa') {
+                await handleLoginMfa(req, res, context);
+            } else if (url.pathname === '/admin/mfa' || url.pathname.startsWith('/admin/mfa/')) {
+                await handleMfa(req, res, context, url.pathname.slice('/admin/mfa'.length).replace(/^\//, ''));
+            } else if (req.method === 'GET' && url.pathname === '/admin/session') {
+                handleSession(req, res, context);
+            } else if (req.method === 'GET' && url.pathname.startsWith('/admin/data/')) {
+                await handleData(req, res, context, decodeURIComponent(url.pathname.slice('/admin/data/'.length)));
+            } else if (req.method === 'POST' && url.pathname === '/admin/audit') {
+                await handleAuditAppend(req, res, context);
+            } else if (req.method === 'GET' && url.pathname === '/admin/audit') {
+                handleAuditList(req, res, context, url.searchParams);
+            } else if (req.method === 'GET' && url.pathname === '/admin/overrides') {
+                handleOverridesList(req, res, context);
+            } else if (req.method === 'POST' && url.pathname === '/admin/overrides') {
+                await handleOverrideChange(req, res, context);
+            } else if (url.pathname === '/admin/payouts' || url.pathname.startsWith('/admin/payouts/')) {
+                await handlePayouts(req, res, context, url.pathname.slice('/admin/payouts'.length).replace(/^\//, ''));
+            } else if (req.method === 'GET' && url.pathname === '/api/tickets') {
+                await handleTicketLookup(req, res, context, url.searchParams.get('gameId'));
+            } else if (req.method === 'GET' && url.pathname === '/admin/lockouts') {
+                handleLockouts(req, res, context);
+            } else if (req.method === 'POST' && url.pathname === '/admin/lockouts/unlock') {
+                await handleUnlock(req, res, context);
+            } else {
+                send(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (error.status && !res.headersSent) {
+                // The rest of a refused body is not read, so the connection is not reused
+                send(res, error.status, { error: error.message }, { 'Connection': 'close' });
+                return;
+            }
+            console.error(`❌ ${req.method} ${url.pathname}: ${error.message}`);
+            if (!res.headersSent) send(res, 500, { error: 'Server error' });
+        }
+    });
+}
+
+// ============================================
+// Main
+// ============================================
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        command: argv[0], username: null, role: DEFAULT_ROLE, users: null, data: null, state: DEFAULT_STATE_DIR,
+        audit: null, mfa: null, port: DEFAULT_PORT, secret: null, at: null
+    };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--users') options.users = next();
+        else if (arg === '--data') options.data = next();
+        else if (arg === '--state') options.state = next();
+        else if (arg === '--audit') options.audit = next();
+        else if (arg === '--mfa') options.mfa = next();
+        else if (arg === '--at') options.at = Date.parse(next());
+        else if (arg === '--port') options.port = parseInt(next(), 10);
+        else if (!arg.startsWith('--') && options.command === 'hash-password' && !options.username) options.username = arg;
+        else if (!arg.startsWith('--') && options.command === 'hash-password' && ROLES[arg]) options.role = arg;
+        else if (!arg.startsWith('--') && options.command === 'totp' && !options.secret) options.secret = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (options.command === 'hash-password' && !options.username) throw new Error('hash-password needs a username');
+    if (options.command === 'serve' && !options.users) throw new Error('--users is required');
+    if (options.command === 'totp' && !options.secret) throw new Error('totp needs a secret');
+    if (options.at !== null && isNaN(options.at)) throw new Error('--at must be a date/time');
+    if (!['hash-password', 'serve', 'totp'].includes(options.command)) throw new Error('Unknown command');
+    if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port must be a port number');
+
+    options.audit = path.resolve(options.audit || path.join(options.state, AUDIT_FILE_NAME));
+    options.mfa = path.resolve(options.mfa || path.join(options.state, MFA_FILE_NAME));
+    options.overrides = path.resolve(options.state, OVERRIDES_FILE_NAME);
+    options.payouts = path.resolve(options.state, PAYOUTS_FILE_NAME);
+    [options.users, options.audit, options.mfa, options.overrides, options.payouts].filter(Boolean).forEach(file => {
+        if (isInsideSite(file)) {
+            throw new Error(`${file} is inside the site folder, which is served as static files - keep it outside ${ROOT_DIR} (--state <dir>)`);
+        }
+    });
+    return options;
+}
+
+/**
+ * Read one line from stdin
+ * @param {string} prompt - Prompt shown on a terminal
+ * @returns {Promise<string>} The line
+ */
+function readLine(prompt) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: process.stdin.isTTY });
+    return new Promise(resolve => rl.question(process.stdin.isTTY ? prompt : '', answer => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.command === 'hash-password') {
+        const password = (await readLine('Password: ')).trim();
+        if (!password) throw new Error('Empty password');
+        console.log(`${options.username},${hashPassword(password)},${options.role}`);
+        return;
+    }
+
+    if (options.command === 'totp') {
+        console.log(totp(options.secret, options.at ?? Date.now()));
+        return;
+    }
+
+    const users = readUsers(options.users);
+    const data = options.data ? JSON.parse(fs.readFileSync(options.data, 'utf8')) : getDefaultData(options.state);
+    checkDataSources(data);
+    const secret = process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!process.env.ADMIN_SESSION_SECRET) {
+        console.warn('⚠️ ADMIN_SESSION_SECRET not set - sessions end when the server stops');
+    }
+
+    // Owner-only, like the two-factor file itself
+    [options.audit, options.mfa, options.overrides, options.payouts].forEach(file => fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 }));
+
+    createServer({ users, data, secret, audit: options.audit, mfaFile: options.mfa, overridesFile: options.overrides, payoutsFile: options.payouts }).listen(options.port, () => {
+        console.log(`🔐 Admin API on http://localhost:${options.port}/admin (${users.size} users, ${Object.keys(data).length} datasets, audit log ${options.audit})`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken, totp, verifyTotp, createServer };
@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+/**
+ * POP-SORTE - Reconcile CLI
+ *
+ * Runs ticket validation and winner calculation without a browser, against CSV files
+ * instead of the live Google Sheets. The dashboard modules (DrawCalendar, AdminCore,
+ * DataFetcher, ResultsFetcher, RechargeValidator, ValidityOverrides, PrizeRules,
+ * WinnerCalculator) are loaded unchanged behind a minimal `window` shim, so the numbers
+ * are the ones the dashboard shows for the same data.
+ *
+ * Usage:
+ *   node homina/cli/reconcile.js --entries <csv> --results <csv>
+ *                                --recharge POPN1=<csv> [--recharge POPLUZ=<csv>]
+ *                                [--calendar <csv|json>] [--overrides <json>] [--out <dir>]
+ *                                [--baseline <dir>] [--revalidate] [--verbose]
+ *
+ * Accepted layouts: columns are found by header name, as in the dashboard's CSV import
+ * (see homina/js/csv-layouts.js for the list).
+ *
+ * Output (in --out, default ./reconcile-output):
+ * - validated-entries.csv  Every entry with its validation decision and bound recharge
+ * - winners.csv            Every prize-winning ticket, per platform and contest
+ * - summary.json           Validation totals, winner totals per platform and per-contest breakdown
+ *
+ * By default the STATUS column is respected exactly like the dashboard (VALID / INVALID rows
+ * are not re-checked). --revalidate ignores it, decides every ticket from the recharges and
+ * lets that decision drive which tickets count as winners.
+ *
+ * --calendar defaults to admin/data/draw-calendar.csv, the table the dashboard loads.
+ *
+ * --overrides applies the manual validity overrides the admin API keeps: its overrides.json
+ * (state folder) or a saved GET /admin/overrides response. Overridden tickets take the
+ * override's status, with or without --revalidate, as on the dashboard.
+ *
+ * --baseline compares this run with the output directory of an earlier run (e.g. before a
+ * prize-rule or calendar change) and writes every ticket whose validation, bound recharge or
+ * prize changed to baseline-diff.csv, so a rule change cannot silently change who gets paid.
+ *
+ * Exit code: 0 on success, 1 on bad arguments or unreadable input,
+ *            2 when --baseline found different decisions.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================
+// Constants
+// ============================================
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+/**
+ * Browser modules, in the order homina/index.html loads them
+ */
+const BROWSER_MODULES = [
+    'draw-calendar.js',
+    'homina/js/admin-core.js',
+    'homina/js/csv-layouts.js',
+    'homina/js/data-fetcher.js',
+    'homina/js/results-fetcher.js',
+    'homina/js/recharge-validator.js',
+    'homina/js/validity-overrides.js',
+    'homina/js/prize-rules.js',
+    'homina/js/winner-calculator.js'
+];
+
+const DEFAULT_CALENDAR = path.join(ROOT_DIR, 'admin', 'data', 'draw-calendar.csv');
+const DEFAULT_OUT_DIR = 'reconcile-output';
+
+const USAGE = `Usage:
+  node homina/cli/reconcile.js --entries <csv> --results <csv>
+                               --recharge POPN1=<csv> [--recharge POPLUZ=<csv>]
+                               [--calendar <csv|json>] [--overrides <json>] [--out <dir>]
+                               [--baseline <dir>] [--revalidate] [--verbose]`;
+
+// Keep a handle on the real console - module logging is muted unless --verbose
+const print = console.log.bind(console);
+
+// ============================================
+// Browser Module Loading
+// ============================================
+
+/**
+ * Load the dashboard modules into this process.
+ * `window` is the global object, and AdminCore only touches the DOM from its
+ * DOMContentLoaded handler, which never fires here.
+ * @param {boolean} verbose - Keep the modules' console.log / console.warn output
+ */
+function loadBrowserModules(verbose) {
+    global.window = global;
+    global.document = { readyState: 'loading', addEventListener() {} };
+
+    if (!verbose) {
+        console.log = console.info = console.warn = () => {};
+    }
+
+    BROWSER_MODULES.forEach(file => {
+        const fullPath = path.join(ROOT_DIR, file);
+        vm.runInThisContext(fs.readFileSync(fullPath, 'utf8'), { filename: fullPath });
+    });
+}
+
+// ============================================
+// CSV Input
+// ============================================
+
+/**
+ * Read a CSV file with the dashboard's own CSV helpers
+ * @param {string} file - File path
+ * @returns {Object} { rawHeader, header: lowercase names, rows: string[][] }
+ */
+function readCSV(file) {
+    try {
+        return CsvLayouts.readTable(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Read a CSV file in any supported layout and rebuild its rows in the sheet layout
+ * @param {string} file - File path
+ * @param {string} dataset - 'entries' | 'recharges' | 'results'
+ * @returns {string[][]} Sheet layout rows
+ */
+function readSheetRows(file, dataset) {
+    const text = fs.readFileSync(file, 'utf8');
+    const { rows, version } = CsvLayouts.readSheetRows(dataset, text, file);
+    print(`   ${path.basename(file)}: ${version}`);
+    return rows;
+}
+
+/**
+ * Read entries in any supported layout
+ * @param {string} file - File path
+ * @returns {Object[]} Entry objects as produced by DataFetcher
+ */
+function readEntries(file) {
+    return readSheetRows(file, 'entries')
+        .map(row => DataFetcher.parseEntryRow(row))
+        .filter(entry => entry.gameId);
+}
+
+/**
+ * Read one platform's recharges in any supported layout
+ * @param {string} file - File path
+ * @param {string} platform - Platform code
+ * @returns {Object[]} Recharge objects as produced by DataFetcher
+ */
+function readRecharges(file, platform) {
+    return readSheetRows(file, 'recharges')
+        .map(row => DataFetcher.parseRechargeRow(row, platform))
+        .filter(Boolean);
+}
+
+/**
+ * Read results in any supported layout
+ * @param {string} file - File path
+ * @returns {Object[]} Result objects as produced by ResultsFetcher, newest first
+ */
+function readResults(file) {
+    const results = readSheetRows(file, 'results')
+        .map(row => ResultsFetcher.parseResultRow(row))
+        .filter(Boolean);
+
+    results.sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0));
+
+    // Anchor concurso numbering to the official history, as ResultsFetcher does
+    DrawCalendar.setKnownDraws(results
+        .filter(r => !r.isNoDraw)
+        .map(r => ({ contest: r.contest, date: r.drawDate })));
+
+    return results;
+}
+
+/**
+ * Load the special-day table over the built-in holidays
+ * @param {string} file - CSV or JSON file
+ * @returns {number} Number of special days loaded
+ */
+function loadCalendar(file) {
+    const table = DrawCalendar.parseSpecialDays(fs.readFileSync(file, 'utf8'));
+    DrawCalendar.configure({
+        holidays: { ...DrawCalendar.getHolidays(), ...table.holidays },
+        concursoReference: table.concursoReference || undefined
+    });
+    return Object.keys(table.holidays).length;
+}
+
+/**
+ * Load manual validity overrides
+ * @param {string} file - overrides.json of the admin API (key -> override), or a saved
+ *                        GET /admin/overrides response ({ overrides: [...] })
+ * @returns {number} Number of overrides loaded
+ */
+function loadOverrides(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    ValidityOverrides.replace(Array.isArray(data.overrides) ? data.overrides : Object.values(data));
+    return ValidityOverrides.list().length;
+}
+
+// ============================================
+// Output
+// ============================================
+
+/**
+ * Build CSV text (every value quoted, like the dashboard exports)
+ * @param {Object} table - { headers: string[], rows: Array[] }
+ * @returns {string} CSV text
+ */
+function toCSV({ headers, rows }) {
+    const quote = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+    return [headers.join(','), ...rows.map(row => row.map(quote).join(','))].join('\n') + '\n';
+}
+
+function formatDateTime(date) {
+    return date ? AdminCore.formatBrazilDateTime(date) : '';
+}
+
+function buildValidatedEntries(validation) {
+    const headers = ['Validation', 'Reason', 'Source Status', 'Registered', 'Platform', 'Game ID', 'WhatsApp', 'Chosen Numbers', 'Draw Date', 'Contest', 'Ticket #', 'Ticket ID', 'Bound Recharge ID', 'Recharge Time', 'Recharge Amount', 'Eligible Draw'];
+
+    const rows = validation.results.map(v => {
+        const entry = v.ticket;
+        const recharge = v.matchedRecharge;
+        return [
+            v.status,
+            v.reason,
+            entry.sourceStatus,
+            formatDateTime(entry.parsedDate) || entry.timestamp,
+            entry.platform,
+            entry.gameId,
+            entry.whatsapp,
+            entry.numbers.join(', '),
+            entry.drawDate,
+            entry.contest,
+            entry.ticketNumber,
+            entry.ticketId,
+            recharge ? recharge.rechargeId : '',
+            recharge ? formatDateTime(recharge.rechargeTime) : '',
+            recharge ? recharge.amount : '',
+            recharge ? (v.isDay2 ? 'DAY 2' : 'DAY 1') : ''
+        ];
+    });
+
+    return { headers, rows };
+}
+
+function buildWinners(chains) {
+    const headers = ['Platform', 'Contest', 'Draw Date', 'Prize Rule', 'Ticket #', 'Ticket ID', 'Game ID', 'WhatsApp', 'Chosen Numbers', 'Matched Numbers', 'Matches', 'Prize'];
+    const rows = [];
+
+    Object.keys(chains).forEach(platform => {
+        chains[platform].forEach(contest => {
+            contest.winners
+                .filter(w => w.prize > 0)
+                .forEach(w => rows.push([
+                    platform,
+                    contest.contest,
+                    contest.drawDate,
+                    contest.rule,
+                    w.ticketNumber,
+                    w.ticketId,
+                    w.gameId,
+                    w.whatsapp,
+                    w.numbers.join(', '),
+                    w.matchedNumbers.join(', '),
+                    w.matches,
+                    w.prize.toFixed(2)
+                ]));
+        });
+    });
+
+    return { headers, rows };
+}
+
+function buildSummary(options, entries, recharges, results, validation, chains) {
+    const countByPlatform = (items) => items.reduce((counts, item) => {
+        counts[item.platform] = (counts[item.platform] || 0) + 1;
+        return counts;
+    }, {});
+
+    const winners = {};
+    const contests = [];
+    Object.keys(chains).forEach(platform => {
+        const chain = chains[platform];
+        const drawn = chain.filter(c => c.hasResult);
+        const paid = drawn.flatMap(c => c.winners.filter(w => w.prize > 0));
+
+        winners[platform] = {
+            contests: drawn.length,
+            contestsWithWinners: drawn.filter(c => c.winningTier > 0).length,
+            totalWinners: paid.length,
+            totalPrizeAwarded: drawn.reduce((sum, c) => sum + (c.totalPrizeAwarded || 0), 0),
+            carryOver: chain.length > 0 ? chain[chain.length - 1].carryOut : 0
+        };
+
+        chain.forEach(c => contests.push({
+            platform,
+            contest: c.contest,
+            drawDate: c.drawDate,
+            hasResult: c.hasResult,
+            winningNumbers: c.winningNumbers,
+            rule: c.rule,
+            entries: c.totalEntries,
+            validEntries: c.validEntries ?? null,
+            winners: c.winners.filter(w => w.prize > 0).length,
+            winningTier: c.winningTier,
+            prizes: c.prizes,
+            prizePool: c.prizePool,
+            totalPrizeAwarded: c.totalPrizeAwarded || 0,
+            carryIn: c.carryIn,
+            carryOut: c.carryOut
+        }));
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        inputs: {
+            entries: options.entries,
+            results: options.results,
+            recharges: options.recharges,
+            calendar: options.calendar,
+            overrides: options.overrides || null
+        },
+        revalidate: options.revalidate,
+        entries: { total: entries.length, byPlatform: countByPlatform(entries) },
+        recharges: { total: recharges.length, byPlatform: countByPlatform(recharges) },
+        results: { total: results.length, drawn: results.filter(r => !r.isNoDraw).length },
+        validation: validation.stats,
+        winners,
+        contests
+    };
+}
+
+// ============================================
+// Baseline Comparison
+// ============================================
+
+/**
+ * What identifies a row and which decisions must not change, per output table
+ * (lowercase header names)
+ */
+const BASELINE_CHECKS = {
+    'validated-entries.csv': {
+        kind: 'entry',
+        key: ['platform', 'game id', 'registered', 'ticket #', 'ticket id'],
+        decision: ['validation', 'bound recharge id']
+    },
+    'winners.csv': {
+        kind: 'winner',
+        key: ['platform', 'contest', 'game id', 'ticket #', 'ticket id', 'chosen numbers'],
+        decision: ['prize']
+    }
+};
+
+/**
+ * Index table rows by key, keeping only the decision columns
+ * @param {string[]} header - Lowercase header names
+ * @param {Array[]} rows - Data rows
+ * @param {Object} check - BASELINE_CHECKS entry
+ * @returns {Map} key -> decision text
+ */
+function indexDecisions(header, rows, check) {
+    const pick = (row, names) => names.map(name => String(row[header.indexOf(name)] ?? '')).join(' | ');
+    const decisions = new Map();
+    rows.forEach(row => {
+        // Identical keys (same ticket registered twice in the same second) get a counter
+        const baseKey = pick(row, check.key);
+        let key = baseKey;
+        for (let n = 2; decisions.has(key); n++) key = `${baseKey} #${n}`;
+        decisions.set(key, pick(row, check.decision));
+    });
+    return decisions;
+}
+
+/**
+ * Compare this run with the output of an earlier run
+ * @param {string} baselineDir - Earlier --out directory
+ * @param {Object} tables - file name -> { headers, rows } of this run
+ * @returns {Object} { headers, rows } of every added / removed / changed decision
+ */
+function compareWithBaseline(baselineDir, tables) {
+    const differences = [];
+
+    Object.keys(BASELINE_CHECKS).forEach(file => {
+        const check = BASELINE_CHECKS[file];
+        const baseline = readCSV(path.join(baselineDir, file));
+        const before = indexDecisions(baseline.header, baseline.rows, check);
+        const after = indexDecisions(tables[file].headers.map(h => h.toLowerCase()), tables[file].rows, check);
+
+        before.forEach((decision, key) => {
+            if (!after.has(key)) {
+                differences.push([check.kind, key, 'removed', decision, '']);
+            } else if (after.get(key) !== decision) {
+                differences.push([check.kind, key, 'changed', decision, after.get(key)]);
+            }
+        });
+        after.forEach((decision, key) => {
+            if (!before.has(key)) {
+                differences.push([check.kind, key, 'added', '', decision]);
+            }
+        });
+    });
+
+    return { headers: ['Kind', 'Key', 'Change', 'Before', 'After'], rows: differences };
+}
+
+// ============================================
+// Command Line
+// ============================================
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const platforms = AdminCore.PLATFORMS.filter(p => p !== 'ALL');
+    const options = {
+        recharges: {},
+        calendar: fs.existsSync(DEFAULT_CALENDAR) ? DEFAULT_CALENDAR : null,
+        out: DEFAULT_OUT_DIR,
+        revalidate: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--entries': options.entries = value(); break;
+            case '--results': options.results = value(); break;
+            case '--calendar': options.calendar = value(); break;
+            case '--overrides': options.overrides = value(); break;
+            case '--out': options.out = value(); break;
+            case '--baseline': options.baseline = value(); break;
+            case '--revalidate': options.revalidate = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            case '--recharge': {
+                const spec = value();
+                const separator = spec.indexOf('=');
+                const platform = spec.slice(0, separator).toUpperCase();
+                if (separator === -1 || !platforms.includes(platform)) {
+                    throw new Error(`--recharge expects PLATFORM=<csv> with PLATFORM one of ${platforms.join(', ')}`);
+                }
+                options.recharges[platform] = spec.slice(separator + 1);
+                break;
+            }
+            default:
+                throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (!options.help) {
+        if (!options.entries) throw new Error('--entries is required');
+        if (!options.results) throw new Error('--results is required');
+        if (Object.keys(options.recharges).length === 0) throw new Error('at least one --recharge is required');
+    }
+    return options;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    loadBrowserModules(argv.includes('--verbose'));
+
+    const options = parseArgs(argv);
+    if (options.help) {
+        print(USAGE);
+        return;
+    }
+
+    if (options.calendar) {
+        print(`📅 Draw calendar: ${loadCalendar(options.calendar)} special days (${options.calendar})`);
+    }
+
+    const results = readResults(options.results);
+    let entries = readEntries(options.entries);
+    const recharges = Object.keys(options.recharges)
+        .flatMap(platform => readRecharges(options.recharges[platform], platform));
+    print(`📥 ${entries.length} entries, ${recharges.length} recharges, ${results.length} results`);
+
+    if (options.overrides) {
+        print(`✋ Validity overrides: ${loadOverrides(options.overrides)} (${options.overrides})`);
+        entries = ValidityOverrides.apply(entries);
+    }
+
+    // Keep the sheet status for the report; --revalidate clears it so every ticket is decided
+    // here (overridden tickets still get their override's status from the validator)
+    entries = entries.map(entry => ({
+        ...entry,
+        sourceStatus: entry.sourceStatus ?? entry.status,
+        status: options.revalidate ? 'PENDING' : entry.status
+    }));
+
+    const validation = await RechargeValidator.validateAllTickets(entries, recharges, true);
+    if (options.revalidate) {
+        validation.results.forEach(v => { v.ticket.status = v.status; });
+    }
+    print(`🔍 Validation: ${validation.stats.valid} valid, ${validation.stats.invalid} invalid, ${validation.stats.unknown} unknown`);
+
+    // Prize rules and rollover are per platform, as on the dashboard's payouts
+    const chains = {};
+    AdminCore.PLATFORMS.filter(p => p !== 'ALL').forEach(platform => {
+        const platformEntries = entries.filter(e => e.platform === platform);
+        if (platformEntries.length === 0) return;
+        chains[platform] = WinnerCalculator.calculateContestChain(platformEntries, results, platform);
+    });
+
+    const summary = buildSummary(options, entries, recharges, results, validation, chains);
+    Object.keys(summary.winners).forEach(platform => {
+        const w = summary.winners[platform];
+        print(`🏆 ${platform}: ${w.totalWinners} winners in ${w.contestsWithWinners}/${w.contests} contests, R$ ${w.totalPrizeAwarded.toFixed(2)} awarded` +
+            (w.carryOver > 0 ? `, R$ ${w.carryOver.toFixed(2)} carried over` : ''));
+    });
+
+    const tables = {
+        'validated-entries.csv': buildValidatedEntries(validation),
+        'winners.csv': buildWinners(chains)
+    };
+
+    fs.mkdirSync(options.out, { recursive: true });
+    Object.keys(tables).forEach(file => fs.writeFileSync(path.join(options.out, file), toCSV(tables[file])));
+    fs.writeFileSync(path.join(options.out, 'summary.json'), JSON.stringify(summary, null, 2) + '\n');
+    print(`💾 Written to ${path.resolve(options.out)}`);
+
+    if (options.baseline) {
+        const diff = compareWithBaseline(options.baseline, tables);
+        fs.writeFileSync(path.join(options.out, 'baseline-diff.csv'), toCSV(diff));
+        if (diff.rows.length > 0) {
+            const entries = diff.rows.filter(row => row[0] === 'entry').length;
+            print(`⚠️ ${entries} validation and ${diff.rows.length - entries} winner decisions differ from ${options.baseline} (see baseline-diff.csv)`);
+            process.exitCode = 2;
+        } else {
+            print(`✅ Same decisions as ${options.baseline}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exitCode = 1;
+    });
+}
+
+// Module loading, shared with the regression tests (homina/test)
+module.exports = { loadBrowserModules, loadCalendar, DEFAULT_CALENDAR };
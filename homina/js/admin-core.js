@@ -4,6 +4,7 @@
  * This module provides:
  * - Scroll-based navigation for unified single-page layout
  * - Session management with 12-hour TTL
+ * - Admin roles (viewer, validator, finance, superadmin) and their permissions
  * - Shared utility functions (BRT timezone, CSV parsing)
  * - Auto-refresh mechanism (3 minutes)
  * - Event bus for inter-module communication
@@ -23,8 +24,62 @@ window.AdminCore = (function() {
     const SESSION_KEY = 'popsorte_admin_session';
     const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
     const REFRESH_INTERVAL = 180 * 1000; // 3 minutes
-    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners'];
+    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners', 'payouts', 'audit'];
     const DEFAULT_SECTION = 'dashboard';
+
+    /**
+     * Admin roles, given per account by the admin API (users CSV "role" column).
+     * - sections: VALID_SECTIONS the role can see
+     * - unmaskedContacts: full WhatsApp numbers on screen and in exports
+     * - overrideValidity: may override a ticket's validity decision
+     * - markPayouts: may record payments, disputes and payout imports
+     * - viewAudit: may read and export the admin audit log
+     * - manageAccounts: may see and unlock accounts locked after failed logins
+     * The admin API applies the same contact rule to the data it serves (admin-server.js ROLES).
+     */
+    const ROLES = {
+        viewer: {
+            label: 'Viewer',
+            sections: ['dashboard', 'results', 'winners'],
+            unmaskedContacts: false,
+            overrideValidity: false,
+            markPayouts: false,
+            viewAudit: false,
+            manageAccounts: false
+        },
+        validator: {
+            label: 'Validator',
+            sections: ['dashboard', 'entries', 'results', 'winners'],
+            unmaskedContacts: false,
+            overrideValidity: true,
+            markPayouts: false,
+            viewAudit: false,
+            manageAccounts: false
+        },
+        finance: {
+            label: 'Finance',
+            sections: ['dashboard', 'results', 'winners', 'payouts'],
+            unmaskedContacts: true,
+            overrideValidity: false,
+            markPayouts: true,
+            viewAudit: false,
+            manageAccounts: false
+        },
+        superadmin: {
+            label: 'Superadmin',
+            sections: VALID_SECTIONS,
+            unmaskedContacts: true,
+            overrideValidity: true,
+            markPayouts: true,
+            viewAudit: true,
+            manageAccounts: true
+        }
+    };
+
+    /**
+     * Role of sessions without a known role (least access)
+     */
+    const DEFAULT_ROLE = 'viewer';
     
     /**
      * Available platforms - detected from entries data
@@ -32,16 +87,6 @@ window.AdminCore = (function() {
      */
     const PLATFORMS = ['ALL', 'POPN1', 'POPLUZ'];
     const DEFAULT_PLATFORM = 'ALL';
-    
-    /**
-     * Platform-specific prize pools (R$)
-     * Can be configured per platform
-     */
-    const PLATFORM_PRIZES = {
-        'POPN1': 1000,
-        'POPLUZ': 1000,
-        'DEFAULT': 1000
-    };
 
     // ============================================
     // State
@@ -466,15 +511,20 @@ window.AdminCore = (function() {
     }
 
     /**
-     * Create a new session
+     * Create a new session from a login accepted by the admin API
      * @param {string} username - Authenticated username
+     * @param {string} token - Signed session token, sent with admin API requests
+     * @param {number} expiresAt - Token expiry in ms (defaults to SESSION_TTL from now)
+     * @param {string} role - Role key in ROLES (signed into the token by the API)
      * @returns {Object} Created session object
      */
-    function createSession(username) {
+    function createSession(username, token, expiresAt = Date.now() + SESSION_TTL, role = DEFAULT_ROLE) {
         const session = {
             username,
+            token,
+            role: ROLES[role] ? role : DEFAULT_ROLE,
             createdAt: Date.now(),
-            expiresAt: Date.now() + SESSION_TTL
+            expiresAt
         };
         sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
         return session;
@@ -495,6 +545,73 @@ window.AdminCore = (function() {
         return getSession() !== null;
     }
 
+    // ============================================
+    // Roles & Permissions
+    // ============================================
+
+    /**
+     * Role of the current session
+     * @returns {string} Role key in ROLES
+     */
+    function getRole() {
+        const role = getSession()?.role;
+        return ROLES[role] ? role : DEFAULT_ROLE;
+    }
+
+    /**
+     * @param {string} permission - 'unmaskedContacts' | 'overrideValidity' | 'markPayouts' | 'viewAudit' |
+     *   'manageAccounts'
+     * @returns {boolean} True if the current role has the permission
+     */
+    function hasPermission(permission) {
+        return ROLES[getRole()][permission] === true;
+    }
+
+    /**
+     * Throw unless the current role has a permission (data-layer check behind the hidden UI)
+     * @param {string} permission - Permission name
+     * @param {string} action - What was attempted, for the message ("record payouts")
+     */
+    function requirePermission(permission, action) {
+        if (!hasPermission(permission)) {
+            throw new Error(`The ${ROLES[getRole()].label} role cannot ${action}`);
+        }
+    }
+
+    /**
+     * Sections the current role can see
+     * @returns {string[]} Subset of VALID_SECTIONS
+     */
+    function getVisibleSections() {
+        return VALID_SECTIONS.filter(section => ROLES[getRole()].sections.includes(section));
+    }
+
+    /**
+     * WhatsApp number as the current role may see it
+     * @param {string} number - Phone number
+     * @returns {string} Full number, or masked (***1234)
+     */
+    function formatContact(number) {
+        return hasPermission('unmaskedContacts') ? (number || '') : maskWhatsApp(number);
+    }
+
+    /**
+     * Hide the sections and controls the current role cannot use.
+     * Controls are marked with data-permission="<permission>" in the page.
+     */
+    function applyRoleToPage() {
+        const visible = getVisibleSections();
+        VALID_SECTIONS.forEach(section => {
+            const hidden = !visible.includes(section);
+            document.getElementById(`section-${section}`)?.classList.toggle('role-hidden', hidden);
+            document.querySelector(`.nav-link[data-section="${section}"]`)?.classList.toggle('role-hidden', hidden);
+        });
+
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('role-hidden', !hasPermission(el.dataset.permission));
+        });
+    }
+
     // ============================================
     // Platform Management
     // ============================================
@@ -529,15 +646,6 @@ window.AdminCore = (function() {
         console.log('Platform changed to:', platform);
     }
 
-    /**
-     * Get prize pool for a specific platform
-     * @param {string} platform - Platform code
-     * @returns {number} Prize pool amount in R$
-     */
-    function getPlatformPrize(platform) {
-        return PLATFORM_PRIZES[platform] || PLATFORM_PRIZES.DEFAULT;
-    }
-
     /**
      * Update platform switcher button states
      */
@@ -599,7 +707,7 @@ window.AdminCore = (function() {
      * @param {string} section - Section name (dashboard, entries, results, winners)
      */
     function scrollToSection(section) {
-        if (!VALID_SECTIONS.includes(section)) {
+        if (!getVisibleSections().includes(section)) {
             section = DEFAULT_SECTION;
         }
         
@@ -627,7 +735,7 @@ window.AdminCore = (function() {
      * Uses getBoundingClientRect which works regardless of scroll container
      */
     function handleScrollDetection() {
-        const sections = VALID_SECTIONS.map(name => ({
+        const sections = getVisibleSections().map(name => ({
             name,
             el: document.getElementById(`section-${name}`)
         })).filter(s => s.el);
@@ -690,7 +798,7 @@ window.AdminCore = (function() {
         // Handle hash on load - clean up invalid hashes
         const hash = window.location.hash.slice(1).replace('section-', '');
         if (hash) {
-            if (VALID_SECTIONS.includes(hash)) {
+            if (getVisibleSections().includes(hash)) {
                 setTimeout(() => scrollToSection(hash), 100);
             } else {
                 // Invalid hash (like "undefined") - clean it up
@@ -788,8 +896,9 @@ window.AdminCore = (function() {
         const session = getSession();
         const userNameEl = document.getElementById('currentUser');
         if (userNameEl && session) {
-            userNameEl.textContent = session.username;
+            userNameEl.textContent = `${session.username} · ${ROLES[getRole()].label}`;
         }
+        applyRoleToPage();
 
         // Initialize navigation and platform switcher when app is shown
         // This ensures they're initialized both on refresh (when already logged in)
@@ -942,6 +1051,13 @@ window.AdminCore = (function() {
         createSession,
         clearSession,
         isAuthenticated,
+
+        // Roles
+        getRole,
+        hasPermission,
+        requirePermission,
+        getVisibleSections,
+        formatContact,
         
         // Navigation
         scrollToSection,
@@ -950,7 +1066,6 @@ window.AdminCore = (function() {
         // Platform management
         getCurrentPlatform,
         setCurrentPlatform,
-        getPlatformPrize,
         
         // UI
         showApp,
@@ -988,8 +1103,8 @@ window.AdminCore = (function() {
         // Constants
         VALID_SECTIONS,
         DEFAULT_SECTION,
+        ROLES,
         PLATFORMS,
-        DEFAULT_PLATFORM,
-        PLATFORM_PRIZES
+        DEFAULT_PLATFORM
     };
 })();
@@ -0,0 +1,288 @@
+/**
+ * POP-SORTE Admin Dashboard - Audit Log Module
+ *
+ * This module handles:
+ * - Recording admin actions (login/logout, exports, cache clears, platform switches,
+ *   ticket views, Game ID lookups, validity overrides, payout changes, session CSV imports) with user,
+ *   role, timestamp and parameters
+ * - Sending them to the admin API (POST <adminApi>/audit), which keeps the shared log
+ * - Reading the log back for the Audit Log section (superadmin), with filters and CSV export
+ *
+ * Every entry is kept in localStorage until the API accepted it, then dropped from the
+ * browser, so actions taken while the API is unreachable are sent later (by the same user)
+ * and still show in this browser. The API attributes entries to the token's user, not to
+ * what the browser claims.
+ *
+ * Dependencies: admin-core.js (AdminCore), auth.js (AdminAuth)
+ */
+
+// ============================================
+// Audit Log Module
+// ============================================
+window.AuditLog = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+    const STORAGE_KEY = 'popsorte_admin_audit';
+
+    /**
+     * Unsent entries kept per browser (oldest dropped first)
+     */
+    const MAX_LOCAL_ENTRIES = 2000;
+
+    /**
+     * Recorded actions and their labels
+     */
+    const ACTIONS = {
+        'login': 'Login',
+        'login.failed': 'Failed login',
+        'login.mfa_failed': 'Wrong two-factor code',
+        'login.locked': 'Login locked out',
+        'account.unlock': 'Login unlocked',
+        'mfa.enabled': 'Two-factor login on',
+        'mfa.disabled': 'Two-factor login off',
+        'mfa.backup_codes': 'Backup codes replaced',
+        'mfa.backup_used': 'Backup code used',
+        'logout': 'Logout',
+        'export': 'Export',
+        'cache.clear': 'Cache cleared',
+        'platform.switch': 'Platform switch',
+        'ticket.view': 'Ticket viewed',
+        'ticket.override': 'Ticket validity overridden',
+        'entries.search': 'Entries search (Game ID / WhatsApp / order)',
+        'payout.paid': 'Payment recorded',
+        'payout.disputed': 'Prize disputed',
+        'payout.resolved': 'Dispute resolved',
+        'payout.import': 'Payout ledger imported',
+        'payout.sync': 'Prizes owed updated from winners',
+        'data.import': 'CSV loaded for session',
+        'data.live': 'Back to live data'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let entries = null; // Unsent entries, oldest first (lazy-loaded)
+    let flushing = false;
+
+    // ============================================
+    // Persistence
+    // ============================================
+
+    /**
+     * @returns {Object[]} Unsent entries, oldest first
+     */
+    function getLocal() {
+        if (entries) return entries;
+
+        try {
+            // Entries marked synced by earlier versions are already in the API's log
+            entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]').filter(e => e && e.id && !e.synced);
+        } catch (e) {
+            console.warn('Could not read audit log:', e);
+            entries = [];
+        }
+        return entries;
+    }
+
+    /**
+     * Persist unsent entries, trimming the oldest ones
+     */
+    function save() {
+        const local = getLocal();
+        if (local.length > MAX_LOCAL_ENTRIES) {
+            local.splice(0, local.length - MAX_LOCAL_ENTRIES);
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(local));
+        } catch (e) {
+            console.warn('Could not save audit log:', e);
+        }
+    }
+
+    // ============================================
+    // Recording
+    // ============================================
+
+    /**
+     * Append an action to the audit log
+     * @param {string} action - Key in ACTIONS
+     * @param {Object} params - Action parameters (filters, ticket, file name, row count...)
+     * @returns {Object|null} The entry, or null when nobody is logged in
+     */
+    function record(action, params = {}) {
+        const session = AdminCore.getSession();
+        if (!session) return null;
+
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            username: session.username,
+            role: AdminCore.getRole(),
+            action,
+            params
+        };
+
+        getLocal().push(entry);
+        save();
+        flush(session);
+        return entry;
+    }
+
+    /**
+     * Send the current user's unsynced entries to the admin API.
+     * The token is taken now, so a logout right after record() still sends its own entry.
+     * @param {Object} session - Session to send with (defaults to the current one)
+     * @returns {Promise<number>} Entries accepted
+     */
+    async function flush(session = AdminCore.getSession()) {
+        if (flushing || !session || !session.token) return 0;
+
+        const pending = getLocal().filter(e => e.username === session.username);
+        if (pending.length === 0) return 0;
+
+        flushing = true;
+        try {
+            const response = await AdminAuth.apiRequest('/audit', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.token}` },
+                body: JSON.stringify({ entries: pending })
+            });
+            if (!response.ok) return 0;
+
+            // Sent: the API's log is the copy from now on (entries recorded meanwhile stay)
+            const sent = new Set(pending);
+            entries = getLocal().filter(e => !sent.has(e));
+            save();
+            return pending.length;
+        } catch (error) {
+            // API unreachable - entries stay pending for the next flush
+            return 0;
+        } finally {
+            flushing = false;
+        }
+    }
+
+    // ============================================
+    // Queries
+    // ============================================
+
+    /**
+     * Read the audit log: the API's shared log plus this browser's unsent entries, or only
+     * this browser's entries when the API has no log
+     * @returns {Promise<Object>} { entries: newest first, source: 'api'|'local' }
+     */
+    async function load() {
+        AdminCore.requirePermission('viewAudit', 'view the audit log');
+        await flush();
+
+        let remote = null;
+        try {
+            const response = await AdminAuth.apiRequest('/audit');
+            if (response.ok) {
+                remote = (await response.json()).entries || [];
+            }
+        } catch (error) {
+            console.warn('Audit log API unavailable, showing this browser only:', error.message);
+        }
+
+        const all = [...(remote || []), ...getLocal()];
+
+        const byId = new Map(all.map(e => [e.id, e]));
+        return {
+            entries: [...byId.values()].sort((a, b) => (b.at || '').localeCompare(a.at || '')),
+            source: remote ? 'api' : 'local'
+        };
+    }
+
+    /**
+     * Filter entries
+     * @param {Object[]} list - Entries
+     * @param {Object} filters - { username, action, from: YYYY-MM-DD, to: YYYY-MM-DD, search }
+     * @returns {Object[]} Matching entries
+     */
+    function filter(list, filters = {}) {
+        const username = (filters.username || '').trim().toLowerCase();
+        const search = (filters.search || '').trim().toLowerCase();
+
+        return list.filter(e => {
+            const day = e.at ? AdminCore.getBrazilDateString(new Date(e.at)) : '';
+            if (username && !(e.username || '').toLowerCase().includes(username)) return false;
+            if (filters.action && e.action !== filters.action) return false;
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+            if (search && !JSON.stringify(e.params || {}).toLowerCase().includes(search)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Parameters as one readable line ("type=entries, rows=120")
+     * @param {Object} params - Entry parameters
+     * @returns {string} Text
+     */
+    function describeParams(params) {
+        return Object.keys(params || {})
+            .filter(key => params[key] !== '' && params[key] != null)
+            .map(key => `${key}=${typeof params[key] === 'object' ? JSON.stringify(params[key]) : params[key]}`)
+            .join(', ');
+    }
+
+    /**
+     * Quote a CSV cell. Cells a spreadsheet would run as a formula (= + - @, or a leading
+     * tab / carriage return) get a ' prefix, since parameters hold user input.
+     * @param {*} value - Cell value
+     * @returns {string} Quoted cell
+     */
+    function csvCell(value) {
+        let text = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Build a CSV of audit entries (compliance export)
+     * @param {Object[]} list - Entries
+     * @returns {string} CSV text
+     */
+    function toCSV(list) {
+        const headers = ['Time (BRT)', 'Time (UTC)', 'User', 'Role', 'Action', 'Parameters', 'Entry ID'];
+        const rows = list.map(e => [
+            e.at ? AdminCore.formatBrazilDateTime(new Date(e.at)) : '',
+            e.at || '',
+            e.username,
+            e.role,
+            e.action,
+            JSON.stringify(e.params || {}),
+            e.id
+        ].map(csvCell).join(','));
+
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    AdminCore.on('login', () => record('login', { userAgent: navigator.userAgent }));
+    AdminCore.on('platformChange', ({ platform }) => record('platform.switch', { platform }));
+
+    // Entries left unsent by an earlier visit go out once the same user is back
+    AdminCore.on('appShown', () => flush());
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        record,
+        flush,
+        load,
+        filter,
+        describeParams,
+        toCSV,
+        ACTIONS
+    };
+})();
@@ -2,12 +2,19 @@
  * POP-SORTE Admin Dashboard - Authentication Module
  * 
  * This module handles:
- * - Login form submission and validation
- * - Credential verification against Google Sheets
- * - Session creation and management
- * - Logout functionality
+ * - Login form submission, verified by the admin API (Worker, or homina/cli/admin-server.js)
+ *   against salted password hashes - no credentials ever reach the browser
+ * - Session creation with the signed, expiring token and the account role the API returns
+ * - The "admin-api" data source type: datasets read from the API with that token
+ * - Logout functionality (logged in the audit log, with its reason)
+ * - Login throttling feedback: the API delays and locks out repeated failures
+ *   (429/423 with Retry-After); the form waits out the delay before allowing a retry
+ * - Two-factor login: a TOTP or backup code after the password for accounts that turned it
+ *   on (see two-factor.js), and "remember this device" tokens that skip the code for
+ *   SESSION_TTL
+ * - Listing and unlocking locked accounts (superadmin)
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources)
  */
 
 // ============================================
@@ -21,67 +28,93 @@ window.AdminAuth = (function() {
     // ============================================
     
     /**
-     * Google Sheet URL for admin credentials
-     * Sheet contains: username, password columns
+     * Admin API source: { url } of the API base (POST <url>/login, GET <url>/session,
+     * GET <url>/data/<dataset>, GET/POST <url>/audit, GET <url>/lockouts,
+     * POST <url>/lockouts/unlock)
      */
-    const AUTH_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1PK0qI9PRWaleD6jpn-aQToJ2Mn7PRW0wWfCwd2o0QPE/export?format=csv';
+    const ADMIN_API_DATASET = 'adminApi';
+
+    /**
+     * Request timeout in milliseconds (15 seconds)
+     */
+    const REQUEST_TIMEOUT = 15 * 1000;
+
+    /**
+     * Remembered devices: localStorage { lowercase username: device token from the API }
+     */
+    const DEVICE_KEY = 'popsorte_admin_mfa_devices';
 
     // ============================================
     // State
     // ============================================
-    let credentials = null;
     let isLoading = false;
+    let retryAt = 0; // No login attempt before this time (ms), as told by the API
+    let mfaChallenge = null; // Challenge token while the form asks for the second factor
 
     // ============================================
-    // Credential Loading
+    // Admin API
     // ============================================
     
     /**
-     * Fetch credentials from Google Sheet
-     * @returns {Promise<Object[]>} Array of credential objects {username, password}
+     * Call the admin API, with the session token when logged in
+     * (an Authorization header passed in options is kept)
+     * @param {string} path - Path below the API base, e.g. '/login'
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Response (any status)
      */
-    async function fetchCredentials() {
+    async function apiRequest(path, options = {}) {
+        await DataSources.whenReady();
+        const source = DataSources.getSource(ADMIN_API_DATASET);
+        if (!source || !source.url) {
+            throw new Error('No admin API configured');
+        }
+
+        const session = AdminCore.getSession();
+        const headers = { ...(options.headers || {}) };
+        if (session && session.token && !headers['Authorization']) {
+            headers['Authorization'] = `Bearer ${session.token}`;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
         try {
-            const url = `${AUTH_SHEET_URL}&t=${Date.now()}`;
-            const response = await fetch(url, {
+            return await fetch(`${source.url.replace(/\/$/, '')}${path}`, {
+                ...options,
+                headers,
                 cache: 'no-store',
-                redirect: 'follow'
+                signal: controller.signal
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const csvText = await response.text();
-            
-            // Check if we got HTML instead of CSV
-            if (csvText.trim().startsWith('<!DOCTYPE') || csvText.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
-
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-            if (lines.length <= 1) {
-                throw new Error('No credentials found');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out - please try again');
             }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const creds = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                if (row.length >= 2 && row[0] && row[1]) {
-                    creds.push({
-                        username: row[0].trim(),
-                        password: row[1].trim()
-                    });
-                }
-            }
+    /**
+     * Read a dataset from the admin API ("admin-api" source type: { type: 'admin-api', dataset? })
+     * @param {Object} spec - Source spec
+     * @param {string} dataset - Dataset name
+     * @returns {Promise<string>} CSV text
+     */
+    async function fetchProtectedDataset(spec, dataset) {
+        if (!AdminCore.getSession()) {
+            throw new Error('Not signed in');
+        }
 
-            return creds;
-        } catch (error) {
-            console.error('Error fetching credentials:', error);
-            throw error;
+        const response = await apiRequest(`/data/${encodeURIComponent(spec.dataset || dataset)}`);
+        if (response.status === 401) {
+            // Parallel requests share one logout
+            if (AdminCore.getSession()) handleLogout('rejected');
+            throw new Error('Session expired - please sign in again');
         }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
     }
 
     // ============================================
@@ -89,24 +122,114 @@ window.AdminAuth = (function() {
     // ============================================
     
     /**
-     * Validate username and password against credentials
+     * Verify username and password with the admin API
      * @param {string} username - Username to validate
      * @param {string} password - Password to validate
-     * @returns {Promise<boolean>} True if valid
+     * @returns {Promise<Object|null>} { token, username, role, expiresAt }, { mfaRequired, challenge }
+     *   when the account asks for a second factor, or null if rejected
+     * @throws {Error} With retryAfter (seconds) and locked when the API throttles the login
      */
     async function validateCredentials(username, password) {
-        // Fetch fresh credentials if not cached
-        if (!credentials) {
-            credentials = await fetchCredentials();
+        const response = await apiRequest('/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: username.trim(),
+                password: password.trim(),
+                deviceToken: getDevices()[username.trim().toLowerCase()]
+            })
+        });
+        return readLoginResponse(response);
+    }
+
+    /**
+     * Send the second factor for a login that asked for it
+     * @param {string} challenge - Challenge token from validateCredentials()
+     * @param {string} code - TOTP or backup code
+     * @param {boolean} rememberDevice - Skip the code on this browser for SESSION_TTL
+     * @returns {Promise<Object|null>} { token, username, role, expiresAt, deviceToken? }, or null if rejected
+     * @throws {Error} With retryAfter and locked when throttled, or expired when the challenge ran out
+     */
+    async function verifySecondFactor(challenge, code, rememberDevice) {
+        const response = await apiRequest('/login/mfa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challenge, code: code.trim(), rememberDevice })
+        });
+        return readLoginResponse(response);
+    }
+
+    /**
+     * @param {Response} response - Response of /login or /login/mfa
+     * @returns {Promise<Object|null>} Body, or null on 401
+     */
+    async function readLoginResponse(response) {
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            if (body.expired) {
+                const error = new Error(body.error);
+                error.expired = true;
+                throw error;
+            }
+            return null;
+        }
+        if (response.status === 429 || response.status === 423) {
+            const error = new Error(body.error || 'Too many login attempts');
+            error.retryAfter = body.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || 60;
+            error.locked = response.status === 423;
+            throw error;
         }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return body;
+    }
 
-        const normalizedUsername = username.trim().toLowerCase();
-        const normalizedPassword = password.trim();
+    /**
+     * @returns {Object} Remembered device tokens by lowercase username
+     */
+    function getDevices() {
+        try {
+            return JSON.parse(localStorage.getItem(DEVICE_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
 
-        return credentials.some(cred => 
-            cred.username.toLowerCase() === normalizedUsername &&
-            cred.password === normalizedPassword
-        );
+    /**
+     * Keep (or forget, with null) the device token of an account
+     * @param {string} username - Username
+     * @param {string|null} token - Device token
+     */
+    function rememberDevice(username, token) {
+        const devices = getDevices();
+        if (token) {
+            devices[username.toLowerCase()] = token;
+        } else {
+            delete devices[username.toLowerCase()];
+        }
+        localStorage.setItem(DEVICE_KEY, JSON.stringify(devices));
+    }
+
+    /**
+     * Ask the admin API whether the stored session token is still valid; log out if not.
+     * Network errors keep the session (the token is checked again on every data request).
+     * @returns {Promise<boolean>} False if the API rejected the token
+     */
+    async function verifySession() {
+        if (!AdminCore.getSession()) return false;
+
+        try {
+            const response = await apiRequest('/session');
+            if (response.status === 401) {
+                handleLogout('rejected');
+                return false;
+            }
+        } catch (error) {
+            console.warn('Could not verify session:', error.message);
+        }
+        return true;
     }
 
     // ============================================
@@ -114,7 +237,7 @@ window.AdminAuth = (function() {
     // ============================================
     
     /**
-     * Handle login form submission
+     * Handle login form submission: password first, then the second factor if the account asks for it
      * @param {Event} e - Form submit event
      */
     async function handleLogin(e) {
@@ -125,6 +248,7 @@ window.AdminAuth = (function() {
         const form = e.target;
         const usernameInput = form.querySelector('#username');
         const passwordInput = form.querySelector('#password');
+        const codeInput = form.querySelector('#mfaCode');
         const errorEl = form.querySelector('#loginError');
         const submitBtn = form.querySelector('button[type="submit"]');
         const btnText = submitBtn.querySelector('.btn-text');
@@ -132,10 +256,16 @@ window.AdminAuth = (function() {
 
         const username = usernameInput.value.trim();
         const password = passwordInput.value.trim();
+        const code = codeInput.value.trim();
 
         // Basic validation
-        if (!username || !password) {
-            showError(errorEl, 'Please fill in all fields');
+        if (!username || !password || (mfaChallenge && !code)) {
+            showError(errorEl, mfaChallenge ? 'Enter the verification code' : 'Please fill in all fields');
+            return;
+        }
+
+        if (Date.now() < retryAt) {
+            showError(errorEl, `Too many attempts. Try again in ${formatWait(retryAt - Date.now())}.`);
             return;
         }
 
@@ -147,13 +277,23 @@ window.AdminAuth = (function() {
         hideError(errorEl);
 
         try {
-            const isValid = await validateCredentials(username, password);
-
-            if (isValid) {
-                // Create session
-                AdminCore.createSession(username);
+            const login = mfaChallenge
+                ? await verifySecondFactor(mfaChallenge, code, form.querySelector('#mfaRemember').checked)
+                : await validateCredentials(username, password);
+
+            if (login && login.mfaRequired) {
+                mfaChallenge = login.challenge;
+                showMfaStep(form, true);
+                codeInput.focus();
+            } else if (login) {
+                if (login.deviceToken) rememberDevice(login.username, login.deviceToken);
+
+                // Create session with the API's signed token and the account's role
+                AdminCore.createSession(login.username, login.token, login.expiresAt, login.role);
                 
                 // Clear form
+                mfaChallenge = null;
+                showMfaStep(form, false);
                 form.reset();
                 
                 // Show app
@@ -163,17 +303,33 @@ window.AdminAuth = (function() {
                 AdminCore.startAutoRefresh();
                 
                 // Emit login event
-                AdminCore.emit('login', { username });
+                AdminCore.emit('login', { username: login.username });
                 
-                AdminCore.showToast(`Welcome, ${username}!`, 'success');
+                AdminCore.showToast(`Welcome, ${login.username}!`, 'success');
+            } else if (mfaChallenge) {
+                showError(errorEl, 'Invalid verification code');
+                codeInput.value = '';
+                codeInput.focus();
             } else {
                 showError(errorEl, 'Invalid username or password');
                 passwordInput.value = '';
                 passwordInput.focus();
             }
         } catch (error) {
-            console.error('Login error:', error);
-            showError(errorEl, 'Error verifying credentials. Please try again.');
+            if (error.retryAfter) {
+                retryAt = Date.now() + error.retryAfter * 1000;
+                showError(errorEl, error.locked
+                    ? `Too many failed logins. This account is locked for ${formatWait(error.retryAfter * 1000)}.`
+                    : `Too many attempts. Try again in ${formatWait(error.retryAfter * 1000)}.`);
+                passwordInput.value = '';
+                codeInput.value = '';
+            } else if (error.expired) {
+                resetLoginForm(form);
+                showError(errorEl, error.message);
+            } else {
+                console.error('Login error:', error);
+                showError(errorEl, 'Error verifying credentials. Please try again.');
+            }
         } finally {
             isLoading = false;
             btnText.style.display = 'inline';
@@ -182,6 +338,38 @@ window.AdminAuth = (function() {
         }
     }
 
+    /**
+     * Switch the login form between the password step and the verification code step
+     * @param {HTMLFormElement} form - Login form
+     * @param {boolean} show - True for the code step
+     */
+    function showMfaStep(form, show) {
+        form.querySelector('#passwordStep').style.display = show ? 'none' : '';
+        form.querySelector('#mfaStep').style.display = show ? '' : 'none';
+        form.querySelector('.btn-text').textContent = show ? 'Verify' : 'Sign In';
+    }
+
+    /**
+     * Back to the password step (another account, or the challenge expired)
+     * @param {HTMLFormElement} form - Login form
+     */
+    function resetLoginForm(form) {
+        mfaChallenge = null;
+        showMfaStep(form, false);
+        form.querySelector('#password').value = '';
+        form.querySelector('#mfaCode').value = '';
+        hideError(form.querySelector('#loginError'));
+    }
+
+    /**
+     * @param {number} ms - Wait in milliseconds
+     * @returns {string} "45 s" or "15 min"
+     */
+    function formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+    }
+
     /**
      * Show error message
      * @param {HTMLElement} el - Error element
@@ -204,23 +392,63 @@ window.AdminAuth = (function() {
             el.classList.remove('show');
         }    }
 
+    // ============================================
+    // Locked Accounts
+    // ============================================
+
+    /**
+     * Accounts and client addresses the API is currently delaying or locking
+     * @returns {Promise<Object>} { accounts: [{ username, failures, lastFailure, locked, retryAt }],
+     *   clients: [{ client, ... }] }
+     */
+    async function getLockouts() {
+        AdminCore.requirePermission('manageAccounts', 'view locked accounts');
+        const response = await apiRequest('/lockouts');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Clear the failed-login count of an account or client address (logged by the API)
+     * @param {Object} target - { username } or { client }
+     * @returns {Promise<boolean>} True if it was locked or delayed
+     */
+    async function unlock(target) {
+        AdminCore.requirePermission('manageAccounts', 'unlock accounts');
+        const response = await apiRequest('/lockouts/unlock', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(target)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return (await response.json()).unlocked;
+    }
+
     // ============================================
     // Logout Handler
     // ============================================
     
     /**
      * Handle logout
+     * @param {string} reason - 'user' (logout button), 'rejected' (token refused by the API),
+     *   'expired' or 'other-tab'; logged in the audit log
      */
-    function handleLogout() {
+    function handleLogout(reason = 'expired') {
+        // Log it while the session (and its token) still exist
+        if (typeof AuditLog !== 'undefined') {
+            AuditLog.record('logout', { reason });
+        }
+
         // Clear session
         AdminCore.clearSession();
         
         // Stop auto-refresh
         AdminCore.stopAutoRefresh();
         
-        // Clear cached credentials
-        credentials = null;
-        
         // Show login
         AdminCore.showLogin();
         
@@ -260,25 +488,31 @@ window.AdminAuth = (function() {
         const loginForm = document.getElementById('loginForm');
         if (loginForm) {
             loginForm.addEventListener('submit', handleLogin);
+            document.getElementById('mfaBack')?.addEventListener('click', () => resetLoginForm(loginForm));
         }
 
         // Logout button handler
         const logoutBtn = document.getElementById('logoutBtn');
         if (logoutBtn) {
-            logoutBtn.addEventListener('click', handleLogout);
+            logoutBtn.addEventListener('click', () => handleLogout('user'));
         }
 
         // Check session periodically (every minute)
         setInterval(checkSession, 60 * 1000);
 
+        // A session restored from sessionStorage must still be accepted by the API
+        verifySession();
+
         // Listen for storage events (logout from another tab)
         window.addEventListener('storage', (e) => {
             if (e.key === 'popsorte_admin_session' && !e.newValue) {
-                handleLogout();
+                handleLogout('other-tab');
             }
         });
     }
 
+    DataSources.registerAdapter('admin-api', fetchProtectedDataset);
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -291,9 +525,14 @@ window.AdminAuth = (function() {
     // ============================================
     return {
         validateCredentials,
+        verifySecondFactor,
+        rememberDevice,
+        verifySession,
+        apiRequest,
+        getLockouts,
+        unlock,
         handleLogout,
-        checkSession,
-        refreshCredentials: () => { credentials = null; }
+        checkSession
     };
 })();
 
@@ -0,0 +1,332 @@
+/**
+ * POP-SORTE Admin Dashboard - CSV Layouts Module
+ *
+ * This module handles:
+ * - Recognizing an entries, recharge or results CSV by its header names (Portuguese or English)
+ * - Mapping its columns to the fields the sheet parsers expect, and naming the layout version
+ * - Rebuilding its rows in the sheet layout (DataFetcher.parseEntryRow,
+ *   DataFetcher.parseRechargeRow, ResultsFetcher.parseResultRow)
+ * - Rejecting a file whose required columns are missing, listing them
+ *
+ * Used by DataFetcher and ResultsFetcher for the live sheets, by the dashboard's CSV import and
+ * by the reconcile CLI, so a column added, moved or renamed in a sheet does not shift the parsers.
+ *
+ * Accepted layouts:
+ * - Entries:   SORTE sheet - original ("OLD POP SORTE"), with DATE / TIME split columns
+ *              ("SORTE ADMIN") and with the Worker's TICKET ID /
+ *              VERIFICATION CODE columns (live sheet) - and the dashboard export (entries_export_*.csv)
+ * - Recharges: RECHARGE sheet with "Record Time" (DD/MM/YYYY HH:MM:SS) or weekday DATE / TIME
+ *              columns (the admin server's recharge-*.csv copies), and the raw back-office export
+ *              (Region / Currency Type columns, "Record Time" as MM/DD/YYYY)
+ * - Results:   RESULT sheet (live export, admin/data/results.csv, "OLD POP SORTE - RESULT")
+ *
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar)
+ */
+
+// ============================================
+// CSV Layouts Module
+// ============================================
+window.CsvLayouts = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Per dataset: header names (lowercase, Portuguese and English) accepted for each field,
+     * required fields, alternative column groups (one group must be present), the known layout
+     * versions (first match wins) and the sheet layout header
+     */
+    const LAYOUTS = {
+        entries: {
+            label: 'Entries',
+            columns: {
+                timestamp: ['data/hora registro', 'data/hora', 'registration timestamp'],
+                registrationDate: ['registration date', 'date', 'data', 'data registro'],
+                registrationTime: ['registration time', 'time', 'hora', 'hora registro'],
+                ticketId: ['ticket id', 'id bilhete'],
+                verificationCode: ['verification code', 'código de verificação', 'codigo de verificacao'],
+                platform: ['platform', 'plataforma'],
+                gameId: ['game id', 'id do jogo', 'id jogo'],
+                whatsapp: ['whatsapp', 'telefone', 'phone'],
+                numbers: ['números escolhidos', 'numeros escolhidos', 'chosen numbers', 'números', 'numbers'],
+                drawDate: ['data sorteio', 'draw date', 'data do sorteio'],
+                contest: ['concurso', 'contest', 'contest number'],
+                ticketNumber: ['bilhete #', 'ticket #', 'bilhete', 'ticket number'],
+                status: ['status', 'validity', 'validade']
+            },
+            required: ['gameId', 'numbers', 'drawDate'],
+            oneOf: [['timestamp'], ['registrationDate']],
+            versions: [
+                { id: 'sorte-worker', label: 'SORTE sheet (TICKET ID / VERIFICATION CODE columns)', test: c => c.timestamp >= 0 && c.ticketId >= 0 },
+                { id: 'sorte-split', label: 'SORTE sheet (DATE / TIME columns)', test: c => c.timestamp >= 0 && c.registrationDate >= 0 },
+                { id: 'sorte', label: 'SORTE sheet (original)', test: c => c.timestamp >= 0 },
+                { id: 'dashboard-export', label: 'Dashboard export', test: c => c.registrationDate >= 0 }
+            ],
+            sheetHeader: ['DATA/HORA REGISTRO', 'TICKET ID', 'VERIFICATION CODE', 'PLATFORM', 'GAME ID', 'WHATSAPP',
+                'NÚMEROS ESCOLHIDOS', 'DATA SORTEIO', 'CONCURSO', 'BILHETE #', 'STATUS']
+        },
+        recharges: {
+            label: 'Recharges',
+            columns: {
+                gameId: ['member id', 'id do membro', 'id membro'],
+                rechargeId: ['order number', 'número do pedido', 'numero do pedido', 'order id'],
+                recordTime: ['record time', 'data/hora', 'horário do registro'],
+                date: ['date', 'data'],
+                time: ['time', 'hora'],
+                amount: ['change amount', 'valor', 'amount', 'valor alterado'],
+                balance: ['balance after change', 'saldo após alteração', 'saldo'],
+                region: ['region', 'região']
+            },
+            required: ['gameId', 'rechargeId', 'amount'],
+            oneOf: [['recordTime'], ['date', 'time']],
+            versions: [
+                { id: 'back-office', label: 'Back-office export (Record Time month-first)', test: c => c.region >= 0 },
+                { id: 'sheet', label: 'RECHARGE sheet (Record Time)', test: c => c.recordTime >= 0 },
+                { id: 'sheet-split', label: 'RECHARGE sheet (weekday DATE / TIME columns)', test: c => c.date >= 0 }
+            ],
+            sheetHeader: ['Member ID', 'Order Number', 'Record Time', 'Change Amount', 'Balance After Change']
+        },
+        results: {
+            label: 'Results',
+            columns: {
+                contest: ['contest number', 'contest', 'concurso', 'número do concurso'],
+                drawDate: ['draw date', 'data sorteio', 'data do sorteio'],
+                firstNumber: ['number 1', 'número 1', 'numero 1'],
+                savedAt: ['saved at', 'salvo em'],
+                source: ['source', 'fonte']
+            },
+            required: ['contest', 'drawDate'],
+            oneOf: [],
+            versions: [
+                { id: 'sheet', label: 'RESULT sheet', test: () => true }
+            ],
+            sheetHeader: ['Contest', 'Draw Date', 'Number 1', 'Number 2', 'Number 3', 'Number 4', 'Number 5', 'Saved At', 'Source']
+        }
+    };
+
+    /**
+     * Detection order: most specific layout first (an entries file also has contest / draw date columns)
+     */
+    const DETECTION_ORDER = ['entries', 'recharges', 'results'];
+
+    // ============================================
+    // Reading
+    // ============================================
+
+    /**
+     * Split CSV text into a header and rows with the dashboard's CSV helpers
+     * @param {string} text - CSV text
+     * @returns {Object} { rawHeader, header: lowercase names, rows: string[][] }
+     */
+    function readTable(text) {
+        const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        const delimiter = AdminCore.detectDelimiter(lines[0]);
+        const rawHeader = AdminCore.parseCSVLine(lines[0], delimiter);
+        return {
+            rawHeader,
+            header: rawHeader.map(h => h.trim().toLowerCase()),
+            rows: lines.slice(1).map(line => AdminCore.parseCSVLine(line, delimiter))
+        };
+    }
+
+    /**
+     * Locate a dataset's fields by header name
+     * @param {string} dataset - 'entries' | 'recharges' | 'results'
+     * @param {string[]} header - Lowercase header names
+     * @returns {Object} { columns: field -> index (-1 if absent), missing: header names to add,
+     *                    version: label of the recognized layout version (null if columns are missing) }
+     */
+    function findColumns(dataset, header) {
+        const layout = LAYOUTS[dataset];
+        const columns = {};
+        Object.keys(layout.columns).forEach(field => {
+            // The field name itself ("gameid", "drawdate") is accepted too, as REST sources use it
+            columns[field] = header.findIndex(name => layout.columns[field].includes(name) || name === field.toLowerCase());
+        });
+
+        const label = field => `"${layout.columns[field][0].toUpperCase()}"`;
+        const missing = layout.required.filter(field => columns[field] === -1).map(label);
+        if (layout.oneOf.length > 0 && !layout.oneOf.some(group => group.every(field => columns[field] >= 0))) {
+            missing.push(layout.oneOf.map(group => group.map(label).join(' + ')).join(' or '));
+        }
+
+        const version = missing.length === 0 ? layout.versions.find(v => v.test(columns)) : null;
+        return { columns, missing, version: version ? version.label : null };
+    }
+
+    /**
+     * Read a sheet export and rebuild it in the sheet layout, refusing files with missing columns
+     * (rather than parsing them into empty entries)
+     * @param {string} dataset - 'entries' | 'recharges' | 'results'
+     * @param {string} text - CSV text
+     * @param {string} source - Name used in error messages (sheet or file name)
+     * @returns {Object} { rows: sheet layout rows, version: layout version label }
+     */
+    function readSheetRows(dataset, text, source) {
+        let table;
+        try {
+            table = readTable(text);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+        const { columns, missing, version } = findColumns(dataset, table.header);
+        if (missing.length > 0) {
+            const error = new Error(`${source}: missing column(s) ${missing.join(', ')} ` +
+                `(header: ${table.rawHeader.filter(Boolean).join(', ') || 'empty'})`);
+            error.missing = missing;
+            throw error;
+        }
+        return { rows: toSheetRows(dataset, table, columns), version };
+    }
+
+    /**
+     * Recognize a dataset from its header
+     * @param {string[]} header - Lowercase header names
+     * @returns {string|null} 'entries' | 'recharges' | 'results', or null if none fits
+     */
+    function detectLayout(header) {
+        return DETECTION_ORDER.find(dataset => findColumns(dataset, header).missing.length === 0) || null;
+    }
+
+    // ============================================
+    // Sheet Layout
+    // ============================================
+
+    /**
+     * Re-join cells split by unquoted commas, as in the admin/data/*.csv copies and the SORTE ADMIN export:
+     * "Mon, 22 Dec 2025" and "01, 12, 22, 25, 44" written without quotes.
+     * @param {string[]} cells - Parsed cells
+     * @param {number} numbersCol - Column holding the chosen numbers (-1 if none)
+     * @returns {string[]} Cells aligned with the header
+     */
+    function rejoinUnquotedCells(cells, numbersCol = -1) {
+        const joined = [];
+        for (let i = 0; i < cells.length; i++) {
+            if (/^[A-Za-z]{3}$/.test(cells[i]) && /^\d{1,2} [A-Za-z]{3,} \d{4}/.test(cells[i + 1] || '')) {
+                joined.push(`${cells[i]}, ${cells[i + 1]}`);
+                i++;
+            } else {
+                joined.push(cells[i]);
+            }
+        }
+
+        if (numbersCol >= 0 && /^\d{1,2}$/.test(joined[numbersCol] || '')) {
+            let end = numbersCol;
+            while (end + 1 < joined.length && /^\d{1,2}$/.test(joined[end + 1])) end++;
+            joined.splice(numbersCol, end - numbersCol + 1, joined.slice(numbersCol, end + 1).join(', '));
+        }
+        return joined;
+    }
+
+    /**
+     * Normalize any of the layouts' dates to YYYY-MM-DD
+     * ("3 January 2026" from the dashboard export is shortened to "3 Jan 2026" for DrawCalendar)
+     * @param {string} value - Date text
+     * @returns {string} Date key or empty string
+     */
+    function toDateKey(value) {
+        return DrawCalendar.toDateKey(String(value || '').replace(/\b([A-Za-z]{3})[A-Za-z]+\b/, '$1')) || '';
+    }
+
+    /**
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string} DD/MM/YYYY (sheet format) or empty string
+     */
+    function toSheetDate(dateKey) {
+        const [y, m, d] = dateKey.split('-');
+        return dateKey ? `${d}/${m}/${y}` : '';
+    }
+
+    /**
+     * Rebuild rows in the sheet layout of a dataset (see LAYOUTS[dataset].sheetHeader)
+     * @param {string} dataset - 'entries' | 'recharges' | 'results'
+     * @param {Object} table - From readTable()
+     * @param {Object} columns - From findColumns()
+     * @returns {string[][]} Rows without header
+     */
+    function toSheetRows(dataset, table, columns) {
+        const col = columns;
+        const cellOf = cells => field => (col[field] >= 0 ? cells[col[field]] || '' : '');
+
+        if (dataset === 'entries') {
+            return table.rows
+                .map(cells => rejoinUnquotedCells(cells, col.numbers))
+                .map(cells => {
+                    const cell = cellOf(cells);
+                    const timestamp = col.timestamp >= 0
+                        ? cell('timestamp')
+                        : `${toSheetDate(toDateKey(cell('registrationDate')))} ${cell('registrationTime')}`.trim();
+                    return [
+                        timestamp,
+                        cell('ticketId'),
+                        cell('verificationCode'),
+                        cell('platform'),
+                        cell('gameId'),
+                        cell('whatsapp'),
+                        cell('numbers'),
+                        toDateKey(cell('drawDate')) || cell('drawDate'),
+                        cell('contest'),
+                        cell('ticketNumber'),
+                        cell('status')
+                    ];
+                });
+        }
+
+        if (dataset === 'recharges') {
+            // The raw back-office export writes Record Time month-first (order numbers embed the
+            // epoch time, which confirms it); the sheets are day-first
+            const monthFirst = col.region >= 0;
+
+            return table.rows
+                .map(cells => rejoinUnquotedCells(cells))
+                .map(cells => {
+                    const cell = cellOf(cells);
+                    let recordTime = col.recordTime >= 0
+                        ? cell('recordTime')
+                        : `${toSheetDate(toDateKey(cell('date')))} ${cell('time')}`.trim();
+                    if (monthFirst) {
+                        recordTime = recordTime.replace(/^(\d{1,2})\/(\d{1,2})\//, '$2/$1/');
+                    }
+                    return [cell('gameId'), cell('rechargeId'), recordTime, cell('amount'), cell('balance')];
+                });
+        }
+
+        // Results: numbers follow the draw date unless a "Number 1" column says otherwise
+        const firstNumber = col.firstNumber >= 0 ? col.firstNumber : col.drawDate + 1;
+        return table.rows
+            .map(cells => rejoinUnquotedCells(cells))
+            .map(cells => {
+                const cell = cellOf(cells);
+                const drawDate = toSheetDate(toDateKey(cell('drawDate'))) || cell('drawDate');
+                const isNoDraw = cells.join(' ').toLowerCase().includes('no draw');
+                const numbers = isNoDraw
+                    ? ['No draw', '', '', '', '']
+                    : Array.from({ length: 5 }, (_, i) => cells[firstNumber + i] || '');
+                return [cell('contest'), drawDate, ...numbers, cell('savedAt'), cell('source')];
+            });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Reading
+        readTable,
+        findColumns,
+        readSheetRows,
+        detectLayout,
+
+        // Sheet layout
+        toSheetRows,
+        toDateKey,
+
+        // Constants
+        LAYOUTS
+    };
+})();
@@ -2,12 +2,16 @@
  * POP-SORTE Admin Dashboard - Data Fetcher Module
  * 
  * This module handles fetching and caching of:
- * - Lottery entries data from Google Sheets
- * - Recharge data for validation
+ * - Lottery entries data (DataSources dataset "entries")
+ * - Recharge data for validation ("recharges.POPLUZ", "recharges.POPN1")
  * 
  * Data is cached with configurable TTL and refreshed on demand
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Columns are located by header name (CsvLayouts), so sheet layout changes are mapped
+ * instead of shifting the parsers
+ * 
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources),
+ *               csv-layouts.js (CsvLayouts)
  */
 
 // ============================================
@@ -17,43 +21,33 @@ window.DataFetcher = (function() {
     'use strict';
 
     // ============================================
-    // Constants - Data Source URLs
+    // Constants
     // ============================================
     
     /**
-     * Entries sheet: Contains all lottery ticket registrations
-     * Source: SORTE-ADMIN.csv
-     * Columns: DATA/HORA REGISTRO, PLATFORM, GAME ID, WHATSAPP, NÚMEROS ESCOLHIDOS, DATA SORTEIO, CONCURSO, BILHETE #, STATUS
+     * Entries dataset: Contains all lottery ticket registrations
+     * Source: SORTE-ADMIN.csv (any layout in CsvLayouts.LAYOUTS.entries)
+     * Sheet layout: DATA/HORA REGISTRO, TICKET ID, VERIFICATION CODE, PLATFORM, GAME ID, WHATSAPP,
+     *               NÚMEROS ESCOLHIDOS, DATA SORTEIO, CONCURSO, BILHETE #, STATUS
      */
-    const ENTRIES_SHEET_URL = 'https://docs.google.com/spreadsheets/d/14f_ipSqAq8KCP7aFrbIK9Ztbo33BnCw34DSk5ADdPgI/export?format=csv&gid=0&t=1767491207553';
+    const ENTRIES_DATASET = 'entries';
     
     /**
-     * Recharge sheets: Contains recharge transactions for each platform
-     * CSV Format:
+     * Recharge datasets ("recharges.<PLATFORM>"): Contains recharge transactions for each platform
+     * Any layout in CsvLayouts.LAYOUTS.recharges, rebuilt in the sheet layout:
      *   Column 0: Member ID (gameId) - 10 digits
      *   Column 1: Order Number (rechargeId)
      *   Column 2: Record Time (DD/MM/YYYY HH:MM:SS)
      *   Column 3: Change Amount (amount)
      *   Column 4: Balance After Change
-     * 
-     * POPLUZ: Recharge data for POPLUZ platform
-     * POPN1: Recharge data for POPN1 platform
      */
-    const RECHARGE_SHEET_CSV_URLS = {
-        POPLUZ: 'https://docs.google.com/spreadsheets/d/1H68xaO7xjR-o7ECklQT1oZkT7lkMj5FNydq3nVPimgM/export?format=csv&gid=0',
-        POPN1: 'https://docs.google.com/spreadsheets/d/1KcIhrL3EvgdkgHAD-5E2jSK2W1mEZlJ9-D5DBGdxXRU/export?format=csv&gid=0'
-    };
+    const RECHARGE_PLATFORMS = ['POPLUZ', 'POPN1'];
 
     /**
      * Cache TTL in milliseconds (3 minutes - matches refresh interval)
      */
     const CACHE_TTL = 180 * 1000;
 
-    /**
-     * Fetch timeout in milliseconds (15 seconds)
-     */
-    const FETCH_TIMEOUT = 15 * 1000;
-
     // ============================================
     // Cache Storage
     // ============================================
@@ -135,64 +129,20 @@ window.DataFetcher = (function() {
                cache.winners.resultsHash === simpleHash(results);
     }
 
-    // ============================================
-    // Generic Fetch Helper
-    // ============================================
-    
-    /**
-     * Fetch CSV data from Google Sheets with timeout and error handling
-     * @param {string} url - Sheet export URL
-     * @returns {Promise<string>} Raw CSV text
-     */
-    async function fetchCSV(url) {
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-        
-        try {
-            const response = await fetch(`${url}&t=${Date.now()}`, {
-                cache: 'no-store',
-                redirect: 'follow',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const text = await response.text();
-
-            // Check if we got HTML instead of CSV
-            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
-
-            return text;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out - please try again');
-            }
-            throw error;
-        }
-    }
-
     // ============================================
     // Entries Data
     // ============================================
     
     /**
-     * Parse entry row from CSV
-     * @param {string[]} row - CSV row values
+     * Parse entry row in the sheet layout
+     * @param {string[]} row - Row values, as rebuilt by CsvLayouts.readSheetRows
      * @returns {Object} Parsed entry object
      */
     function parseEntryRow(row) {
-        // CSV Source: SORTE-ADMIN.csv
+        // Sheet layout (CsvLayouts.LAYOUTS.entries.sheetHeader):
         // Column 0: DATA/HORA REGISTRO (Entry creation timestamp) - DD/MM/YYYY HH:MM:SS
-        // Column 1: (empty)
-        // Column 2: (empty)
+        // Column 1: TICKET ID (opaque receipt ID, written by the Worker)
+        // Column 2: VERIFICATION CODE (shown on the bilhete receipt)
         // Column 3: PLATFORM
         // Column 4: GAME ID (matches Member ID from recharge CSV)
         // Column 5: WHATSAPP
@@ -221,12 +171,14 @@ window.DataFetcher = (function() {
             drawDate: (row[7] || '').trim(),
             contest: (row[8] || '').trim(),
             ticketNumber: (row[9] || '').trim(),
+            ticketId: (row[1] || '').trim(),
+            verificationCode: (row[2] || '').trim(),
             status: (row[10] || 'PENDING').trim().toUpperCase()
         };
     }
 
     /**
-     * Fetch all entries from Google Sheet
+     * Fetch all entries from the configured entries source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of entry objects
      */
@@ -246,38 +198,36 @@ window.DataFetcher = (function() {
         fetchLock.entries = true;
 
         try {
-            const csvText = await fetchCSV(ENTRIES_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-
-            if (lines.length <= 1) {
+            const csvText = await DataSources.fetchText(ENTRIES_DATASET);
+            if (csvText.split(/\r?\n/).filter(Boolean).length <= 1) {
                 cache.entries = { data: [], timestamp: now };
                 fetchLock.entries = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
+            const { rows, version } = CsvLayouts.readSheetRows('entries', csvText, 'Entries sheet');
+            console.log(`📊 Entries layout: ${version}`);
             const entries = [];
 
-            // Parse CSV in batches to avoid blocking UI
+            // Parse rows in batches to avoid blocking UI
             const batchSize = 500;
-            const totalLines = lines.length - 1; // Exclude header
-            for (let i = 1; i < lines.length; i += batchSize) {
-                const batch = lines.slice(i, Math.min(i + batchSize, lines.length));
+            const totalLines = rows.length;
+            for (let i = 0; i < rows.length; i += batchSize) {
+                const batch = rows.slice(i, Math.min(i + batchSize, rows.length));
                 
-                for (const line of batch) {
-                    const row = AdminCore.parseCSVLine(line, delimiter);
-                    if (row.length >= 11 && row[4]) { // Must have at least Game ID (column 4)
+                for (const row of batch) {
+                    if (row[4]) { // Must have at least Game ID (column 4)
                         entries.push(parseEntryRow(row));
                     }
                 }
                 
                 // Update loading progress (scaled to 5-25% of total)
-                const parseProgress = Math.min(100, Math.round(((i + batchSize - 1) / totalLines) * 100));
+                const parseProgress = Math.min(100, Math.round(((i + batchSize) / totalLines) * 100));
                 const totalProgress = 5 + Math.round((parseProgress / 100) * 20); // 5% to 25%
                 AdminCore.updateLoadingProgress(totalProgress, `Parsing entries... ${parseProgress}%`);
                 
                 // Yield to UI thread after each batch
-                if (i + batchSize < lines.length) {
+                if (i + batchSize < rows.length) {
                     await new Promise(resolve => setTimeout(resolve, 0));
                 }
             }
@@ -304,8 +254,8 @@ window.DataFetcher = (function() {
 
         } catch (error) {
             fetchLock.entries = false;
-            // Return cached data if available, even if stale
-            if (cache.entries.data) {
+            // Return cached data if available, even if stale - unless the sheet layout broke
+            if (cache.entries.data && !error.missing) {
                 return cache.entries.data;
             }
             throw error;
@@ -361,16 +311,16 @@ window.DataFetcher = (function() {
     }
 
     /**
-     * Parse recharge row from CSV
+     * Parse recharge row in the sheet layout
      * 
-     * CSV Format (from RECHARGE sheets):
+     * Sheet layout (CsvLayouts.LAYOUTS.recharges.sheetHeader):
      *   Column 0: Member ID (gameId) - 10 digits
      *   Column 1: Order Number (rechargeId)
      *   Column 2: Record Time (DD/MM/YYYY HH:MM:SS)
      *   Column 3: Change Amount (amount)
      *   Column 4: Balance After Change
      * 
-     * @param {string[]} row - CSV row values
+     * @param {string[]} row - Row values, as rebuilt by CsvLayouts.readSheetRows
      * @param {string} platform - Platform identifier (POPLUZ or POPN1)
      * @returns {Object|null} Parsed recharge object or null if invalid
      */
@@ -416,7 +366,11 @@ window.DataFetcher = (function() {
             return `${day}/${month}/${y} ${hour}:${mm}:${second}`;
         });
         
-        const rechargeTime = AdminCore.parseBrazilDateTime(normalizedTime);
+        // A weekday Record Time ("Thu, 08 Jan 2026 14:21:00") is not DD/MM/YYYY
+        let rechargeTime = AdminCore.parseBrazilDateTime(normalizedTime);
+        if (!rechargeTime || isNaN(rechargeTime.getTime())) {
+            rechargeTime = parseWeekdayDateTime(recordTime);
+        }
         
         // Validate date
         if (!rechargeTime || !(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
@@ -451,34 +405,27 @@ window.DataFetcher = (function() {
 
     /**
      * Parse CSV text and extract recharges for a specific platform
-     * @param {string} csvText - Raw CSV text
+     * @param {string} csvText - Raw CSV text (any layout in CsvLayouts.LAYOUTS.recharges)
      * @param {string} platform - Platform identifier (POPLUZ or POPN1)
      * @returns {Object[]} Array of recharge objects tagged with platform
+     * @throws {Error} When the sheet is missing required columns (error.missing lists them)
      */
     function parseRechargeCSV(csvText, platform) {
-        const lines = csvText.split(/\r?\n/).filter(Boolean);
-        
-        if (lines.length <= 1) {
+        if (csvText.split(/\r?\n/).filter(Boolean).length <= 1) {
             return [];
         }
 
-        const delimiter = AdminCore.detectDelimiter(lines[0]);
-        const recharges = [];
-
-        for (let i = 1; i < lines.length; i++) {
-            const row = AdminCore.parseCSVLine(lines[i], delimiter);
-            const recharge = parseRechargeRow(row, platform);
-            if (recharge) {
-                recharges.push(recharge);
-            }
-        }
+        const { rows, version } = CsvLayouts.readSheetRows('recharges', csvText, `${platform} recharge sheet`);
+        console.log(`📊 ${platform} recharge layout: ${version}`);
 
-        return recharges;
+        return rows
+            .map(row => parseRechargeRow(row, platform))
+            .filter(Boolean);
     }
 
     /**
-     * Fetch all recharge data from both POPLUZ and POPN1 Google Sheets
-     * Iterates through both platform URLs and combines results
+     * Fetch all recharge data from both POPLUZ and POPN1 sources
+     * Iterates through both platform datasets and combines results
      * 
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of recharge objects tagged with platform
@@ -503,15 +450,18 @@ window.DataFetcher = (function() {
             const platformCount = { POPLUZ: 0, POPN1: 0 };
 
             // Iterate through both platforms and fetch recharge data
-            for (const [platform, url] of Object.entries(RECHARGE_SHEET_CSV_URLS)) {
+            for (const platform of RECHARGE_PLATFORMS) {
                 try {
-                    const csvText = await fetchCSV(url);
+                    const csvText = await DataSources.fetchText(`recharges.${platform}`);
                     const recharges = parseRechargeCSV(csvText, platform);
                     allRecharges.push(...recharges);
                     platformCount[platform] = recharges.length;
                     console.log(`📊 Fetched ${recharges.length} recharges from ${platform}`);
                 } catch (platformError) {
                     console.error(`❌ Error fetching ${platform} recharges:`, platformError);
+                    if (platformError.missing) {
+                        AdminCore.showToast(platformError.message, 'error');
+                    }
                     // Continue with other platform even if one fails
                 }
             }
@@ -754,6 +704,10 @@ window.DataFetcher = (function() {
         fetchRecharges,
         refreshAll,
         
+        // Row parsers (sheet layout - also used by the reconcile CLI)
+        parseEntryRow,
+        parseRechargeRow,
+        
         // Aggregation helpers
         getUniqueGameIds,
         getUniqueRechargerIds,
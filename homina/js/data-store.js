@@ -5,11 +5,15 @@
  * - Single fetch for all data, cached aggressively
  * - Quick counts without heavy processing
  * - On-demand validation/winner calculation for visible rows only
- * - localStorage persistence for instant subsequent loads
+ * - localStorage persistence for instant subsequent loads, kept per account and cleared on logout
+ * - WhatsApp numbers masked for roles without unmasked contact access (the admin API masks them
+ *   already; this covers sheet and file sources configured in data-sources.json)
+ * - Manual validity overrides (validity-overrides.js) applied on top of the sheet status
  * 
  * Architecture: Totals are fast, details are lazy-loaded
  * 
- * Dependencies: admin-core.js, data-fetcher.js, results-fetcher.js
+ * Dependencies: admin-core.js, data-fetcher.js, results-fetcher.js, draw-calendar.js, data-sources.js,
+ *               validity-overrides.js (optional)
  */
 
 window.DataStore = (function() {
@@ -22,6 +26,7 @@ window.DataStore = (function() {
     const STORAGE_VERSION = 6; // Bumped to fix caching bugs - always fetch fresh on load
     const STORAGE_TTL = 2 * 60 * 1000; // 2 minutes localStorage cache (reduced for fresher data)
     const MIN_RECHARGE_AMOUNT = 1.0;
+    const RETRY_DUPLICATE_WINDOW_MS = 60 * 1000; // Same ticket re-sent within a minute = client retry
 
     // ============================================
     // State
@@ -55,6 +60,16 @@ window.DataStore = (function() {
     // localStorage Persistence
     // ============================================
 
+    /**
+     * Account the stored data belongs to: the admin API masks contacts per role,
+     * so one account's copy must never be shown to another
+     * @returns {string} "username|role", or '' when signed out
+     */
+    function getStorageOwner() {
+        const session = AdminCore.getSession();
+        return session ? `${session.username}|${AdminCore.getRole()}` : '';
+    }
+
     /**
      * Save data to localStorage
      */
@@ -62,6 +77,7 @@ window.DataStore = (function() {
         try {
             const data = {
                 version: STORAGE_VERSION,
+                owner: getStorageOwner(),
                 timestamp: Date.now(),
                 entries: state.entries.slice(0, 1000), // Store only first 1000 for quick load
                 recharges: state.recharges.slice(0, 500),
@@ -131,6 +147,52 @@ window.DataStore = (function() {
         }
     }
 
+    /**
+     * Mask WhatsApp numbers unless the current role may see them, so every view and export
+     * built on the store gets the masked value
+     * @param {Object[]} entries - Entry objects
+     * @returns {Object[]} The same entries, or masked copies
+     */
+    function applyContactPolicy(entries) {
+        if (AdminCore.hasPermission('unmaskedContacts')) return entries;
+        return entries.map(entry => ({ ...entry, whatsapp: AdminCore.maskWhatsApp(entry.whatsapp) }));
+    }
+
+    /**
+     * Apply manual validity overrides (when loaded) on top of the sheet status
+     * @param {Object[]} entries - Entry objects, with or without earlier overrides
+     * @returns {Object[]} Entries with the current overrides
+     */
+    function applyValidityOverrides(entries) {
+        if (typeof ValidityOverrides === 'undefined') return entries;
+        return ValidityOverrides.apply(ValidityOverrides.strip(entries));
+    }
+
+    /**
+     * Read the validity overrides from the admin API. When it cannot be reached the overrides
+     * read last are kept (none on a fresh page), and the admin is told.
+     */
+    async function loadValidityOverrides() {
+        if (typeof ValidityOverrides === 'undefined') return;
+        try {
+            await ValidityOverrides.load();
+        } catch (error) {
+            console.warn('Could not load validity overrides:', error.message);
+            AdminCore.showToast('Validity overrides could not be loaded - statuses may not include them', 'warning');
+        }
+    }
+
+    /**
+     * Re-apply overrides after one was set or removed, and drop the validation and winner
+     * results computed from the old statuses
+     */
+    function refreshValidityOverrides() {
+        state.entries = applyValidityOverrides(state.entries);
+        state.validationCache.clear();
+        state.winnerCache = null;
+        DataFetcher.setCachedValidation(null);
+    }
+
     /**
      * Load data from localStorage
      * @returns {boolean} True if valid data was loaded
@@ -149,6 +211,13 @@ window.DataStore = (function() {
                 return false;
             }
             
+            // Saved by another account (or another role of this one)
+            if (!data.owner || data.owner !== getStorageOwner()) {
+                console.log('Storage cache belongs to another account, clearing');
+                clearStorage();
+                return false;
+            }
+
             // Check TTL
             if (Date.now() - data.timestamp > STORAGE_TTL) {
                 console.log('Storage cache expired, clearing');
@@ -165,7 +234,7 @@ window.DataStore = (function() {
 
             // Restore partial data for instant display
             // Reconstruct Date objects that were serialized to strings
-            state.entries = (data.entries || []).map(reconstructEntryDates);
+            state.entries = applyValidityOverrides(applyContactPolicy((data.entries || []).map(reconstructEntryDates)));
             state.recharges = (data.recharges || []).map(reconstructRechargeDates);
             state.results = data.results || [];
             state.counts = data.counts || state.counts;
@@ -288,9 +357,13 @@ window.DataStore = (function() {
             
             AdminCore.updateLoadingProgress(50, 'Fetching results...');
             const results = await ResultsFetcher.fetchResults(isFirstLoad || forceRefresh);
+            await ResultsFetcher.fetchDrawCalendar();
+
+            AdminCore.updateLoadingProgress(55, 'Fetching validity overrides...');
+            await loadValidityOverrides();
 
             AdminCore.updateLoadingProgress(60, 'Processing data...');
-            state.entries = entries;
+            state.entries = applyValidityOverrides(applyContactPolicy(entries));
             state.recharges = recharges;
             state.results = results;
             state.lastFetch = Date.now();
@@ -305,8 +378,10 @@ window.DataStore = (function() {
 
             AdminCore.updateLoadingProgress(65, 'Data ready...');
             
-            // Save to localStorage for next visit
-            saveToStorage();
+            // Save to localStorage for next visit (never a CSV imported for this session)
+            if (DataSources.getPageDatasets().length === 0) {
+                saveToStorage();
+            }
 
             AdminCore.emit('dataStoreReady', { fromCache: false, counts: state.counts });
 
@@ -377,9 +452,8 @@ window.DataStore = (function() {
             return { status: 'INVALID', reason: 'Invalid entry timestamp', isCutoff: false };
         }
 
-        // Check cutoff (20:00 BRT)
-        const entryHour = entryTime.getHours();
-        const isCutoff = entryHour >= 20;
+        // Check cutoff (draw hour in BRT)
+        const isCutoff = entryTime.getTime() >= DrawCalendar.getCutoff(entryTime).getTime();
 
         // Find a valid recharge
         for (const recharge of playerRecharges) {
@@ -735,6 +809,70 @@ window.DataStore = (function() {
             .slice(0, limit);
     }
 
+    // ============================================
+    // Duplicate Detection
+    // ============================================
+
+    /**
+     * Find tickets that look like retry duplicates: same platform, game ID, numbers and
+     * draw as an earlier ticket, registered seconds apart. Game IDs are per platform, so
+     * the same ID on POPN1 and POPLUZ is two different players. These come from a
+     * client retrying a request that had actually succeeded (before idempotency keys).
+     * @param {Object[]} entries - Entries to scan (defaults to all entries)
+     * @param {number} windowMs - Max gap between the original and the retry
+     * @returns {Map<Object, Object>} Duplicate entry → { original, secondsApart }
+     */
+    function findRetryDuplicates(entries = state.entries, windowMs = RETRY_DUPLICATE_WINDOW_MS) {
+        const groups = new Map();
+
+        entries.forEach(e => {
+            if (!e.gameId || !e.parsedDate || isNaN(e.parsedDate.getTime())) return;
+            const numbers = [...(e.numbers || [])].sort((a, b) => a - b).join('-');
+            const platform = (e.platform || 'POPN1').toUpperCase();
+            const key = `${platform}|${e.gameId}|${numbers}|${e.drawDate || e.contest}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(e);
+        });
+
+        const duplicates = new Map();
+        groups.forEach(group => {
+            if (group.length < 2) return;
+            group.sort((a, b) => a.parsedDate - b.parsedDate);
+
+            // Chain retries: each copy is compared with the previous one, but points to the first
+            let original = group[0];
+            for (let i = 1; i < group.length; i++) {
+                const gap = group[i].parsedDate - group[i - 1].parsedDate;
+                if (gap <= windowMs) {
+                    duplicates.set(group[i], {
+                        original,
+                        secondsApart: Math.round((group[i].parsedDate - original.parsedDate) / 1000)
+                    });
+                } else {
+                    original = group[i];
+                }
+            }
+        });
+
+        return duplicates;
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    // The next account to sign in starts from the network, never from this account's data
+    AdminCore.on('logout', () => {
+        state.entries = [];
+        state.recharges = [];
+        state.loaded = false;
+        state.lastFetch = 0;
+        state.validationCache.clear();
+        state.winnerCache = null;
+        DataFetcher.clearCache();
+        clearStorage();
+    });
+
     // ============================================
     // Public API
     // ============================================
@@ -767,7 +905,11 @@ window.DataStore = (function() {
         getUniqueContests,
         getUniqueDrawDates,
 
+        // Duplicate detection
+        findRetryDuplicates,
+
         // Validation (on-demand)
+        refreshValidityOverrides,
         validateEntry,
         validateBatch,
         getAccurateValidationCounts,
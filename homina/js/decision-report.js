@@ -0,0 +1,262 @@
+/**
+ * POP-SORTE Admin Dashboard - Decision Report Module
+ *
+ * This module handles:
+ * - Explaining why a ticket is valid or invalid (bound recharge, rejected recharges)
+ * - Explaining what the ticket won (matched numbers, tier, prize share, prize rule)
+ * - Rendering the explanation as a standalone printable page (print / save as PDF)
+ *
+ * The report is built from the same code that makes the decision
+ * (RechargeValidator.explainTicket, WinnerCalculator.calculateContestChain),
+ * so it can be handed to a player in a dispute as-is.
+ *
+ * Dependencies: admin-core.js (AdminCore), recharge-validator.js (RechargeValidator),
+ *               winner-calculator.js (WinnerCalculator), prize-rules.js (PrizeRules)
+ */
+
+// ============================================
+// Decision Report Module
+// ============================================
+window.DecisionReport = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Labels for the recharge verdicts recorded by RechargeValidator
+     */
+    const VERDICT_LABELS = {
+        'bound': '✅ Bound',
+        'rejected': '❌ Rejected',
+        'not-checked': '⏭️ Not checked'
+    };
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    function formatDateTime(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? AdminCore.formatBrazilDateTime(date) : '-';
+    }
+
+    function formatDay(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? AdminCore.getBrazilDateString(date) : '-';
+    }
+
+    function formatMoney(value) {
+        return `R$ ${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    function formatNumbers(numbers) {
+        return (numbers || []).map(n => String(n).padStart(2, '0')).join(' ');
+    }
+
+    // ============================================
+    // Report Building
+    // ============================================
+
+    /**
+     * Build the decision report for one ticket
+     * @param {Object} ticket - Ticket entry object
+     * @param {Object} data - { entries: all entries, recharges: all recharges, results: all results }
+     * @returns {Object} Report data
+     */
+    function build(ticket, data) {
+        const platform = (ticket.platform || 'POPN1').toUpperCase();
+        const explanation = RechargeValidator.explainTicket(ticket, data.entries, data.recharges);
+        const bound = explanation.trace.find(t => t.verdict === 'bound') || null;
+
+        // Recompute the platform's contest chain so the prize includes any carried jackpot
+        const platformEntries = data.entries.filter(e => (e.platform || 'POPN1').toUpperCase() === platform);
+        const contest = WinnerCalculator.calculateContestChain(platformEntries, data.results, platform)
+            .find(c => c.contest === ticket.contest) || null;
+
+        let prize = null;
+        if (contest) {
+            const rule = WinnerCalculator.getPrizeRule(platform, contest.drawDate);
+            const match = contest.hasResult
+                ? WinnerCalculator.countMatches(ticket.numbers || [], contest.winningNumbers)
+                : { count: 0, matchedNumbers: [] };
+            const winner = contest.winners.find(w => w.ticketNumber === ticket.ticketNumber);
+
+            prize = {
+                hasResult: contest.hasResult,
+                drawDate: contest.drawDate,
+                winningNumbers: contest.winningNumbers,
+                matches: match.count,
+                matchedNumbers: match.matchedNumbers,
+                countsForPrize: WinnerCalculator.isValidEntry(ticket),
+                tierWinners: contest.winners.filter(w => w.matches === match.count).length,
+                amount: winner ? winner.prize : 0,
+                ruleId: contest.rule,
+                ruleText: PrizeRules.describe(rule),
+                minMatches: rule.minMatches,
+                winningTier: contest.winningTier,
+                prizePool: contest.prizePool,
+                carryIn: contest.carryIn,
+                carryOut: contest.carryOut
+            };
+        }
+
+        return {
+            ticket,
+            platform,
+            compositeKey: explanation.compositeKey,
+            validation: explanation.validation,
+            bound,
+            trace: explanation.trace,
+            prize,
+            generatedAt: new Date(),
+            generatedBy: AdminCore.getSession()?.username || '-'
+        };
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render a report as a standalone printable HTML page
+     * @param {Object} report - Report from build()
+     * @returns {string} Full HTML document
+     */
+    function renderHtml(report) {
+        const { ticket, validation, bound, prize } = report;
+        const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+        const boundHtml = bound
+            ? `<table>
+                ${row('Order number', bound.recharge.rechargeId || '-')}
+                ${row('Amount', formatMoney(bound.recharge.amount))}
+                ${row('Recharge time', formatDateTime(bound.recharge.rechargeTime))}
+                ${row('Eligible draw 1', formatDay(bound.window?.eligible1))}
+                ${row('Eligible draw 2', formatDay(bound.window?.eligible2))}
+                ${row('Window expires', formatDateTime(bound.window?.expiresAt))}
+                ${row('Decision', bound.reason)}
+            </table>`
+            : '<p class="muted">No recharge could be bound to this ticket.</p>';
+
+        const traceRows = report.trace.map(t => `<tr class="${t.verdict}">
+                <td>${escapeHtml(t.recharge.rechargeId || '-')}</td>
+                <td>${escapeHtml(formatDateTime(t.recharge.rechargeTime))}</td>
+                <td>${escapeHtml(formatMoney(t.recharge.amount))}</td>
+                <td>${escapeHtml(t.window ? `${formatDay(t.window.eligible1)} / ${formatDay(t.window.eligible2)}` : '-')}</td>
+                <td>${escapeHtml(VERDICT_LABELS[t.verdict] || t.verdict)}</td>
+                <td>${escapeHtml(t.reason)}</td>
+            </tr>`).join('');
+        const traceHtml = report.trace.length > 0
+            ? `<table class="grid">
+                <thead><tr><th>Order number</th><th>Recharge time</th><th>Amount</th><th>Eligible draws</th><th>Verdict</th><th>Reason</th></tr></thead>
+                <tbody>${traceRows}</tbody>
+            </table>`
+            : `<p class="muted">No ${escapeHtml(report.platform)} recharge was checked for Game ID ${escapeHtml(ticket.gameId || '-')}.</p>`;
+
+        let prizeHtml = '<p class="muted">Contest not found in the loaded data.</p>';
+        if (prize && !prize.hasResult) {
+            prizeHtml = '<p class="muted">No result has been published for this contest yet.</p>';
+        } else if (prize) {
+            const tierText = prize.matches >= prize.minMatches
+                ? `${prize.matches} matches (${prize.tierWinners} valid ticket${prize.tierWinners === 1 ? '' : 's'} in this tier)`
+                : `${prize.matches} matches (below the ${prize.minMatches}-match minimum)`;
+            prizeHtml = `<table>
+                ${row('Draw date', prize.drawDate || '-')}
+                ${row('Winning numbers', formatNumbers(prize.winningNumbers))}
+                ${row('Ticket numbers', formatNumbers(ticket.numbers))}
+                ${row('Matched numbers', formatNumbers(prize.matchedNumbers) || '-')}
+                ${row('Tier', tierText)}
+                ${row('Counts for prizes', prize.countsForPrize ? 'Yes' : 'No - ticket is marked invalid')}
+                ${row('Prize rule', `${prize.ruleId}: ${prize.ruleText}`)}
+                ${row('Contest prize pool', formatMoney(prize.prizePool))}
+                ${prize.carryIn > 0 ? row('Jackpot carried in', formatMoney(prize.carryIn)) : ''}
+                ${prize.carryOut > 0 ? row('Jackpot carried out', formatMoney(prize.carryOut)) : ''}
+                ${row('Prize share for this ticket', formatMoney(prize.amount))}
+            </table>`;
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Decision Report - ${escapeHtml(report.platform)} Ticket #${escapeHtml(ticket.ticketNumber)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, sans-serif; color: #0f172a; max-width: 900px; margin: 24px auto; padding: 0 16px; font-size: 13px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 15px; margin: 22px 0 8px; border-bottom: 2px solid #e2e8f0; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    table:not(.grid) th { width: 220px; color: #475569; font-weight: 600; }
+    .grid thead th { background: #f1f5f9; }
+    .grid tr.bound td { background: #ecfdf5; }
+    .grid tr.not-checked td { color: #64748b; }
+    .muted { color: #64748b; }
+    .status { display: inline-block; padding: 4px 10px; border-radius: 6px; font-weight: 700; }
+    .status.valid { background: #d1fae5; color: #065f46; }
+    .status.invalid { background: #fee2e2; color: #991b1b; }
+    .status.unknown { background: #fef3c7; color: #92400e; }
+    .toolbar { margin: 12px 0; }
+    .toolbar button { padding: 8px 16px; font-weight: 700; cursor: pointer; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">🖨️ Print / Save as PDF</button></div>
+<h1>Ticket Decision Report</h1>
+<p class="muted">Generated ${escapeHtml(formatDateTime(report.generatedAt))} by ${escapeHtml(report.generatedBy)}</p>
+
+<h2>Ticket</h2>
+<table>
+    ${row('Platform', report.platform)}
+    ${row('Ticket number', ticket.ticketNumber)}
+    ${ticket.verificationCode ? row('Verification code', ticket.verificationCode) : ''}
+    ${row('Game ID', ticket.gameId || '-')}
+    ${row('Contest', ticket.contest || '-')}
+    ${row('Draw date', ticket.drawDate || '-')}
+    ${row('Registered', formatDateTime(ticket.parsedDate))}
+    ${row('Status in source data', ticket.status || '-')}
+</table>
+
+<h2>Validation</h2>
+<p><span class="status ${escapeHtml(String(validation.status).toLowerCase())}">${escapeHtml(validation.status)}</span> ${escapeHtml(validation.reason)}</p>
+
+<h2>Bound Recharge</h2>
+${boundHtml}
+
+<h2>Recharges Checked (${escapeHtml(report.compositeKey)})</h2>
+${traceHtml}
+
+<h2>Result &amp; Prize</h2>
+${prizeHtml}
+</body>
+</html>`;
+    }
+
+    /**
+     * Open a report in a new window ready to print
+     * @param {Object} report - Report from build()
+     * @returns {boolean} False if the browser blocked the window
+     */
+    function open(report) {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) return false;
+
+        reportWindow.document.open();
+        reportWindow.document.write(renderHtml(report));
+        reportWindow.document.close();
+        return true;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        build,
+        renderHtml,
+        open
+    };
+})();
@@ -0,0 +1,239 @@
+/**
+ * POP-SORTE Admin Dashboard - Legacy Validator Module
+ *
+ * This module handles:
+ * - Re-running the validation rules of the retired admin/ dashboard ("Rule B") on homina data
+ * - Listing every ticket where those rules and RechargeValidator disagree
+ *
+ * Transitional: admin/ now redirects to this dashboard. The diff report shows operators which
+ * answers changed with the move; remove this module once the report stays empty or the
+ * differences have been reviewed.
+ *
+ * Legacy rules, as implemented in the former admin/recharge-validator.js:
+ * - A ticket belongs to the first draw day whose cutoff is at or after its registration time
+ *   (the DATA SORTEIO column is ignored)
+ * - A recharge covers its own day (or the next draw day) and the draw day after that, even
+ *   when it was made after that day's cutoff
+ * - Tickets consume recharges oldest first, one recharge per ticket
+ * - The sheet STATUS column is ignored
+ * The legacy app computed days in the browser's local time; here they are computed in BRT,
+ * which is what it produced for operators in Brazil.
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar), recharge-validator.js (RechargeValidator)
+ */
+
+// ============================================
+// Legacy Validator Module
+// ============================================
+window.LegacyValidator = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Legacy reason codes and their descriptions
+     */
+    const REASON_TEXTS = {
+        'NO_RECHARGE_DATA': 'No recharge data uploaded',
+        'NO_ELIGIBLE_RECHARGE': 'No recharge window covers this ticket',
+        'INVALID_TICKET_BEFORE_RECHARGE': 'Ticket time is before or equal to recharge time',
+        'INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE': 'Recharge already consumed by a previous ticket',
+        'INVALID_RECHARGE_WINDOW_EXPIRED': 'Recharge expired after its second eligible draw day',
+        'INVALID_TICKET_TIME': 'Ticket registration time could not be parsed'
+    };
+
+    /**
+     * Safety horizon when searching for draw days
+     */
+    const MAX_DAYS_AHEAD = 60;
+
+    // ============================================
+    // Draw Day Helpers
+    // ============================================
+
+    /**
+     * First draw day on or after a day
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function nextDrawDayFrom(dateKey) {
+        let key = dateKey;
+        for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+            if (!DrawCalendar.isNoDrawDay(key)) return key;
+            key = DrawCalendar.addDays(key, 1);
+        }
+        return null;
+    }
+
+    /**
+     * Draw day of a ticket: first draw day whose cutoff is at or after the ticket time
+     * @param {Date} ticketTime - Registration time
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function ticketDrawDay(ticketTime) {
+        let key = DrawCalendar.toDateKey(ticketTime);
+        for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+            if (!DrawCalendar.isNoDrawDay(key) && DrawCalendar.getCutoff(key).getTime() >= ticketTime.getTime()) {
+                return key;
+            }
+            key = DrawCalendar.addDays(key, 1);
+        }
+        return null;
+    }
+
+    /**
+     * Eligible draw days of a recharge: its own day (or the next draw day) and the draw day after
+     * @param {Date} rechargeTime - Recharge time
+     * @returns {Object|null} { eligible1, eligible2 } as YYYY-MM-DD
+     */
+    function eligibleDraws(rechargeTime) {
+        const eligible1 = nextDrawDayFrom(DrawCalendar.toDateKey(rechargeTime));
+        if (!eligible1) return null;
+        const eligible2 = nextDrawDayFrom(DrawCalendar.addDays(eligible1, 1));
+        return eligible2 ? { eligible1, eligible2 } : null;
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Validate tickets with the legacy admin rules
+     * @param {Object[]} entries - Entry objects
+     * @param {Object[]} recharges - Recharge objects (tagged with platform)
+     * @returns {Map} ticket object -> { validity, reasonCode, reason, recharge, usedEligible2 }
+     */
+    function validateEntries(entries, recharges) {
+        const results = new Map();
+        const result = (validity, reasonCode, recharge = null, usedEligible2 = false) => ({
+            validity,
+            reasonCode,
+            reason: reasonCode ? REASON_TEXTS[reasonCode] : 'Bound recharge',
+            recharge,
+            usedEligible2
+        });
+
+        if (recharges.length === 0) {
+            entries.forEach(entry => results.set(entry, result('UNKNOWN', 'NO_RECHARGE_DATA')));
+            return results;
+        }
+
+        const { rechargesByKey, ticketsByKey } = RechargeValidator.groupByCompositeKey(entries, recharges);
+
+        Object.keys(ticketsByKey).forEach(key => {
+            const userRecharges = (rechargesByKey[key] || [])
+                .filter(r => r.rechargeTime instanceof Date && !isNaN(r.rechargeTime.getTime()))
+                .map(r => ({ recharge: r, windows: eligibleDraws(r.rechargeTime) }));
+            const consumed = new Set();
+
+            ticketsByKey[key].forEach(ticket => {
+                const t = ticket.parsedDate;
+                if (!(t instanceof Date) || isNaN(t.getTime())) {
+                    results.set(ticket, result('INVALID', 'INVALID_TICKET_TIME'));
+                    return;
+                }
+
+                const drawDay = ticketDrawDay(t);
+                if (!drawDay) {
+                    results.set(ticket, result('INVALID', 'NO_ELIGIBLE_RECHARGE'));
+                    return;
+                }
+
+                let expiredCandidate = false;
+                let consumedCandidate = false;
+
+                for (const { recharge, windows } of userRecharges) {
+                    if (!windows || t.getTime() <= recharge.rechargeTime.getTime()) continue;
+
+                    const isEligible1 = drawDay === windows.eligible1;
+                    const isEligible2 = drawDay === windows.eligible2;
+                    if (!isEligible1 && !isEligible2) {
+                        if (drawDay > windows.eligible2) expiredCandidate = true;
+                        continue;
+                    }
+
+                    if (consumed.has(recharge.rechargeId)) {
+                        consumedCandidate = true;
+                        continue;
+                    }
+
+                    consumed.add(recharge.rechargeId);
+                    results.set(ticket, result('VALID', null, recharge, isEligible2));
+                    return;
+                }
+
+                const hasRechargeBefore = userRecharges.some(({ recharge }) => t.getTime() > recharge.rechargeTime.getTime());
+                let reasonCode = 'NO_ELIGIBLE_RECHARGE';
+                if (!hasRechargeBefore) {
+                    reasonCode = 'INVALID_TICKET_BEFORE_RECHARGE';
+                } else if (expiredCandidate) {
+                    reasonCode = 'INVALID_RECHARGE_WINDOW_EXPIRED';
+                } else if (consumedCandidate) {
+                    reasonCode = 'INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE';
+                }
+                results.set(ticket, result('INVALID', reasonCode));
+            });
+        });
+
+        // Tickets without a Game ID never reach a composite key
+        entries.forEach(entry => {
+            if (!results.has(entry)) results.set(entry, result('INVALID', 'NO_ELIGIBLE_RECHARGE'));
+        });
+
+        return results;
+    }
+
+    // ============================================
+    // Diff Report
+    // ============================================
+
+    /**
+     * Compare RechargeValidator results with the legacy rules
+     * @param {Object} validationResults - RechargeValidator.validateAllTickets result
+     * @param {Object[]} recharges - All recharge objects (tagged with platform)
+     * @returns {Object[]} [{ ticket, difference: 'STATUS'|'RECHARGE', current, legacy }]
+     */
+    function compare(validationResults, recharges) {
+        const entries = validationResults.results.map(v => v.ticket);
+        const legacyResults = validateEntries(entries, recharges);
+        const differences = [];
+
+        validationResults.results.forEach(v => {
+            const legacy = legacyResults.get(v.ticket);
+            const currentValid = v.status === 'VALID';
+            const legacyValid = legacy.validity === 'VALID';
+            const currentRechargeId = v.matchedRecharge?.rechargeId || '';
+            const legacyRechargeId = legacy.recharge?.rechargeId || '';
+
+            let difference = null;
+            if (currentValid !== legacyValid) {
+                difference = 'STATUS';
+            } else if (currentValid && currentRechargeId && currentRechargeId !== legacyRechargeId) {
+                // Both valid, but bound to different recharges (a pre-validated ticket binds none)
+                difference = 'RECHARGE';
+            }
+
+            if (difference) {
+                differences.push({
+                    ticket: v.ticket,
+                    difference,
+                    current: { status: v.status, reason: v.reason, rechargeId: currentRechargeId },
+                    legacy: { status: legacy.validity, reasonCode: legacy.reasonCode, reason: legacy.reason, rechargeId: legacyRechargeId }
+                });
+            }
+        });
+
+        return differences;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        validateEntries,
+        compare,
+        REASON_TEXTS
+    };
+})();
@@ -641,7 +641,7 @@ window.EntriesPage = (function() {
                 entry.timestamp,
                 entry.platform,
                 entry.gameId,
-                entry.whatsapp,
+                AdminCore.formatContact(entry.whatsapp),
                 entry.numbers.join(', '),
                 entry.drawDate,
                 entry.contest,
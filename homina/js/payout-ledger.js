@@ -0,0 +1,450 @@
+/**
+ * POP-SORTE Admin Dashboard - Payout Ledger Module
+ *
+ * This module handles:
+ * - Recording what each winning ticket is owed (from WinnerCalculator)
+ * - Tracking paid amount, paid-at, paying operator and payment reference
+ * - Outstanding / paid / disputed status per prize
+ * - CSV export and import, for spreadsheets and for ledgers kept before the admin API
+ * - Only roles with payout access (AdminCore "markPayouts") may read or change the ledger
+ *
+ * Ledger entries are keyed by contest + platform + ticket (its ticket ID, or Game ID,
+ * registration time and ticket number for rows without one) and kept by the admin API
+ * (<adminApi>/payouts), so every finance account works on the same ledger. The API checks the
+ * role of the session token, stamps who paid and when, refuses a change to an entry that was
+ * changed since it was read (409, with the current entry) and writes the audit entries itself.
+ * The browser only holds the copy last read from the API. Entries are never deleted when a
+ * ticket stops being a winner (result corrected, ticket invalidated) - the amount owed drops
+ * to 0 and the entry is flagged, so any payment already made stays on record.
+ *
+ * Dependencies: admin-core.js (AdminCore), auth.js (AdminAuth),
+ *               winner-calculator.js (WinnerCalculator results)
+ */
+
+// ============================================
+// Payout Ledger Module
+// ============================================
+window.PayoutLedger = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Where the ledger was kept before the admin API; moved to the API on the next load
+     */
+    const LEGACY_STORAGE_KEY = 'popsorte_payout_ledger';
+
+    /**
+     * Payout statuses
+     */
+    const STATUS = {
+        OUTSTANDING: 'outstanding',
+        PAID: 'paid',
+        DISPUTED: 'disputed'
+    };
+
+    const CSV_HEADERS = [
+        'Key', 'Contest', 'Platform', 'Ticket #', 'Game ID', 'WhatsApp', 'Draw Date', 'Matches',
+        'Amount Owed', 'Paid Amount', 'Paid At', 'Paid By', 'Payment Reference',
+        'Status', 'Note', 'No Longer Winner', 'Updated At'
+    ];
+
+    // ============================================
+    // State
+    // ============================================
+    let ledger = new Map(); // key → ledger entry, as last read from the API
+
+    // ============================================
+    // API
+    // ============================================
+
+    /**
+     * Call the /payouts endpoints of the admin API. A 409 answer carries the entry as it is now,
+     * which replaces the stale copy before the error is thrown.
+     * @param {string} action - '' (read the ledger) | 'sync' | 'paid' | 'dispute' | 'resolve' | 'import'
+     * @param {Object} body - JSON body (POST), or null for GET
+     * @returns {Promise<Object>} Response body
+     */
+    async function payoutsRequest(action, body = null) {
+        const response = await AdminAuth.apiRequest(action ? `/payouts/${action}` : '/payouts', body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        } : {});
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status === 409 && data.entry) store([data.entry]);
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Keep entries returned by the API
+     * @param {Object[]} entries - Ledger entries
+     */
+    function store(entries) {
+        (entries || []).forEach(entry => {
+            if (entry && entry.key) ledger.set(entry.key, entry);
+        });
+    }
+
+    /**
+     * Read the ledger from the admin API. A ledger this browser kept before the API is imported
+     * first (most recently updated entry wins, as for a CSV import), then removed.
+     * @returns {Promise<number>} Ledger entries
+     */
+    async function load() {
+        requirePayoutAccess('see payouts');
+        await migrateLocalLedger();
+
+        const { entries } = await payoutsRequest('');
+        ledger = new Map();
+        store(entries);
+        return ledger.size;
+    }
+
+    /**
+     * Move a ledger kept in localStorage by an earlier version to the admin API
+     */
+    async function migrateLocalLedger() {
+        let entries;
+        try {
+            entries = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+        } catch (e) {
+            console.warn('Could not read the old payout ledger:', e);
+            return;
+        }
+        if (!Array.isArray(entries)) return;
+
+        if (entries.length > 0) {
+            const { imported } = await payoutsRequest('import', { entries });
+            console.log(`💸 ${imported} payouts moved from this browser to the admin API`);
+        }
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Build the ledger key for a winning ticket.
+     * The ticket number ("1º bilhete") only counts a player's tickets, so rows without a
+     * ticket ID are told apart by Game ID and registration time.
+     * @param {string} contest - Contest number
+     * @param {string} platform - Platform code
+     * @param {Object} ticket - Entry { ticketId, gameId, timestamp, ticketNumber }
+     * @returns {string} Ledger key
+     */
+    function buildKey(contest, platform, ticket) {
+        const ticketRef = ticket.ticketId || `${ticket.gameId}@${ticket.timestamp || ''}#${ticket.ticketNumber || ''}`;
+        return `${contest}|${(platform || 'POPN1').toUpperCase()}|${ticketRef}`;
+    }
+
+    /**
+     * Round a currency amount to cents
+     * @param {number} value - Amount
+     * @returns {number} Rounded amount
+     */
+    function roundAmount(value) {
+        return Math.round((Number(value) || 0) * 100) / 100;
+    }
+
+    /**
+     * Throw unless the operator's role may change the ledger
+     * @param {string} action - What was attempted, for the message
+     */
+    function requirePayoutAccess(action) {
+        AdminCore.requirePermission('markPayouts', action);
+    }
+
+    /**
+     * Ledger entry as last read, with the version the API expects back
+     * @param {string} key - Ledger key
+     * @returns {Object} { key, version }
+     */
+    function getVersion(key) {
+        const entry = ledger.get(key);
+        if (!entry) throw new Error('Ledger entry not found');
+        return { key, version: entry.version || 0 };
+    }
+
+    /**
+     * Amount still to be paid for an entry
+     * @param {Object} entry - Ledger entry
+     * @returns {number} Balance (never negative)
+     */
+    function getBalance(entry) {
+        return Math.max(0, roundAmount(entry.amountOwed - entry.paidAmount));
+    }
+
+    // ============================================
+    // Sync From Winners
+    // ============================================
+
+    /**
+     * Record the prizes of a WinnerCalculator.calculateAllWinners result in the ledger.
+     * Every winner with a prize under its contest's prize rule is owed that prize; the API adds
+     * new winners, updates changed prizes and flags tickets of these contests that no longer win.
+     * @param {Object} calculation - Result of calculateAllWinners for a single platform
+     * @param {string} platform - Platform the calculation was made for (POPN1, POPLUZ)
+     * @returns {Promise<Object>} Counts { added, updated }
+     */
+    async function syncFromWinners(calculation, platform) {
+        requirePayoutAccess('update payouts');
+        const contests = (calculation?.contestResults || []).filter(contest => contest.hasResult);
+        const winners = contests.flatMap(contest => contest.winners
+            .filter(w => w.prize > 0)
+            .map(winner => {
+                const entryPlatform = (winner.platform || platform || 'POPN1').toUpperCase();
+                return {
+                    key: buildKey(contest.contest, entryPlatform, winner),
+                    contest: contest.contest,
+                    ticketNumber: winner.ticketNumber || '',
+                    gameId: winner.gameId,
+                    whatsapp: winner.whatsapp || '',
+                    drawDate: contest.drawDate,
+                    matches: winner.matches,
+                    amountOwed: roundAmount(winner.prize)
+                };
+            }));
+
+        // Contests the calculation knows about, so a partial load can't wipe older prizes
+        const { added, updated, entries } = await payoutsRequest('sync', {
+            platform,
+            contests: contests.map(contest => contest.contest),
+            winners
+        });
+        store(entries);
+        return { added, updated };
+    }
+
+    // ============================================
+    // Payments
+    // ============================================
+
+    /**
+     * Record a payment against a ledger entry
+     * @param {string} key - Ledger key
+     * @param {Object} payment - { amount, reference }
+     * @returns {Promise<Object>} Updated ledger entry
+     */
+    async function markPaid(key, payment) {
+        requirePayoutAccess('record payments');
+        const amount = roundAmount(payment.amount);
+        if (!(amount > 0)) throw new Error('Paid amount must be greater than zero');
+
+        const reference = String(payment.reference || '').trim();
+        if (!reference) throw new Error('Payment reference is required');
+
+        const { entry } = await payoutsRequest('paid', { ...getVersion(key), amount, reference });
+        store([entry]);
+        return entry;
+    }
+
+    /**
+     * Flag a ledger entry as disputed
+     * @param {string} key - Ledger key
+     * @param {string} note - Reason for the dispute
+     * @returns {Promise<Object>} Updated ledger entry
+     */
+    async function markDisputed(key, note) {
+        requirePayoutAccess('dispute prizes');
+        const reason = String(note || '').trim();
+        if (!reason) throw new Error('A note is required to dispute a prize');
+
+        const { entry } = await payoutsRequest('dispute', { ...getVersion(key), note: reason });
+        store([entry]);
+        return entry;
+    }
+
+    /**
+     * Clear a dispute and return the entry to its payment-based status
+     * @param {string} key - Ledger key
+     * @returns {Promise<Object>} Updated ledger entry
+     */
+    async function resolveDispute(key) {
+        requirePayoutAccess('resolve disputes');
+        const { entry } = await payoutsRequest('resolve', getVersion(key));
+        store([entry]);
+        return entry;
+    }
+
+    // ============================================
+    // Queries
+    // ============================================
+
+    /**
+     * List ledger entries, newest contest first
+     * @param {Object} filters - { status: 'all'|'outstanding'|'paid'|'disputed', platform, contest, search }
+     * @returns {Object[]} Ledger entries
+     */
+    function list(filters = {}) {
+        let result = Array.from(ledger.values());
+
+        if (filters.platform && filters.platform !== 'ALL') {
+            result = result.filter(e => e.platform === filters.platform);
+        }
+        if (filters.status && filters.status !== 'all') {
+            result = result.filter(e => e.status === filters.status);
+        }
+        if (filters.contest) {
+            result = result.filter(e => e.contest === filters.contest);
+        }
+        if (filters.search) {
+            const term = filters.search.trim().toLowerCase();
+            result = result.filter(e =>
+                e.gameId.toLowerCase().includes(term) ||
+                e.ticketNumber.toLowerCase().includes(term) ||
+                e.paymentReference.toLowerCase().includes(term)
+            );
+        }
+
+        return result.sort((a, b) => {
+            const diff = (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0);
+            return diff !== 0 ? diff : String(a.ticketNumber).localeCompare(String(b.ticketNumber), undefined, { numeric: true });
+        });
+    }
+
+    /**
+     * Get a single ledger entry
+     * @param {string} key - Ledger key
+     * @returns {Object|null} Ledger entry
+     */
+    function getEntry(key) {
+        return ledger.get(key) || null;
+    }
+
+    /**
+     * Totals for a set of ledger entries
+     * @param {Object[]} entries - Ledger entries (defaults to the whole ledger)
+     * @returns {Object} { owed, paid, outstanding, outstandingCount, paidCount, disputedCount }
+     */
+    function getSummary(entries) {
+        const items = entries || Array.from(ledger.values());
+        const summary = { owed: 0, paid: 0, outstanding: 0, outstandingCount: 0, paidCount: 0, disputedCount: 0 };
+
+        items.forEach(entry => {
+            summary.owed += entry.amountOwed;
+            summary.paid += entry.paidAmount;
+            if (entry.status === STATUS.OUTSTANDING) {
+                summary.outstanding += getBalance(entry);
+                summary.outstandingCount++;
+            } else if (entry.status === STATUS.PAID) {
+                summary.paidCount++;
+            } else if (entry.status === STATUS.DISPUTED) {
+                summary.disputedCount++;
+            }
+        });
+
+        summary.owed = roundAmount(summary.owed);
+        summary.paid = roundAmount(summary.paid);
+        summary.outstanding = roundAmount(summary.outstanding);
+        return summary;
+    }
+
+    // ============================================
+    // CSV Export / Import
+    // ============================================
+
+    /**
+     * Build a CSV of ledger entries
+     * @param {Object[]} entries - Ledger entries
+     * @returns {string} CSV text
+     */
+    function toCSV(entries) {
+        const rows = entries.map(e => [
+            e.key, e.contest, e.platform, e.ticketNumber, e.gameId,
+            typeof AdminCore === 'undefined' ? e.whatsapp : AdminCore.formatContact(e.whatsapp), e.drawDate, e.matches,
+            e.amountOwed.toFixed(2), e.paidAmount.toFixed(2), e.paidAt, e.paidBy, e.paymentReference,
+            e.status, e.note, e.noLongerWinner ? 'yes' : '', e.updatedAt
+        ].map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','));
+
+        return [CSV_HEADERS.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Merge a ledger CSV (as produced by toCSV) into the ledger.
+     * For entries present on both sides the most recently updated one wins.
+     * @param {string} csvText - CSV content
+     * @returns {Promise<Object>} Counts { imported, skipped }
+     */
+    async function importCSV(csvText) {
+        requirePayoutAccess('import payouts');
+        const lines = csvText.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) throw new Error('Empty file');
+
+        const delimiter = AdminCore.detectDelimiter(lines[0]);
+        const header = AdminCore.parseCSVLine(lines[0], delimiter);
+        if (header[0] !== CSV_HEADERS[0] || header.length < CSV_HEADERS.length) {
+            throw new Error('Not a payout ledger export');
+        }
+
+        const entries = lines.slice(1).map(line => {
+            const c = AdminCore.parseCSVLine(line, delimiter);
+            const status = Object.values(STATUS).includes(c[13]) ? c[13] : STATUS.OUTSTANDING;
+            return {
+                key: c[0],
+                contest: c[1],
+                platform: c[2],
+                ticketNumber: c[3],
+                gameId: c[4],
+                whatsapp: c[5],
+                drawDate: c[6],
+                matches: parseInt(c[7], 10) || 0,
+                amountOwed: roundAmount(c[8]),
+                paidAmount: roundAmount(c[9]),
+                paidAt: c[10],
+                paidBy: c[11],
+                paymentReference: c[12],
+                status,
+                note: c[14],
+                noLongerWinner: c[15] === 'yes',
+                updatedAt: c[16]
+            };
+        });
+
+        const { imported, skipped, entries: saved } = await payoutsRequest('import', { entries });
+        store(saved);
+        return { imported, skipped };
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    // The ledger is read per session
+    AdminCore.on('logout', () => { ledger = new Map(); });
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Constants
+        STATUS,
+
+        // API
+        load,
+
+        // Ledger
+        buildKey,
+        syncFromWinners,
+        markPaid,
+        markDisputed,
+        resolveDispute,
+
+        // Queries
+        list,
+        getEntry,
+        getBalance,
+        getSummary,
+
+        // CSV
+        toCSV,
+        importCSV
+    };
+})();
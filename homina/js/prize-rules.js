@@ -0,0 +1,242 @@
+/**
+ * POP-SORTE Admin Dashboard - Prize Rules Module
+ *
+ * This module handles:
+ * - The declarative prize rules (pool, tiers, minimum matches) per platform and date range
+ * - Picking the rule that applied to a contest on its draw date
+ * - Evaluating a rule against a contest's winner counts (prize per tier, jackpot carry)
+ *
+ * Past contests are always computed under the rule that was effective on their draw date,
+ * so adding a promotion never changes the prizes of contests already drawn.
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar) (also loaded by the public bilhete page)
+ */
+
+// ============================================
+// Prize Rules Module
+// ============================================
+window.PrizeRules = (function() {
+    'use strict';
+
+    // ============================================
+    // Rules
+    // ============================================
+
+    /**
+     * Prize rules. The LAST rule matching a contest's platform and draw date applies,
+     * so promotions are appended after the base rule.
+     *
+     * Fields:
+     * - id          Unique rule name (shown in reports)
+     * - platforms   Platform codes covered (POPN1, POPLUZ); omit for every platform
+     * - from / to   First / last draw date covered (YYYY-MM-DD, inclusive); omit for open-ended
+     * - minMatches  Fewest matches that can win
+     * - type        'split-highest'  - `pool` is shared by the valid tickets of the highest tier that has any
+     *               'fixed-per-tier' - every valid ticket in a tier wins `tierPrizes[tier]`
+     * - rollover    Jackpot accumulation, carried into the platform's next drawn contest:
+     *               split-highest:  true     - the whole pool carries over when no tier has a valid winner
+     *               fixed-per-tier: { tier } - that tier's prize is a jackpot shared by its winners,
+     *                                          carried over while nobody hits it
+     *               A carry reaching a contest whose rule has no rollover is not paid out.
+     *
+     * Example promotion:
+     *   { id: 'luz-nov-2026', platforms: ['POPLUZ'], from: '2026-11-01', to: '2026-11-30',
+     *     minMatches: 3, type: 'fixed-per-tier', tierPrizes: { 5: 2000, 4: 100, 3: 10 }, rollover: { tier: 5 } }
+     */
+    const PRIZE_RULES = [
+        {
+            id: 'base',
+            minMatches: 3,
+            type: 'split-highest',
+            pool: 1000
+        }
+    ];
+
+    /**
+     * Rule used when nothing in PRIZE_RULES matches (R$1000 to the highest tier)
+     */
+    const FALLBACK_RULE = PRIZE_RULES[0];
+
+    const RULE_TYPES = ['split-highest', 'fixed-per-tier'];
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Check a rule definition
+     * @param {Object} rule - Rule definition
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validateRule(rule) {
+        const errors = [];
+        const isDateKey = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+        if (!rule.id) errors.push('missing id');
+        if (!RULE_TYPES.includes(rule.type)) errors.push(`unknown type "${rule.type}"`);
+        if (!(rule.minMatches >= 1 && rule.minMatches <= 5)) errors.push('minMatches must be 1-5');
+        if (rule.from && !isDateKey(rule.from)) errors.push('from must be YYYY-MM-DD');
+        if (rule.to && !isDateKey(rule.to)) errors.push('to must be YYYY-MM-DD');
+        if (rule.from && rule.to && rule.from > rule.to) errors.push('from is after to');
+
+        if (rule.type === 'split-highest' && !(rule.pool > 0)) {
+            errors.push('split-highest needs a positive pool');
+        }
+        if (rule.type === 'fixed-per-tier') {
+            const tiers = Object.keys(rule.tierPrizes || {});
+            if (tiers.length === 0) errors.push('fixed-per-tier needs tierPrizes');
+            tiers.forEach(tier => {
+                if (tier < rule.minMatches) errors.push(`tier ${tier} is below minMatches`);
+                if (!(rule.tierPrizes[tier] >= 0)) errors.push(`tier ${tier} prize must be a number`);
+            });
+        }
+        if (rule.rollover) {
+            if (rule.type === 'split-highest' && rule.rollover !== true) {
+                errors.push('split-highest rollover must be true');
+            }
+            if (rule.type === 'fixed-per-tier' && !(rule.rollover.tier in (rule.tierPrizes || {}))) {
+                errors.push('rollover tier has no prize');
+            }
+        }
+
+        return errors;
+    }
+
+    // Drop (and report) broken rules once, so evaluation never runs on a bad definition
+    const activeRules = PRIZE_RULES.filter(rule => {
+        const errors = validateRule(rule);
+        if (errors.length > 0) {
+            console.error(`Prize rule "${rule.id}" ignored: ${errors.join(', ')}`);
+            return false;
+        }
+        return true;
+    });
+
+    // ============================================
+    // Rule Lookup
+    // ============================================
+
+    /**
+     * Normalize a draw date to YYYY-MM-DD. Dates are read on the BRT calendar, like the
+     * draw schedule, so "now" after 21:00 BRT is still today's rule.
+     * @param {string|Date} value - DD/MM/YYYY, YYYY-MM-DD, sheet date or Date
+     * @returns {string} Date key or empty string if unknown
+     */
+    function toDateKey(value) {
+        return DrawCalendar.toDateKey(value instanceof Date ? value : String(value || '')) || '';
+    }
+
+    /**
+     * Get the rule that applies to a platform on a draw date.
+     * Without a known date only rules with no date range can match.
+     * @param {string} platform - Platform code (POPN1, POPLUZ; ALL/DEFAULT match platform-less rules only)
+     * @param {string|Date} drawDate - Draw date
+     * @returns {Object} Rule definition
+     */
+    function getRule(platform, drawDate) {
+        const code = String(platform || '').toUpperCase();
+        const dateKey = toDateKey(drawDate);
+
+        for (let i = activeRules.length - 1; i >= 0; i--) {
+            const rule = activeRules[i];
+            if (rule.platforms && !rule.platforms.includes(code)) continue;
+            if ((rule.from || rule.to) && !dateKey) continue;
+            if (rule.from && dateKey < rule.from) continue;
+            if (rule.to && dateKey > rule.to) continue;
+            return rule;
+        }
+        return FALLBACK_RULE;
+    }
+
+    /**
+     * Short human-readable summary of a rule
+     * @param {Object} rule - Rule definition
+     * @returns {string} Summary
+     */
+    function describe(rule) {
+        const money = (v) => `R$ ${Number(v).toLocaleString('pt-BR')}`;
+        if (rule.type === 'split-highest') {
+            return `${money(rule.pool)} split among the highest tier (${rule.minMatches}+ matches)${rule.rollover ? ', rolls over' : ''}`;
+        }
+        const tiers = Object.keys(rule.tierPrizes)
+            .sort((a, b) => b - a)
+            .map(tier => `${tier}: ${money(rule.tierPrizes[tier])}${rule.rollover?.tier == tier ? ' jackpot' : ''}`);
+        return `Fixed per tier - ${tiers.join(' · ')}`;
+    }
+
+    // ============================================
+    // Evaluation
+    // ============================================
+
+    /**
+     * Evaluate a rule for one contest
+     * @param {Object} rule - Rule definition
+     * @param {Object} validCounts - Valid winning tickets per tier { 5: n, 4: n, ... }
+     * @param {number} carryIn - Jackpot carried in from the platform's previous contest
+     * @returns {Object} { prizes: {tier: perWinner}, winningTier, pool, totalAwarded, carryIn, carryOut }
+     */
+    function evaluate(rule, validCounts, carryIn = 0) {
+        const prizes = {};
+        const count = (tier) => validCounts[tier] || 0;
+        let pool = 0;
+        let totalAwarded = 0;
+        let carryOut = 0;
+
+        if (rule.type === 'split-highest') {
+            pool = rule.pool + (rule.rollover ? carryIn : 0);
+            for (let tier = 5; tier >= rule.minMatches; tier--) {
+                if (count(tier) > 0) {
+                    prizes[tier] = pool / count(tier);
+                    totalAwarded = pool;
+                    break;
+                }
+            }
+            if (rule.rollover && totalAwarded === 0) carryOut = pool;
+        } else {
+            const jackpotTier = rule.rollover ? Number(rule.rollover.tier) : null;
+
+            Object.keys(rule.tierPrizes).forEach(key => {
+                const tier = Number(key);
+                const amount = rule.tierPrizes[key];
+                pool += tier === jackpotTier ? amount + carryIn : amount * count(tier);
+
+                if (tier === jackpotTier) {
+                    if (count(tier) > 0) {
+                        prizes[tier] = (amount + carryIn) / count(tier);
+                        totalAwarded += amount + carryIn;
+                    } else {
+                        carryOut = amount + carryIn;
+                    }
+                } else if (count(tier) > 0 && amount > 0) {
+                    prizes[tier] = amount;
+                    totalAwarded += amount * count(tier);
+                }
+            });
+        }
+
+        const paidTiers = Object.keys(prizes).map(Number);
+        return {
+            prizes,
+            winningTier: paidTiers.length > 0 ? Math.max(...paidTiers) : 0,
+            pool,
+            totalAwarded,
+            carryIn: rule.rollover ? carryIn : 0,
+            carryOut
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Rules
+        getRule,
+        describe,
+        validateRule,
+        getRules: () => activeRules.slice(),
+
+        // Evaluation
+        evaluate,
+        toDateKey
+    };
+})();
@@ -8,12 +8,13 @@
  * 2. Ticket must be created BY 20:00 BRT on eligible2 (window expiry)
  * 3. Ticket's CSV drawDate must match eligible1 or eligible2
  * 4. Each recharge can only be used once (first ticket after recharge)
- * 5. Cutoff time 20:00 BRT (16:00 on Dec 24/31) determines draw day shift
- * 6. No draws on Sundays and holidays (Dec 25, Jan 1)
+ * 5. Cutoff at the draw hour (20:00 BRT, 17:00 on early-draw days) determines draw day shift
+ * 6. No draws on Sundays and holidays (see DrawCalendar)
  * 7. Platform-aware validation: POPLUZ entries only match POPLUZ recharges
  *    POPN1 entries only match POPN1 recharges (composite key: platform_gameId)
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher)
+ * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher),
+ *               draw-calendar.js (DrawCalendar)
  */
 
 // ============================================
@@ -29,12 +30,12 @@ window.RechargeValidator = (function() {
     /**
      * Default cutoff hour for same-day draws (20:00 BRT)
      */
-    const DEFAULT_CUTOFF_HOUR = 20;
+    const DEFAULT_CUTOFF_HOUR = DrawCalendar.DEFAULT_DRAW_HOUR;
     
     /**
-     * Early cutoff hour for special days (Dec 24, Dec 31)
+     * Early cutoff hour for early-draw days (Dec 24, Dec 31)
      */
-    const EARLY_CUTOFF_HOUR = 16;
+    const EARLY_CUTOFF_HOUR = DrawCalendar.EARLY_DRAW_HOUR;
     
     /**
      * Validation result statuses
@@ -47,74 +48,43 @@ window.RechargeValidator = (function() {
     };
 
     // ============================================
-    // Draw Calendar Helpers
+    // Draw Calendar Helpers (delegated to DrawCalendar)
     // ============================================
     
     /**
-     * Check if a date is a no-draw day (Sunday, Dec 25, Jan 1)
+     * Check if a date is a no-draw day (Sunday or holiday)
      * @param {Date} date - Date to check
      * @returns {boolean} True if no draw on this day
      */
     function isNoDrawDay(date) {
-        const month = date.getMonth(); // 0-indexed
-        const day = date.getDate();
-        const dayOfWeek = date.getDay();
-        
-        // Sunday
-        if (dayOfWeek === 0) return true;
-        
-        // Christmas (Dec 25)
-        if (month === 11 && day === 25) return true;
-        
-        // New Year (Jan 1)
-        if (month === 0 && day === 1) return true;
-        
-        return false;
+        return DrawCalendar.isNoDrawDay(date);
     }
 
     /**
-     * Check if a date has early cutoff (Dec 24, Dec 31)
+     * Check if a date has early cutoff (early-draw day)
      * @param {Date} date - Date to check
      * @returns {boolean} True if early cutoff applies
      */
     function isEarlyCutoffDay(date) {
-        const month = date.getMonth();
-        const day = date.getDate();
-        
-        // Dec 24 or Dec 31
-        return month === 11 && (day === 24 || day === 31);
+        return DrawCalendar.isEarlyDrawDay(date);
     }
 
     /**
      * Get cutoff hour for a specific date
      * @param {Date} date - Date to check
-     * @returns {number} Cutoff hour (16 or 20)
+     * @returns {number} Cutoff hour (draw hour in BRT)
      */
     function getCutoffHour(date) {
-        return isEarlyCutoffDay(date) ? EARLY_CUTOFF_HOUR : DEFAULT_CUTOFF_HOUR;
+        return DrawCalendar.getDrawHour(date);
     }
 
     /**
      * Get next valid draw date from a given date
      * @param {Date} fromDate - Starting date
-     * @returns {Date} Next valid draw date
+     * @returns {Date} Next valid draw date (midnight BRT)
      */
     function getNextValidDrawDate(fromDate) {
-        const probe = new Date(fromDate);
-        probe.setHours(0, 0, 0, 0);
-        
-        // Check up to 14 days ahead
-        for (let i = 0; i < 14; i++) {
-            if (i > 0) {
-                probe.setDate(probe.getDate() + 1);
-            }
-            
-            if (!isNoDrawDay(probe)) {
-                return new Date(probe);
-            }
-        }
-        
-        throw new Error('No valid draw date found in range');
+        return DrawCalendar.getNextValidDrawDate(fromDate);
     }
 
     /**
@@ -123,57 +93,7 @@ window.RechargeValidator = (function() {
      * @returns {Object|null} {eligible1: Date, eligible2: Date, expiresAt: Date, isCutoff: boolean}
      */
     function calculateEligibilityWindow(rechargeTime) {
-        if (!rechargeTime || !(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
-            return null;
-        }
-        
-        // Determine if recharge was after 8 PM cutoff
-        const rechargeHour = rechargeTime.getHours();
-        const isCutoff = rechargeHour >= 20; // After 8 PM (20:00)
-        
-        // Get recharge calendar date
-        const rechargeDateStr = AdminCore.getBrazilDateString(rechargeTime);
-        if (!rechargeDateStr) return null;
-        
-        const rechargeDate = new Date(`${rechargeDateStr}T00:00:00-03:00`);
-        
-        // Calculate Day 1 and Day 2 based on cutoff
-        let day1, day2;
-        
-        if (isCutoff) {
-            // After 8 PM: Day 1 = NEXT DAY, Day 2 = DAY AFTER NEXT
-            day1 = new Date(rechargeDate);
-            day1.setDate(day1.getDate() + 1);
-            
-            day2 = new Date(day1);
-            day2.setDate(day2.getDate() + 1);
-        } else {
-            // Before 8 PM: Day 1 = SAME DAY, Day 2 = NEXT DAY
-            day1 = new Date(rechargeDate);
-            
-            day2 = new Date(day1);
-            day2.setDate(day2.getDate() + 1);
-        }
-        
-        // Skip holidays/Sundays for Day 1
-        const finalDay1 = isNoDrawDay(day1) ? getNextValidDrawDate(day1) : day1;
-        
-        // Skip holidays/Sundays for Day 2
-        const tempDay2 = new Date(finalDay1);
-        tempDay2.setDate(tempDay2.getDate() + 1);
-        const finalDay2 = isNoDrawDay(tempDay2) ? getNextValidDrawDate(tempDay2) : tempDay2;
-        
-        // Window expires at 8 PM on Day 2
-        const expiresAt = new Date(finalDay2);
-        expiresAt.setHours(20, 0, 0, 0);
-        
-        return {
-            eligible1: finalDay1,
-            eligible2: finalDay2,
-            expiresAt: expiresAt,
-            isCutoff: isCutoff,
-            rechargeTime: rechargeTime
-        };
+        return DrawCalendar.getEligibilityWindow(rechargeTime);
     }
 
     /**
@@ -217,9 +137,15 @@ window.RechargeValidator = (function() {
      * @param {Object} ticket - Ticket entry object
      * @param {Object[]} recharges - All recharges for this game ID (sorted chronologically)
      * @param {Object[]} allTickets - All tickets for this game ID (sorted chronologically)
+     * @param {Object[]|null} trace - Optional array receiving one {recharge, verdict, reason, window}
+     *                                per recharge (verdict: bound | rejected | not-checked)
      * @returns {Object|null} Matched recharge with eligibility info, or null
      */
-    function findMatchingRecharge(ticket, recharges, allTickets) {
+    function findMatchingRecharge(ticket, recharges, allTickets, trace = null) {
+        const note = (recharge, verdict, reason, window = null) => {
+            if (trace) trace.push({ recharge, verdict, reason, window });
+        };
+        
         // Validate inputs
         if (!ticket.parsedDate || !(ticket.parsedDate instanceof Date) || isNaN(ticket.parsedDate.getTime())) {
             return null;
@@ -234,9 +160,14 @@ window.RechargeValidator = (function() {
         // Filter recharges created BEFORE ticket
         const eligibleRecharges = recharges.filter(r => {
             if (!r.rechargeTime || !(r.rechargeTime instanceof Date) || isNaN(r.rechargeTime.getTime())) {
+                note(r, 'rejected', 'Invalid recharge timestamp');
+                return false;
+            }
+            if (r.rechargeTime.getTime() >= ticketTime.getTime()) {
+                note(r, 'rejected', 'Recharge made after the ticket was created');
                 return false;
             }
-            return r.rechargeTime.getTime() < ticketTime.getTime();
+            return true;
         });
         
         if (eligibleRecharges.length === 0) {
@@ -247,13 +178,19 @@ window.RechargeValidator = (function() {
         eligibleRecharges.sort((a, b) => a.rechargeTime.getTime() - b.rechargeTime.getTime());
         
         // Try each recharge in order
-        for (const recharge of eligibleRecharges) {
+        for (let i = 0; i < eligibleRecharges.length; i++) {
+            const recharge = eligibleRecharges[i];
+            
             // Calculate eligibility window
             const window = calculateEligibilityWindow(recharge.rechargeTime);
-            if (!window) continue;
+            if (!window) {
+                note(recharge, 'rejected', 'No eligibility window (no upcoming draw)');
+                continue;
+            }
             
             // Check 1: Is ticket within the eligibility window?
             if (ticketTime.getTime() >= window.expiresAt.getTime()) {
+                note(recharge, 'rejected', 'Ticket created after the window expired (draw cutoff on eligible2)', window);
                 continue; // Ticket created after window expired
             }
             
@@ -265,11 +202,12 @@ window.RechargeValidator = (function() {
             const matchesDay2 = ticketDrawDateStr === day2Str;
             
             if (!matchesDay1 && !matchesDay2) {
+                note(recharge, 'rejected', `Ticket draw date ${ticketDrawDateStr || '?'} is neither eligible1 (${day1Str}) nor eligible2 (${day2Str})`, window);
                 continue; // Draw date doesn't match eligibility
             }
             
             // Check 3: Is this recharge already consumed by a prior ticket?
-            const rechargeConsumed = allTickets.some(priorTicket => {
+            const consumedBy = allTickets.find(priorTicket => {
                 // Skip self
                 if (priorTicket.ticketNumber === ticket.ticketNumber) return false;
                 
@@ -287,11 +225,14 @@ window.RechargeValidator = (function() {
                 return (priorDrawDateStr === day1Str || priorDrawDateStr === day2Str);
             });
             
-            if (rechargeConsumed) {
+            if (consumedBy) {
+                note(recharge, 'rejected', `Already consumed by earlier ticket #${consumedBy.ticketNumber}`, window);
                 continue; // This recharge was already bound to an earlier ticket
             }
             
             // ✅ MATCH FOUND! Bind this recharge to this ticket
+            note(recharge, 'bound', matchesDay2 ? 'Bound to this ticket (eligible2 draw)' : 'Bound to this ticket (eligible1 draw)', window);
+            eligibleRecharges.slice(i + 1).forEach(r => note(r, 'not-checked', 'Not checked - an earlier recharge was bound first'));
             return {
                 ...recharge,
                 eligible1: window.eligible1,
@@ -342,6 +283,13 @@ window.RechargeValidator = (function() {
             isCutoff: false  // DEPRECATED - kept for backwards compatibility
         };
         
+        // Manual override by an admin (ValidityOverrides) - wins over the sheet and the recharges
+        if (ticket.validityOverride) {
+            result.status = ticket.validityOverride.status === 'VALID' ? ValidationStatus.VALID : ValidationStatus.INVALID;
+            result.reason = `Manual override by ${ticket.validityOverride.by || 'admin'}: ${ticket.validityOverride.reason}`;
+            return result;
+        }
+
         // Check if ticket already has a valid status
         const existingStatus = (ticket.status || '').toUpperCase();
         if (['VALID', 'VALIDADO', 'VALIDATED'].includes(existingStatus)) {
@@ -428,7 +376,7 @@ window.RechargeValidator = (function() {
                     );
                     
                     if (ticketIsAfterAllWindows) {
-                        result.reason = 'Recharge window expired after 20:00 on eligible2';
+                        result.reason = 'Recharge window expired after draw cutoff on eligible2';
                     } else {
                         result.reason = 'Recharge already consumed by previous ticket';
                     }
@@ -443,6 +391,68 @@ window.RechargeValidator = (function() {
         return result;
     }
 
+    /**
+     * Group recharges and tickets by composite key (platform_gameId), each list oldest first
+     * @param {Object[]} entries - All entry objects
+     * @param {Object[]} recharges - All recharge objects (tagged with platform)
+     * @returns {Object} { rechargesByKey, ticketsByKey }
+     */
+    function groupByCompositeKey(entries, recharges) {
+        const rechargesByKey = {};
+        recharges.forEach(r => {
+            if (!r.gameId) return;
+            const key = getCompositeKey(r.platform, r.gameId);
+            if (!rechargesByKey[key]) {
+                rechargesByKey[key] = [];
+            }
+            rechargesByKey[key].push(r);
+        });
+        
+        // Sort recharges within each key by time (oldest first for FIFO)
+        Object.values(rechargesByKey).forEach(list =>
+            list.sort((a, b) => (a.rechargeTime?.getTime() || 0) - (b.rechargeTime?.getTime() || 0))
+        );
+        
+        const ticketsByKey = {};
+        entries.forEach(e => {
+            if (!e.gameId) return;
+            const key = getCompositeKey(e.platform, e.gameId);
+            if (!ticketsByKey[key]) {
+                ticketsByKey[key] = [];
+            }
+            ticketsByKey[key].push(e);
+        });
+        
+        // Sort tickets within each key by time (oldest first)
+        Object.values(ticketsByKey).forEach(list =>
+            list.sort((a, b) => (a.parsedDate?.getTime() || 0) - (b.parsedDate?.getTime() || 0))
+        );
+        
+        return { rechargesByKey, ticketsByKey };
+    }
+
+    /**
+     * Explain the validation decision for one ticket: the official validateTicket result plus
+     * the verdict on every recharge of the same platform + Game ID. The recharge matching is
+     * re-run even when the sheet status short-circuits validateTicket, so disputes can still
+     * see which recharge would bind.
+     * 
+     * @param {Object} ticket - Ticket entry object
+     * @param {Object[]} entries - All entry objects
+     * @param {Object[]} recharges - All recharge objects (tagged with platform)
+     * @returns {Object} { validation, trace, compositeKey }
+     */
+    function explainTicket(ticket, entries, recharges) {
+        const { rechargesByKey, ticketsByKey } = groupByCompositeKey(entries, recharges);
+        const compositeKey = getCompositeKey(ticket.platform, ticket.gameId);
+        const trace = [];
+        
+        const validation = validateTicket(ticket, rechargesByKey, ticketsByKey);
+        findMatchingRecharge(ticket, rechargesByKey[compositeKey] || [], ticketsByKey[compositeKey] || [], trace);
+        
+        return { validation, trace, compositeKey };
+    }
+
     /**
      * Validate all tickets with caching
      * Uses platform-aware composite keys (platform_gameId) to prevent cross-platform matches
@@ -479,40 +489,15 @@ window.RechargeValidator = (function() {
             });
         }
         
-        // ⚠️ CRITICAL: Group recharges by PLATFORM + GAMEID (composite key)
+        // ⚠️ CRITICAL: Group by PLATFORM + GAMEID (composite key)
         // Prevents POPLUZ entries from matching POPN1 recharges!
-        const rechargesByKey = {};
-        recharges.forEach(r => {
-            if (!r.gameId) return;
-            const key = getCompositeKey(r.platform, r.gameId);
-            if (!rechargesByKey[key]) {
-                rechargesByKey[key] = [];
-            }
-            rechargesByKey[key].push(r);
-        });
+        const { rechargesByKey, ticketsByKey } = groupByCompositeKey(entries, recharges);
         
         console.log('👥 Unique platform_gameId keys in recharges:', Object.keys(rechargesByKey).length);
         console.log('📋 Platform breakdown:', {
             POPLUZ: recharges.filter(r => r.platform === 'POPLUZ').length,
             POPN1: recharges.filter(r => r.platform === 'POPN1').length
         });
-        
-        // Sort recharges within each key by time (oldest first for FIFO)
-        Object.values(rechargesByKey).forEach(list =>
-            list.sort((a, b) => (a.rechargeTime?.getTime() || 0) - (b.rechargeTime?.getTime() || 0))
-        );
-        
-        // ⚠️ CRITICAL: Group entries by PLATFORM + GAMEID (composite key)
-        const ticketsByKey = {};
-        entries.forEach(e => {
-            if (!e.gameId) return;
-            const key = getCompositeKey(e.platform, e.gameId);
-            if (!ticketsByKey[key]) {
-                ticketsByKey[key] = [];
-            }
-            ticketsByKey[key].push(e);
-        });
-        
         console.log('👥 Unique platform_gameId keys in entries:', Object.keys(ticketsByKey).length);
         console.log('📋 Platform breakdown:', {
             POPLUZ: entries.filter(e => (e.platform || 'POPN1').toUpperCase() === 'POPLUZ').length,
@@ -522,11 +507,6 @@ window.RechargeValidator = (function() {
             Object.keys(ticketsByKey).filter(key => rechargesByKey[key]).length
         );
         
-        // Sort tickets within each key by time (oldest first)
-        Object.values(ticketsByKey).forEach(list =>
-            list.sort((a, b) => (a.parsedDate?.getTime() || 0) - (b.parsedDate?.getTime() || 0))
-        );
-        
         // Validate each ticket
         const results = [];
         const stats = {
@@ -721,6 +701,8 @@ window.RechargeValidator = (function() {
         // Validation
         validateTicket,
         validateAllTickets,
+        explainTicket,
+        groupByCompositeKey,
         
         // Engagement
         analyzeEngagement,
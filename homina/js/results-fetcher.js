@@ -2,9 +2,11 @@
  * POP-SORTE Admin Dashboard - Results Fetcher Module
  * 
  * This module handles fetching and caching of:
- * - Lottery results (winning numbers) from Google Sheets
+ * - Lottery results (winning numbers) (DataSources dataset "results")
+ * - Draw calendar special-day table ("drawCalendar")
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar),
+ *               data-sources.js (DataSources), csv-layouts.js (CsvLayouts)
  */
 
 // ============================================
@@ -18,20 +20,21 @@ window.ResultsFetcher = (function() {
     // ============================================
     
     /**
-     * Results sheet: Contains official lottery results
-     * Columns: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
+     * Results dataset: Contains official lottery results (any layout in CsvLayouts.LAYOUTS.results)
+     * Sheet layout: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
      */
-    const RESULTS_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644';
+    const RESULTS_DATASET = 'results';
 
     /**
-     * Cache TTL in milliseconds (3 minutes - matches refresh interval)
+     * Draw calendar special days (no-draw, early-draw, extra-draw)
+     * Columns: DATE, TYPE, HOUR, LABEL
      */
-    const CACHE_TTL = 180 * 1000;
+    const DRAW_CALENDAR_DATASET = 'drawCalendar';
 
     /**
-     * Fetch timeout in milliseconds
+     * Cache TTL in milliseconds (3 minutes - matches refresh interval)
      */
-    const FETCH_TIMEOUT = 15 * 1000;
+    const CACHE_TTL = 180 * 1000;
 
     // ============================================
     // Cache Storage
@@ -43,55 +46,13 @@ window.ResultsFetcher = (function() {
     // Fetch lock to prevent simultaneous requests
     let fetchLock = false;
 
-    // ============================================
-    // Fetch Helper
-    // ============================================
-    
-    /**
-     * Fetch CSV data from Google Sheets with timeout
-     * @param {string} url - Sheet export URL
-     * @returns {Promise<string>} Raw CSV text
-     */
-    async function fetchCSV(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-        
-        try {
-            const response = await fetch(`${url}&t=${Date.now()}`, {
-                cache: 'no-store',
-                redirect: 'follow',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const text = await response.text();
-
-            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
-
-            return text;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out');
-            }
-            throw error;
-        }
-    }
-
     // ============================================
     // Results Data
     // ============================================
     
     /**
-     * Parse result row from CSV
-     * @param {string[]} row - CSV row values
+     * Parse result row in the sheet layout
+     * @param {string[]} row - Row values, as rebuilt by CsvLayouts.readSheetRows
      * @returns {Object|null} Parsed result object or null if invalid
      */
     function parseResultRow(row) {
@@ -154,7 +115,7 @@ window.ResultsFetcher = (function() {
     }
 
     /**
-     * Fetch all results from Google Sheet
+     * Fetch all results from the configured results source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of result objects
      */
@@ -175,25 +136,18 @@ window.ResultsFetcher = (function() {
         fetchLock = true;
 
         try {
-            const csvText = await fetchCSV(RESULTS_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-
-            if (lines.length <= 1) {
+            const csvText = await DataSources.fetchText(RESULTS_DATASET);
+            if (csvText.split(/\r?\n/).filter(Boolean).length <= 1) {
                 cache.results = { data: [], timestamp: now };
                 fetchLock = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const results = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                const result = parseResultRow(row);
-                if (result) {
-                    results.push(result);
-                }
-            }
+            const { rows, version } = CsvLayouts.readSheetRows(RESULTS_DATASET, csvText, 'Results sheet');
+            console.log(`📊 Results layout: ${version}`);
+            const results = rows
+                .map(row => parseResultRow(row))
+                .filter(Boolean);
 
             // Sort by contest number descending (newest first)
             results.sort((a, b) => {
@@ -204,12 +158,18 @@ window.ResultsFetcher = (function() {
 
             cache.results = { data: results, timestamp: now };
             fetchLock = false;
+
+            // Anchor concurso numbering to the official history
+            DrawCalendar.setKnownDraws(results
+                .filter(r => !r.isNoDraw)
+                .map(r => ({ contest: r.contest, date: r.drawDate })));
+
             return results;
 
         } catch (error) {
             console.error('Error fetching results:', error);
             fetchLock = false;
-            if (cache.results.data) {
+            if (cache.results.data && !error.missing) {
                 return cache.results.data;
             }
             throw error;
@@ -315,6 +275,63 @@ window.ResultsFetcher = (function() {
         };
     }
 
+    // ============================================
+    // Concurso Check
+    // ============================================
+    
+    /**
+     * Find entries whose stored CONCURSO disagrees with their draw date
+     * Expected contest comes from DrawCalendar (results history + extrapolation)
+     * @param {Object[]} entries - Entry objects (drawDate, contest)
+     * @returns {Object[]} [{entry, drawDateKey, storedContest, expectedContest, source, issue}]
+     *   issue: 'MISMATCH' | 'MISSING_CONTEST' | 'INVALID_DRAW_DATE'
+     */
+    function findConcursoMismatches(entries) {
+        const mismatches = [];
+
+        (entries || []).forEach(entry => {
+            const drawDateKey = DrawCalendar.toDateKey(entry.drawDate || '');
+            const storedContest = parseInt(entry.contest, 10);
+
+            if (!drawDateKey) {
+                mismatches.push({
+                    entry,
+                    drawDateKey: null,
+                    storedContest: Number.isFinite(storedContest) ? storedContest : null,
+                    expectedContest: null,
+                    source: null,
+                    issue: 'INVALID_DRAW_DATE'
+                });
+                return;
+            }
+
+            const { concurso, source } = DrawCalendar.resolveConcurso(drawDateKey);
+
+            if (!Number.isFinite(storedContest)) {
+                mismatches.push({ entry, drawDateKey, storedContest: null, expectedContest: concurso, source, issue: 'MISSING_CONTEST' });
+            } else if (storedContest !== concurso) {
+                mismatches.push({ entry, drawDateKey, storedContest, expectedContest: concurso, source, issue: 'MISMATCH' });
+            }
+        });
+
+        // Newest draw dates first
+        mismatches.sort((a, b) => (b.drawDateKey || '').localeCompare(a.drawDateKey || ''));
+        return mismatches;
+    }
+
+    // ============================================
+    // Draw Calendar
+    // ============================================
+    
+    /**
+     * Load the special-day table into DrawCalendar
+     * Never throws - DrawCalendar keeps its built-in holidays on failure
+     * @returns {Promise<number>} Number of special days loaded
+     */
+    function fetchDrawCalendar() {
+        return DrawCalendar.loadSpecialDays(() => DataSources.fetchText(DRAW_CALENDAR_DATASET));
+    }
+
     // Listen for refresh events
     if (typeof AdminCore !== 'undefined') {
         AdminCore.on('refresh', () => fetchResults(true));
@@ -326,6 +343,10 @@ window.ResultsFetcher = (function() {
     return {
         // Fetch methods
         fetchResults,
+        fetchDrawCalendar,
+        
+        // Row parser (sheet layout - also used by the reconcile CLI)
+        parseResultRow,
         
         // Lookup helpers
         getResultByContest,
@@ -335,6 +356,9 @@ window.ResultsFetcher = (function() {
         getUniqueContests,
         getResultsMap,
         
+        // Concurso check
+        findConcursoMismatches,
+        
         // Cache management
         clearCache,
         getCacheStatus,
@@ -0,0 +1,259 @@
+/**
+ * POP-SORTE Admin Dashboard - Two-Factor Login Module
+ *
+ * This module handles:
+ * - Turning two-factor login on for the signed-in account: QR code (or key) for an
+ *   authenticator app, confirmed with a first code
+ * - Showing the single-use backup codes once, and replacing them
+ * - Turning two-factor login off (needs a current code or a backup code)
+ *
+ * Secrets and backup codes are created and checked by the admin API (<adminApi>/mfa);
+ * the code step at sign-in is in auth.js. The QR code is drawn in the page with
+ * qrcode-generator (vendored in js/vendor/qrcode.js) - without it, the key is shown to be typed into the app.
+ *
+ * Dependencies: admin-core.js (AdminCore), auth.js (AdminAuth), qrcode-generator (qrcode, optional)
+ */
+
+// ============================================
+// Two-Factor Module
+// ============================================
+window.TwoFactor = (function() {
+    'use strict';
+
+    // ============================================
+    // API
+    // ============================================
+
+    /**
+     * Call an /mfa endpoint of the admin API
+     * @param {string} path - '' | '/setup' | '/enable' | '/backup-codes' | '/disable'
+     * @param {Object} body - JSON body (POST), or null for GET
+     * @returns {Promise<Object>} Response body
+     */
+    async function mfaRequest(path, body = null) {
+        const response = await AdminAuth.apiRequest(`/mfa${path}`, body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        } : {});
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * @param {string} html - Modal content
+     */
+    function setContent(html) {
+        document.getElementById('twoFactorContent').innerHTML = html;
+        showError('');
+    }
+
+    /**
+     * @param {string} message - Error message ('' hides it)
+     */
+    function showError(message) {
+        const el = document.getElementById('twoFactorError');
+        el.textContent = message;
+        el.classList.toggle('show', Boolean(message));
+    }
+
+    /**
+     * Code input shared by the enable, backup-code and disable steps
+     * @param {string} hint - Text under the input
+     * @returns {string} HTML
+     */
+    function codeField(hint) {
+        return `
+            <div class="form-group">
+                <label for="twoFactorCode">Verification Code</label>
+                <input type="text" id="twoFactorCode" class="form-input" autocomplete="one-time-code" inputmode="numeric" placeholder="6-digit code">
+                <div class="form-hint">${hint}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * @returns {string} Code typed in the modal
+     */
+    function getCode() {
+        return document.getElementById('twoFactorCode').value.trim();
+    }
+
+    /**
+     * Show whether two-factor login is on, with the matching actions
+     */
+    async function renderStatus() {
+        setContent('<p class="text-muted">Loading...</p>');
+
+        let status;
+        try {
+            status = await mfaRequest('');
+        } catch (error) {
+            setContent('');
+            showError(`Two-factor login is unavailable: ${error.message}`);
+            return;
+        }
+
+        if (!status.enabled) {
+            setContent(`
+                <p class="mb-4">Two-factor login is <strong>off</strong>. Turn it on to ask for a code from an authenticator app
+                (Google Authenticator, Microsoft Authenticator, 1Password...) after your password.</p>
+                <button id="btnTwoFactorSetup" class="btn btn-primary btn-sm">🔐 Set up</button>
+            `);
+            document.getElementById('btnTwoFactorSetup').addEventListener('click', startSetup);
+            return;
+        }
+
+        setContent(`
+            <p class="mb-4">Two-factor login is <strong>on</strong>. ${status.backupCodesLeft} backup code(s) left.</p>
+            ${codeField('A code from your app, or a backup code, is needed to change this.')}
+            <div style="display: flex; gap: 10px;">
+                <button id="btnTwoFactorBackupCodes" class="btn btn-secondary btn-sm">New backup codes</button>
+                <button id="btnTwoFactorDisable" class="btn btn-danger btn-sm">Turn off</button>
+            </div>
+        `);
+        document.getElementById('btnTwoFactorBackupCodes').addEventListener('click', regenerateBackupCodes);
+        document.getElementById('btnTwoFactorDisable').addEventListener('click', disable);
+    }
+
+    /**
+     * Create a secret and show it as a QR code, to be confirmed with a first code
+     */
+    async function startSetup() {
+        let setup;
+        try {
+            setup = await mfaRequest('/setup', {});
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        let qrHtml = '';
+        if (typeof qrcode !== 'undefined') {
+            const qr = qrcode(0, 'M');
+            qr.addData(setup.otpauthUrl);
+            qr.make();
+            qrHtml = `<div class="mfa-qr">${qr.createSvgTag(4, 8)}</div>`;
+        }
+
+        setContent(`
+            <p class="mb-4">${qrHtml ? 'Scan this QR code with your authenticator app' : 'Add this key to your authenticator app'},
+            then enter the code it shows.</p>
+            ${qrHtml}
+            <div class="form-group">
+                <label>Key</label>
+                <div class="mfa-secret">${setup.secret.replace(/(.{4})/g, '$1 ').trim()}</div>
+                <div class="form-hint">Time-based, 6 digits, 30 seconds.</div>
+            </div>
+            ${codeField('Two-factor login is only turned on once this code is accepted.')}
+            <div style="display: flex; gap: 10px;">
+                <button id="btnTwoFactorCancel" class="btn btn-secondary btn-sm">Cancel</button>
+                <button id="btnTwoFactorEnable" class="btn btn-primary btn-sm">Turn on</button>
+            </div>
+        `);
+        document.getElementById('btnTwoFactorCancel').addEventListener('click', renderStatus);
+        document.getElementById('btnTwoFactorEnable').addEventListener('click', enable);
+    }
+
+    /**
+     * Confirm the first code and turn two-factor login on
+     */
+    async function enable() {
+        try {
+            const { backupCodes } = await mfaRequest('/enable', { code: getCode() });
+            AdminCore.showToast('Two-factor login is on', 'success');
+            renderBackupCodes(backupCodes);
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Replace the backup codes
+     */
+    async function regenerateBackupCodes() {
+        try {
+            const { backupCodes } = await mfaRequest('/backup-codes', { code: getCode() });
+            renderBackupCodes(backupCodes);
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Turn two-factor login off, and forget this browser's remembered device
+     */
+    async function disable() {
+        try {
+            await mfaRequest('/disable', { code: getCode() });
+            AdminAuth.rememberDevice(AdminCore.getSession().username, null);
+            AdminCore.showToast('Two-factor login is off', 'warning');
+            renderStatus();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    /**
+     * Show new backup codes - the only time they are shown
+     * @param {string[]} codes - Backup codes
+     */
+    function renderBackupCodes(codes) {
+        setContent(`
+            <p class="mb-4">Keep these backup codes somewhere safe. Each one signs you in once without the app.
+            <strong>They will not be shown again.</strong></p>
+            <div class="backup-codes">${codes.map(code => `<span>${code}</span>`).join('')}</div>
+            <div style="display: flex; gap: 10px;">
+                <button id="btnTwoFactorDownload" class="btn btn-secondary btn-sm">📥 Download</button>
+                <button id="btnTwoFactorDone" class="btn btn-primary btn-sm">Done</button>
+            </div>
+        `);
+
+        document.getElementById('btnTwoFactorDownload').addEventListener('click', () => {
+            const username = AdminCore.getSession().username;
+            const text = [`POP-SORTE Admin backup codes - ${username}`, ...codes].join('\n');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+            link.download = `popsorte_backup_codes_${username}.txt`;
+            link.click();
+        });
+        document.getElementById('btnTwoFactorDone').addEventListener('click', renderStatus);
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    /**
+     * Open the two-factor settings of the signed-in account
+     */
+    function open() {
+        AdminCore.openModal('twoFactorModal');
+        renderStatus();
+    }
+
+    function init() {
+        document.getElementById('twoFactorBtn')?.addEventListener('click', open);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        open
+    };
+})();
@@ -1,7 +1,7 @@
 /**
  * POP-SORTE Admin Dashboard - Unified Page Module
  * 
- * This module combines Dashboard, Entries, Results, and Winners into a single
+ * This module combines Dashboard, Entries, Results, Winners, Payouts and the Audit Log into a single
  * scrollable page. All sections load together and sidebar navigation scrolls
  * to the appropriate section.
  * 
@@ -12,7 +12,8 @@
  * - Real-time updates
  * 
  * Dependencies: AdminCore, DataStore, DataFetcher, ResultsFetcher, 
- *               RechargeValidator, WinnerCalculator, AdminCharts
+ *               RechargeValidator, LegacyValidator, WinnerCalculator, PayoutLedger,
+ *               DecisionReport, AdminCharts, DrawCalendar, DataSources, CsvLayouts, AuditLog
  */
 
 window.UnifiedPage = (function () {
@@ -43,9 +44,10 @@ window.UnifiedPage = (function () {
         orderNumber: ''
     };
     let sortBy = 'date-desc'; // Default: newest first
+    let lastAuditedSearch = ''; // Game ID / WhatsApp / order search last written to the audit log
 
     /**
-     * Check if entry was registered after cutoff time (20:00 BRT, 16:00 on Dec 24/31)
+     * Check if entry was registered after cutoff time (draw hour from DrawCalendar)
      * @param {Object} entry - Entry object with parsedDate
      * @returns {boolean} True if after cutoff
      */
@@ -97,15 +99,10 @@ window.UnifiedPage = (function () {
 
         if (isOnEligibilityDay1) {
             // Ticket created on eligibility Day 1
-            // If Day 2 participation exists, check if ticket was created AFTER 8 PM
+            // If Day 2 participation exists, check if ticket was created after the draw hour
             if (hasDay2Participation) {
-                // Get hour in Brazilian timezone
-                // parseBrazilDateTime stores dates as UTC with BRT hour + 3
-                // So BRT 20:36 → UTC 23:36
-                // To get BRT from UTC: UTC - 3 (with wraparound)
-                const utcHour = ticketTime.getUTCHours();
-                const brtHour = (utcHour - 3 + 24) % 24; // Convert UTC to BRT (subtract 3, handle wraparound)
-                return brtHour >= 20; // After 8 PM on eligibility Day 1 → CUTOFF
+                // After the draw hour on eligibility Day 1 → CUTOFF
+                return ticketTime.getTime() >= DrawCalendar.getCutoff(ticketTime).getTime();
             }
             return false; // No Day 2 participation, no cutoff
         } else if (isOnEligibilityDay2) {
@@ -117,9 +114,19 @@ window.UnifiedPage = (function () {
         return false;
     }
 
+    // Ticket shown in the details modal (target of a validity override)
+    let detailEntry = null;
+
+    // Legacy admin diff state (transitional)
+    let legacyDiffs = [];
+
+    // CSV import state (file waiting for confirmation in the import modal)
+    let pendingImport = null;
+
     // Results state
     let filteredResults = [];
     let resultsSearchTerm = '';
+    let concursoMismatches = [];
 
     // Winners state
     let allWinners = [];
@@ -130,11 +137,32 @@ window.UnifiedPage = (function () {
         prizeLevel: 'all'
     };
 
+    // Payouts state
+    let filteredPayouts = [];
+    let payoutsFilters = {
+        status: 'outstanding',
+        contest: '',
+        search: ''
+    };
+
+    // Audit log state
+    let auditEntries = [];
+    let filteredAudit = [];
+    let lockoutRows = [];
+    let auditFilters = {
+        username: '',
+        action: '',
+        from: '',
+        to: '',
+        search: ''
+    };
+
     // Statistics day range (7, 14, or 30 days)
     let statisticsDays = 7;
 
     // Validation cache
     let validationMap = new Map();
+    let retryDuplicates = new Map(); // Entry → { original, secondsApart }
 
     // ============================================
     // DASHBOARD SECTION
@@ -340,6 +368,17 @@ window.UnifiedPage = (function () {
         }).join('');
     }
 
+    /**
+     * Rollover jackpot waiting for the next contest - summed over platforms in the ALL view,
+     * since each platform accumulates separately
+     */
+    function getJackpotCarry() {
+        const platform = AdminCore.getCurrentPlatform();
+        const platforms = platform === 'ALL' ? AdminCore.PLATFORMS.filter(p => p !== 'ALL') : [platform];
+        const carryByPlatform = WinnerCalculator.getCarryByPlatform(currentData.allEntries, currentData.results, platforms);
+        return Object.values(carryByPlatform).reduce((sum, value) => sum + value, 0);
+    }
+
     async function renderWinnersStats() {
         try {
             const { entries, results } = currentData;
@@ -348,6 +387,9 @@ window.UnifiedPage = (function () {
 
             document.getElementById('statTotalWinners').textContent = winnerStats.totalWinners.toLocaleString();
             document.getElementById('statWinRate').textContent = `${winnerStats.winRate}%`;
+
+            const carry = getJackpotCarry();
+            document.getElementById('statJackpotCarry').textContent = `R$ ${carry.toFixed(2)}`;
         } catch (error) {
             // Error handling - silent fail
         }
@@ -412,6 +454,9 @@ window.UnifiedPage = (function () {
             // Validation map built
         }
 
+        // Flag tickets re-sent by a client retry (same game ID, numbers and draw, seconds apart)
+        retryDuplicates = DataStore.findRetryDuplicates(entries);
+
         // Populate filter options
         const contests = [...new Set(entries.map(e => e.contest).filter(Boolean))].sort((a, b) => parseInt(b) - parseInt(a));
         const contestSelect = document.getElementById('filterContest');
@@ -423,12 +468,29 @@ window.UnifiedPage = (function () {
         applyEntriesFilters();
     }
 
+    /**
+     * Log a Game ID / WhatsApp / order number lookup once the admin stops typing
+     */
+    function recordEntriesSearch() {
+        const { gameId, whatsapp, orderNumber } = entriesFilters;
+        const search = JSON.stringify({ gameId: gameId.trim(), whatsapp: whatsapp.trim(), orderNumber: orderNumber.trim() });
+        if (search === lastAuditedSearch) return;
+
+        lastAuditedSearch = search;
+        if (gameId.trim() || whatsapp.trim() || orderNumber.trim()) {
+            AuditLog.record('entries.search', { ...JSON.parse(search), results: filteredEntries.length });
+        }
+    }
+
     function applyEntriesFilters() {
         let result = [...currentData.entries];
 
         if (entriesFilters.gameId) {
             const term = entriesFilters.gameId.toLowerCase();
-            result = result.filter(e => e.gameId.toLowerCase().includes(term));
+            // Also matches receipt ID / verification code so support can look up a screenshot
+            result = result.filter(e => e.gameId.toLowerCase().includes(term) ||
+                (e.ticketId || '').toLowerCase() === term ||
+                (e.verificationCode || '').toLowerCase() === term);
         }
         if (entriesFilters.whatsapp) {
             const term = entriesFilters.whatsapp.toLowerCase();
@@ -446,7 +508,9 @@ window.UnifiedPage = (function () {
         if (entriesFilters.contest) {
             result = result.filter(e => e.contest === entriesFilters.contest);
         }
-        if (entriesFilters.validity !== 'all') {
+        if (entriesFilters.validity === 'retry-duplicate') {
+            result = result.filter(e => retryDuplicates.has(e));
+        } else if (entriesFilters.validity !== 'all') {
             result = result.filter(e => {
                 // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
                 const csvStatus = (e.status || 'UNKNOWN').toUpperCase();
@@ -536,8 +600,7 @@ window.UnifiedPage = (function () {
     let eligibilityWindowCache = new Map(); // Cache eligibility windows by recharge timestamp
 
     /**
-     * Check if a date is a no-draw day (Sunday, Dec 25, Jan 1)
-     * Uses Brazilian timezone for date checking
+     * Check if a date is a no-draw day (Sunday or holiday, see DrawCalendar)
      * @param {Date} date - Date to check
      * @returns {boolean} True if no draw on this day
      */
@@ -545,59 +608,19 @@ window.UnifiedPage = (function () {
         if (!(date instanceof Date) || isNaN(date.getTime())) {
             return false;
         }
-
-        // Use UTC date components (date is stored as UTC representing Brazilian time)
-        // Since dates are stored as UTC+3 (midnight BRT = 3 AM UTC), we need to adjust
-        const utcDate = new Date(date.getTime());
-        const utcYear = utcDate.getUTCFullYear();
-        const utcMonth = utcDate.getUTCMonth() + 1; // 1-12
-        const utcDay = utcDate.getUTCDate();
-        const utcDayOfWeek = utcDate.getUTCDay(); // 0 = Sunday
-
-        // Sunday
-        if (utcDayOfWeek === 0) return true;
-
-        // Christmas (Dec 25)
-        if (utcMonth === 12 && utcDay === 25) return true;
-
-        // New Year (Jan 1)
-        if (utcMonth === 1 && utcDay === 1) return true;
-
-        return false;
+        return DrawCalendar.isNoDrawDay(date);
     }
 
     /**
      * Get next valid draw date from a given date, skipping no-draw days
-     * Uses Brazilian timezone for date checking
      * @param {Date} fromDate - Starting date
-     * @returns {Date} Next valid draw date
+     * @returns {Date} Next valid draw date (midnight BRT)
      */
     function getNextValidDrawDate(fromDate) {
         if (!(fromDate instanceof Date) || isNaN(fromDate.getTime())) {
             return fromDate;
         }
-
-        // Start checking from the given date
-        let checkDate = new Date(fromDate);
-        checkDate.setUTCHours(12, 0, 0, 0); // Use noon UTC for day-of-week calculation
-
-        // Check up to 14 days ahead
-        for (let i = 0; i < 14; i++) {
-            if (!isNoDrawDay(checkDate)) {
-                // Found valid draw date - return midnight BRT (3 AM UTC)
-                // Extract UTC date components directly (more efficient than formatting)
-                const year = checkDate.getUTCFullYear();
-                const month = checkDate.getUTCMonth() + 1;
-                const day = checkDate.getUTCDate();
-                return new Date(Date.UTC(year, month - 1, day, 3, 0, 0, 0));
-            }
-
-            // Move to next day using Date object (handles month/year rollovers automatically)
-            checkDate.setUTCDate(checkDate.getUTCDate() + 1);
-        }
-
-        // Fallback: return original date if no valid date found
-        return fromDate;
+        return DrawCalendar.getNextValidDrawDate(fromDate);
     }
 
     /**
@@ -607,10 +630,9 @@ window.UnifiedPage = (function () {
      * IMPORTANT: Uses "Record Time" from RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
      * 
      * Rules:
-     * - If recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-     * - If recharge AFTER 8 PM: Day 1 = recharge day, Day 2 = tomorrow (FIXED)
-     * - Sunday/holidays (Dec 25, Jan 1) are skipped for draw days
-     * - Eligibility ends at 8 PM (20:00) on Day 2
+     * - Eligibility Day 1 = recharge day, Day 2 = next calendar day
+     * - Sunday/holidays are skipped for draw days (DrawCalendar)
+     * - Eligibility ends at the draw hour on Day 2 (20:00, earlier on early-draw days)
      * - NO tickets on Day 3+ can use this recharge!
      */
     function calculateEligibilityWindow(rechargeTime) {
@@ -624,77 +646,25 @@ window.UnifiedPage = (function () {
             return eligibilityWindowCache.get(cacheKey);
         }
 
-        // Get recharge hour in Brazilian timezone (CRITICAL for correct cutoff calculation)
-        const rechargeHourStr = AdminCore.formatBrazilDateTime(rechargeTime, { hour: '2-digit' });
-        const rechargeHour = parseInt(rechargeHourStr, 10);
+        // Calendar days when tickets CAN BE CREATED (includes Sunday/holidays)
+        const { eligibilityDay1, eligibilityDay2 } = DrawCalendar.getEligibilityWindow(rechargeTime);
 
-        // Get recharge date string in Brazilian timezone for Day 1/Day 2 calculation
-        const rechargeDateStr = AdminCore.formatBrazilDateTime(rechargeTime, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-
-        // Parse recharge date components (DD/MM/YYYY)
-        const [rechargeDay, rechargeMonth, rechargeYear] = rechargeDateStr.split('/').map(Number);
-
-        // Create Day 1 and Day 2 ELIGIBILITY dates (calendar days - includes Sunday/holidays)
-        // These are when tickets CAN BE CREATED
-        let eligibilityDay1, eligibilityDay2;
-
-        if (rechargeHour < 20) {
-            // Recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-            eligibilityDay1 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay, 3, 0, 0, 0)); // Midnight BRT
-            eligibilityDay2 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay + 1, 3, 0, 0, 0)); // Next day midnight BRT
-        } else {
-            // Recharge AFTER 8 PM: Day 1 = recharge day, Day 2 = tomorrow (FIXED)
-            eligibilityDay1 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay, 3, 0, 0, 0)); // Recharge day midnight BRT
-            eligibilityDay2 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay + 1, 3, 0, 0, 0)); // Tomorrow midnight BRT
-        }
-
-        // Calculate PARTICIPATION days (draw days - skip Sunday/holidays)
-        // These are which draws tickets can participate in
-        let participationDay1, participationDay2;
-
-        // Day 1 participation: Skip no-draw days from eligibility Day 1
-        participationDay1 = getNextValidDrawDate(eligibilityDay1);
-
-        // Day 2 participation: Next valid draw date AFTER Day 1 participation
-        const day1PartDateStr = AdminCore.formatBrazilDateTime(participationDay1, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-        const [day1PartDay, day1PartMonth, day1PartYear] = day1PartDateStr.split('/').map(Number);
-        const nextDayAfterPartDay1 = new Date(Date.UTC(day1PartYear, day1PartMonth - 1, day1PartDay + 1, 3, 0, 0, 0));
-        participationDay2 = getNextValidDrawDate(nextDayAfterPartDay1);
+        // PARTICIPATION days (draw days - skip Sunday/holidays)
+        const participationDay1 = getNextValidDrawDate(eligibilityDay1);
+        const dayAfterPartDay1 = DrawCalendar.fromDateKey(
+            DrawCalendar.addDays(DrawCalendar.toDateKey(participationDay1), 1)
+        );
+        let participationDay2 = getNextValidDrawDate(dayAfterPartDay1);
 
         // SPECIAL CASE: If eligibility Day 1 is a no-draw day (e.g., Sunday),
         // then Day 2 participation should be the same as Day 1 participation (only one draw day)
-        const eligibilityDay1DateStr = AdminCore.formatBrazilDateTime(eligibilityDay1, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
         if (isNoDrawDay(eligibilityDay1)) {
-            // If Day 1 eligibility is Sunday/holiday, Day 2 participation = Day 1 participation (only Monday draw)
             participationDay2 = new Date(participationDay1);
         }
 
-        // Eligibility ends at 8 PM (20:00) on eligibility Day 2 (calendar day, not participation day)
-        const eligibilityDay2DateStr = AdminCore.formatBrazilDateTime(eligibilityDay2, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-        const [eligDay2Day, eligDay2Month, eligDay2Year] = eligibilityDay2DateStr.split('/').map(Number);
-
-        // 8 PM BRT = 20:00 BRT = 23:00 UTC (BRT is UTC-3)
-        const eligibilityEnd = new Date(Date.UTC(eligDay2Year, eligDay2Month - 1, eligDay2Day, 23, 0, 0, 0));
-
         const window = {
             startDate: rechargeTime, // Starts from recharge time
-            endDate: eligibilityEnd, // Ends at 8 PM on eligibility Day 2
+            endDate: DrawCalendar.getCutoff(eligibilityDay2), // Ends at draw hour on eligibility Day 2
             day1: participationDay1, // Day 1 participation (draw day)
             day2: participationDay2, // Day 2 participation (draw day)
             eligibilityDay1: eligibilityDay1, // Day 1 eligibility (calendar day - when tickets can be created)
@@ -1069,7 +1039,7 @@ window.UnifiedPage = (function () {
 
                 // CUTOFF CHECK: Determine if ticket participates in Day 2 draw
                 // Rules:
-                // 1. Ticket created AFTER 8 PM on Day 1 (recharge day) → CUTOFF (participates Day 2)
+                // 1. Ticket created after the draw hour on Day 1 (recharge day) → CUTOFF (participates Day 2)
                 // 2. Ticket created on Day 2 (any time) → CUTOFF (participates Day 2)
                 // IMPORTANT:
                 // - rechargeTime: From "Record Time" in RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
@@ -1129,17 +1099,10 @@ window.UnifiedPage = (function () {
 
                         if (isOnEligibilityDay1) {
                             // Ticket created on eligibility Day 1
-                            // If Day 2 participation exists, check if ticket was created AFTER 8 PM
+                            // If Day 2 participation exists, check if ticket was created after the draw hour
                             if (hasDay2Participation) {
-                                // Get hour in Brazilian timezone
-                                // parseBrazilDateTime stores dates as UTC with BRT hour + 3
-                                // So BRT 20:36 → UTC 23:36
-                                // To get BRT from UTC: UTC - 3 (with wraparound)
-                                const utcHour = ticketTime.getUTCHours();
-                                const brtHour = (utcHour - 3 + 24) % 24; // Convert UTC to BRT (subtract 3, handle wraparound)
-
-                                if (brtHour >= 20) {
-                                    isCutoff = true; // After 8 PM on eligibility Day 1 → CUTOFF (participates Day 2)
+                                if (ticketTime.getTime() >= DrawCalendar.getCutoff(ticketTime).getTime()) {
+                                    isCutoff = true; // After draw hour on eligibility Day 1 → CUTOFF (participates Day 2)
                                 }
                             }
                             // If no Day 2 participation (Day 2 = Day 1), no cutoff
@@ -1157,18 +1120,22 @@ window.UnifiedPage = (function () {
                 // Status badge WITH CUTOFF badge integrated
                 let statusBadge = '';
                 const cutoffBadgeHtml = isCutoff ? ' <span class="badge badge-secondary" style="font-size: 0.65rem; margin-left: 4px;">⏰ CUTOFF</span>' : '';
+                const duplicate = retryDuplicates.get(entry);
+                const duplicateBadgeHtml = duplicate
+                    ? ` <span class="badge badge-warning" style="font-size: 0.65rem; margin-left: 4px;" title="Same game ID, numbers and draw as ticket ${duplicate.original.ticketNumber} (${duplicate.secondsApart}s earlier)">♻️ RETRY DUP</span>`
+                    : '';
 
                 switch (status) {
                     case 'VALID':
                     case 'VÁLIDO':
-                        statusBadge = `<span class="badge badge-success" data-cutoff="${isCutoff ? 'yes' : 'no'}">✅ VALID</span>${cutoffBadgeHtml}`;
+                        statusBadge = `<span class="badge badge-success" data-cutoff="${isCutoff ? 'yes' : 'no'}">✅ VALID</span>${cutoffBadgeHtml}${duplicateBadgeHtml}`;
                         break;
                     case 'INVALID':
                     case 'INVÁLIDO':
-                        statusBadge = `<span class="badge badge-danger" data-cutoff="${isCutoff ? 'yes' : 'no'}">❌ INVALID</span>${cutoffBadgeHtml}`;
+                        statusBadge = `<span class="badge badge-danger" data-cutoff="${isCutoff ? 'yes' : 'no'}">❌ INVALID</span>${cutoffBadgeHtml}${duplicateBadgeHtml}`;
                         break;
                     default:
-                        statusBadge = `<span class="badge badge-warning" data-cutoff="${isCutoff ? 'yes' : 'no'}">⏳ PENDING</span>${cutoffBadgeHtml}`;
+                        statusBadge = `<span class="badge badge-warning" data-cutoff="${isCutoff ? 'yes' : 'no'}">⏳ PENDING</span>${cutoffBadgeHtml}${duplicateBadgeHtml}`;
                 }
 
                 // Skip debug logging for performance
@@ -1202,14 +1169,14 @@ window.UnifiedPage = (function () {
                 </div>`;
                 }
 
-                // WhatsApp full display (no masking)
-                const whatsappDisplay = entry.whatsapp || '';
+                // WhatsApp in full for roles with contact access (DataStore masks it otherwise)
+                const whatsappDisplay = AdminCore.formatContact(entry.whatsapp);
 
                 // Format draw date
                 const formattedDrawDate = formatDrawDate(entry.drawDate);
 
                 return `
-                <tr data-cutoff="${isCutoff ? 'yes' : 'no'}">
+                <tr data-cutoff="${isCutoff ? 'yes' : 'no'}"${duplicate ? ' data-retry-duplicate="yes"' : ''}>
                     <td>${statusBadge}</td>
                     <td style="font-size:0.8rem;white-space:nowrap">${formattedTime}</td>
                     <td><span class="platform-badge ${platform.toLowerCase()}">${platform}</span></td>
@@ -1218,7 +1185,7 @@ window.UnifiedPage = (function () {
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td style="font-size:0.8rem">${formattedDrawDate}</td>
                     <td><span class="badge badge-info">${entry.contest}</span></td>
-                    <td style="font-size:0.9rem">${entry.ticketNumber}</td>
+                    <td style="font-size:0.9rem"><a href="#" onclick="UnifiedPage.showEntryDetails(${start + index}); return false;" title="Ticket details">${entry.ticketNumber}</a>${entry.verificationCode ? `<br><span style="font-size:0.65rem;color:var(--text-muted);" title="Receipt ID: ${entry.ticketId}">🔐 ${entry.verificationCode}</span>` : ''}</td>
                     <td>${rechargeInfo}</td>
                 </tr>
             `;
@@ -1284,24 +1251,39 @@ window.UnifiedPage = (function () {
         renderEntriesPagination();
     }
 
-    function showTicketDetails(ticketNumber) {
-        const entry = currentData.entries.find(e => e.ticketNumber === ticketNumber);
-        if (!entry) return;
+    // Rows are looked up by index: the ticket number ("1º bilhete") repeats across a player's tickets
+    function showEntryDetails(index) {
+        const entry = filteredEntries[index];
+        if (entry) showTicketDetails(entry);
+    }
 
+    function showLegacyDiffDetails(index) {
+        const diff = legacyDiffs[index];
+        if (diff) showTicketDetails(diff.ticket);
+    }
+
+    function showTicketDetails(entry) {
         const modalContent = document.getElementById('ticketModalContent');
         if (!modalContent) return;
+        detailEntry = entry;
+
+        AuditLog.record('ticket.view', { ticketNumber: entry.ticketNumber, platform: entry.platform, gameId: entry.gameId });
 
-        // ✅ VALIDATION STATUS - READ DIRECTLY FROM CSV (Column H - STATUS)
+        // ✅ VALIDATION STATUS - READ DIRECTLY FROM CSV (Column H - STATUS), or its manual override
         const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
         const status = csvStatus;
         const statusClass = { 'VALID': 'success', 'INVALID': 'danger', 'VÁLIDO': 'success', 'INVÁLIDO': 'danger' }[csvStatus] || 'warning';
         const statusIcon = (status === 'VALID' || status === 'VÁLIDO') ? '✅' : (status === 'INVALID' || status === 'INVÁLIDO') ? '❌' : '⏳';
         const statusText = (status === 'VALID' || status === 'VÁLIDO') ? 'VALID' : (status === 'INVALID' || status === 'INVÁLIDO') ? 'INVALID' : 'PENDING';
 
+        const override = entry.validityOverride;
+        const statusSource = override
+            ? `Manual override by ${escapeHtml(override.by || 'admin')} on ${escapeHtml(AdminCore.formatBrazilDateTime(new Date(override.at)))}: ${escapeHtml(override.reason)} (CSV: ${escapeHtml(entry.sourceStatus || 'N/A')})`
+            : 'Status from CSV';
         const statusHtml = `<div class="status-banner ${statusClass} mb-4">
             <span class="status-banner-icon">${statusIcon}</span>
             <span class="status-banner-text">
-                <strong>${statusText}</strong> - Status from CSV
+                <strong>${statusText}</strong> - ${statusSource}
             </span>
         </div>`;
 
@@ -1407,7 +1389,7 @@ window.UnifiedPage = (function () {
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Original Status</span>
-                    <span class="value">${entry.status || 'N/A'}</span>
+                    <span class="value">${(override ? entry.sourceStatus : entry.status) || 'N/A'}</span>
                 </div>
             </div>
             
@@ -1416,11 +1398,66 @@ window.UnifiedPage = (function () {
             
             <h4 class="mb-3">💳 Linked Recharge</h4>
             ${rechargeHtml}
+            
+            <div class="text-center mt-4">
+                <button class="btn btn-secondary" onclick="UnifiedPage.openDecisionReport()">🧾 Decision Report (print / PDF)</button>
+            </div>
         `;
 
+        document.getElementById('overrideStatus').value = override ? override.status : (statusText === 'VALID' ? 'INVALID' : 'VALID');
+        document.getElementById('overrideReason').value = override ? override.reason : '';
+        document.getElementById('btnClearOverride').style.display = override ? '' : 'none';
+
         AdminCore.openModal('ticketModal');
     }
 
+    async function handleOverrideAction(action) {
+        if (!detailEntry) return;
+        if (isSessionImport()) {
+            AdminCore.showToast('Go back to live data before overriding validity', 'warning');
+            return;
+        }
+
+        // One change at a time: the API answers before the buttons work again
+        const buttons = [document.getElementById('btnApplyOverride'), document.getElementById('btnClearOverride')];
+        buttons.forEach(button => { if (button) button.disabled = true; });
+        try {
+            if (action === 'apply') {
+                await ValidityOverrides.set(detailEntry, document.getElementById('overrideStatus').value, document.getElementById('overrideReason').value);
+                AdminCore.showToast('Validity overridden', 'success');
+            } else if (action === 'clear') {
+                await ValidityOverrides.clear(detailEntry);
+                AdminCore.showToast('Override removed', 'success');
+            }
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+            return;
+        } finally {
+            buttons.forEach(button => { if (button) button.disabled = false; });
+        }
+
+        // Every section re-reads the entries with the new status (validation, winners, payouts)
+        AdminCore.closeModal('ticketModal');
+        DataStore.refreshValidityOverrides();
+        loadAllData(false);
+    }
+
+    function openDecisionReport() {
+        const entry = detailEntry;
+        if (!entry) return;
+
+        const report = DecisionReport.build(entry, {
+            entries: currentData.allEntries,
+            recharges: currentData.allRecharges,
+            results: currentData.results
+        });
+        if (!DecisionReport.open(report)) {
+            AdminCore.showToast('Allow pop-ups to open the decision report', 'warning');
+            return;
+        }
+        AuditLog.record('export', { type: 'decision-report', ticketNumber: entry.ticketNumber, platform: entry.platform, gameId: entry.gameId });
+    }
+
     function exportEntriesCSV() {
         if (filteredEntries.length === 0) {
             AdminCore.showToast('No data to export', 'warning');
@@ -1569,9 +1606,7 @@ window.UnifiedPage = (function () {
                     const hasDay2Participation = partDay1Date.getTime() !== partDay2Date.getTime();
 
                     if (isOnEligibilityDay1 && hasDay2Participation) {
-                        const utcHour = ticketTime.getUTCHours();
-                        const brtHour = (utcHour - 3 + 24) % 24;
-                        if (brtHour >= 20) {
+                        if (ticketTime.getTime() >= DrawCalendar.getCutoff(ticketTime).getTime()) {
                             cutoffFlag = 'YES';
                         }
                     } else if (isOnEligibilityDay2 && hasDay2Participation) {
@@ -1586,7 +1621,7 @@ window.UnifiedPage = (function () {
                 registrationTime,
                 entry.platform || '',
                 entry.gameId || '',
-                entry.whatsapp || '',
+                AdminCore.formatContact(entry.whatsapp),
                 entry.numbers.join(', '),
                 drawDate,
                 entry.contest || '',
@@ -1606,6 +1641,8 @@ window.UnifiedPage = (function () {
         link.download = `entries_export_${new Date().toISOString().replace(/:/g, '_')}.csv`;
         link.click();
 
+        AuditLog.record('export', { type: 'entries', rows: filteredEntries.length, platform: AdminCore.getCurrentPlatform(), filters: { ...entriesFilters, sortBy } });
+
         AdminCore.showToast(`${filteredEntries.length} entries exported`, 'success');
     }
 
@@ -1640,6 +1677,169 @@ window.UnifiedPage = (function () {
 
         filteredResults = [...results];
         renderResultsTable();
+        renderConcursoCheck();
+    }
+
+    /**
+     * Render tickets whose stored CONCURSO disagrees with their draw date
+     */
+    function renderConcursoCheck() {
+        const tbody = document.getElementById('concursoCheckBody');
+        const countEl = document.getElementById('concursoMismatchCount');
+        if (!tbody) return;
+
+        concursoMismatches = ResultsFetcher.findConcursoMismatches(currentData.entries);
+
+        if (countEl) {
+            countEl.textContent = `${concursoMismatches.length.toLocaleString()} tickets`;
+            countEl.className = `badge ${concursoMismatches.length > 0 ? 'badge-danger' : 'badge-success'}`;
+        }
+
+        if (concursoMismatches.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">All tickets match their draw date</td></tr>';
+            return;
+        }
+
+        const issueLabels = {
+            MISMATCH: '<span class="badge badge-danger">Mismatch</span>',
+            MISSING_CONTEST: '<span class="badge badge-warning">No Concurso</span>',
+            INVALID_DRAW_DATE: '<span class="badge badge-warning">Bad Draw Date</span>'
+        };
+
+        tbody.innerHTML = concursoMismatches.slice(0, 100).map(m => {
+            const expected = m.expectedContest !== null
+                ? `#${m.expectedContest}${m.source === 'known' ? '' : ' <span class="text-muted">(est.)</span>'}`
+                : '-';
+            return `
+                <tr>
+                    <td>${m.entry.ticketNumber || '-'}</td>
+                    <td>${m.entry.platform}</td>
+                    <td>${m.entry.gameId}</td>
+                    <td>${formatDrawDate(m.entry.drawDate)}</td>
+                    <td><strong>${m.storedContest !== null ? '#' + m.storedContest : '-'}</strong></td>
+                    <td>${expected}</td>
+                    <td>${issueLabels[m.issue] || m.issue}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Export concurso mismatches to CSV
+     */
+    function exportConcursoCSV() {
+        if (concursoMismatches.length === 0) {
+            AdminCore.showToast('No concurso mismatches to export', 'warning');
+            return;
+        }
+
+        const headers = ['Registered', 'Ticket #', 'Platform', 'Game ID', 'Draw Date', 'Stored Concurso', 'Expected Concurso', 'Expected Source', 'Issue'];
+        const rows = concursoMismatches.map(m => [
+            m.entry.timestamp,
+            m.entry.ticketNumber,
+            m.entry.platform,
+            m.entry.gameId,
+            m.entry.drawDate,
+            m.storedContest ?? '',
+            m.expectedContest ?? '',
+            m.source || '',
+            m.issue
+        ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `concurso_check_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+
+        AuditLog.record('export', { type: 'concurso-check', rows: concursoMismatches.length });
+
+        AdminCore.showToast(`${concursoMismatches.length} tickets exported`, 'success');
+    }
+
+    /**
+     * Render tickets where the retired admin/ dashboard rules disagree with RechargeValidator
+     */
+    function renderLegacyDiff() {
+        const tbody = document.getElementById('legacyDiffBody');
+        const countEl = document.getElementById('legacyDiffCount');
+        if (!tbody || !currentData.validationResults) return;
+
+        legacyDiffs = LegacyValidator.compare(currentData.validationResults, currentData.allRecharges);
+
+        if (countEl) {
+            countEl.textContent = `${legacyDiffs.length.toLocaleString()} tickets`;
+            countEl.className = `badge ${legacyDiffs.length > 0 ? 'badge-danger' : 'badge-success'}`;
+        }
+
+        if (legacyDiffs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Both dashboards agree on every ticket</td></tr>';
+            return;
+        }
+
+        const statusBadge = status => {
+            const cls = status === 'VALID' ? 'badge-success' : status === 'INVALID' ? 'badge-danger' : 'badge-warning';
+            return `<span class="badge ${cls}">${status}</span>`;
+        };
+        const describe = (side, reason) => `${statusBadge(side.status)}
+            ${side.rechargeId ? `<div class="text-muted" style="font-size:0.75rem">${side.rechargeId}</div>` : ''}
+            <div class="text-muted" style="font-size:0.75rem">${reason}</div>`;
+
+        tbody.innerHTML = legacyDiffs.slice(0, 100).map((d, index) => {
+            const registered = d.ticket.parsedDate
+                ? AdminCore.formatBrazilDateTime(d.ticket.parsedDate, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : (d.ticket.timestamp || '-');
+            return `
+                <tr>
+                    <td><a href="#" onclick="UnifiedPage.showLegacyDiffDetails(${index}); return false;">${d.ticket.ticketNumber || '-'}</a></td>
+                    <td>${d.ticket.platform}</td>
+                    <td>${d.ticket.gameId}</td>
+                    <td>${registered}</td>
+                    <td>${formatDrawDate(d.ticket.drawDate)}</td>
+                    <td>${describe(d.current, d.current.reason)}</td>
+                    <td>${describe(d.legacy, `${d.legacy.reasonCode ? d.legacy.reasonCode + ': ' : ''}${d.legacy.reason}`)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Export the legacy admin diff to CSV
+     */
+    function exportLegacyDiffCSV() {
+        if (legacyDiffs.length === 0) {
+            AdminCore.showToast('No legacy differences to export', 'warning');
+            return;
+        }
+
+        const headers = ['Registered', 'Ticket #', 'Platform', 'Game ID', 'Draw Date', 'Difference', 'Homina Status', 'Homina Recharge', 'Homina Reason', 'Legacy Status', 'Legacy Recharge', 'Legacy Reason Code', 'Legacy Reason'];
+        const rows = legacyDiffs.map(d => [
+            d.ticket.timestamp,
+            d.ticket.ticketNumber,
+            d.ticket.platform,
+            d.ticket.gameId,
+            d.ticket.drawDate,
+            d.difference,
+            d.current.status,
+            d.current.rechargeId,
+            d.current.reason,
+            d.legacy.status,
+            d.legacy.rechargeId,
+            d.legacy.reasonCode || '',
+            d.legacy.reason
+        ].map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','));
+
+        const csv = [headers.join(','), ...rows].join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `legacy_admin_diff_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+
+        AuditLog.record('export', { type: 'legacy-diff', rows: legacyDiffs.length });
+
+        AdminCore.showToast(`${legacyDiffs.length} tickets exported`, 'success');
     }
 
     /**
@@ -1753,10 +1953,14 @@ window.UnifiedPage = (function () {
             document.getElementById('stat3Matches').textContent = (stats.byTier?.[3] || 0).toLocaleString();
             document.getElementById('statWinnersTotal').textContent = (stats.totalWinners || 0).toLocaleString();
 
-            // Prize pool label
-            const prizePool = WinnerCalculator.getPrizePool(platform === 'ALL' ? 'DEFAULT' : platform);
+            // Prize rule in effect today
+            const prizeRule = WinnerCalculator.getPrizeRule(platform === 'ALL' ? 'DEFAULT' : platform);
             const prizeLabel = document.getElementById('prizePoolLabel');
-            if (prizeLabel) prizeLabel.textContent = `Prize Pool: R$ ${prizePool.toLocaleString()}`;
+            const carry = getJackpotCarry();
+            if (prizeLabel) {
+                prizeLabel.textContent = `Prize rule: ${PrizeRules.describe(prizeRule)}` +
+                    (carry > 0 ? ` · 🔁 Acumulado: R$ ${carry.toFixed(2)}` : '');
+            }
 
             // Winners by contest cards
             renderWinnersCards();
@@ -1805,11 +2009,12 @@ window.UnifiedPage = (function () {
                 }
             }
 
-            let prizeInfo = '';
-            if (contest.winningTier > 0 && contest.prizePerWinner > 0) {
-                const winnerCount = contest.byTier[contest.winningTier]?.filter(w => w.isValidEntry).length || 0;
-                prizeInfo = `<div class="text-success mt-2" style="font-size:0.8rem">💰 R$ ${contest.prizePerWinner.toFixed(2)} per winner</div>`;
-            }
+            const prizeInfo = Object.keys(contest.prizes || {})
+                .sort((a, b) => b - a)
+                .map(tier => `<div class="text-success mt-2" style="font-size:0.8rem">💰 R$ ${contest.prizes[tier].toFixed(2)} per ${tier}-match winner</div>`)
+                .join('');
+            const carryInfo = (contest.carryIn > 0 ? `<div class="text-muted mt-2" style="font-size:0.8rem">🔁 R$ ${contest.carryIn.toFixed(2)} carried in</div>` : '') +
+                (contest.carryOut > 0 ? `<div class="text-warning mt-2" style="font-size:0.8rem">🔁 R$ ${contest.carryOut.toFixed(2)} rolls over</div>` : '');
 
             return `
                 <div class="card">
@@ -1822,6 +2027,7 @@ window.UnifiedPage = (function () {
                         <div class="text-center">
                             ${tierCounts.length > 0 ? tierCounts.join(' ') : '<span class="text-muted">No winners</span>'}
                             ${prizeInfo}
+                            ${carryInfo}
                         </div>
                     </div>
                 </div>
@@ -1916,9 +2122,508 @@ window.UnifiedPage = (function () {
         link.download = `winners_${AdminCore.getBrazilDateString(new Date())}.csv`;
         link.click();
 
+        AuditLog.record('export', { type: 'winners', rows: filteredWinners.length, platform: AdminCore.getCurrentPlatform(), filters: { ...winnersFilters } });
+
         AdminCore.showToast(`${filteredWinners.length} winners exported`, 'success');
     }
 
+    // ============================================
+    // PAYOUTS SECTION
+    // ============================================
+
+    const PAYOUT_STATUS_BADGES = {
+        outstanding: '<span class="badge badge-warning">⏳ Outstanding</span>',
+        paid: '<span class="badge badge-success">✅ Paid</span>',
+        disputed: '<span class="badge badge-danger">⚠️ Disputed</span>'
+    };
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    function formatPayoutDate(isoString) {
+        return isoString ? AdminCore.formatBrazilDateTime(new Date(isoString)) : '-';
+    }
+
+    async function renderPayouts() {
+        const { allEntries, results } = currentData;
+
+        try {
+            await PayoutLedger.load();
+        } catch (error) {
+            AdminCore.showToast('Error loading payouts: ' + error.message, 'error');
+        }
+
+        try {
+            // Each platform has its own prize pool, so owed amounts are synced per platform.
+            // A CSV imported for this session, or a role without payout access, must not create
+            // or change ledger entries.
+            const canSync = !isSessionImport() && AdminCore.hasPermission('markPayouts');
+            const platforms = canSync ? AdminCore.PLATFORMS.filter(p => p !== 'ALL') : [];
+            for (const platform of platforms) {
+                const calculation = winnersCalculation?.platform === platform
+                    ? winnersCalculation
+                    : await WinnerCalculator.calculateAllWinners(allEntries, results, platform);
+                await PayoutLedger.syncFromWinners(calculation, platform);
+            }
+        } catch (error) {
+            AdminCore.showToast('Error syncing payouts: ' + error.message, 'error');
+        }
+
+        const platformEntries = PayoutLedger.list({ platform: AdminCore.getCurrentPlatform() });
+        const contests = [...new Set(platformEntries.map(e => e.contest))];
+        const contestSelect = document.getElementById('filterPayoutContest');
+        if (contestSelect) {
+            contestSelect.innerHTML = '<option value="">All</option>' + contests.map(c => `<option value="${c}">${c}</option>`).join('');
+            contestSelect.value = contests.includes(payoutsFilters.contest) ? payoutsFilters.contest : '';
+        }
+
+        applyPayoutsFilters();
+    }
+
+    function renderPayoutStats() {
+        const summary = PayoutLedger.getSummary(PayoutLedger.list({ platform: AdminCore.getCurrentPlatform() }));
+        document.getElementById('statPayoutOwed').textContent = `R$ ${summary.owed.toFixed(2)}`;
+        document.getElementById('statPayoutPaid').textContent = `R$ ${summary.paid.toFixed(2)}`;
+        document.getElementById('statPayoutOutstanding').textContent = `R$ ${summary.outstanding.toFixed(2)} (${summary.outstandingCount})`;
+        document.getElementById('statPayoutDisputed').textContent = summary.disputedCount.toLocaleString();
+    }
+
+    function applyPayoutsFilters() {
+        filteredPayouts = PayoutLedger.list({
+            platform: AdminCore.getCurrentPlatform(),
+            ...payoutsFilters
+        });
+        renderPayoutStats();
+        renderPayoutsTable();
+    }
+
+    function renderPayoutsTable() {
+        const tbody = document.getElementById('payoutsTableBody');
+        if (!tbody) return;
+
+        if (filteredPayouts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="10" class="text-center text-muted">No payouts found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = filteredPayouts.map((entry, index) => {
+            const balance = PayoutLedger.getBalance(entry);
+            const staleBadge = entry.noLongerWinner ? ' <span class="badge badge-gray">No longer a winner</span>' : '';
+            const balanceHtml = entry.paidAmount > 0 && balance > 0
+                ? `<br><small class="text-warning">R$ ${balance.toFixed(2)} left</small>` : '';
+            const paidByHtml = entry.paidBy ? `<br><small class="text-muted">${escapeHtml(entry.paidBy)}</small>` : '';
+            const noteHtml = entry.note ? `<br><small class="text-muted">${escapeHtml(entry.note)}</small>` : '';
+
+            return `
+                <tr>
+                    <td>${PAYOUT_STATUS_BADGES[entry.status] || ''}${staleBadge}${noteHtml}</td>
+                    <td>${escapeHtml(entry.contest)}<br><small class="text-muted">${escapeHtml(entry.drawDate)}</small></td>
+                    <td>${escapeHtml(entry.ticketNumber || '-')}<br><small class="text-muted">${escapeHtml(entry.platform)}</small></td>
+                    <td><strong>${escapeHtml(entry.gameId)}</strong></td>
+                    <td>${entry.matches}</td>
+                    <td>R$ ${entry.amountOwed.toFixed(2)}${balanceHtml}</td>
+                    <td>R$ ${entry.paidAmount.toFixed(2)}</td>
+                    <td>${formatPayoutDate(entry.paidAt)}${paidByHtml}</td>
+                    <td>${escapeHtml(entry.paymentReference || '-')}</td>
+                    <td><button class="btn btn-outline btn-sm" onclick="UnifiedPage.openPayoutModal(${index})">Record</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function openPayoutModal(index) {
+        const entry = filteredPayouts[index];
+        if (!entry) return;
+
+        const balance = PayoutLedger.getBalance(entry);
+        const info = [
+            ['Contest', entry.contest],
+            ['Draw Date', entry.drawDate],
+            ['Platform', entry.platform],
+            ['Ticket #', entry.ticketNumber || '-'],
+            ['Game ID', entry.gameId],
+            ['WhatsApp', entry.whatsapp || '-'],
+            ['Matches', entry.matches],
+            ['Amount Owed', `R$ ${entry.amountOwed.toFixed(2)}`],
+            ['Paid', `R$ ${entry.paidAmount.toFixed(2)}`],
+            ['Paid At', formatPayoutDate(entry.paidAt)],
+            ['Paid By', entry.paidBy || '-'],
+            ['Status', entry.status]
+        ];
+        document.getElementById('payoutModalInfo').innerHTML = info.map(([label, value]) => `
+            <div class="ticket-info-item">
+                <span class="label">${label}</span>
+                <span class="value">${escapeHtml(value)}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('payoutKey').value = entry.key;
+        document.getElementById('payoutAmount').value = (entry.paidAmount > 0 && balance === 0 ? entry.paidAmount : entry.amountOwed).toFixed(2);
+        document.getElementById('payoutReference').value = entry.paymentReference;
+        document.getElementById('payoutNote').value = entry.note;
+        document.getElementById('btnResolvePayoutDispute').style.display = entry.status === PayoutLedger.STATUS.DISPUTED ? '' : 'none';
+
+        AdminCore.openModal('payoutModal');
+    }
+
+    async function handlePayoutAction(action) {
+        const key = document.getElementById('payoutKey').value;
+        const shown = PayoutLedger.getEntry(key);
+
+        // One change at a time: the API answers before the buttons work again
+        const buttons = ['btnMarkPayoutPaid', 'btnDisputePayout', 'btnResolvePayoutDispute'].map(id => document.getElementById(id));
+        buttons.forEach(button => { if (button) button.disabled = true; });
+        try {
+            if (action === 'paid') {
+                const entry = PayoutLedger.getEntry(key);
+                const amount = parseFloat(document.getElementById('payoutAmount').value);
+                if (entry && amount > entry.amountOwed + 0.005 &&
+                    !confirm(`R$ ${amount.toFixed(2)} is more than the R$ ${entry.amountOwed.toFixed(2)} owed. Record it anyway?`)) {
+                    return;
+                }
+                await PayoutLedger.markPaid(key, {
+                    amount,
+                    reference: document.getElementById('payoutReference').value
+                });
+                AdminCore.showToast('Payment recorded', 'success');
+            } else if (action === 'dispute') {
+                await PayoutLedger.markDisputed(key, document.getElementById('payoutNote').value);
+                AdminCore.showToast('Prize marked as disputed', 'warning');
+            } else if (action === 'resolve') {
+                await PayoutLedger.resolveDispute(key);
+                AdminCore.showToast('Dispute resolved', 'success');
+            }
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+            // Changed by someone else: the API sent it as it is now, so show that instead
+            if (PayoutLedger.getEntry(key) !== shown) {
+                AdminCore.closeModal('payoutModal');
+                applyPayoutsFilters();
+            }
+            return;
+        } finally {
+            buttons.forEach(button => { if (button) button.disabled = false; });
+        }
+
+        AdminCore.closeModal('payoutModal');
+        applyPayoutsFilters();
+    }
+
+    function exportPayoutsCSV() {
+        if (filteredPayouts.length === 0) {
+            AdminCore.showToast('No payouts to export', 'warning');
+            return;
+        }
+
+        const blob = new Blob([PayoutLedger.toCSV(filteredPayouts)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `payouts_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+
+        AuditLog.record('export', { type: 'payouts', rows: filteredPayouts.length, filters: { ...payoutsFilters } });
+
+        AdminCore.showToast(`${filteredPayouts.length} payouts exported`, 'success');
+    }
+
+    async function importPayoutsCSV(file) {
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = await PayoutLedger.importCSV(await file.text());
+            AdminCore.showToast(`${imported} payouts imported, ${skipped} already up to date`, 'success');
+            renderPayouts();
+        } catch (error) {
+            AdminCore.showToast('Import failed: ' + error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // AUDIT LOG SECTION
+    // ============================================
+
+    async function renderAuditLog() {
+        if (!AdminCore.hasPermission('viewAudit')) return;
+
+        try {
+            const { entries, source } = await AuditLog.load();
+            auditEntries = entries;
+            document.getElementById('auditSource').textContent = source === 'api'
+                ? `All admins - ${entries.length.toLocaleString()} entries from the admin API.`
+                : `Admin API unavailable - showing the ${entries.length.toLocaleString()} entries recorded in this browser only.`;
+        } catch (error) {
+            AdminCore.showToast('Error loading audit log: ' + error.message, 'error');
+            return;
+        }
+
+        const actionSelect = document.getElementById('filterAuditAction');
+        if (actionSelect) {
+            actionSelect.innerHTML = '<option value="">All</option>' + Object.entries(AuditLog.ACTIONS)
+                .map(([action, label]) => `<option value="${action}">${escapeHtml(label)}</option>`).join('');
+            actionSelect.value = auditFilters.action;
+        }
+
+        applyAuditFilters();
+        renderLockouts();
+    }
+
+    function applyAuditFilters() {
+        filteredAudit = AuditLog.filter(auditEntries, auditFilters);
+        renderAuditTable();
+    }
+
+    function renderAuditTable() {
+        const tbody = document.getElementById('auditTableBody');
+        if (!tbody) return;
+
+        if (filteredAudit.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No audit entries found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = filteredAudit.map(entry => `
+            <tr>
+                <td>${formatPayoutDate(entry.at)}</td>
+                <td><strong>${escapeHtml(entry.username || '-')}</strong></td>
+                <td>${escapeHtml(AdminCore.ROLES[entry.role]?.label || entry.role || '-')}</td>
+                <td>${escapeHtml(AuditLog.ACTIONS[entry.action] || entry.action)}</td>
+                <td><small>${escapeHtml(AuditLog.describeParams(entry.params))}</small></td>
+            </tr>
+        `).join('');
+    }
+
+    async function renderLockouts() {
+        if (!AdminCore.hasPermission('manageAccounts')) return;
+
+        const tbody = document.getElementById('lockoutsTableBody');
+        if (!tbody) return;
+
+        let lockouts;
+        try {
+            lockouts = await AdminAuth.getLockouts();
+        } catch (error) {
+            tbody.innerHTML = `<tr><td colspan="5" class="text-center text-muted">Locked logins unavailable: ${escapeHtml(error.message)}</td></tr>`;
+            return;
+        }
+
+        const rows = lockoutRows = [
+            ...lockouts.accounts.map(a => ({ ...a, label: a.username, target: { username: a.username } })),
+            ...lockouts.clients.map(c => ({ ...c, label: `${c.client} (client)`, target: { client: c.client } }))
+        ];
+        document.getElementById('lockoutsCount').textContent = rows.filter(r => r.locked).length.toLocaleString() + ' locked';
+
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No locked or delayed logins</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = rows.map((row, index) => `
+            <tr>
+                <td><strong>${escapeHtml(row.label)}</strong></td>
+                <td>${row.failures}</td>
+                <td>${formatPayoutDate(row.lastFailure)}</td>
+                <td>${row.locked
+                    ? `<span class="badge badge-danger">Locked</span> until ${formatPayoutDate(row.retryAt)}`
+                    : `<span class="badge badge-warning">Delayed</span> until ${formatPayoutDate(row.retryAt)}`}</td>
+                <td><button class="btn btn-outline btn-sm" onclick="UnifiedPage.unlockLogin(${index})">Unlock</button></td>
+            </tr>
+        `).join('');
+    }
+
+    async function unlockLogin(index) {
+        const row = lockoutRows[index];
+        if (!row) return;
+
+        try {
+            await AdminAuth.unlock(row.target);
+            AdminCore.showToast(`${row.label} unlocked`, 'success');
+        } catch (error) {
+            AdminCore.showToast('Unlock failed: ' + error.message, 'error');
+        }
+        renderLockouts();
+        renderAuditLog();
+    }
+
+    function exportAuditCSV() {
+        if (filteredAudit.length === 0) {
+            AdminCore.showToast('No audit entries to export', 'warning');
+            return;
+        }
+
+        const blob = new Blob([AuditLog.toCSV(filteredAudit)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit_log_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+
+        AuditLog.record('export', { type: 'audit-log', rows: filteredAudit.length, filters: { ...auditFilters } });
+        AdminCore.showToast(`${filteredAudit.length} audit entries exported`, 'success');
+    }
+
+    // ============================================
+    // CSV IMPORT (SESSION ONLY)
+    // ============================================
+
+    /**
+     * Check if any dataset comes from a CSV imported in this tab
+     * @returns {boolean}
+     */
+    function isSessionImport() {
+        return DataSources.getPageDatasets().length > 0;
+    }
+
+    /**
+     * Guess the platform of a recharge export from its file name
+     * @param {string} fileName - File name
+     * @returns {string|null} 'POPN1' | 'POPLUZ'
+     */
+    function guessPlatformFromName(fileName) {
+        const name = String(fileName || '').toUpperCase();
+        if (name.includes('LUZ')) return 'POPLUZ';
+        if (name.includes('N1')) return 'POPN1';
+        return null;
+    }
+
+    /**
+     * Read a CSV file, detect its layout and open the import preview
+     * @param {File} file - Picked or dropped file
+     */
+    async function openCsvImport(file) {
+        if (!file) return;
+
+        try {
+            const table = CsvLayouts.readTable(await file.text());
+            const layout = CsvLayouts.detectLayout(table.header);
+
+            let dataset = layout || 'entries';
+            if (layout === 'recharges') {
+                dataset = `recharges.${guessPlatformFromName(file.name) || 'POPN1'}`;
+            }
+
+            pendingImport = { name: file.name, table, detected: layout };
+            document.getElementById('csvImportDataset').value = dataset;
+            renderCsvImportPreview();
+            AdminCore.openModal('csvImportModal');
+        } catch (error) {
+            AdminCore.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the column mapping and first rows for the dataset chosen in the import modal
+     */
+    function renderCsvImportPreview() {
+        if (!pendingImport) return;
+
+        const { name, table, detected } = pendingImport;
+        const dataset = document.getElementById('csvImportDataset').value;
+        const layoutName = dataset.split('.')[0];
+        const layout = CsvLayouts.LAYOUTS[layoutName];
+        const { columns, missing, version } = CsvLayouts.findColumns(layoutName, table.header);
+
+        document.getElementById('csvImportSummary').innerHTML = `
+            <strong>${escapeHtml(name)}</strong> - ${table.rows.length.toLocaleString()} rows,
+            ${detected ? `detected as <strong>${CsvLayouts.LAYOUTS[detected].label}</strong>` : 'layout not recognized'}
+            ${version ? `(${escapeHtml(version)})` : ''}
+        `;
+
+        const errorEl = document.getElementById('csvImportError');
+        errorEl.textContent = missing.length > 0 ? `Missing column(s) for ${layout.label}: ${missing.join(', ')}` : '';
+        errorEl.classList.toggle('show', missing.length > 0);
+        document.getElementById('btnConfirmCsvImport').disabled = missing.length > 0;
+
+        document.getElementById('csvImportMapping').innerHTML = Object.keys(layout.columns).map(field => {
+            const index = columns[field];
+            const source = index >= 0
+                ? escapeHtml(table.rawHeader[index])
+                : '<span class="text-muted">- not in file -</span>';
+            return `<tr><td>${escapeHtml(layout.columns[field][0].toUpperCase())}</td><td>${source}</td></tr>`;
+        }).join('');
+
+        const previewRows = missing.length > 0
+            ? []
+            : CsvLayouts.toSheetRows(layoutName, { ...table, rows: table.rows.slice(0, 5) }, columns);
+        document.getElementById('csvImportPreviewHead').innerHTML =
+            `<tr>${layout.sheetHeader.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`;
+        document.getElementById('csvImportPreviewBody').innerHTML = previewRows.length > 0
+            ? previewRows.map(row => `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`).join('')
+            : `<tr><td colspan="${layout.sheetHeader.length}" class="text-center text-muted">No preview</td></tr>`;
+    }
+
+    /**
+     * Load the previewed file in place of its dataset for this tab, then reload the dashboard
+     */
+    async function confirmCsvImport() {
+        if (!pendingImport) return;
+
+        const { name, table } = pendingImport;
+        const dataset = document.getElementById('csvImportDataset').value;
+        const layoutName = dataset.split('.')[0];
+        const { columns } = CsvLayouts.findColumns(layoutName, table.header);
+
+        // Rebuilt in the sheet layout, so the regular fetchers and parsers read it unchanged
+        const rows = CsvLayouts.toSheetRows(layoutName, table, columns);
+        DataSources.configure({
+            [dataset]: { type: 'file', name, text: DataSources.rowsToCSV([CsvLayouts.LAYOUTS[layoutName].sheetHeader, ...rows]) }
+        });
+
+        pendingImport = null;
+        AdminCore.closeModal('csvImportModal');
+        AuditLog.record('data.import', { dataset, file: name, rows: rows.length });
+        updateSessionImportBanner();
+        AdminCore.showToast(`${name} loaded as ${dataset} for this session`, 'success');
+        await loadAllData(true);
+    }
+
+    /**
+     * Show which datasets come from imported files
+     */
+    function updateSessionImportBanner() {
+        const banner = document.getElementById('sessionImportBanner');
+        if (!banner) return;
+
+        const datasets = DataSources.getPageDatasets();
+        banner.style.display = datasets.length > 0 ? 'flex' : 'none';
+        document.getElementById('sessionImportText').textContent = datasets.length > 0
+            ? `📂 Session import - ${datasets.map(d => `${d}: ${DataSources.getSource(d).name}`).join(', ')}. Live data is not changed; payouts are not synced.`
+            : '';
+    }
+
+    /**
+     * Drop every imported file and reload the live data
+     */
+    function backToLiveData() {
+        AuditLog.record('data.live', { datasets: DataSources.getPageDatasets() });
+        DataSources.reset();
+        updateSessionImportBanner();
+        AdminCore.showToast('Back to live data', 'success');
+        loadAllData(true);
+    }
+
+    /**
+     * Accept CSV files dropped anywhere on the page
+     */
+    function bindCsvDrop() {
+        const overlay = document.getElementById('csvDropOverlay');
+        if (!overlay) return;
+
+        const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            overlay.style.display = 'flex';
+        });
+        overlay.addEventListener('dragleave', () => { overlay.style.display = 'none'; });
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            overlay.style.display = 'none';
+            openCsvImport(e.dataTransfer.files[0]);
+        });
+    }
+
     // ============================================
     // DATA LOADING
     // ============================================
@@ -1960,12 +2665,14 @@ window.UnifiedPage = (function () {
 
             AdminCore.updateLoadingProgress(90, 'Rendering entries...');
             renderEntries();
+            renderLegacyDiff();
 
             AdminCore.updateLoadingProgress(95, 'Rendering results...');
             renderResults();
 
             AdminCore.updateLoadingProgress(98, 'Rendering winners...');
-            renderWinners();
+            renderWinners().then(renderPayouts);
+            renderAuditLog();
 
             AdminCore.updateLoadingProgress(100, 'Complete!');
 
@@ -2000,7 +2707,11 @@ window.UnifiedPage = (function () {
         });
 
         // Entries filters
-        const debouncedEntriesFilter = AdminCore.debounce(applyEntriesFilters, 300);
+        const debouncedSearchAudit = AdminCore.debounce(recordEntriesSearch, 1500);
+        const debouncedEntriesFilter = AdminCore.debounce(() => {
+            applyEntriesFilters();
+            debouncedSearchAudit();
+        }, 300);
         document.getElementById('filterGameId')?.addEventListener('input', (e) => { entriesFilters.gameId = e.target.value; debouncedEntriesFilter(); });
         document.getElementById('filterWhatsapp')?.addEventListener('input', (e) => { entriesFilters.whatsapp = e.target.value; debouncedEntriesFilter(); });
         document.getElementById('filterOrderNumber')?.addEventListener('input', (e) => { entriesFilters.orderNumber = e.target.value; debouncedEntriesFilter(); });
@@ -2034,6 +2745,8 @@ window.UnifiedPage = (function () {
         // Results search
         const debouncedResultsSearch = AdminCore.debounce(renderResultsTable, 300);
         document.getElementById('searchResults')?.addEventListener('input', (e) => { resultsSearchTerm = e.target.value; debouncedResultsSearch(); });
+        document.getElementById('btnExportConcursoCSV')?.addEventListener('click', exportConcursoCSV);
+        document.getElementById('btnExportLegacyDiffCSV')?.addEventListener('click', exportLegacyDiffCSV);
 
         // Winners filters
         document.getElementById('filterWinnersContest')?.addEventListener('change', (e) => { winnersFilters.contest = e.target.value; applyWinnersFilters(); });
@@ -2046,8 +2759,65 @@ window.UnifiedPage = (function () {
         });
         document.getElementById('btnExportWinnersCSV')?.addEventListener('click', exportWinnersCSV);
 
+        // Payouts filters and actions
+        const debouncedPayoutsFilter = AdminCore.debounce(applyPayoutsFilters, 300);
+        document.getElementById('filterPayoutStatus')?.addEventListener('change', (e) => { payoutsFilters.status = e.target.value; applyPayoutsFilters(); });
+        document.getElementById('filterPayoutContest')?.addEventListener('change', (e) => { payoutsFilters.contest = e.target.value; applyPayoutsFilters(); });
+        document.getElementById('filterPayoutSearch')?.addEventListener('input', (e) => { payoutsFilters.search = e.target.value; debouncedPayoutsFilter(); });
+        document.getElementById('btnClearPayoutFilters')?.addEventListener('click', () => {
+            payoutsFilters = { status: 'outstanding', contest: '', search: '' };
+            document.getElementById('filterPayoutStatus').value = 'outstanding';
+            document.getElementById('filterPayoutContest').value = '';
+            document.getElementById('filterPayoutSearch').value = '';
+            applyPayoutsFilters();
+        });
+        document.getElementById('btnExportPayoutsCSV')?.addEventListener('click', exportPayoutsCSV);
+        document.getElementById('btnImportPayoutsCSV')?.addEventListener('click', () => document.getElementById('payoutImportFile')?.click());
+        document.getElementById('payoutImportFile')?.addEventListener('change', (e) => {
+            importPayoutsCSV(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('btnMarkPayoutPaid')?.addEventListener('click', () => handlePayoutAction('paid'));
+        document.getElementById('btnApplyOverride')?.addEventListener('click', () => handleOverrideAction('apply'));
+        document.getElementById('btnClearOverride')?.addEventListener('click', () => handleOverrideAction('clear'));
+        document.getElementById('overrideForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handleOverrideAction('apply');
+        });
+        document.getElementById('btnDisputePayout')?.addEventListener('click', () => handlePayoutAction('dispute'));
+        document.getElementById('btnResolvePayoutDispute')?.addEventListener('click', () => handlePayoutAction('resolve'));
+
+        // Audit log filters and export
+        const debouncedAuditFilter = AdminCore.debounce(applyAuditFilters, 300);
+        document.getElementById('filterAuditUser')?.addEventListener('input', (e) => { auditFilters.username = e.target.value; debouncedAuditFilter(); });
+        document.getElementById('filterAuditAction')?.addEventListener('change', (e) => { auditFilters.action = e.target.value; applyAuditFilters(); });
+        document.getElementById('filterAuditFrom')?.addEventListener('change', (e) => { auditFilters.from = e.target.value; applyAuditFilters(); });
+        document.getElementById('filterAuditTo')?.addEventListener('change', (e) => { auditFilters.to = e.target.value; applyAuditFilters(); });
+        document.getElementById('filterAuditSearch')?.addEventListener('input', (e) => { auditFilters.search = e.target.value; debouncedAuditFilter(); });
+        document.getElementById('btnClearAuditFilters')?.addEventListener('click', () => {
+            auditFilters = { username: '', action: '', from: '', to: '', search: '' };
+            ['filterAuditUser', 'filterAuditAction', 'filterAuditFrom', 'filterAuditTo', 'filterAuditSearch']
+                .forEach(id => { document.getElementById(id).value = ''; });
+            applyAuditFilters();
+        });
+        document.getElementById('btnRefreshAudit')?.addEventListener('click', renderAuditLog);
+        document.getElementById('btnExportAuditCSV')?.addEventListener('click', exportAuditCSV);
+        document.getElementById('btnRefreshLockouts')?.addEventListener('click', renderLockouts);
+
+        // Session CSV import
+        document.getElementById('importCsvBtn')?.addEventListener('click', () => document.getElementById('csvImportFile')?.click());
+        document.getElementById('csvImportFile')?.addEventListener('change', (e) => {
+            openCsvImport(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('csvImportDataset')?.addEventListener('change', renderCsvImportPreview);
+        document.getElementById('btnConfirmCsvImport')?.addEventListener('click', confirmCsvImport);
+        document.getElementById('btnBackToLiveData')?.addEventListener('click', backToLiveData);
+        bindCsvDrop();
+
         // Clear cache button
         document.getElementById('clearCacheBtn')?.addEventListener('click', () => {
+            AuditLog.record('cache.clear', { platform: AdminCore.getCurrentPlatform() });
             DataStore.clearStorage();
             AdminCore.showToast('Cache cleared! Refreshing...', 'success');
             setTimeout(() => loadAllData(true), 500);
@@ -2120,9 +2890,13 @@ window.UnifiedPage = (function () {
         init,
         loadAllData,
         goToEntriesPage,
-        showTicketDetails,
+        showEntryDetails,
+        showLegacyDiffDetails,
+        openDecisionReport,
         exportEntriesCSV,
-        exportWinnersCSV
+        exportWinnersCSV,
+        openPayoutModal,
+        unlockLogin
     };
 })();
 
@@ -0,0 +1,219 @@
+/**
+ * POP-SORTE Admin Dashboard - Validity Override Module
+ *
+ * This module handles:
+ * - Manual VALID / INVALID decisions for single tickets, with the reason and operator
+ * - Applying them on top of the sheet STATUS column, so the entries table, the recharge
+ *   validator and the winner calculation all see the overridden status
+ * - Only roles with override access (AdminCore "overrideValidity") may set or remove one
+ *
+ * Overrides are keyed by platform + ticket (its ticket ID, or Game ID, registration time
+ * and ticket number for rows without one, as in the payout ledger) and kept by the admin API
+ * (<adminApi>/overrides), which checks the role of the session token, stamps the operator and
+ * writes the audit entry itself. The browser only holds the copy last read from the API. The
+ * sheet itself is never changed.
+ *
+ * Dependencies: admin-core.js (AdminCore), auth.js (AdminAuth)
+ */
+
+// ============================================
+// Validity Override Module
+// ============================================
+window.ValidityOverrides = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Statuses an override can set
+     */
+    const STATUSES = ['VALID', 'INVALID'];
+
+    // ============================================
+    // State
+    // ============================================
+    let overrides = new Map(); // key → override, as last read from the API
+
+    // ============================================
+    // API
+    // ============================================
+
+    /**
+     * Call the /overrides endpoint of the admin API
+     * @param {Object} body - JSON body (POST), or null for GET
+     * @returns {Promise<Object>} Response body
+     */
+    async function overridesRequest(body = null) {
+        const response = await AdminAuth.apiRequest('/overrides', body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        } : {});
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Replace the overrides held in memory
+     * @param {Object[]} list - Overrides { key, status, reason, by, at }
+     */
+    function replace(list) {
+        overrides = new Map();
+        (list || []).forEach(item => {
+            if (item && item.key && STATUSES.includes(item.status)) overrides.set(item.key, item);
+        });
+    }
+
+    /**
+     * Read the overrides from the admin API
+     * @returns {Promise<number>} Overrides loaded
+     */
+    async function load() {
+        const data = await overridesRequest();
+        replace(data.overrides);
+        return overrides.size;
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Build the override key for a ticket.
+     * The ticket number ("1º bilhete") only counts a player's tickets, so rows without a
+     * ticket ID are told apart by Game ID and registration time.
+     * @param {Object} entry - Entry { platform, ticketId, gameId, timestamp, ticketNumber }
+     * @returns {string} Override key
+     */
+    function buildKey(entry) {
+        const ticketRef = entry.ticketId || `${entry.gameId}@${entry.timestamp || ''}#${entry.ticketNumber || ''}`;
+        return `${(entry.platform || 'POPN1').toUpperCase()}|${ticketRef}`;
+    }
+
+    /**
+     * Ticket details sent with a change, for the audit entry the API writes
+     * @param {Object} entry - Entry the override applies to
+     * @returns {Object} { platform, gameId, contest, ticketNumber, sheetStatus }
+     */
+    function describeTicket(entry) {
+        return {
+            platform: entry.platform,
+            gameId: entry.gameId,
+            contest: entry.contest,
+            ticketNumber: entry.ticketNumber,
+            sheetStatus: entry.sourceStatus ?? entry.status
+        };
+    }
+
+    // ============================================
+    // Overrides
+    // ============================================
+
+    /**
+     * Set a ticket's validity by hand
+     * @param {Object} entry - Entry from the data store
+     * @param {string} status - 'VALID' | 'INVALID'
+     * @param {string} reason - Why the sheet/validator decision is overridden (required)
+     * @returns {Promise<Object>} The override { key, status, reason, by, at }, as stored by the API
+     */
+    async function set(entry, status, reason) {
+        AdminCore.requirePermission('overrideValidity', 'override ticket validity');
+
+        const newStatus = String(status || '').toUpperCase();
+        if (!STATUSES.includes(newStatus)) throw new Error(`Status must be ${STATUSES.join(' or ')}`);
+
+        const note = String(reason || '').trim();
+        if (!note) throw new Error('A reason is required to override validity');
+
+        const { override } = await overridesRequest({ key: buildKey(entry), status: newStatus, reason: note, ticket: describeTicket(entry) });
+        overrides.set(override.key, override);
+        return override;
+    }
+
+    /**
+     * Remove a ticket's override, back to the sheet status
+     * @param {Object} entry - Entry from the data store
+     * @returns {Promise<boolean>} True if an override was removed
+     */
+    async function clear(entry) {
+        AdminCore.requirePermission('overrideValidity', 'override ticket validity');
+
+        const key = buildKey(entry);
+        const { removed } = await overridesRequest({ key, status: null, ticket: describeTicket(entry) });
+        overrides.delete(key);
+        return removed;
+    }
+
+    /**
+     * Override of a ticket, if any
+     * @param {Object} entry - Entry
+     * @returns {Object|null} { key, status, reason, by, at }
+     */
+    function get(entry) {
+        return overrides.get(buildKey(entry)) || null;
+    }
+
+    /**
+     * Entries with their overrides applied: overridden entries are copies whose status is the
+     * override's, with the sheet value in sourceStatus and the override in validityOverride
+     * @param {Object[]} entries - Entries (sheet status)
+     * @returns {Object[]} Entries (effective status)
+     */
+    function apply(entries) {
+        if (overrides.size === 0) return entries;
+        return entries.map(entry => {
+            const override = get(entry);
+            if (!override) return entry;
+            return { ...entry, status: override.status, sourceStatus: entry.status, validityOverride: override };
+        });
+    }
+
+    /**
+     * Entries back to their sheet status (inverse of apply)
+     * @param {Object[]} entries - Entries (effective status)
+     * @returns {Object[]} Entries (sheet status)
+     */
+    function strip(entries) {
+        return entries.map(entry => {
+            if (!entry.validityOverride) return entry;
+            const { sourceStatus, validityOverride, ...rest } = entry;
+            return { ...rest, status: sourceStatus };
+        });
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    // Overrides are read per session
+    AdminCore.on('logout', () => replace([]));
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Constants
+        STATUSES,
+
+        // API
+        load,
+        replace,
+
+        // Overrides
+        buildKey,
+        set,
+        clear,
+        get,
+        list: () => Array.from(overrides.values()),
+
+        // Entries
+        apply,
+        strip
+    };
+})();
@@ -5,15 +5,14 @@
  * - Matching entries against winning numbers
  * - Filtering for valid entries only
  * - Counting matches (1-5)
- * - Prize calculation: R$1000 split among highest tier per contest
+ * - Prize calculation under the prize rule effective on each contest's draw date
+ *   (prize-rules.js - by default R$1000 split among the highest tier per contest)
+ * - Jackpot carry between a platform's contests for rollover rules ("prêmio acumulado")
  * 
- * Prize Tiers:
- * - 5 matches: Grand Prize
- * - 4 matches: 2nd Prize (only if no 5-match winners)
- * - 3 matches: 3rd Prize (only if no 4+ match winners)
- * - 2 matches: Consolation (only if no 3+ match winners)
- * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher), results-fetcher.js (ResultsFetcher)
+ * Dependencies: prize-rules.js (PrizeRules), admin-core.js (AdminCore), data-fetcher.js (DataFetcher),
+ *               results-fetcher.js (ResultsFetcher)
+ * Note: countMatches, isValidEntry, calculateContestWinners and calculateContestChain must keep
+ * working with only prize-rules.js loaded - the public pages load just those two files.
  */
 
 // ============================================
@@ -27,26 +26,23 @@ window.WinnerCalculator = (function() {
     // ============================================
     
     /**
-     * Default prize pool per contest (R$)
-     * Can be overridden per platform via AdminCore.getPlatformPrize()
-     */
-    const DEFAULT_PRIZE_POOL = 1000;
-    
-    /**
-     * Minimum matches to qualify as a winner (3+ matches = winner)
+     * Get the prize rule for a platform on a draw date (see prize-rules.js)
+     * @param {string} platform - Platform code
+     * @param {string} drawDate - Draw date (DD/MM/YYYY or YYYY-MM-DD); defaults to today
+     * @returns {Object} Rule definition
      */
-    const MIN_MATCHES_TO_WIN = 3;
+    function getPrizeRule(platform, drawDate = new Date()) {
+        return PrizeRules.getRule(platform, drawDate);
+    }
 
     /**
-     * Get prize pool for a platform
+     * Get prize pool for a platform (split-highest rules; 0 for fixed-per-tier rules)
      * @param {string} platform - Platform code
+     * @param {string} drawDate - Draw date; defaults to today
      * @returns {number} Prize pool amount
      */
-    function getPrizePool(platform) {
-        if (typeof AdminCore !== 'undefined' && AdminCore.getPlatformPrize) {
-            return AdminCore.getPlatformPrize(platform);
-        }
-        return DEFAULT_PRIZE_POOL;
+    function getPrizePool(platform, drawDate) {
+        return getPrizeRule(platform, drawDate).pool || 0;
     }
     
     /**
@@ -107,14 +103,17 @@ window.WinnerCalculator = (function() {
      * @param {Object} result - Result object with winning numbers
      * @param {string} platform - Platform code for prize calculation
      * @param {string} contestId - Contest ID (fallback if result doesn't have it)
+     * @param {number} carryIn - Jackpot carried in from the platform's previous contest (rollover rules)
      * @returns {Object} Winners calculation result
      */
-    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null) {
+    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null, carryIn = 0) {
         // Get contest ID from result, entries, or parameter
         const contest = result?.contest || contestId || entries[0]?.contest || 'Unknown';
-        const drawDate = result?.drawDate || '';
+        const drawDate = result?.drawDate || entries[0]?.drawDate || '';
+        const rule = getPrizeRule(platform, drawDate);
         
         if (!result || result.isNoDraw || result.numbers.length !== 5) {
+            // No draw: a carried jackpot waits for the next drawn contest
             return {
                 contest: contest,
                 drawDate: drawDate,
@@ -123,9 +122,13 @@ window.WinnerCalculator = (function() {
                 totalEntries: entries.length,
                 winners: [],
                 byTier: {},
+                prizes: {},
                 prizePerWinner: 0,
                 winningTier: 0,
-                prizePool: getPrizePool(platform),
+                prizePool: rule.pool || 0,
+                carryIn: carryIn,
+                carryOut: carryIn,
+                rule: rule.id,
                 platform: platform
             };
         }
@@ -133,7 +136,6 @@ window.WinnerCalculator = (function() {
         const winningNumbers = result.numbers;
         const winners = [];
         const byTier = { 5: [], 4: [], 3: [], 2: [], 1: [] };
-        const prizePool = getPrizePool(platform);
         
         // Process each entry
         entries.forEach(entry => {
@@ -146,7 +148,8 @@ window.WinnerCalculator = (function() {
                     ...entry,
                     matches: matchResult.count,
                     matchedNumbers: matchResult.matchedNumbers,
-                    isValidEntry: isValidEntry(entry)
+                    isValidEntry: isValidEntry(entry),
+                    prize: 0
                 };
                 
                 // Add to tier
@@ -155,7 +158,7 @@ window.WinnerCalculator = (function() {
                 }
                 
                 // Only add to winners list if valid and qualifies
-                if (winner.isValidEntry && matchResult.count >= MIN_MATCHES_TO_WIN) {
+                if (winner.isValidEntry && matchResult.count >= rule.minMatches) {
                     winners.push(winner);
                 }
             }
@@ -164,26 +167,13 @@ window.WinnerCalculator = (function() {
         // Sort winners by matches descending
         winners.sort((a, b) => b.matches - a.matches);
         
-        // Determine winning tier (highest tier with valid winners)
-        let winningTier = 0;
-        for (let tier = 5; tier >= MIN_MATCHES_TO_WIN; tier--) {
-            const validWinners = byTier[tier].filter(w => w.isValidEntry);
-            if (validWinners.length > 0) {
-                winningTier = tier;
-                break;
-            }
-        }
-        
-        // Calculate prize per winner (prize goes to highest tier only)
-        let prizePerWinner = 0;
-        let totalPrizeAwarded = 0;
-        if (winningTier > 0) {
-            const tierWinners = byTier[winningTier].filter(w => w.isValidEntry);
-            if (tierWinners.length > 0) {
-                prizePerWinner = prizePool / tierWinners.length;
-                totalPrizeAwarded = prizePool;
-            }
+        // Apply the prize rule to the valid winner counts
+        const validCounts = {};
+        for (let tier = 5; tier >= rule.minMatches; tier--) {
+            validCounts[tier] = byTier[tier].filter(w => w.isValidEntry).length;
         }
+        const outcome = PrizeRules.evaluate(rule, validCounts, carryIn);
+        winners.forEach(w => { w.prize = outcome.prizes[w.matches] || 0; });
         
         return {
             contest: contest,
@@ -194,15 +184,85 @@ window.WinnerCalculator = (function() {
             validEntries: entries.filter(isValidEntry).length,
             winners: winners,
             byTier: byTier,
-            winningTier: winningTier,
-            prizePerWinner: prizePerWinner,
-            prizePool: prizePool,
-            totalPrizeAwarded: totalPrizeAwarded,
-            tierInfo: PRIZE_TIERS[winningTier] || null,
+            prizes: outcome.prizes,
+            winningTier: outcome.winningTier,
+            prizePerWinner: outcome.prizes[outcome.winningTier] || 0,
+            prizePool: outcome.pool,
+            totalPrizeAwarded: outcome.totalAwarded,
+            carryIn: outcome.carryIn,
+            carryOut: outcome.carryOut,
+            rule: rule.id,
+            tierInfo: PRIZE_TIERS[outcome.winningTier] || null,
             platform: platform
         };
     }
 
+    /**
+     * Group entries and results by contest, in draw order
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} results - All results
+     * @returns {Object} { entriesByContest, resultsMap, contestKeys: oldest first }
+     */
+    function groupContests(entries, results) {
+        const entriesByContest = {};
+        entries.forEach(entry => {
+            const contest = entry.contest || 'Unknown';
+            (entriesByContest[contest] = entriesByContest[contest] || []).push(entry);
+        });
+
+        // Results lookup (a corrected row later in the sheet replaces the earlier one)
+        const resultsMap = new Map();
+        results.forEach(r => {
+            if (r.contest) resultsMap.set(r.contest, r);
+        });
+
+        // Contests with results plus contests that only have entries so far
+        const contestKeys = Array.from(new Set([...resultsMap.keys(), ...Object.keys(entriesByContest)]))
+            .sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0));
+
+        return { entriesByContest, resultsMap, contestKeys };
+    }
+
+    /**
+     * Calculate every contest of one platform in draw order, carrying rollover jackpots forward.
+     * The carry is recomputed from the full history on every call (nothing is stored), so a
+     * corrected historical result consistently changes every later contest.
+     * Standalone - works with only prize-rules.js loaded (public pages use it too).
+     * @param {Object[]} entries - Entries of a single platform (or combined for 'DEFAULT')
+     * @param {Object[]} results - All results
+     * @param {string} platform - Platform code for prize rules
+     * @returns {Object[]} calculateContestWinners results, oldest contest first
+     */
+    function calculateContestChain(entries, results, platform) {
+        const { entriesByContest, resultsMap, contestKeys } = groupContests(entries, results);
+
+        let carry = 0;
+        return contestKeys.map(contest => {
+            const contestWinners = calculateContestWinners(
+                entriesByContest[contest] || [], resultsMap.get(contest), platform, contest, carry
+            );
+            carry = contestWinners.carryOut;
+            return contestWinners;
+        });
+    }
+
+    /**
+     * Current rollover jackpot per platform (what carries into each platform's next contest)
+     * @param {Object[]} entries - Entries of all platforms
+     * @param {Object[]} results - All results
+     * @param {string[]} platforms - Platform codes
+     * @returns {Object} { POPN1: amount, POPLUZ: amount }
+     */
+    function getCarryByPlatform(entries, results, platforms = ['POPN1', 'POPLUZ']) {
+        const carry = {};
+        platforms.forEach(platform => {
+            const platformEntries = entries.filter(e => (e.platform || 'POPN1').toUpperCase() === platform);
+            const chain = calculateContestChain(platformEntries, results, platform);
+            carry[platform] = chain.length > 0 ? chain[chain.length - 1].carryOut : 0;
+        });
+        return carry;
+    }
+
     /**
      * Calculate winners for all contests with caching
      * @param {Object[]} entries - All entries
@@ -212,7 +272,6 @@ window.WinnerCalculator = (function() {
      */
     async function calculateAllWinners(entries, results, platform = 'ALL') {
         // Check cache first (include platform in cache key)
-        const cacheKey = `${DataFetcher.simpleHash(entries)}-${DataFetcher.simpleHash(results)}-${platform}`;
         if (DataFetcher.isWinnersCacheValid(entries, results)) {
             const cached = DataFetcher.getCachedWinners();
             if (cached && cached.platform === platform) {
@@ -229,28 +288,31 @@ window.WinnerCalculator = (function() {
             filteredEntries = DataStore.filterByPlatform(entries, platform);
         }
         
-        // Group entries by contest
-        const entriesByContest = DataFetcher.groupEntriesByContest(filteredEntries);
-        
-        // Create results lookup map and collect all contest IDs
-        const resultsMap = new Map();
-        const allContestIds = new Set();
-        results.forEach(r => {
-            if (r.contest) {
-                resultsMap.set(r.contest, r);
-                allContestIds.add(r.contest);
-            }
-        });
-        
-        // Also add contests from entries (in case a contest has entries but no result yet)
-        Object.keys(entriesByContest).forEach(contest => allContestIds.add(contest));
-        
         // Determine the effective platform for prize calculation
         const effectivePlatform = platform === 'ALL' ? 'DEFAULT' : platform;
-        const prizePool = getPrizePool(effectivePlatform);
         
-        // Calculate winners for each contest
-        const contestResults = [];
+        // Calculate winners for each contest, oldest first so rollover carries forward
+        // (same as calculateContestChain, in batches)
+        const { entriesByContest, resultsMap, contestKeys } = groupContests(filteredEntries, results);
+        const chain = [];
+        const batchSize = 10;
+        let carry = 0;
+
+        for (let i = 0; i < contestKeys.length; i += batchSize) {
+            contestKeys.slice(i, i + batchSize).forEach(contest => {
+                const contestWinners = calculateContestWinners(
+                    entriesByContest[contest] || [], resultsMap.get(contest), effectivePlatform, contest, carry
+                );
+                carry = contestWinners.carryOut;
+                chain.push(contestWinners);
+            });
+
+            // Yield to main thread after each batch for UI responsiveness
+            if (i + batchSize < contestKeys.length) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        }
+
         const allWinners = [];
         const stats = {
             totalContests: 0,
@@ -258,57 +320,35 @@ window.WinnerCalculator = (function() {
             byTier: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
             totalWinners: 0,
             totalPrizeAwarded: 0,
+            carryOver: chain.length > 0 ? chain[chain.length - 1].carryOut : 0,
             platform: platform,
-            prizePool: prizePool
+            prizePool: getPrizePool(effectivePlatform)
         };
         
-        // Process all contests (both with entries and with results)
-        const contestKeys = Array.from(allContestIds);
-        const batchSize = 10;
-        
-        for (let i = 0; i < contestKeys.length; i += batchSize) {
-            const batch = contestKeys.slice(i, i + batchSize);
+        chain.forEach(contestWinners => {
+            if (!contestWinners.hasResult) return;
             
-            for (const contest of batch) {
-                const contestEntries = entriesByContest[contest] || []; // Empty array if no entries for this platform
-                const result = resultsMap.get(contest);
-                const contestWinners = calculateContestWinners(contestEntries, result, effectivePlatform, contest);
-                
-                contestResults.push(contestWinners);
-                
-                if (contestWinners.hasResult) {
-                    stats.totalContests++;
-                    
-                    if (contestWinners.winningTier > 0) {
-                        stats.contestsWithWinners++;
-                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded || prizePool;
-                    }
-                    
-                    // Count by tier (only valid entries)
-                    for (let tier = 5; tier >= 1; tier--) {
-                        const validInTier = contestWinners.byTier[tier].filter(w => w.isValidEntry);
-                        stats.byTier[tier] += validInTier.length;
-                    }
-                    
-                    // Add winners to all winners list
-                    allWinners.push(...contestWinners.winners);
-                }
+            stats.totalContests++;
+            
+            if (contestWinners.winningTier > 0) {
+                stats.contestsWithWinners++;
+                stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded;
             }
             
-            // Yield to main thread after each batch for UI responsiveness
-            if (i + batchSize < contestKeys.length) {
-                await new Promise(resolve => setTimeout(resolve, 5));
+            // Count by tier (only valid entries)
+            for (let tier = 5; tier >= 1; tier--) {
+                const validInTier = contestWinners.byTier[tier].filter(w => w.isValidEntry);
+                stats.byTier[tier] += validInTier.length;
             }
-        }
+            
+            // Add winners to all winners list
+            allWinners.push(...contestWinners.winners);
+        });
         
         stats.totalWinners = allWinners.length;
         
-        // Sort contest results by contest number descending
-        contestResults.sort((a, b) => {
-            const numA = parseInt(a.contest, 10) || 0;
-            const numB = parseInt(b.contest, 10) || 0;
-            return numB - numA;
-        });
+        // Contest results newest first
+        const contestResults = chain.slice().reverse();
         
         const result = {
             contestResults,
@@ -555,6 +595,9 @@ window.WinnerCalculator = (function() {
         isValidEntry,
         calculateContestWinners,
         calculateAllWinners,
+        calculateContestChain,
+        getCarryByPlatform,
+        getPrizeRule,
         getPrizePool,
         
         // Statistics
@@ -568,8 +611,6 @@ window.WinnerCalculator = (function() {
         getTicketCreatorsByDay,
         
         // Constants
-        DEFAULT_PRIZE_POOL,
-        MIN_MATCHES_TO_WIN,
         VALID_STATUSES,
         PRIZE_TIERS
     };
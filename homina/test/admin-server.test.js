@@ -0,0 +1,867 @@
+/**
+ * POP-SORTE - Admin API Tests
+ *
+ * Runs the local admin API (homina/cli/admin-server.js) on a random port with a fixed clock,
+ * temporary audit / two-factor files and fixture data, and checks what the Worker must do the
+ * same way: session tokens, request bodies, dataset names, validity overrides, the payout ledger,
+ * the public ticket lookup, login throttling and two-factor login.
+ *
+ * Run: node --test homina/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { hashPassword, signToken, verifyToken, totp, verifyTotp, createServer } = require('../cli/admin-server.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SECRET = 'test-session-secret';
+const PASSWORD = 'correct horse battery staple';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const TOTP_STEP = 30 * 1000;
+
+/**
+ * RFC 6238 appendix B secret ("12345678901234567890"), base32
+ */
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * Fixed test time: Mon, 22 Dec 2025 12:00:00 UTC
+ */
+const T0 = Date.UTC(2025, 11, 22, 12, 0, 0);
+
+// ============================================
+// Test Server
+// ============================================
+
+/**
+ * Start an admin API on a random port
+ * @param {Object} options - createServer options to override (users, data...)
+ * @returns {Promise<Object>} { request, origin: server URL, clock: { now }, audit: file, mfaFile: file, overridesFile: file,
+ *                            payoutsFile: file, close }
+ */
+async function startServer(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'popsorte-admin-test-'));
+    const clock = { now: T0 };
+    const audit = path.join(dir, 'audit.jsonl');
+    const mfaFile = path.join(dir, 'mfa.json');
+    const overridesFile = path.join(dir, 'overrides.json');
+    const payoutsFile = path.join(dir, 'payouts.json');
+
+    const server = createServer({
+        users: new Map(),
+        data: { entries: path.join(FIXTURES_DIR, 'entries.csv') },
+        secret: SECRET,
+        audit,
+        mfaFile,
+        overridesFile,
+        payoutsFile,
+        now: () => clock.now,
+        ...options
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * @param {string} route - Path under /admin, or an absolute path (/api/...)
+     * @param {Object} init - { method, token, body (object or raw string), headers }
+     * @returns {Promise<Object>} { status, headers, body: parsed JSON or text }
+     */
+    async function request(route, init = {}) {
+        const headers = { ...init.headers };
+        if (init.token) headers.Authorization = `Bearer ${init.token}`;
+        const body = init.body === undefined || typeof init.body === 'string' ? init.body : JSON.stringify(init.body);
+
+        const url = route.startsWith('/api/') ? origin + route : `${origin}/admin${route}`;
+        const response = await fetch(url, { method: init.method || (body ? 'POST' : 'GET'), headers, body });
+        const text = await response.text();
+        const isJSON = (response.headers.get('content-type') || '').includes('json');
+        return { status: response.status, headers: response.headers, body: isJSON ? JSON.parse(text) : text };
+    }
+
+    return {
+        request,
+        origin,
+        clock,
+        audit,
+        mfaFile,
+        overridesFile,
+        payoutsFile,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                resolve();
+            });
+        })
+    };
+}
+
+/**
+ * Users map with one account per role, all with PASSWORD
+ * @param {string[]} roles - Roles
+ * @returns {Map} lowercase username -> { username, passwordHash, role }
+ */
+function createUsers(roles) {
+    const passwordHash = hashPassword(PASSWORD);
+    return new Map(roles.map(role => [`test-${role}`, { username: `test-${role}`, passwordHash, role }]));
+}
+
+/**
+ * Session token as the server signs it
+ * @param {string} role - Role
+ * @param {Object} overrides - Payload fields to change
+ * @returns {string} Token
+ */
+function sessionToken(role, overrides = {}) {
+    return signToken({ sub: `test-${role}`, role, iat: T0, exp: T0 + 60 * 60 * 1000, ...overrides }, SECRET);
+}
+
+// ============================================
+// Session Tokens
+// ============================================
+
+test('session tokens need the server signature and expire on time', () => {
+    const token = sessionToken('viewer');
+    assert.equal(verifyToken(token, SECRET, T0).sub, 'test-viewer');
+    assert.equal(verifyToken(token, SECRET, T0 + 60 * 60 * 1000 - 1).sub, 'test-viewer');
+    assert.equal(verifyToken(token, SECRET, T0 + 60 * 60 * 1000), null);
+
+    // Another secret, a changed payload, a missing signature
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'test-viewer', role: 'superadmin', iat: T0, exp: T0 + 1000 })).toString('base64url');
+    assert.equal(verifyToken(token, 'another-secret', T0), null);
+    assert.equal(verifyToken(`${forged}.${signature}`, SECRET, T0), null);
+    assert.equal(verifyToken(body, SECRET, T0), null);
+    assert.equal(verifyToken('', SECRET, T0), null);
+});
+
+test('the API refuses forged and expired tokens', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    assert.equal((await server.request('/session', { token: sessionToken('viewer') })).status, 200);
+    assert.equal((await server.request('/session', { token: sessionToken('viewer', { role: 'superadmin' }).replace(/.$/, 'A') })).status, 401);
+    assert.equal((await server.request('/session')).status, 401);
+
+    server.clock.now = T0 + 60 * 60 * 1000;
+    assert.equal((await server.request('/session', { token: sessionToken('viewer') })).status, 401);
+    assert.equal((await server.request('/data/entries', { token: sessionToken('viewer') })).status, 401);
+});
+
+// ============================================
+// Request Bodies
+// ============================================
+
+test('oversized bodies get 413 and malformed JSON 400', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const large = await server.request('/login', { body: { username: 'a'.repeat(20 * 1024), password: 'x' } });
+    assert.equal(large.status, 413);
+    assert.equal(large.body.error, 'Request too large');
+
+    const invalid = await server.request('/login', { body: '{"username": ' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'invalid JSON');
+
+    const notObject = await server.request('/audit', { token: sessionToken('viewer'), body: '[]' });
+    assert.equal(notObject.status, 400);
+
+    // The server keeps answering
+    assert.equal((await server.request('/login', { body: { username: 'nobody', password: 'x' } })).status, 401);
+});
+
+// ============================================
+// Datasets
+// ============================================
+
+test('only configured datasets are served', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const token = sessionToken('finance');
+
+    const entries = await server.request('/data/entries', { token });
+    assert.equal(entries.status, 200);
+    assert.match(entries.body, /^DATA\/HORA REGISTRO,/);
+
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'missing']) {
+        const response = await server.request(`/data/${name}`, { token });
+        assert.equal(response.status, 404, name);
+    }
+});
+
+test('masked roles get the WHATSAPP column masked, found by header, whatever its format', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'popsorte-admin-data-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const write = (name, text) => {
+        fs.writeFileSync(path.join(dir, name), text);
+        return path.join(dir, name);
+    };
+
+    const server = await startServer({
+        data: {
+            // WHATSAPP moved after the numbers, local formats, an extra column
+            entries: write('entries.csv', [
+                'DATA/HORA REGISTRO,PLATFORM,GAME ID,NÚMEROS ESCOLHIDOS,WHATSAPP,DATA SORTEIO,CONCURSO,BILHETE #,STATUS,OBS',
+                '22/12/2025 12:00:00,POPN1,9000000001,"01, 02, 03, 04, 05",(11) 99999-7777,22/12/2025,6909,1º bilhete,VALID,ligar 11988887777',
+                '22/12/2025 12:05:00,POPN1,9000000002,"01, 02, 03, 04, 05",11999996666,22/12/2025,6909,1º bilhete,VALID,',
+                '22/12/2025 12:10:00,POPLUZ,9000000003,"01, 02, 03, 04, 05",+55 11 99999-5555,22/12/2025,6909,1º bilhete,VALID,'
+            ].join('\n')),
+            recharges: path.join(FIXTURES_DIR, 'recharge-popn1.csv'),
+            contacts: write('contacts.csv', 'GAME ID,TELEFONE\n9000000001,11999997777\n'),
+            unknown: write('unknown.csv', 'A,B\n1,11999997777\n')
+        }
+    });
+    t.after(server.close);
+
+    const masked = await server.request('/data/entries', { token: sessionToken('validator') });
+    assert.equal(masked.status, 200);
+    assert.doesNotMatch(masked.body, /9999|8888/);
+    const rows = masked.body.trim().split('\n');
+    assert.equal(rows[0], 'DATA/HORA REGISTRO,TICKET ID,VERIFICATION CODE,PLATFORM,GAME ID,WHATSAPP,NÚMEROS ESCOLHIDOS,DATA SORTEIO,CONCURSO,BILHETE #,STATUS');
+    assert.deepEqual(rows.slice(1).map(row => row.split(',')[5]), ['***7777', '***6666', '***5555']);
+
+    const full = await server.request('/data/entries', { token: sessionToken('finance') });
+    assert.match(full.body, /\(11\) 99999-7777/);
+
+    // Files without contacts are served as they are; anything else is refused, not leaked
+    const recharges = await server.request('/data/recharges', { token: sessionToken('viewer') });
+    assert.equal(recharges.body, fs.readFileSync(path.join(FIXTURES_DIR, 'recharge-popn1.csv'), 'utf8'));
+    for (const dataset of ['contacts', 'unknown']) {
+        const refused = await server.request(`/data/${dataset}`, { token: sessionToken('viewer') });
+        assert.equal(refused.status, 500, dataset);
+        assert.doesNotMatch(JSON.stringify(refused.body), /9999/);
+        assert.equal((await server.request(`/data/${dataset}`, { token: sessionToken('superadmin') })).status, 200);
+    }
+});
+
+// ============================================
+// Validity Overrides
+// ============================================
+
+const OVERRIDE_KEY = 'POPN1|T-1001';
+const OVERRIDE_TICKET = { platform: 'POPN1', gameId: '1234567890', contest: '6900', ticketNumber: '1', sheetStatus: 'INVALID' };
+
+test('only roles with overrideValidity can change a ticket, and every role reads the overrides', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const change = { key: OVERRIDE_KEY, status: 'VALID', reason: 'Recharge confirmed by support', ticket: OVERRIDE_TICKET };
+
+    for (const role of ['viewer', 'finance']) {
+        const refused = await server.request('/overrides', { token: sessionToken(role), body: change });
+        assert.equal(refused.status, 403, role);
+    }
+    assert.equal((await server.request('/overrides', { body: change })).status, 401);
+    assert.equal(fs.existsSync(server.overridesFile), false);
+
+    const saved = await server.request('/overrides', { token: sessionToken('validator'), body: change });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.override, {
+        key: OVERRIDE_KEY, status: 'VALID', reason: 'Recharge confirmed by support', by: 'test-validator', at: new Date(T0).toISOString()
+    });
+
+    const list = await server.request('/overrides', { token: sessionToken('viewer') });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.overrides, [saved.body.override]);
+    assert.ok(fs.readFileSync(server.overridesFile, 'utf8').includes(OVERRIDE_KEY));
+});
+
+test('overrides need a known status and a reason', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const token = sessionToken('validator');
+
+    for (const body of [
+        { key: OVERRIDE_KEY, status: 'PENDING', reason: 'x' },
+        { key: OVERRIDE_KEY, status: 'VALID', reason: '   ' },
+        { key: '', status: 'VALID', reason: 'x' },
+        { status: 'VALID', reason: 'x' }
+    ]) {
+        const response = await server.request('/overrides', { token, body });
+        assert.equal(response.status, 400, JSON.stringify(body));
+    }
+    assert.deepEqual((await server.request('/overrides', { token })).body.overrides, []);
+});
+
+test('the server logs each override change with the operator, ticket and statuses', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const token = sessionToken('superadmin');
+
+    await server.request('/overrides', { token, body: { key: OVERRIDE_KEY, status: 'VALID', reason: 'Paid late', ticket: OVERRIDE_TICKET } });
+    server.clock.now = T0 + 60 * 1000;
+    await server.request('/overrides', { token, body: { key: OVERRIDE_KEY, status: 'INVALID', reason: 'Refunded', ticket: OVERRIDE_TICKET } });
+    const cleared = await server.request('/overrides', { token, body: { key: OVERRIDE_KEY, status: null, ticket: OVERRIDE_TICKET } });
+    assert.deepEqual(cleared.body, { override: null, removed: true });
+
+    // Clearing a ticket without an override changes nothing and logs nothing
+    const again = await server.request('/overrides', { token, body: { key: OVERRIDE_KEY, status: null } });
+    assert.deepEqual(again.body, { override: null, removed: false });
+
+    const logged = readAuditFile(server).filter(entry => entry.action === 'ticket.override');
+    assert.deepEqual(logged.map(entry => [entry.username, entry.role, entry.params.from, entry.params.to, entry.params.reason]), [
+        ['test-superadmin', 'superadmin', null, 'VALID', 'Paid late'],
+        ['test-superadmin', 'superadmin', 'VALID', 'INVALID', 'Refunded'],
+        ['test-superadmin', 'superadmin', 'INVALID', null, undefined]
+    ]);
+    assert.equal(logged[1].at, new Date(T0 + 60 * 1000).toISOString());
+    assert.equal(logged[0].params.gameId, '1234567890');
+    assert.equal(logged[0].params.sheetStatus, 'INVALID');
+    assert.deepEqual((await server.request('/overrides', { token })).body.overrides, []);
+});
+
+// ============================================
+// Payout Ledger
+// ============================================
+
+/**
+ * Winners of two POPN1 contests, as PayoutLedger.syncFromWinners sends them
+ * @param {Object} changes - key -> fields to change, or null to leave the winner out
+ * @returns {Object} Sync body
+ */
+function payoutSync(changes = {}) {
+    const winners = [
+        { key: '6900|POPN1|T-1', contest: '6900', ticketNumber: '1', gameId: '1111111111', drawDate: '2025-12-20', matches: 5, amountOwed: 1000 },
+        { key: '6901|POPN1|T-2', contest: '6901', ticketNumber: '2', gameId: '2222222222', drawDate: '2025-12-22', matches: 4, amountOwed: 250 }
+    ];
+    return {
+        platform: 'POPN1',
+        contests: ['6900', '6901'],
+        winners: winners
+            .filter(winner => changes[winner.key] !== null)
+            .map(winner => ({ ...winner, ...changes[winner.key] }))
+    };
+}
+
+test('only roles with markPayouts can read or change the payout ledger', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    for (const role of ['viewer', 'validator']) {
+        const token = sessionToken(role);
+        assert.equal((await server.request('/payouts', { token })).status, 403, role);
+        assert.equal((await server.request('/payouts/sync', { token, body: payoutSync() })).status, 403, role);
+        assert.equal((await server.request('/payouts/paid', { token, body: { key: '6900|POPN1|T-1', version: 1, amount: 1, reference: 'x' } })).status, 403, role);
+    }
+    assert.equal((await server.request('/payouts')).status, 401);
+    assert.equal(fs.existsSync(server.payoutsFile), false);
+
+    const synced = await server.request('/payouts/sync', { token: sessionToken('finance'), body: payoutSync() });
+    assert.equal(synced.status, 200);
+    assert.equal(synced.body.added, 2);
+    const list = await server.request('/payouts', { token: sessionToken('superadmin') });
+    assert.deepEqual(list.body.entries.map(entry => [entry.key, entry.amountOwed, entry.status, entry.version]), [
+        ['6900|POPN1|T-1', 1000, 'outstanding', 1],
+        ['6901|POPN1|T-2', 250, 'outstanding', 1]
+    ]);
+});
+
+test('syncing winners updates changed prizes and keeps tickets that stop winning', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const token = sessionToken('finance');
+    await server.request('/payouts/sync', { token, body: payoutSync() });
+
+    // Same winners: nothing changes, nothing is logged
+    const same = await server.request('/payouts/sync', { token, body: payoutSync() });
+    assert.deepEqual([same.body.added, same.body.updated, same.body.entries], [0, 0, []]);
+
+    // Contest 6901 corrected: T-2 no longer wins; T-1 wins less
+    server.clock.now = T0 + 60 * 1000;
+    const corrected = await server.request('/payouts/sync', {
+        token,
+        body: payoutSync({ '6900|POPN1|T-1': { amountOwed: 800, matches: 4 }, '6901|POPN1|T-2': null })
+    });
+    assert.deepEqual([corrected.body.added, corrected.body.updated], [0, 2]);
+    const byKey = Object.fromEntries(corrected.body.entries.map(entry => [entry.key, entry]));
+    assert.deepEqual([byKey['6900|POPN1|T-1'].amountOwed, byKey['6900|POPN1|T-1'].version], [800, 2]);
+    assert.deepEqual([byKey['6901|POPN1|T-2'].amountOwed, byKey['6901|POPN1|T-2'].noLongerWinner], [0, true]);
+
+    // A calculation without contest 6900 (partial load) leaves its prizes alone
+    const partial = await server.request('/payouts/sync', { token, body: { platform: 'POPN1', contests: ['6901'], winners: [] } });
+    assert.equal(partial.body.updated, 0);
+
+    const logged = readAuditFile(server).filter(entry => entry.action === 'payout.sync');
+    assert.deepEqual(logged.map(entry => entry.params), [
+        { platform: 'POPN1', added: 2, updated: 0 },
+        { platform: 'POPN1', added: 0, updated: 2 }
+    ]);
+});
+
+test('payments are stamped by the server and a stale version gets 409', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const key = '6900|POPN1|T-1';
+    await server.request('/payouts/sync', { token: sessionToken('finance'), body: payoutSync() });
+
+    server.clock.now = T0 + 60 * 1000;
+    const paid = await server.request('/payouts/paid', {
+        token: sessionToken('finance'),
+        body: { key, version: 1, amount: 1000, reference: 'PIX-123', paidBy: 'someone-else' }
+    });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.entry.status, 'paid');
+    assert.equal(paid.body.entry.paidBy, 'test-finance');
+    assert.equal(paid.body.entry.paidAt, new Date(T0 + 60 * 1000).toISOString());
+    assert.equal(paid.body.entry.version, 2);
+
+    // A second admin still holding version 1
+    const stale = await server.request('/payouts/dispute', { token: sessionToken('superadmin'), body: { key, version: 1, note: 'Wrong account' } });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.entry.paymentReference, 'PIX-123');
+
+    const disputed = await server.request('/payouts/dispute', { token: sessionToken('superadmin'), body: { key, version: 2, note: 'Wrong account' } });
+    assert.equal(disputed.body.entry.status, 'disputed');
+    const resolved = await server.request('/payouts/resolve', { token: sessionToken('superadmin'), body: { key, version: 3 } });
+    assert.equal(resolved.body.entry.status, 'paid');
+
+    for (const body of [
+        { key, version: 4, amount: 0, reference: 'PIX-124' },
+        { key, version: 4, amount: 10, reference: '  ' }
+    ]) {
+        assert.equal((await server.request('/payouts/paid', { token: sessionToken('finance'), body })).status, 400);
+    }
+    assert.equal((await server.request('/payouts/paid', { token: sessionToken('finance'), body: { key: 'missing', version: 0, amount: 1, reference: 'x' } })).status, 404);
+
+    const logged = readAuditFile(server).filter(entry => /^payout\.(paid|disputed|resolved)$/.test(entry.action));
+    assert.deepEqual(logged.map(entry => [entry.action, entry.username]), [
+        ['payout.paid', 'test-finance'],
+        ['payout.disputed', 'test-superadmin'],
+        ['payout.resolved', 'test-superadmin']
+    ]);
+    assert.deepEqual(logged[0].params, { key, amount: 1000, reference: 'PIX-123', status: 'paid' });
+});
+
+test('imports keep the most recently updated entry per key', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    const token = sessionToken('finance');
+    await server.request('/payouts/sync', { token, body: payoutSync() });
+    const current = new Date(T0).toISOString();
+
+    const imported = await server.request('/payouts/import', {
+        token,
+        body: {
+            entries: [
+                { key: '6900|POPN1|T-1', contest: '6900', platform: 'POPN1', amountOwed: 1000, paidAmount: 1000, status: 'paid', paidBy: 'ana', updatedAt: '2025-12-23T00:00:00.000Z' },
+                { key: '6901|POPN1|T-2', contest: '6901', platform: 'POPN1', amountOwed: 250, paidAmount: 250, status: 'paid', updatedAt: '2025-12-01T00:00:00.000Z' },
+                { key: '', updatedAt: current },
+                null
+            ]
+        }
+    });
+    assert.deepEqual([imported.body.imported, imported.body.skipped], [1, 3]);
+    assert.deepEqual([imported.body.entries[0].paidBy, imported.body.entries[0].version], ['ana', 2]);
+
+    const logged = readAuditFile(server).filter(entry => entry.action === 'payout.import');
+    assert.deepEqual(logged.map(entry => entry.params), [{ imported: 1, skipped: 3 }]);
+});
+
+// ============================================
+// Ticket Lookup
+// ============================================
+
+const LOOKUP_INTERVAL = 5 * 1000;
+
+/**
+ * Look up a Game ID from a given local address (the server counts lookups per client address)
+ * @param {Object} server - From startServer()
+ * @param {string} localAddress - Loopback address to connect from (127.x.x.x)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<number>} HTTP status
+ */
+function lookupFrom(server, localAddress, gameId) {
+    return new Promise((resolve, reject) => {
+        http.get(`${server.origin}/api/tickets?gameId=${gameId}`, { localAddress, agent: false }, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        }).on('error', reject);
+    });
+}
+
+test('the ticket lookup answers one Game ID, newest first, with the contact masked', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    const found = await server.request('/api/tickets?gameId=9000000006');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.tickets, [
+        {
+            platform: 'POPN1', gameId: '9000000006', whatsappNumber: '***0006', numerosEscolhidos: '5,6,7,8,9',
+            drawDate: '2025-12-26', concurso: '6912', bilheteNumber: '2º bilhete', status: 'PENDING', registeredAt: '24/12/2025 17:01:00'
+        },
+        {
+            platform: 'POPN1', gameId: '9000000006', whatsappNumber: '***0006', numerosEscolhidos: '1,3,51,56,59',
+            drawDate: '2025-12-24', concurso: '6911', bilheteNumber: '1º bilhete', status: 'PENDING', registeredAt: '24/12/2025 17:00:30'
+        }
+    ]);
+
+    // Both platforms; an unknown Game ID has no tickets
+    server.clock.now += LOOKUP_INTERVAL;
+    const twoPlatforms = await server.request('/api/tickets?gameId=9000000010');
+    assert.deepEqual(twoPlatforms.body.tickets.map(ticket => ticket.platform).sort(), ['POPLUZ', 'POPN1']);
+    server.clock.now += LOOKUP_INTERVAL;
+    assert.deepEqual((await server.request('/api/tickets?gameId=1234567890')).body.tickets, []);
+
+    for (const query of ['', '?gameId=900000000', '?gameId=90000000066', '?gameId=9000000abc']) {
+        assert.equal((await server.request(`/api/tickets${query}`)).status, 400, query);
+    }
+});
+
+test('the ticket lookup shows validity overrides instead of the sheet status', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+    await server.request('/overrides', {
+        token: sessionToken('validator'),
+        body: { key: 'POPN1|9000000006@24/12/2025 17:00:30#1º bilhete', status: 'INVALID', reason: 'Duplicate ticket' }
+    });
+
+    const found = await server.request('/api/tickets?gameId=9000000006');
+    assert.deepEqual(found.body.tickets.map(ticket => [ticket.concurso, ticket.status]), [['6912', 'PENDING'], ['6911', 'INVALID']]);
+});
+
+test('ticket lookups are limited per client and per Game ID', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    assert.equal((await server.request('/api/tickets?gameId=9000000001')).status, 200);
+    // Too soon after the last one
+    const soon = await server.request('/api/tickets?gameId=9000000002');
+    assert.equal(soon.status, 429);
+    assert.equal(soon.headers.get('retry-after'), '5');
+
+    for (let i = 2; i <= 5; i++) {
+        server.clock.now += LOOKUP_INTERVAL;
+        assert.equal((await server.request(`/api/tickets?gameId=900000000${i}`)).status, 200, String(i));
+    }
+    server.clock.now += LOOKUP_INTERVAL;
+    const limited = await server.request('/api/tickets?gameId=9000000006');
+    assert.equal(limited.status, 429);
+    // The first of the five lookups leaves the 10-minute window
+    assert.equal(limited.body.retryAfter, 10 * 60 - 5 * 5);
+
+    server.clock.now = T0 + 10 * 60 * 1000;
+    assert.equal((await server.request('/api/tickets?gameId=9000000006')).status, 200);
+});
+
+test('one Game ID is answered at most ten times per window, whoever asks', async (t) => {
+    const server = await startServer();
+    t.after(server.close);
+
+    // Each lookup from its own loopback address, so no client reaches its own limit
+    for (let i = 1; i <= 11; i++) {
+        const status = await lookupFrom(server, `127.0.0.${i + 1}`, '9000000006');
+        assert.equal(status, i <= 10 ? 200 : 429, String(i));
+    }
+    assert.equal(await lookupFrom(server, '127.0.0.20', '9000000001'), 200);
+});
+
+// ============================================
+// Login Throttling
+// ============================================
+
+/**
+ * Audit entries written so far
+ * @param {Object} server - From startServer()
+ * @returns {Object[]} Entries, oldest first
+ */
+function readAuditFile(server) {
+    if (!fs.existsSync(server.audit)) return [];
+    return fs.readFileSync(server.audit, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+/**
+ * Log in with a wrong password
+ * @param {Object} server - From startServer()
+ * @param {string} username - Username
+ * @returns {Promise<Object>} Response
+ */
+function failLogin(server, username) {
+    return server.request('/login', { body: { username, password: 'wrong password' } });
+}
+
+test('failed logins wait exponentially longer, then lock the username', async (t) => {
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+
+    // Two free attempts
+    assert.equal((await failLogin(server, 'test-finance')).status, 401);
+    assert.equal((await failLogin(server, 'test-finance')).status, 401);
+
+    // Then 1 s, 2 s, 4 s... before each further attempt, even with the right password
+    for (const seconds of [1, 2, 4]) {
+        const early = await loginWithPassword(server, 'test-finance');
+        assert.equal(early.status, 429);
+        assert.equal(early.body.retryAfter, seconds);
+        assert.equal(early.headers.get('retry-after'), String(seconds));
+
+        server.clock.now += seconds * 1000 - 1;
+        assert.equal((await failLogin(server, 'test-finance')).status, 429);
+        server.clock.now += 1;
+        assert.equal((await failLogin(server, 'test-finance')).status, 401);
+    }
+
+    // The fifth failure locked it for 15 minutes
+    const locked = await loginWithPassword(server, 'test-finance');
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.locked, true);
+    assert.equal(locked.body.retryAfter, 15 * 60);
+
+    // Other usernames from the same address are only delayed by the address count
+    server.clock.now += 60 * 1000;
+    assert.equal((await failLogin(server, 'someone-else')).status, 401);
+
+    const logged = readAuditFile(server);
+    const failed = logged.filter(entry => entry.action === 'login.failed');
+    assert.deepEqual(failed.map(entry => [entry.username, entry.params.failures, entry.params.knownUser]), [
+        ['test-finance', 1, true], ['test-finance', 2, true], ['test-finance', 3, true],
+        ['test-finance', 4, true], ['test-finance', 5, true], ['someone-else', 1, false]
+    ]);
+    assert.equal(failed[0].params.ip, '127.0.0.1');
+
+    const lockouts = logged.filter(entry => entry.action === 'login.locked');
+    assert.equal(lockouts.length, 1);
+    assert.equal(lockouts[0].username, 'test-finance');
+    assert.deepEqual([lockouts[0].params.account, lockouts[0].params.client], [true, false]);
+    assert.equal(lockouts[0].params.until, new Date(T0 + 7 * 1000 + 15 * 60 * 1000).toISOString());
+});
+
+test('a lockout that ran out starts a fresh count', async (t) => {
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await failLogin(server, 'test-finance')).status, 401);
+        server.clock.now += 60 * 1000;
+    }
+    assert.equal((await loginWithPassword(server, 'test-finance')).status, 423);
+
+    // The address has its own count (6 failures so far), so each try waits it out
+    const accountFailures = () => readAuditFile(server).filter(entry => entry.action === 'login.failed').pop().params.failures;
+    server.clock.now = T0 + 4 * 60 * 1000 + 15 * 60 * 1000;
+    assert.equal((await failLogin(server, 'test-finance')).status, 401);
+    assert.equal(accountFailures(), 1);
+    server.clock.now += 16 * 1000;
+    assert.equal((await failLogin(server, 'test-finance')).status, 401);
+    assert.equal(accountFailures(), 2);
+    assert.equal((await failLogin(server, 'test-finance')).status, 429);
+
+    // A successful login clears the username's count
+    server.clock.now += 32 * 1000;
+    assert.equal((await loginWithPassword(server, 'test-finance')).status, 200);
+    assert.equal((await failLogin(server, 'test-finance')).status, 401);
+    assert.equal(accountFailures(), 1);
+});
+
+test('one address trying many usernames is locked, and a superadmin can unlock it', async (t) => {
+    const server = await startServer({ users: createUsers(['finance', 'superadmin']) });
+    t.after(server.close);
+
+    // Each username fails once; the address waits out its own delays
+    let failures = 0;
+    while (failures < 20) {
+        const response = await failLogin(server, `user-${failures}`);
+        if (response.status === 429) {
+            server.clock.now += response.body.retryAfter * 1000;
+            continue;
+        }
+        assert.equal(response.status, 401);
+        failures++;
+    }
+
+    const locked = await loginWithPassword(server, 'test-finance');
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.retryAfter, 15 * 60);
+    const lockout = readAuditFile(server).filter(entry => entry.action === 'login.locked');
+    assert.equal(lockout.length, 1);
+    assert.deepEqual([lockout[0].params.account, lockout[0].params.client], [false, true]);
+
+    // Only superadmins see and unlock throttled logins
+    const token = sessionToken('superadmin');
+    assert.equal((await server.request('/lockouts', { token: sessionToken('finance') })).status, 403);
+    assert.equal((await server.request('/lockouts/unlock', { token: sessionToken('finance'), body: { client: '127.0.0.1' } })).status, 403);
+
+    const list = await server.request('/lockouts', { token });
+    assert.deepEqual(list.body.clients.map(c => [c.client, c.failures, c.locked]), [['127.0.0.1', 20, true]]);
+    assert.equal(list.body.accounts.length, 0);
+
+    const unlock = await server.request('/lockouts/unlock', { token, body: { client: '127.0.0.1' } });
+    assert.equal(unlock.body.unlocked, true);
+    assert.equal((await loginWithPassword(server, 'test-finance')).status, 200);
+
+    const unlocks = readAuditFile(server).filter(entry => entry.action === 'account.unlock');
+    assert.deepEqual(unlocks.map(entry => [entry.username, entry.params.client]), [['test-superadmin', '127.0.0.1']]);
+});
+
+test('unlocking a username lets it sign in at once', async (t) => {
+    const server = await startServer({ users: createUsers(['finance', 'superadmin']) });
+    t.after(server.close);
+
+    for (let i = 0; i < 5; i++) {
+        await failLogin(server, 'test-finance');
+        server.clock.now += 60 * 1000;
+    }
+    assert.equal((await loginWithPassword(server, 'test-finance')).status, 423);
+
+    const token = sessionToken('superadmin');
+    const list = await server.request('/lockouts', { token });
+    assert.deepEqual(list.body.accounts.map(a => [a.username, a.failures, a.locked]), [['test-finance', 5, true]]);
+
+    assert.equal((await server.request('/lockouts/unlock', { token, body: { username: 'TEST-FINANCE' } })).body.unlocked, true);
+    assert.equal((await loginWithPassword(server, 'test-finance')).status, 200);
+    assert.equal((await server.request('/lockouts/unlock', { token, body: { username: 'test-finance' } })).body.unlocked, false);
+});
+
+// ============================================
+// Two-Factor Login
+// ============================================
+
+/**
+ * Turn on two-factor login for an account, as the dashboard does
+ * @param {Object} server - From startServer()
+ * @param {string} role - Role of the test-<role> account
+ * @returns {Promise<Object>} { secret, backupCodes }
+ */
+async function enrollMfa(server, role) {
+    const token = sessionToken(role);
+    const setup = await server.request('/mfa/setup', { method: 'POST', token });
+    assert.equal(setup.status, 200);
+
+    const enable = await server.request('/mfa/enable', { token, body: { code: totp(setup.body.secret, server.clock.now) } });
+    assert.equal(enable.status, 200);
+    return { secret: setup.body.secret, backupCodes: enable.body.backupCodes };
+}
+
+/**
+ * Password step of a login
+ * @param {Object} server - From startServer()
+ * @param {string} username - Username
+ * @param {Object} extra - More body fields (deviceToken)
+ * @returns {Promise<Object>} Response
+ */
+function loginWithPassword(server, username, extra = {}) {
+    return server.request('/login', { body: { username, password: PASSWORD, ...extra } });
+}
+
+test('TOTP codes follow RFC 6238 with one step of drift either way', () => {
+    // RFC 6238 appendix B (SHA-1), last 6 of the 8 digits
+    assert.equal(totp(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(totp(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(totp(RFC_SECRET, 2000000000 * 1000), '279037');
+
+    const step = Math.floor(T0 / TOTP_STEP);
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0), T0), step);
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0 - TOTP_STEP), T0), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0 + TOTP_STEP), T0), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0 - 2 * TOTP_STEP), T0), null);
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0 + 2 * TOTP_STEP), T0), null);
+
+    // Spaces are ignored; wrong length or letters are not codes
+    const code = totp(RFC_SECRET, T0);
+    assert.equal(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, T0), step);
+    assert.equal(verifyTotp(RFC_SECRET, code.slice(1), T0), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', T0), null);
+});
+
+test('a TOTP code is accepted once', async (t) => {
+    const step = Math.floor(T0 / TOTP_STEP);
+    const code = totp(RFC_SECRET, T0);
+    assert.equal(verifyTotp(RFC_SECRET, code, T0, step), null);
+    assert.equal(verifyTotp(RFC_SECRET, code, T0, step - 1), step);
+    // An older code inside the drift window is a replay once a newer one was used
+    assert.equal(verifyTotp(RFC_SECRET, totp(RFC_SECRET, T0 - TOTP_STEP), T0, step), null);
+
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+    const { secret } = await enrollMfa(server, 'finance');
+
+    // The enrolment code itself cannot sign in
+    server.clock.now = T0 + 10 * 1000;
+    let login = await loginWithPassword(server, 'test-finance');
+    assert.equal(login.body.mfaRequired, true);
+    let verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: totp(secret, T0) } });
+    assert.equal(verify.status, 401);
+
+    server.clock.now = T0 + TOTP_STEP;
+    const fresh = totp(secret, server.clock.now);
+    verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: fresh } });
+    assert.equal(verify.status, 200);
+    assert.equal(verifyToken(verify.body.token, SECRET, server.clock.now).sub, 'test-finance');
+
+    login = await loginWithPassword(server, 'test-finance');
+    verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: fresh } });
+    assert.equal(verify.status, 401);
+    assert.equal(verify.body.error, 'Invalid verification code');
+});
+
+test('backup codes work once each', async (t) => {
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+    const { backupCodes } = await enrollMfa(server, 'finance');
+    assert.equal(backupCodes.length, 10);
+    assert.equal(new Set(backupCodes).size, 10);
+
+    let login = await loginWithPassword(server, 'test-finance');
+    let verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: backupCodes[0].toUpperCase() } });
+    assert.equal(verify.status, 200);
+
+    login = await loginWithPassword(server, 'test-finance');
+    verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: backupCodes[0] } });
+    assert.equal(verify.status, 401);
+
+    const status = await server.request('/mfa', { token: sessionToken('finance') });
+    assert.equal(status.body.backupCodesLeft, 9);
+
+    const logged = fs.readFileSync(server.audit, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const used = logged.filter(entry => entry.action === 'mfa.backup_used');
+    assert.equal(used.length, 1);
+    assert.equal(used[0].params.backupCodesLeft, 9);
+    // Only hashes are stored
+    assert.ok(!fs.readFileSync(server.mfaFile, 'utf8').includes(backupCodes[1]));
+});
+
+test('a remembered device skips the code until its token expires', async (t) => {
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+    const { secret } = await enrollMfa(server, 'finance');
+
+    server.clock.now = T0 + TOTP_STEP;
+    const login = await loginWithPassword(server, 'test-finance');
+    const verify = await server.request('/login/mfa', {
+        body: { challenge: login.body.challenge, code: totp(secret, server.clock.now), rememberDevice: true }
+    });
+    const { deviceToken } = verify.body;
+    assert.ok(deviceToken);
+
+    // Not a session token
+    assert.equal((await server.request('/session', { token: deviceToken })).status, 401);
+
+    server.clock.now = T0 + TOTP_STEP + SESSION_TTL - 1000;
+    const remembered = await loginWithPassword(server, 'test-finance', { deviceToken });
+    assert.equal(remembered.status, 200);
+    assert.ok(remembered.body.token);
+
+    server.clock.now = T0 + TOTP_STEP + SESSION_TTL;
+    const expired = await loginWithPassword(server, 'test-finance', { deviceToken });
+    assert.equal(expired.body.mfaRequired, true);
+    assert.equal(expired.body.token, undefined);
+});
+
+test('a two-factor challenge expires after five minutes', async (t) => {
+    const server = await startServer({ users: createUsers(['finance']) });
+    t.after(server.close);
+    const { secret } = await enrollMfa(server, 'finance');
+
+    const login = await loginWithPassword(server, 'test-finance');
+    server.clock.now = T0 + 5 * 60 * 1000;
+    const verify = await server.request('/login/mfa', { body: { challenge: login.body.challenge, code: totp(secret, server.clock.now) } });
+    assert.equal(verify.status, 401);
+    assert.equal(verify.body.expired, true);
+});
@@ -0,0 +1,133 @@
+/**
+ * POP-SORTE - Data Sources Tests
+ *
+ * Loads data-sources.js behind a fake page (script URL, query string, tab storage and fetch) and
+ * checks which config file a page reads: ?sources= only on pages that opt in, only files of the
+ * site, and never a config file that moves the API base URLs.
+ *
+ * Run: node --test homina/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DATA_SOURCES_FILE = path.join(__dirname, '..', '..', 'data-sources.js');
+const SITE = 'https://popsorte.example';
+const CONFIG_STORAGE_KEY = 'popsorte_data_sources_config';
+
+const EVIL_API = { type: 'endpoint', url: 'https://evil.example/admin' };
+const STAGING_RESULTS = { type: 'file', url: 'admin/data/results-staging.csv' };
+
+// ============================================
+// Fake Page
+// ============================================
+
+/**
+ * Load data-sources.js as a page would
+ * @param {Object} page - { search: query string, allowParam: script tag opts in to ?sources=,
+ *                        stored: the tab's remembered choice, files: URL -> JSON served }
+ * @returns {Object} { DataSources, fetched: URLs requested, storage: Map }
+ */
+function loadPage({ search = '', allowParam = false, stored = null, files = {} } = {}) {
+    const storage = new Map(stored ? [[CONFIG_STORAGE_KEY, stored]] : []);
+    const fetched = [];
+    const page = {
+        URL,
+        URLSearchParams,
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        console: { log() {}, warn() {} },
+        document: {
+            currentScript: {
+                src: `${SITE}/data-sources.js`,
+                hasAttribute: name => allowParam && name === 'data-allow-sources-param'
+            }
+        },
+        location: { search },
+        sessionStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, value)
+        },
+        fetch: async (url) => {
+            fetched.push(url);
+            const body = files[url];
+            return body === undefined
+                ? { ok: false, status: 404 }
+                : { ok: true, status: 200, json: async () => body };
+        }
+    };
+    page.window = page;
+    vm.runInNewContext(fs.readFileSync(DATA_SOURCES_FILE, 'utf8'), page, { filename: DATA_SOURCES_FILE });
+    return { DataSources: page.DataSources, fetched, storage };
+}
+
+// ============================================
+// Config Files
+// ============================================
+
+test('config files cannot change the API base URLs', async () => {
+    const { DataSources } = loadPage({
+        files: { [`${SITE}/data-sources.json`]: { adminApi: EVIL_API, ticketApi: EVIL_API, results: STAGING_RESULTS, extraApi: EVIL_API } }
+    });
+    await DataSources.whenReady();
+
+    assert.equal(DataSources.getSource('adminApi').origin, 'default');
+    assert.equal(DataSources.getSource('ticketApi').origin, 'default');
+    assert.equal(DataSources.getSource('extraApi'), null);
+    assert.deepEqual({ ...DataSources.getSource('results') }, { ...STAGING_RESULTS, origin: 'config' });
+
+    // Code may still point them elsewhere (local admin API)
+    DataSources.configure({ adminApi: { type: 'endpoint', url: 'http://localhost:8787/admin' } });
+    assert.equal(DataSources.getSource('adminApi').url, 'http://localhost:8787/admin');
+});
+
+test('public pages ignore ?sources= and the remembered choice', async () => {
+    const { DataSources, fetched, storage } = loadPage({ search: '?sources=staging.json', stored: 'staging.json' });
+    await DataSources.whenReady();
+
+    assert.deepEqual(fetched, [`${SITE}/data-sources.json`]);
+    assert.equal(storage.get(CONFIG_STORAGE_KEY), 'staging.json');
+});
+
+test('?sources= only takes a file of the site', async () => {
+    for (const value of [
+        'https://evil.example/sources.json',
+        '//evil.example/sources.json',
+        ' //evil.example/sources.json',
+        '/\\evil.example/sources.json',
+        'javascript:alert(1)',
+        'data:application/json,{}'
+    ]) {
+        const { DataSources, fetched, storage } = loadPage({ search: `?sources=${encodeURIComponent(value)}`, allowParam: true });
+        await DataSources.whenReady();
+        assert.deepEqual(fetched, [`${SITE}/data-sources.json`], value);
+        assert.equal(storage.has(CONFIG_STORAGE_KEY), false, value);
+    }
+
+    const { DataSources, fetched, storage } = loadPage({
+        search: '?sources=config/staging.json',
+        allowParam: true,
+        files: { [`${SITE}/config/staging.json`]: { results: STAGING_RESULTS } }
+    });
+    await DataSources.whenReady();
+    assert.deepEqual(fetched, [`${SITE}/config/staging.json`]);
+    assert.equal(storage.get(CONFIG_STORAGE_KEY), 'config/staging.json');
+    assert.equal(DataSources.getSource('results').origin, 'config');
+});
+
+test('a remembered choice from another site is ignored', async () => {
+    const { DataSources, fetched } = loadPage({ allowParam: true, stored: 'https://evil.example/sources.json' });
+    await DataSources.whenReady();
+    assert.deepEqual(fetched, [`${SITE}/data-sources.json`]);
+
+    const defaults = loadPage({ search: '?sources=default', allowParam: true });
+    await defaults.DataSources.whenReady();
+    assert.deepEqual(defaults.fetched, []);
+    assert.equal(defaults.storage.get(CONFIG_STORAGE_KEY), 'default');
+});
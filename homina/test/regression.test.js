@@ -0,0 +1,380 @@
+/**
+ * POP-SORTE - Regression Tests
+ *
+ * Runs the dashboard's CSV parsers, ticket validation, winner calculation and concurso
+ * numbering against small anonymised fixtures (homina/test/fixtures, in the layouts of the
+ * real exports) and checks the decisions that change who gets paid: the 20:00 cutoff to the
+ * second, the 17:00 draws of Dec 24 / Dec 31 and the holidays after them, Sundays, and the
+ * same Game ID on two platforms. The modules are loaded exactly as the reconcile CLI loads them.
+ *
+ * Run: node --test homina/test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { loadBrowserModules, loadCalendar, DEFAULT_CALENDAR } = require('../cli/reconcile.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+loadBrowserModules(false);
+loadCalendar(DEFAULT_CALENDAR);
+
+// DataStore is not part of the reconcile CLI; only its pure helpers are used here
+const DATA_STORE_FILE = path.join(__dirname, '..', 'js', 'data-store.js');
+vm.runInThisContext(fs.readFileSync(DATA_STORE_FILE, 'utf8'), { filename: DATA_STORE_FILE });
+
+// ============================================
+// Fixture Loading
+// ============================================
+
+/**
+ * Read a fixture in any supported layout
+ * @param {string} dataset - 'entries' | 'recharges' | 'results'
+ * @param {string} file - File name in fixtures/
+ * @returns {Object} { rows: sheet layout rows, version: layout version label }
+ */
+function readFixture(dataset, file) {
+    return CsvLayouts.readSheetRows(dataset, fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'), file);
+}
+
+function readEntries(file) {
+    return readFixture('entries', file).rows
+        .map(row => DataFetcher.parseEntryRow(row))
+        .filter(entry => entry.gameId);
+}
+
+function readRecharges(file, platform) {
+    return readFixture('recharges', file).rows
+        .map(row => DataFetcher.parseRechargeRow(row, platform))
+        .filter(Boolean);
+}
+
+/**
+ * Read the results fixture and anchor concurso numbering to it, as ResultsFetcher does
+ * @returns {Object[]} Results, newest first
+ */
+function readResults() {
+    const results = readFixture('results', 'results.csv').rows
+        .map(row => ResultsFetcher.parseResultRow(row))
+        .filter(Boolean)
+        .sort((a, b) => parseInt(b.contest, 10) - parseInt(a.contest, 10));
+
+    DrawCalendar.setKnownDraws(results
+        .filter(r => !r.isNoDraw)
+        .map(r => ({ contest: r.contest, date: r.drawDate })));
+
+    return results;
+}
+
+function readAllRecharges() {
+    return [
+        ...readRecharges('recharge-popn1.csv', 'POPN1'),
+        ...readRecharges('recharge-popluz.csv', 'POPLUZ')
+    ];
+}
+
+/**
+ * @param {string} value - BRT date and time, 'YYYY-MM-DD HH:MM:SS'
+ * @returns {Date} That instant
+ */
+function brt(value) {
+    return new Date(`${value.replace(' ', 'T')}-03:00`);
+}
+
+/**
+ * @param {Object} ticket - Entry
+ * @returns {string} "POPN1 9000000006 2º bilhete"
+ */
+function ticketLabel(ticket) {
+    return `${ticket.platform} ${ticket.gameId} ${ticket.ticketNumber}`;
+}
+
+/**
+ * Validate the entries fixture against both recharge fixtures
+ * @returns {Promise<Object>} { entries, byTicket: label -> validation result }
+ */
+async function validateFixtures() {
+    const entries = readEntries('entries.csv');
+    DataFetcher.clearCache();
+    const validation = await RechargeValidator.validateAllTickets(entries, readAllRecharges(), true);
+
+    const byTicket = new Map(validation.results.map(v => [ticketLabel(v.ticket), v]));
+    assert.equal(byTicket.size, entries.length, 'fixture tickets must have unique labels');
+    return { entries, byTicket };
+}
+
+// ============================================
+// CSV Parsers
+// ============================================
+
+test('CSV layouts are recognized by header name', () => {
+    assert.equal(readFixture('entries', 'entries.csv').version, 'SORTE sheet (DATE / TIME columns)');
+    assert.equal(readFixture('entries', 'entries-original.csv').version, 'SORTE sheet (original)');
+    assert.equal(readFixture('entries', 'entries-export.csv').version, 'Dashboard export');
+    assert.equal(readFixture('recharges', 'recharge-popn1.csv').version, 'Back-office export (Record Time month-first)');
+    assert.equal(readFixture('recharges', 'recharge-popluz.csv').version, 'RECHARGE sheet (weekday DATE / TIME columns)');
+    assert.equal(readFixture('results', 'results.csv').version, 'RESULT sheet');
+});
+
+test('the same tickets parse identically from every entries layout', () => {
+    const fields = entry => ({
+        platform: entry.platform,
+        gameId: entry.gameId,
+        registeredAt: entry.parsedDate.toISOString(),
+        numbers: entry.numbers,
+        drawDate: entry.drawDate,
+        contest: entry.contest,
+        ticketNumber: entry.ticketNumber
+    });
+
+    const original = readEntries('entries-original.csv').map(fields);
+    const exported = readEntries('entries-export.csv').map(fields);
+    const split = readEntries('entries.csv').map(fields)
+        .filter(e => original.some(o => o.gameId === e.gameId && o.platform === e.platform && o.registeredAt === e.registeredAt));
+
+    assert.equal(original.length, 3);
+    assert.deepEqual(exported, original);
+    assert.deepEqual(split, original);
+    assert.deepEqual(original[0], {
+        platform: 'POPN1',
+        gameId: '9000000001',
+        registeredAt: brt('2025-12-22 19:59:59').toISOString(),
+        numbers: [9, 25, 57, 63, 75],
+        drawDate: '2025-12-22',
+        contest: '6909',
+        ticketNumber: '1º bilhete'
+    });
+});
+
+test('recharge times are read in BRT, month-first only in the back-office export', () => {
+    const popn1 = readRecharges('recharge-popn1.csv', 'POPN1');
+    const popluz = readRecharges('recharge-popluz.csv', 'POPLUZ');
+
+    assert.equal(popn1.length, 11);
+    assert.equal(popn1[0].rechargeTime.toISOString(), brt('2025-12-22 19:59:58').toISOString());
+    assert.equal(popn1[0].amount, 20);
+    assert.equal(popn1[0].platform, 'POPN1');
+
+    assert.equal(popluz.length, 1);
+    assert.equal(popluz[0].rechargeTime.toISOString(), brt('2025-12-22 11:00:00').toISOString());
+    assert.equal(popluz[0].platform, 'POPLUZ');
+});
+
+test('results skip no-draw rows and contests without numbers', () => {
+    const results = readResults();
+
+    assert.deepEqual(results.map(r => r.contest),
+        ['6918', '6916', '6915', '6914', '6913', '6912', '6911', '6910', '6909']);
+    assert.deepEqual(results.find(r => r.contest === '6909').numbers, [9, 25, 57, 63, 75]);
+});
+
+// ============================================
+// Draw Calendar
+// ============================================
+
+test('tickets registered at 19:59:59 join that day\'s draw, at 20:00:00 the next one', () => {
+    const drawOf = value => DrawCalendar.getScheduleAt(brt(value)).dateKey;
+
+    assert.equal(drawOf('2025-12-22 19:59:59'), '2025-12-22');
+    assert.equal(drawOf('2025-12-22 20:00:00'), '2025-12-23');
+
+    // Dec 24 draws at 17:00 and Dec 25 has no draw
+    assert.equal(drawOf('2025-12-24 16:59:59'), '2025-12-24');
+    assert.equal(drawOf('2025-12-24 17:00:00'), '2025-12-26');
+
+    // Dec 31 draws at 17:00 and Jan 1 has no draw
+    assert.equal(drawOf('2025-12-31 16:59:59'), '2025-12-31');
+    assert.equal(drawOf('2025-12-31 17:00:00'), '2026-01-02');
+
+    // Saturday after the draw and Sunday go to Monday
+    assert.equal(drawOf('2025-12-27 20:00:00'), '2025-12-29');
+    assert.equal(drawOf('2025-12-28 12:00:00'), '2025-12-29');
+});
+
+test('recharge eligibility windows across the cutoff, holidays and Sundays', () => {
+    const windowOf = value => {
+        const window = DrawCalendar.getEligibilityWindow(brt(value));
+        return [
+            DrawCalendar.toDateKey(window.eligible1),
+            DrawCalendar.toDateKey(window.eligible2),
+            window.expiresAt.toISOString()
+        ];
+    };
+
+    assert.deepEqual(windowOf('2025-12-22 19:59:59'), ['2025-12-22', '2025-12-23', brt('2025-12-23 20:00:00').toISOString()]);
+    assert.deepEqual(windowOf('2025-12-22 20:00:00'), ['2025-12-23', '2025-12-24', brt('2025-12-24 17:00:00').toISOString()]);
+    assert.deepEqual(windowOf('2025-12-24 16:59:59'), ['2025-12-24', '2025-12-26', brt('2025-12-26 20:00:00').toISOString()]);
+    assert.deepEqual(windowOf('2025-12-24 17:00:00'), ['2025-12-26', '2025-12-27', brt('2025-12-27 20:00:00').toISOString()]);
+    assert.deepEqual(windowOf('2025-12-31 17:00:00'), ['2026-01-02', '2026-01-03', brt('2026-01-03 20:00:00').toISOString()]);
+    assert.deepEqual(windowOf('2025-12-27 20:30:00'), ['2025-12-29', '2025-12-30', brt('2025-12-30 20:00:00').toISOString()]);
+});
+
+test('calculateConcurso follows the results history and skips days without draws', () => {
+    readResults();
+
+    assert.equal(DrawCalendar.calculateConcurso('2025-12-26'), 6912);
+    // 6917 was never drawn: the history says Jan 2 is 6918
+    assert.equal(DrawCalendar.calculateConcurso('2026-01-02'), 6918);
+    // After the history: Jan 3 is 6919, Sunday Jan 4 has no draw
+    assert.equal(DrawCalendar.calculateConcurso('2026-01-03'), 6919);
+    assert.equal(DrawCalendar.calculateConcurso('2026-01-05'), 6920);
+    // Before the history: Sunday Dec 21 has no draw
+    assert.equal(DrawCalendar.calculateConcurso('2025-12-20'), 6908);
+
+    assert.equal(DrawCalendar.resolveConcurso('2026-01-05').source, 'extrapolated');
+    assert.equal(DrawCalendar.resolveConcurso('2025-12-22').source, 'known');
+});
+
+// ============================================
+// Ticket Validation
+// ============================================
+
+test('validateAllTickets decides every fixture ticket as before', async () => {
+    const { byTicket } = await validateFixtures();
+    const decision = label => {
+        const v = byTicket.get(label);
+        assert.ok(v, `missing ticket ${label}`);
+        return [v.status, v.isDay2, v.matchedRecharge ? v.matchedRecharge.rechargeId : null];
+    };
+
+    // 20:00 cutoff: recharge at 19:59:58 covers the 19:59:59 ticket for the same day
+    assert.deepEqual(decision('POPN1 9000000001 1º bilhete'), ['VALID', false, 'TEST000000000000000001']);
+    // Recharge at 20:00:00 exactly is for the next draw
+    assert.deepEqual(decision('POPN1 9000000002 1º bilhete'), ['VALID', false, 'TEST000000000000000002']);
+    // eligible2 still open at 19:59:59, closed at 20:00:00
+    assert.deepEqual(decision('POPN1 9000000003 1º bilhete'), ['VALID', true, 'TEST000000000000000003']);
+    assert.deepEqual(decision('POPN1 9000000004 1º bilhete'), ['INVALID', false, null]);
+    assert.equal(byTicket.get('POPN1 9000000004 1º bilhete').reason, 'Recharge window expired after draw cutoff on eligible2');
+
+    // Dec 24 (17:00 draw): before the draw, eligible2 is Dec 26 (no draw on Christmas)
+    assert.deepEqual(decision('POPN1 9000000005 1º bilhete'), ['VALID', true, 'TEST000000000000000005']);
+    // After the 17:00 draw the recharge no longer covers Dec 24, but does cover Dec 26
+    assert.deepEqual(decision('POPN1 9000000006 1º bilhete'), ['INVALID', false, null]);
+    assert.deepEqual(decision('POPN1 9000000006 2º bilhete'), ['VALID', false, 'TEST000000000000000006']);
+
+    // Dec 31 after the 17:00 draw: next draw is Jan 2
+    assert.deepEqual(decision('POPN1 9000000007 1º bilhete'), ['VALID', false, 'TEST000000000000000007']);
+    // Saturday after the draw: next draw is Monday
+    assert.deepEqual(decision('POPN1 9000000008 1º bilhete'), ['VALID', false, 'TEST000000000000000008']);
+
+    // No recharge at all
+    assert.deepEqual(decision('POPN1 9000000013 1º bilhete'), ['INVALID', false, null]);
+    assert.equal(byTicket.get('POPN1 9000000013 1º bilhete').reason, 'No POPN1 recharge found for Game ID');
+
+    // One recharge, two tickets: the second finds it consumed
+    assert.deepEqual(decision('POPN1 9000000012 1º bilhete'), ['VALID', false, 'TEST000000000000000012']);
+    assert.deepEqual(decision('POPN1 9000000012 2º bilhete'), ['INVALID', false, null]);
+    assert.equal(byTicket.get('POPN1 9000000012 2º bilhete').reason, 'Recharge already consumed by previous ticket');
+});
+
+test('a Game ID only matches recharges of its own platform', async () => {
+    const { byTicket } = await validateFixtures();
+
+    // POPN1 recharge only: the POPLUZ ticket of the same Game ID is invalid
+    assert.equal(byTicket.get('POPN1 9000000010 1º bilhete').status, 'VALID');
+    assert.equal(byTicket.get('POPLUZ 9000000010 1º bilhete').status, 'INVALID');
+    assert.equal(byTicket.get('POPLUZ 9000000010 1º bilhete').reason, 'No POPLUZ recharge found for Game ID');
+
+    // A recharge on each platform: each ticket binds its own platform's recharge
+    assert.equal(byTicket.get('POPN1 9000000011 1º bilhete').matchedRecharge.rechargeId, 'TEST000000000000000011');
+    assert.equal(byTicket.get('POPLUZ 9000000011 1º bilhete').matchedRecharge.rechargeId, 'TEST000000000000000111');
+    assert.equal(byTicket.get('POPLUZ 9000000011 1º bilhete').matchedRecharge.platform, 'POPLUZ');
+});
+
+test('a manual validity override wins over the recharges', async () => {
+    // As the admin API returns them
+    const sheetEntries = readEntries('entries.csv');
+    const ticket = sheetEntries.find(entry => ticketLabel(entry) === 'POPN1 9000000013 1º bilhete');
+    ValidityOverrides.replace([
+        { key: ValidityOverrides.buildKey(ticket), status: 'VALID', reason: 'Recharge confirmed by support', by: 'ana' }
+    ]);
+    const entries = ValidityOverrides.apply(sheetEntries);
+    ValidityOverrides.replace([]);
+    assert.equal(entries.find(entry => entry.validityOverride).sourceStatus, ticket.status);
+
+    DataFetcher.clearCache();
+    const validation = await RechargeValidator.validateAllTickets(entries, readAllRecharges(), true);
+    const byTicket = new Map(validation.results.map(v => [ticketLabel(v.ticket), v]));
+
+    assert.equal(byTicket.get('POPN1 9000000013 1º bilhete').status, 'VALID');
+    assert.equal(byTicket.get('POPN1 9000000013 1º bilhete').reason, 'Manual override by ana: Recharge confirmed by support');
+    // The other tickets keep their decisions
+    assert.equal(byTicket.get('POPN1 9000000004 1º bilhete').status, 'INVALID');
+    assert.equal(byTicket.get('POPN1 9000000012 2º bilhete').status, 'INVALID');
+});
+
+// ============================================
+// Winners
+// ============================================
+
+test('prize rules pick the draw date on the BRT calendar', () => {
+    // 21:30 BRT on Oct 31 is already Nov 1 in UTC; the rule is still Oct 31's
+    assert.equal(PrizeRules.toDateKey(brt('2026-10-31 21:30:00')), '2026-10-31');
+    assert.equal(PrizeRules.toDateKey(brt('2026-11-01 00:00:00')), '2026-11-01');
+    assert.equal(PrizeRules.toDateKey('31/10/2026'), '2026-10-31');
+    assert.equal(PrizeRules.toDateKey('Sat, 31 Oct 2026'), '2026-10-31');
+    assert.equal(PrizeRules.toDateKey(''), '');
+});
+
+test('calculateAllWinners pays only validated tickets, per platform', async () => {
+    const { entries, byTicket } = await validateFixtures();
+    const results = readResults();
+
+    // Winners follow the validation decision, as with reconcile --revalidate
+    const validated = entries.map(entry => ({ ...entry, status: byTicket.get(ticketLabel(entry)).status }));
+
+    const paidWinners = async platform => {
+        DataFetcher.clearCache();
+        const calculation = await WinnerCalculator.calculateAllWinners(
+            validated.filter(e => e.platform === platform), results, platform);
+        return {
+            stats: calculation.stats,
+            paid: calculation.allWinners
+                .filter(w => w.prize > 0)
+                .map(w => [w.contest, w.gameId, w.matches, w.prize])
+                .sort((a, b) => a[0].localeCompare(b[0]))
+        };
+    };
+
+    const popn1 = await paidWinners('POPN1');
+    assert.deepEqual(popn1.paid, [
+        ['6909', '9000000001', 5, 1000], // 9000000013 also hit 5 but has no recharge
+        ['6910', '9000000002', 4, 1000], // 9000000003 (3 hits) is below the highest tier
+        ['6912', '9000000005', 3, 1000], // 9000000012's second ticket hit 4 but is invalid
+        ['6914', '9000000008', 3, 1000],
+        ['6918', '9000000007', 5, 1000]
+    ]);
+    assert.equal(popn1.stats.totalPrizeAwarded, 5000);
+    // 6911 (Dec 24): only invalid tickets hit, nothing is paid
+    assert.equal(popn1.stats.contestsWithWinners, 5);
+
+    const popluz = await paidWinners('POPLUZ');
+    // 9000000010 hit 5 on POPLUZ with a POPN1-only recharge
+    assert.deepEqual(popluz.paid, [['6909', '9000000011', 3, 1000]]);
+    assert.equal(popluz.stats.totalPrizeAwarded, 1000);
+});
+
+// ============================================
+// Duplicate Detection
+// ============================================
+
+test('retry duplicates never pair tickets of different platforms', () => {
+    const entries = readEntries('entries.csv');
+
+    // 9000000011 played the same numbers at the same time on POPN1 and POPLUZ
+    assert.deepEqual(Array.from(DataStore.findRetryDuplicates(entries).keys()).map(ticketLabel), []);
+
+    // A real retry on one platform is still found
+    const original = entries.find(e => ticketLabel(e) === 'POPLUZ 9000000011 1º bilhete');
+    const retry = { ...original, ticketNumber: '2º bilhete', parsedDate: new Date(original.parsedDate.getTime() + 5000) };
+    const duplicates = DataStore.findRetryDuplicates([...entries, retry]);
+    assert.equal(duplicates.size, 1);
+    assert.equal(duplicates.get(retry).original, original);
+    assert.equal(duplicates.get(retry).secondsApart, 5);
+});
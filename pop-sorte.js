@@ -1,12 +1,18 @@
 // POP-SORTE LOTTERY SYSTEM - FULL REVAMP WITH SECURE WORKER API
 // ✅ WORKER URL CONFIGURED
 const API_BASE_URL = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+// Sheets and files read by this page come from DataSources (data-sources.js): "results",
+// "publicEntries" (+ ".POPLUZ" / ".POPN1") and the "drawCalendar" special-day table
 
 // Changes: WhatsApp instead of Pedido, UNLIMITED registrations per Game ID, proper Concurso system, no SN
 let selectedNumbers = []; // Array to preserve order
+let ticketCart = []; // Number sets waiting to be submitted together (multi-ticket cart)
 let selectedPlatform = null;
 let serverTimeOffset = 0; // Difference between server time and client time
 
+// CSV parsing, Game ID validation, WhatsApp masking and status badges (ticket-utils.js)
+const { parseCSVLine, detectDelimiter, isValidGameId, maskWhatsappNumber, normalizeTicketStatus } = window.TicketUtils;
+
 // ============================================
 // AUTO RETRY WITH EXPONENTIAL BACKOFF
 // ============================================
@@ -43,11 +49,6 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     }
 }
 
-const CONCURSO_REFERENCE = {
-    number: 6903,
-    date: new Date('2025-12-15T00:00:00-03:00') // Explicit Brazil time
-};
-
 // Sync time with server to prevent client-side clock skew
 async function syncServerTime() {
     try {
@@ -153,141 +154,497 @@ function getBrazilDayOfWeek(date) {
     return days.indexOf(weekday);
 }
 
-// Helper to get month in Brazil timezone (0-indexed: 0 = January)
-function getBrazilMonth(date) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'America/Sao_Paulo',
-        month: 'numeric'
-    });
-    return parseInt(formatter.format(date)) - 1;
-}
-
-// Helper to get day of month in Brazil timezone
-function getBrazilDayOfMonth(date) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'America/Sao_Paulo',
-        day: 'numeric'
-    });
-    return parseInt(formatter.format(date));
-}
-
-// Draw calendar helpers (BRT)
+// Draw calendar helpers (BRT) - rules live in draw-calendar.js (DrawCalendar)
 function isNoDrawDay(date) {
-    const month = getBrazilMonth(date); // 0-indexed, Brazil timezone
-    const day = getBrazilDayOfMonth(date); // Brazil timezone
-    const isChristmas = month === 11 && day === 25;
-    const isNewYear = month === 0 && day === 1;
-    return isChristmas || isNewYear;
+    return DrawCalendar.isNoDrawDay(date);
 }
 
 function isEarlyDrawDay(date) {
-    const month = getBrazilMonth(date); // Brazil timezone
-    const day = getBrazilDayOfMonth(date); // Brazil timezone
-    return (month === 11 && (day === 24 || day === 31));
+    return DrawCalendar.isEarlyDrawDay(date);
 }
 
 function getDrawTimeHour(date) {
-    return isEarlyDrawDay(date) ? 17 : 20;
+    return DrawCalendar.getDrawHour(date);
 }
 
 function isValidDrawDay(date) {
-    const isSunday = getBrazilDayOfWeek(date) === 0; // Brazil timezone
-    return !isSunday && !isNoDrawDay(date);
+    return DrawCalendar.isDrawDay(date);
 }
 
 function buildScheduleForDate(dateInput) {
-    const dateStr = typeof dateInput === 'string'
-        ? dateInput.split('T')[0]
-        : getBrazilDateString(dateInput);
+    return DrawCalendar.buildScheduleForDate(dateInput);
+}
+
+function getNextValidDrawDate(fromDate) {
+    return DrawCalendar.getNextValidDrawDate(fromDate);
+}
+
+// ============================================
+// SERVER DRAW SCHEDULE (worker is authoritative, local math is the offline fallback)
+// ============================================
+// GET /api/schedule/current ->
+//   { success, drawDate: 'YYYY-MM-DD', drawHour, cutoff: ISO, concurso, isOpen, serverTime: ISO }
+const SCHEDULE_FETCH_TIMEOUT = 5000;
+const SCHEDULE_RETRY_DELAY = 30 * 1000; // Don't hammer the worker while offline
+
+let serverSchedule = null; // Last schedule returned by the worker
+let scheduleRequest = null; // In-flight request (shared by concurrent callers)
+let lastScheduleFailure = 0;
+
+async function refreshServerSchedule(force = false) {
+    if (scheduleRequest) return scheduleRequest;
+    if (!force && Date.now() - lastScheduleFailure < SCHEDULE_RETRY_DELAY) return serverSchedule;
+
+    scheduleRequest = (async () => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), SCHEDULE_FETCH_TIMEOUT);
+        try {
+            const start = Date.now();
+            const response = await fetch(`${API_BASE_URL}/api/schedule/current`, {
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    const drawDate = new Date(`${dateStr}T00:00:00-03:00`);
-    const drawHour = getDrawTimeHour(drawDate);
+            const data = await response.json();
+            const cutoff = new Date(data.cutoff);
+            if (!data.success || !data.drawDate || isNaN(cutoff.getTime())) {
+                throw new Error('Invalid schedule response');
+            }
 
-    const cutoff = new Date(`${dateStr}T${drawHour.toString().padStart(2, '0')}:00:00-03:00`);
-    cutoff.setSeconds(cutoff.getSeconds() - 1); // 19:59:59 or 16:59:59
+            // Worker clock also corrects the local countdown
+            const serverTime = new Date(data.serverTime).getTime();
+            if (!isNaN(serverTime)) {
+                serverTimeOffset = serverTime - Date.now() + (Date.now() - start) / 2;
+            }
 
-    const regStartDate = new Date(drawDate);
-    regStartDate.setDate(regStartDate.getDate() - 1);
-    const regStartStr = getBrazilDateString(regStartDate);
-    const regStart = new Date(`${regStartStr}T20:00:01-03:00`); // 20:00:01 of previous day
+            const drawDateStr = DrawCalendar.toDateKey(data.drawDate);
+            serverSchedule = {
+                drawDate: new Date(`${drawDateStr}T00:00:00-03:00`),
+                drawHour: Number.isFinite(data.drawHour) ? data.drawHour : DrawCalendar.getDrawHour(drawDateStr),
+                cutoff: cutoff,
+                concurso: parseInt(data.concurso, 10) || calculateConcurso(drawDateStr),
+                isOpen: data.isOpen !== false,
+                source: 'server'
+            };
+            lastScheduleFailure = 0;
+
+            updateDrawDateDisplay();
+            updateConfirmationWarning();
+            return serverSchedule;
+        } catch (e) {
+            console.warn('⚠️ Schedule endpoint unavailable, using local draw calendar:', e.message);
+            lastScheduleFailure = Date.now();
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+            scheduleRequest = null;
+        }
+    })();
 
-    return { drawDate, drawHour, cutoff, regStart };
+    return scheduleRequest;
 }
 
-function getNextValidDrawDate(fromDate) {
-    const probe = new Date(fromDate);
-    probe.setHours(0, 0, 0, 0);
+function getCurrentDrawSchedule() {
+    const now = getBrazilTime(); // Use corrected Brazil time function
 
-    for (let i = 0; i < 14; i++) {
-        if (i > 0) probe.setDate(probe.getDate() + 1);
-        if (isValidDrawDay(probe)) {
-            return new Date(probe);
+    if (serverSchedule) {
+        if (now <= serverSchedule.cutoff) {
+            return { ...serverSchedule, now };
         }
+        refreshServerSchedule(); // Past the server cutoff: fetch the next draw in background
     }
-    throw new Error('No valid draw date found in range');
+
+    const local = DrawCalendar.getScheduleAt(now);
+    return { ...local, concurso: calculateConcurso(local.drawDate), isOpen: true, source: 'local' };
 }
 
-function getCurrentDrawSchedule() {
-    const spNow = getBrazilTime(); // Use corrected Brazil time function
-    const todayStr = getBrazilDateString(spNow);
-    const today = new Date(`${todayStr}T00:00:00-03:00`);
-
-    const todayValid = isValidDrawDay(today);
-    if (todayValid) {
-        const schedule = buildScheduleForDate(todayStr);
-        if (spNow <= schedule.cutoff) {
-            return { ...schedule, now: spNow };
+// Schedule used for submission: always ask the worker first, local math only when offline
+async function getSubmissionSchedule() {
+    await refreshServerSchedule(true);
+    return getCurrentDrawSchedule();
+}
+
+// Calculate concurso number based on draw date while skipping non-draw days (Sundays + holiday closures)
+function calculateConcurso(drawDate) {
+    return DrawCalendar.calculateConcurso(drawDate);
+}
+
+// Get weekday name in Portuguese (Brazil timezone)
+function getWeekdayName(date) {
+    const days = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+    return days[getBrazilDayOfWeek(date)];
+}
+
+// ============================================
+// OFFLINE SUBMISSION QUEUE (IndexedDB)
+// ============================================
+// Every composed ticket is stored with its idempotency key before it is sent.
+// Network failures leave it queued; replayQueuedTickets() sends it when the
+// connection returns, as long as the cutoff in force at composition has not passed.
+const TICKET_QUEUE_DB = 'popsorte_ticket_queue';
+const TICKET_QUEUE_STORE = 'tickets';
+const TICKET_QUEUE_REPLAY_INTERVAL = 30 * 1000;
+
+let ticketQueueDbPromise = null;
+let isReplayingQueue = false;
+const ticketsInFlight = new Set(); // Keys currently being sent by confirmEntry (replay skips them)
+let deliveredTickets = []; // Queued tickets delivered during this visit (shown with their bilhete link)
+
+// Idempotency key derived from the composed ticket: the same platform, game ID, numbers and
+// draw always produce the same key, so a retry of a request that actually succeeded is
+// recognised by the Worker instead of creating a second bilhete.
+async function generateIdempotencyKey(requestBody) {
+    const numbers = requestBody.numerosEscolhidos.split(',')
+        .map(n => parseInt(n, 10))
+        .sort((a, b) => a - b)
+        .join('-');
+    const material = [
+        requestBody.platform,
+        requestBody.gameId,
+        numbers,
+        requestBody.drawDate,
+        requestBody.concurso
+    ].join('|');
+
+    if (window.crypto && window.crypto.subtle && window.TextEncoder) {
+        try {
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+            return 'tk-' + Array.from(new Uint8Array(digest))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        } catch (error) {
+            console.warn('⚠️ SHA-256 unavailable, using fallback hash:', error);
         }
     }
 
-    // After cutoff or today invalid: pick next valid draw day (skipping Sundays and blocked days)
-    let probe = new Date(today);
-    for (let i = 0; i < 14; i++) {
-        probe.setDate(probe.getDate() + 1);
-        const probeStr = getBrazilDateString(probe);
-        const probeDate = new Date(`${probeStr}T00:00:00-03:00`);
-        if (isValidDrawDay(probeDate)) {
-            const nextSchedule = buildScheduleForDate(probeStr);
-            return { ...nextSchedule, now: spNow };
+    // Fallback (insecure contexts): two FNV-1a passes with different seeds
+    const fnv = (seed) => {
+        let hash = seed;
+        for (let i = 0; i < material.length; i++) {
+            hash ^= material.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    };
+    return 'tk-' + fnv(0x811c9dc5) + fnv(0x01000193);
+}
+
+// The Worker answers a replayed key with the ORIGINAL ticket (HTTP 409 or 200 + duplicate flag)
+function isDuplicateResponse(data) {
+    return !!(data && data.duplicate === true && data.bilheteNumber);
+}
+
+function openTicketQueue() {
+    if (ticketQueueDbPromise) return ticketQueueDbPromise;
+
+    ticketQueueDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        const request = indexedDB.open(TICKET_QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(TICKET_QUEUE_STORE, { keyPath: 'idempotencyKey' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    ticketQueueDbPromise.catch(() => { ticketQueueDbPromise = null; });
+
+    return ticketQueueDbPromise;
+}
+
+async function ticketQueueRequest(mode, operation) {
+    const db = await openTicketQueue();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(TICKET_QUEUE_STORE, mode);
+        const request = operation(tx.objectStore(TICKET_QUEUE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function queueSaveTicket(ticket) {
+    return ticketQueueRequest('readwrite', store => store.put(ticket));
+}
+
+function queueDeleteTicket(idempotencyKey) {
+    return ticketQueueRequest('readwrite', store => store.delete(idempotencyKey));
+}
+
+function queueGetTickets() {
+    return ticketQueueRequest('readonly', store => store.getAll());
+}
+
+// POST a ticket to the worker. Errors the server will never accept are flagged `permanent`.
+async function sendTicket(requestBody) {
+    return retryWithBackoff(async () => {
+        const response = await fetch(`${API_BASE_URL}/api/tickets/create`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': requestBody.idempotencyKey
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+            if (response.status === 409 && isDuplicateResponse(errorData)) {
+                return { ...errorData, success: true };
+            }
+            const error = new Error(errorData.error || `HTTP ${response.status}`);
+            error.permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+            throw error;
+        }
+
+        const result = await response.json();
+
+        if (isDuplicateResponse(result)) {
+            return { ...result, success: true };
+        }
+
+        if (!result.success) {
+            const error = new Error(result.error || 'Falha ao salvar bilhete');
+            error.permanent = true;
+            throw error;
+        }
+
+        return result;
+    }, 3, 1000); // 3 retries, 1s base delay
+}
+
+// Several tickets in one request; every ticket keeps its own idempotency key.
+// Resolves to [{idempotencyKey, success, bilheteNumber, ticketId, duplicate, error}] in request order.
+async function sendTicketBatch(requestBodies) {
+    const response = await retryWithBackoff(async () => {
+        const res = await fetch(`${API_BASE_URL}/api/tickets/create-batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tickets: requestBodies })
+        });
+        if (res.status >= 500 || res.status === 408 || res.status === 429) {
+            throw new Error(`HTTP ${res.status}`);
+        }
+        return res;
+    }, 3, 1000);
+
+    // Worker without the batch endpoint: send one by one
+    if (response.status === 404) {
+        const results = [];
+        for (const body of requestBodies) {
+            try {
+                const result = await sendTicket(body);
+                results.push({ ...result, idempotencyKey: body.idempotencyKey, success: true });
+            } catch (error) {
+                if (!error.permanent) throw error; // Connection lost - caller keeps the rest queued
+                results.push({ idempotencyKey: body.idempotencyKey, success: false, error: error.message });
+            }
         }
+        return results;
     }
-    throw new Error('No valid draw date found');
+
+    const data = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+    if (!response.ok || !Array.isArray(data.results)) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.permanent = true;
+        throw error;
+    }
+
+    const byKey = new Map(data.results.map(r => [r.idempotencyKey, r]));
+    return requestBodies.map(body => {
+        const r = byKey.get(body.idempotencyKey);
+        if (!r) return { idempotencyKey: body.idempotencyKey, success: false, error: 'Sem resposta do servidor' };
+        return isDuplicateResponse(r) ? { ...r, success: true } : r;
+    });
 }
 
-// Calculate concurso number based on draw date while skipping non-draw days (Sundays + holiday closures)
-function calculateConcurso(drawDate) {
-    const refDateStr = getBrazilDateString(CONCURSO_REFERENCE.date);
-    const targetDateStr = typeof drawDate === 'string'
-        ? drawDate.split('T')[0]
-        : getBrazilDateString(drawDate);
-
-    const refDate = new Date(`${refDateStr}T12:00:00Z`);      // use noon UTC to avoid DST issues
-    const targetDate = new Date(`${targetDateStr}T12:00:00Z`);
-
-    let daysDiff = 0;
-    let cursor = new Date(refDate);
-    const step = targetDate >= refDate ? 1 : -1;
-
-    while ((step === 1 && cursor < targetDate) || (step === -1 && cursor > targetDate)) {
-        cursor.setUTCDate(cursor.getUTCDate() + step);
-        const cursorStr = cursor.toISOString().split('T')[0];
-        const cursorBrazil = new Date(`${cursorStr}T12:00:00-03:00`);
-        if (isValidDrawDay(cursorBrazil)) {
-            daysDiff += 1;
+// Receipt URL: the opaque ticket ID issued by the Worker lets bilhete.html load and verify
+// the ticket server-side. Without an ID (older Worker) the legacy parameter URL is used,
+// which bilhete.html shows as NOT verified.
+function buildBilheteUrl(ticket, saveResult) {
+    const bilheteNumber = saveResult.bilheteNumber || 'UNKNOWN';
+    const isDuplicate = saveResult.duplicate === true;
+
+    if (saveResult.ticketId) {
+        const params = new URLSearchParams({ id: saveResult.ticketId });
+        if (isDuplicate) params.set('duplicate', '1');
+        return `bilhete.html?${params.toString()}`;
+    }
+
+    const body = ticket.requestBody;
+    const drawDate = new Date(`${body.drawDate}T00:00:00-03:00`);
+
+    const params = new URLSearchParams({
+        gameId: body.gameId,
+        whatsapp: body.whatsappNumber,
+        numbers: body.numerosEscolhidos.replace(/\s/g, ''),
+        time: formatBrazilDateTime(new Date(ticket.composedAt), {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }),
+        date: formatBrazilDateTime(drawDate, {
+            day: '2-digit',
+            month: 'long',
+            year: 'numeric'
+        }),
+        bilhete: bilheteNumber,
+        concurso: body.concurso,
+        platform: body.platform
+    });
+    if (isDuplicate) params.set('duplicate', '1');
+
+    return `bilhete.html?${params.toString()}`;
+}
+
+async function replayQueuedTickets() {
+    if (isReplayingQueue || navigator.onLine === false) return;
+    isReplayingQueue = true;
+
+    try {
+        const tickets = await queueGetTickets();
+        for (const ticket of tickets) {
+            if (ticket.status !== 'pending' || ticketsInFlight.has(ticket.idempotencyKey)) continue;
+
+            // Respect the cutoff that applied when the ticket was composed
+            if (getBrazilTime() > new Date(ticket.cutoff)) {
+                ticket.status = 'expired';
+                await queueSaveTicket(ticket);
+                showToast(`⏰ Bilhete pendente do concurso ${ticket.requestBody.concurso} não foi enviado antes do encerramento.`, 'error');
+                continue;
+            }
+
+            try {
+                const result = await sendTicket(ticket.requestBody);
+                await queueDeleteTicket(ticket.idempotencyKey);
+                const bilheteNumber = result.bilheteNumber || 'UNKNOWN';
+                deliveredTickets.push({
+                    concurso: ticket.requestBody.concurso,
+                    bilheteNumber: bilheteNumber,
+                    url: buildBilheteUrl(ticket, result)
+                });
+                showToast(result.duplicate
+                    ? `♻️ BILHETE JÁ REGISTRADO! Nº ${bilheteNumber}`
+                    : `✅ BILHETE ENVIADO! Nº ${bilheteNumber}`);
+            } catch (error) {
+                if (!error.permanent) break; // Still offline - try again later
+                ticket.status = 'failed';
+                ticket.error = error.message;
+                await queueSaveTicket(ticket);
+            }
         }
+    } catch (error) {
+        console.warn('⚠️ Offline queue replay failed:', error);
+    } finally {
+        isReplayingQueue = false;
+        renderPendingTickets();
     }
+}
 
-    return CONCURSO_REFERENCE.number + daysDiff * step;
+/**
+ * Build one row of the pending-ticket list. Texts come from the server and the queue, so
+ * they are set with textContent, never as HTML.
+ * @param {string} status - Row status class ('pending', 'failed', 'expired', 'sent')
+ * @param {string} icon - Leading emoji
+ * @param {string} text - Row text
+ * @returns {HTMLDivElement} Row element
+ */
+function createPendingTicketRow(status, icon, text) {
+    const row = document.createElement('div');
+    row.className = `pending-ticket ${status}`;
+    const label = document.createElement('span');
+    label.textContent = text;
+    row.append(`${icon} `, label);
+    return row;
 }
 
-// Get weekday name in Portuguese (Brazil timezone)
-function getWeekdayName(date) {
-    const days = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
-    return days[getBrazilDayOfWeek(date)];
+/**
+ * Build a pending-ticket action button (handled by the delegated click in initTicketQueue)
+ * @param {string} action - data-action value
+ * @param {string} label - Button text
+ * @param {Object} data - Extra data-* attributes ({ key } or { index })
+ * @returns {HTMLButtonElement} Button element
+ */
+function createPendingTicketButton(action, label, data) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    Object.assign(button.dataset, data);
+    button.textContent = label;
+    return button;
+}
+
+async function renderPendingTickets() {
+    const container = document.getElementById('pendingTickets');
+    if (!container) return;
+
+    const tickets = await queueGetTickets().catch(() => []);
+    const rows = tickets.map(ticket => {
+        const body = ticket.requestBody;
+        const info = `Concurso ${body.concurso} · ${body.numerosEscolhidos}`;
+        if (ticket.status === 'pending') {
+            return createPendingTicketRow('pending', '📤', `Aguardando envio · ${info}`);
+        }
+        const reason = ticket.status === 'expired' ? 'Concurso encerrado' : (ticket.error || 'Não enviado');
+        const row = createPendingTicketRow(ticket.status === 'expired' ? 'expired' : 'failed', '⚠️', `${reason} · ${info}`);
+        row.append(
+            createPendingTicketButton('restore', 'Usar números', { key: ticket.idempotencyKey }),
+            createPendingTicketButton('discard', 'Descartar', { key: ticket.idempotencyKey })
+        );
+        return row;
+    });
+    deliveredTickets.forEach((ticket, index) => {
+        const row = createPendingTicketRow('sent', '✅', `Bilhete Nº ${ticket.bilheteNumber} · Concurso ${ticket.concurso}`);
+        const link = document.createElement('a');
+        link.href = ticket.url;
+        link.textContent = 'VER BILHETE';
+        row.append(link, createPendingTicketButton('dismiss', '✕', { index: String(index) }));
+        rows.push(row);
+    });
+
+    container.replaceChildren(...rows);
+    container.hidden = rows.length === 0;
+}
+
+function initTicketQueue() {
+    const container = document.getElementById('pendingTickets');
+    if (container) {
+        container.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const action = button.dataset.action;
+            if (action === 'dismiss') {
+                deliveredTickets.splice(parseInt(button.dataset.index, 10), 1);
+            } else {
+                const tickets = await queueGetTickets().catch(() => []);
+                const ticket = tickets.find(t => t.idempotencyKey === button.dataset.key);
+                if (ticket && action === 'restore') {
+                    clearNumbers();
+                    ticket.requestBody.numerosEscolhidos.split(',').forEach(n => toggleNumber(parseInt(n, 10)));
+                }
+                if (ticket) await queueDeleteTicket(ticket.idempotencyKey).catch(() => {});
+            }
+            renderPendingTickets();
+        });
+    }
+
+    window.addEventListener('online', replayQueuedTickets);
+    setInterval(replayQueuedTickets, TICKET_QUEUE_REPLAY_INTERVAL);
+    replayQueuedTickets();
 }
 
 // Initialize everything immediately (since script is at bottom of body)
 syncServerTime(); // Start time sync
+refreshServerSchedule(true);
+DrawCalendar.loadSpecialDays(() => DataSources.fetchText('drawCalendar')).then(() => {
+    updateDrawDateDisplay();
+    updateConfirmationWarning();
+});
 generateNumberGrid();
 updateSelectedDisplay();
 updateSubmitButton();
@@ -300,18 +657,15 @@ initPlatformSelection();
 fetchAndPopulateResults();
 bindUiEvents();
 initLatestFiveWidget();
+initTicketQueue();
 
 // Show winner announcement popup on page load
 setTimeout(() => {
     showWinnerPopup();
 }, 2000); // Show after 2 seconds to let page load
 
-// ✅ Fetch latest results directly from Google Sheets (public CSV exports)
+// ✅ Fetch latest results and entries ("results" / "publicEntries" data sources, public CSV exports)
 async function fetchAndPopulateResults() {
-    // Google Sheets CSV export URLs (public read-only)
-    const RESULTS_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644';
-    const ENTRIES_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
-
     const marqueeBalls = document.getElementById('marqueeBalls');
     const marqueeContainer = document.querySelector('.results-marquee');
     const marqueeContent = document.getElementById('marqueeContent');
@@ -335,19 +689,9 @@ async function fetchAndPopulateResults() {
         return true;
     };
 
-    // Helper function to count matches between entry numbers and winning numbers
-    const countMatches = (entryNumbers, winningNumbers) => {
-        return entryNumbers.filter(n => winningNumbers.includes(n)).length;
-    };
+    const formatBRL = (value) => value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
 
-    // Helper function to check if entry is valid (not explicitly invalid)
-    const isValidEntry = (entry) => {
-        const status = (entry.status || '').toUpperCase();
-        const invalidStatuses = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
-        return !invalidStatuses.includes(status);
-    };
-
-    const updateAndAnimate = (latestResult, winners = []) => {
+    const updateAndAnimate = (latestResult, winners = [], carryByPlatform = {}) => {
         if (!marqueeBalls || !marqueeContent) return;
 
         marqueeBalls.innerHTML = '';
@@ -413,6 +757,15 @@ async function fetchAndPopulateResults() {
             marqueeBalls.appendChild(suffixInside);
         }
 
+        // Rollover jackpot waiting for the next draw, per platform
+        Object.entries(carryByPlatform).forEach(([platform, carry]) => {
+            if (!(carry > 0)) return;
+            const jackpotTag = document.createElement('span');
+            jackpotTag.className = 'marquee-jackpot';
+            jackpotTag.innerHTML = `💰 PRÊMIO ACUMULADO <b>${platform}</b>: <b>${formatBRL(carry)}</b>`;
+            marqueeBalls.appendChild(jackpotTag);
+        });
+
         // Add winners directly into marqueeBalls to ensure they are visible and looped
         if (winners && winners.length > 0) {
             const sep = document.createElement('span');
@@ -602,37 +955,50 @@ async function fetchAndPopulateResults() {
     };
 
     try {
-        // 1. Fetch Results from Google Sheets
+        // 1. Fetch Results
         let latestResult = null;
+        let allResults = [];
         try {
-            const res = await fetch(`${RESULTS_SHEET_URL}&t=${Date.now()}`, { cache: 'no-store' });
-            if (res.ok) {
-                const csv = await res.text();
+            const csv = await DataSources.fetchText('results');
 
-                // Check if we got HTML instead of CSV
-                if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-                    throw new Error('Sheet not publicly accessible');
+            const lines = csv.split(/\r?\n/).filter(Boolean);
+            if (lines.length > 1) {
+                const delimiter = detectDelimiter(lines[0] || '');
+
+                // Anchor concurso numbers to the official results history
+                const knownDraws = lines.slice(1)
+                    .map(line => parseCSVLine(line, delimiter))
+                    .filter(isValidDraw)
+                    .map(row => ({ contest: row[0], date: row[1] }));
+                if (DrawCalendar.setKnownDraws(knownDraws) > 0) {
+                    updateDrawDateDisplay();
+                    updateConfirmationWarning();
                 }
 
-                const lines = csv.split(/\r?\n/).filter(Boolean);
-                if (lines.length > 1) {
-                    const delimiter = detectDelimiter(lines[0] || '');
-
-                    // Find the last valid draw (skip "No draw" entries)
-                    for (let i = lines.length - 1; i >= 1; i--) {
-                        const row = parseCSVLine(lines[i], delimiter);
-                        if (isValidDraw(row)) {
-                            const nums = row.slice(2, 7).map(v => parseInt(v, 10)).filter(n => !isNaN(n));
-                            const dateParts = (row[1] || '').split('/');
-                            const dateISO = dateParts.length === 3 ? `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}` : getBrazilDateString(new Date());
-                            latestResult = {
-                                drawNumber: row[0],
-                                contest: row[0],
-                                date: dateISO,
-                                numbers: nums
-                            };
-                            break; // Found the latest valid draw
-                        }
+                // Full history for the prize rules (rollover carry runs through every draw)
+                allResults = lines.slice(1)
+                    .map(line => parseCSVLine(line, delimiter))
+                    .filter(isValidDraw)
+                    .map(row => ({
+                        contest: row[0].trim(),
+                        drawDate: row[1].trim(),
+                        numbers: row.slice(2, 7).map(v => parseInt(v, 10)).filter(n => !isNaN(n))
+                    }));
+
+                // Find the last valid draw (skip "No draw" entries)
+                for (let i = lines.length - 1; i >= 1; i--) {
+                    const row = parseCSVLine(lines[i], delimiter);
+                    if (isValidDraw(row)) {
+                        const nums = row.slice(2, 7).map(v => parseInt(v, 10)).filter(n => !isNaN(n));
+                        const dateParts = (row[1] || '').split('/');
+                        const dateISO = dateParts.length === 3 ? `${dateParts[2]}-${dateParts[1].padStart(2, '0')}-${dateParts[0].padStart(2, '0')}` : getBrazilDateString(new Date());
+                        latestResult = {
+                            drawNumber: row[0],
+                            contest: row[0],
+                            date: dateISO,
+                            numbers: nums
+                        };
+                        break; // Found the latest valid draw
                     }
                 }
             }
@@ -644,104 +1010,63 @@ async function fetchAndPopulateResults() {
 
         // 2. Calculate Winners from Entries and Results
         let winners = [];
+        const carryByPlatform = {};
         try {
-            const entriesRes = await fetch(`${ENTRIES_SHEET_URL}&t=${Date.now()}`, { cache: 'no-store' });
-            if (entriesRes.ok) {
-                const entriesCsv = await entriesRes.text();
-
-                // Check if we got HTML instead of CSV
-                if (entriesCsv.trim().startsWith('<!DOCTYPE') || entriesCsv.trim().startsWith('<html')) {
-                    throw new Error('Entries sheet not publicly accessible');
-                }
-
-                const entriesLines = entriesCsv.split(/\r?\n/).filter(Boolean);
-
-                if (entriesLines.length > 1) {
-                    const delimiter = detectDelimiter(entriesLines[0] || '');
-                    const targetContest = String(latestResult.drawNumber || latestResult.contest || '').trim();
-                    const winningNumbers = latestResult.numbers || [];
-
-                    // Parse entries
-                    const entries = [];
-                    for (let i = 1; i < entriesLines.length; i++) {
-                        const row = parseCSVLine(entriesLines[i], delimiter);
-                        if (row.length >= 9) {
-                            const entryContest = String(row[6] || '').trim(); // contest column
-
-                            if (entryContest === targetContest) {
-                                const chosenNumbers = (row[4] || '').split(/[,;|\t]/).map(n => parseInt(n.trim())).filter(n => !isNaN(n));
-
-                                if (chosenNumbers.length === 5) {
-                                    entries.push({
-                                        platform: (row[1] || 'POPN1').toString().trim().toUpperCase(),
-                                        gameId: row[2] || '',
-                                        whatsapp: row[3] || '',
-                                        chosenNumbers: chosenNumbers,
-                                        drawDate: row[5] || '',
-                                        contest: row[6] || '',
-                                        status: row[8] || 'PENDING'
-                                    });
-                                }
-                            }
-                        }
-                    }
-
-                    // Calculate winners (3+ matches required)
-                    // RULE: Only the HIGHEST matching tier wins PER PLATFORM
-                    // Each platform (POPLUZ, POPN1) calculates winners independently
-                    // Example: POPLUZ highest = 4 matches, POPN1 highest = 3 matches
-                    //          Both platforms' top-tier winners are displayed
-                    const MIN_MATCHES_TO_WIN = 3;
-                    const allPotentialWinners = [];
-                    
-                    entries.forEach(entry => {
-                        if (!isValidEntry(entry)) return;
-
-                        const matches = countMatches(entry.chosenNumbers, winningNumbers);
-
-                        if (matches >= MIN_MATCHES_TO_WIN) {
-                            allPotentialWinners.push({
-                                ...entry,
-                                matches: matches,
-                                matchedNumbers: entry.chosenNumbers.filter(n => winningNumbers.includes(n))
+            const entriesCsv = await DataSources.fetchText('publicEntries');
+
+            const entriesLines = entriesCsv.split(/\r?\n/).filter(Boolean);
+
+            if (entriesLines.length > 1) {
+                const delimiter = detectDelimiter(entriesLines[0] || '');
+                const targetContest = String(latestResult.drawNumber || latestResult.contest || '').trim();
+
+                // Parse entries of every contest (the rollover carry needs the whole history)
+                const entries = [];
+                for (let i = 1; i < entriesLines.length; i++) {
+                    const row = parseCSVLine(entriesLines[i], delimiter);
+                    if (row.length >= 9) {
+                        const chosenNumbers = (row[4] || '').split(/[,;|\t]/).map(n => parseInt(n.trim())).filter(n => !isNaN(n));
+
+                        if (chosenNumbers.length === 5) {
+                            entries.push({
+                                platform: (row[1] || 'POPN1').toString().trim().toUpperCase(),
+                                gameId: row[2] || '',
+                                whatsapp: row[3] || '',
+                                numbers: chosenNumbers,
+                                chosenNumbers: chosenNumbers,
+                                drawDate: row[5] || '',
+                                contest: String(row[6] || '').trim(),
+                                ticketNumber: row[7] || '',
+                                status: row[8] || 'PENDING'
                             });
                         }
-                    });
+                    }
+                }
 
-                    // Group potential winners by platform
-                    const winnersByPlatform = {};
-                    allPotentialWinners.forEach(w => {
-                        const platform = (w.platform || 'POPN1').toUpperCase();
-                        if (!winnersByPlatform[platform]) {
-                            winnersByPlatform[platform] = [];
-                        }
-                        winnersByPlatform[platform].push(w);
-                    });
+                // Winners under the prize rules (homina/js/prize-rules.js), each platform
+                // calculated independently with its own rollover carry
+                winners = [];
+                ['POPN1', 'POPLUZ'].forEach(platform => {
+                    const platformEntries = entries.filter(e => e.platform === platform);
+                    const chain = WinnerCalculator.calculateContestChain(platformEntries, allResults, platform);
+                    const latest = chain.find(c => c.contest === targetContest);
 
-                    // For each platform, find highest match count and filter to only top-tier
-                    winners = [];
-                    Object.keys(winnersByPlatform).forEach(platform => {
-                        const platformWinners = winnersByPlatform[platform];
-                        const highestMatchCount = Math.max(...platformWinners.map(w => w.matches));
-                        
-                        // Only include winners with the highest match count for this platform
-                        const topTierWinners = platformWinners.filter(w => w.matches === highestMatchCount);
-                        winners.push(...topTierWinners);
-                    });
+                    if (latest) winners.push(...latest.winners.filter(w => w.prize > 0));
+                    carryByPlatform[platform] = chain.length > 0 ? chain[chain.length - 1].carryOut : 0;
+                });
 
-                    // Sort winners by matches desc (show higher matches first), then by platform, then by gameId
-                    winners.sort((a, b) => {
-                        if (b.matches !== a.matches) return b.matches - a.matches;
-                        if (a.platform !== b.platform) return a.platform.localeCompare(b.platform);
-                        return a.gameId.localeCompare(b.gameId);
-                    });
-                }
+                // Sort winners by matches desc (show higher matches first), then by platform, then by gameId
+                winners.sort((a, b) => {
+                    if (b.matches !== a.matches) return b.matches - a.matches;
+                    if (a.platform !== b.platform) return a.platform.localeCompare(b.platform);
+                    return a.gameId.localeCompare(b.gameId);
+                });
             }
         } catch (e) {
             console.warn('Winners calculation failed:', e);
         }
 
-        updateAndAnimate(latestResult, winners);
+        updateAndAnimate(latestResult, winners, carryByPlatform);
 
     } catch (error) {
         console.error('All results sources failed:', error);
@@ -753,33 +1078,6 @@ async function fetchAndPopulateResults() {
     }
 }
 
-// Simple CSV line parser
-function parseCSVLine(line, delimiter = ',') {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-        const ch = line[i];
-        if (ch === '"') inQuotes = !inQuotes;
-        else if (ch === delimiter && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else current += ch;
-    }
-    values.push(current.trim());
-    return values;
-}
-
-function detectDelimiter(headerLine) {
-    const counts = {
-        ',': (headerLine.match(/,/g) || []).length,
-        ';': (headerLine.match(/;/g) || []).length,
-        '\t': (headerLine.match(/\t/g) || []).length,
-        '|': (headerLine.match(/\|/g) || []).length,
-    };
-    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
-}
-
 function parseBrDateTime(str) {
     if (!str) return null;
     try {
@@ -793,20 +1091,6 @@ function parseBrDateTime(str) {
     }
 }
 
-function maskWhatsappNumber(value) {
-    if (!value) return '****';
-    const digits = value.replace(/\D/g, '');
-    if (digits.length < 4) return '****';
-    return '***' + digits.slice(-4);
-}
-
-function normalizeTicketStatus(status) {
-    const up = (status || '').toUpperCase();
-    if (up === 'VALID' || up === 'VALIDADO') return 'valid';
-    if (up === 'INVALID' || up === 'INVÁLIDO') return 'invalid';
-    return 'pending';
-}
-
 function ticketStatusLabel(cls) {
     if (cls === 'valid') return 'VÁLIDO';
     if (cls === 'invalid') return 'INVÁLIDO';
@@ -819,8 +1103,8 @@ function initLatestFiveWidget() {
     const errEl = document.getElementById('latest5Error');
     if (!listEl) return;
 
-    // Use Google Sheets CSV export with blurred data (secure)
-    const latest5Url = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
+    // Public entries export with blurred data (secure)
+    const LATEST5_DATASET = 'publicEntries';
 
     const render = (entries) => {
         if (errEl) errEl.style.display = 'none';
@@ -870,17 +1154,7 @@ function initLatestFiveWidget() {
         listEl.innerHTML = '<div class="latest5-loading">Carregando últimos bilhetes...</div>';
 
         try {
-            // Append cache-busting parameter with & since URL already has query params
-            const url = `${latest5Url}&t=${Date.now()}`;
-            const res = await fetch(url, { cache: 'no-store', redirect: 'follow' });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-            const csv = await res.text();
-
-            // Check if we got HTML instead of CSV (Google Sheets might return login page)
-            if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-                throw new Error('Received HTML instead of CSV. Sheet may not be publicly accessible.');
-            }
+            const csv = await DataSources.fetchText(LATEST5_DATASET);
             const lines = csv.split(/\r?\n/).filter(Boolean);
             if (lines.length <= 1) throw new Error('CSV vazio');
 
@@ -922,13 +1196,7 @@ function initLatestFiveWidget() {
     setInterval(loadLatest, 30000);
 }
 
-// GAME ID VALIDATION - EXACTLY 10 DIGITS
-const GAME_ID_REGEX = /^[0-9]{10}$/;
-
-function isValidGameId(id) {
-    return typeof id === 'string' && GAME_ID_REGEX.test(id);
-}
-
+// GAME ID VALIDATION - EXACTLY 10 DIGITS (isValidGameId from ticket-utils.js)
 function normalizeGameId(id) {
     if (!isValidGameId(id)) {
         throw new Error('ID de Jogo deve ter exatamente 10 dígitos');
@@ -1205,23 +1473,108 @@ function surpresinha() {
     showToast(`🎲 ${displayNumbers}`);
 }
 
+// ============================================
+// MULTI-TICKET CART
+// ============================================
+// A recharge can give several tickets: the player builds each set with the grid or
+// Surpresinha, adds it to the cart and confirms Game ID/WhatsApp once for all of them.
+const CART_MAX_TICKETS = 10;
+
+// Order-insensitive, like the idempotency key: 05-12-33 and 33-05-12 are the same ticket
+function isSameNumberSet(a, b) {
+    const sortedA = [...a].sort((x, y) => x - y);
+    const sortedB = [...b].sort((x, y) => x - y);
+    return sortedA.length === sortedB.length && sortedA.every((n, i) => n === sortedB[i]);
+}
+
+function addToCart() {
+    if (selectedNumbers.length !== 5) {
+        showToast('❌ SELECIONE 5 NÚMEROS ANTES DE ADICIONAR!', 'error');
+        return;
+    }
+    if (ticketCart.some(set => isSameNumberSet(set, selectedNumbers))) {
+        showToast('⚠️ Esses números já estão no carrinho', 'error');
+        return;
+    }
+    if (ticketCart.length >= CART_MAX_TICKETS) {
+        showToast(`❌ MÁXIMO ${CART_MAX_TICKETS} BILHETES POR ENVIO!`, 'error');
+        return;
+    }
+
+    ticketCart.push([...selectedNumbers]);
+    clearNumbers();
+    renderCart();
+    showToast(`🛒 Bilhete adicionado! (${ticketCart.length} no carrinho)`);
+}
+
+function removeFromCart(index) {
+    ticketCart.splice(index, 1);
+    renderCart();
+    updateSubmitButton();
+}
+
+function clearCart() {
+    ticketCart = [];
+    renderCart();
+    updateSubmitButton();
+}
+
+function renderCart() {
+    const container = document.getElementById('ticketCart');
+    if (!container) return;
+
+    container.hidden = ticketCart.length === 0;
+    container.innerHTML = ticketCart.length === 0 ? '' : `
+        <div class="cart-header">🛒 Carrinho: <strong>${ticketCart.length}</strong> bilhete${ticketCart.length === 1 ? '' : 's'}</div>
+        ${ticketCart.map((set, index) => `
+            <div class="cart-item">
+                <span class="cart-index">${index + 1}º</span>
+                <div class="cart-numbers">${set.map(n =>
+                    `<span class="number-badge ${getBallColorClass(n)}"><span class="number-text">${n.toString().padStart(2, '0')}</span></span>`
+                ).join('')}</div>
+                <button type="button" class="cart-remove" data-index="${index}" aria-label="Remover">✕</button>
+            </div>`).join('')}`;
+}
+
+// Number sets the next confirmation submits: the cart plus the current (complete) selection,
+// never more than CART_MAX_TICKETS (a selection that does not fit stays on the grid)
+function getTicketsToSubmit() {
+    const sets = ticketCart.map(set => [...set]);
+    if (selectedNumbers.length === 5 && sets.length < CART_MAX_TICKETS &&
+        !sets.some(set => isSameNumberSet(set, selectedNumbers))) {
+        sets.push([...selectedNumbers]);
+    }
+    return sets;
+}
+
 // Update submit button
 function updateSubmitButton() {
     const btn = document.getElementById('submitBtn');
+    const count = getTicketsToSubmit().length;
 
-    if (selectedNumbers.length >= 5 && selectedNumbers.length <= 20) {
-        btn.disabled = false;
-    } else {
-        btn.disabled = true;
+    btn.disabled = count === 0;
+
+    const label = btn.querySelector('.button-top');
+    if (label) {
+        label.textContent = count > 1 ? `🎫 GERE ${count} BILHETES 🎫` : '🎫 GERE O BILHETE 🎫';
+    }
+
+    const addBtn = document.getElementById('btnAddToCart');
+    if (addBtn) {
+        addBtn.disabled = selectedNumbers.length !== 5;
     }
 }
 
 // Show user info popup
 function showUserInfoPopup() {
-    if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
+    if (getTicketsToSubmit().length === 0) {
         showToast('SELECIONE ENTRE 5 NÚMEROS!');
         return;
     }
+    if (selectedNumbers.length === 5 && ticketCart.length >= CART_MAX_TICKETS &&
+        !ticketCart.some(set => isSameNumberSet(set, selectedNumbers))) {
+        showToast(`⚠️ Carrinho cheio: só os ${CART_MAX_TICKETS} bilhetes do carrinho serão enviados`, 'error');
+    }
 
     updateConfirmationWarning(); // Update warning with current concurso info
     document.getElementById('userInfoPopup').style.display = 'block';
@@ -1229,9 +1582,7 @@ function showUserInfoPopup() {
 
 // Update confirmation warning text
 function updateConfirmationWarning() {
-    const drawDate = getDrawDate();
-    const drawHour = getDrawHour();
-    const concurso = calculateConcurso(drawDate);
+    const { drawDate, drawHour, concurso } = getCurrentDrawSchedule();
     const weekday = getWeekdayName(drawDate);
     const formattedDate = formatBrazilDateTime(drawDate, {
         day: '2-digit',
@@ -1349,7 +1700,8 @@ async function confirmEntry() {
         whatsappNumber = '+55' + rawNumber;
     }
 
-    if (selectedNumbers.length < 5 || selectedNumbers.length > 20) {
+    const numberSets = getTicketsToSubmit();
+    if (numberSets.length === 0) {
         showToast('❌ SELECIONE ENTRE 5 NÚMEROS!', 'error');
         isSubmitting = false; // Reset flag on validation error
         return;
@@ -1374,7 +1726,7 @@ async function confirmEntry() {
     console.log('   WhatsApp:', whatsappNumber);
     console.log('   Platform:', platform);
     console.log('   selectedPlatform (global):', selectedPlatform);
-    console.log('   Numbers:', selectedNumbers);
+    console.log('   Numbers:', numberSets);
     console.log('   Page URL:', window.location.href);
     console.log('══════════════════════════════════════');
 
@@ -1382,85 +1734,90 @@ async function confirmEntry() {
     showToast('💾 SALVANDO BILHETE...', 'checking');
 
     try {
-        const drawDate = getDrawDate();
-        const numerosFormatted = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(', ');
+        await DrawCalendar.whenReady(); // Special days must be known before picking the draw
+        const schedule = await getSubmissionSchedule();
+        if (!schedule.isOpen) {
+            hideToast();
+            showToast('⏰ REGISTRO ENCERRADO PARA ESTE CONCURSO! Tente novamente em instantes.', 'error');
+            return;
+        }
+
+        const drawDate = schedule.drawDate;
 
         console.log('Draw date calculated:', drawDate);
 
         // ✅ SECURE: Submit via Worker API with RETRY
         const drawDateStr = getBrazilDateString(drawDate);
-        const concurso = calculateConcurso(drawDate);
-
-        // DEBUG: Log exact request body
-        const requestBody = {
-            platform: platform,
-            gameId: gameId,
-            whatsappNumber: whatsappNumber,
-            numerosEscolhidos: numerosFormatted,
-            drawDate: drawDateStr,
-            concurso: concurso
-        };
-        console.log('📤 REQUEST BODY:', JSON.stringify(requestBody, null, 2));
+        const concurso = schedule.concurso;
+        const composedAt = getBrazilTime().toISOString();
+
+        const queuedTickets = await Promise.all(numberSets.map(async numbers => {
+            const requestBody = {
+                platform: platform,
+                gameId: gameId,
+                whatsappNumber: whatsappNumber,
+                numerosEscolhidos: numbers.map(n => n.toString().padStart(2, '0')).join(', '),
+                drawDate: drawDateStr,
+                concurso: concurso
+            };
+            requestBody.idempotencyKey = await generateIdempotencyKey(requestBody);
+            return {
+                idempotencyKey: requestBody.idempotencyKey,
+                requestBody: requestBody,
+                cutoff: schedule.cutoff.toISOString(),
+                composedAt: composedAt,
+                status: 'pending'
+            };
+        }));
+
+        if (queuedTickets.length > 1) {
+            await submitTicketBatch(queuedTickets);
+            return;
+        }
 
-        // ✅ USE RETRY WITH BACKOFF (3 attempts, 1s base delay)
-        const saveResult = await retryWithBackoff(async () => {
-            const response = await fetch(`${API_BASE_URL}/api/tickets/create`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
+        const queuedTicket = queuedTickets[0];
+        const requestBody = queuedTicket.requestBody;
+        console.log('📤 REQUEST BODY:', JSON.stringify(requestBody, null, 2));
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
-                throw new Error(errorData.error || `HTTP ${response.status}`);
-            }
+        // Persist BEFORE sending so the picks survive a lost connection or closed tab
+        const isQueued = await queueSaveTicket(queuedTicket).then(() => true).catch(error => {
+            console.warn('⚠️ Offline queue unavailable:', error);
+            return false;
+        });
 
-            const result = await response.json();
-            
-            if (!result.success) {
-                throw new Error(result.error || 'Falha ao salvar bilhete');
+        let saveResult;
+        ticketsInFlight.add(queuedTicket.idempotencyKey);
+        try {
+            saveResult = await sendTicket(requestBody);
+        } catch (error) {
+            if (isQueued && !error.permanent) {
+                // Network failure: keep it queued, replay sends it when the connection returns
+                hideToast();
+                showToast('📤 SEM CONEXÃO! Bilhete salvo e será enviado automaticamente.', 'checking');
+                clearNumbers();
+                clearCart();
+                renderPendingTickets();
+                return;
             }
+            if (isQueued) await queueDeleteTicket(queuedTicket.idempotencyKey).catch(() => {});
+            throw error;
+        } finally {
+            ticketsInFlight.delete(queuedTicket.idempotencyKey);
+        }
 
-            return result;
-        }, 3, 1000); // 3 retries, 1s base delay
+        if (isQueued) await queueDeleteTicket(queuedTicket.idempotencyKey).catch(() => {});
 
         const bilheteNumber = saveResult.bilheteNumber || 'UNKNOWN';
-        console.log(`✅ SAVED! Bilhete number: ${bilheteNumber}`);
+        const isDuplicate = saveResult.duplicate === true;
+        console.log(isDuplicate
+            ? `♻️ DUPLICATE! Already registered as bilhete ${bilheteNumber}`
+            : `✅ SAVED! Bilhete number: ${bilheteNumber}`);
 
         // Telegram notification sent automatically by Worker
 
-        // Redirect to bilhete page
-        const spTime = getBrazilTime();
-
-        const generateTime = formatBrazilDateTime(spTime, {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-
-        const ticketDateDisplay = formatBrazilDateTime(drawDate, {
-            day: '2-digit',
-            month: 'long',
-            year: 'numeric'
-        });
-
-        const formattedNumbers = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(',');
-
-        const params = new URLSearchParams({
-            gameId: gameId,
-            whatsapp: whatsappNumber,
-            numbers: formattedNumbers,
-            time: generateTime,
-            date: ticketDateDisplay,
-            bilhete: bilheteNumber,
-            concurso: concurso,
-            platform: platform
-        });
-
+        clearCart();
         hideToast();
-        window.location.href = `bilhete.html?${params.toString()}`;
+        window.location.href = buildBilheteUrl(queuedTicket, saveResult);
 
     } catch (error) {
         console.error('Error:', error);
@@ -1475,6 +1832,71 @@ async function confirmEntry() {
     }
 }
 
+// Submit several tickets in one request, then open the combined receipt (recibo.html)
+const BATCH_RECEIPT_KEY = 'popsorte_batch_receipt';
+
+async function submitTicketBatch(queuedTickets) {
+    // Persist BEFORE sending (same as a single ticket)
+    const queued = await Promise.all(queuedTickets.map(ticket =>
+        queueSaveTicket(ticket).then(() => true).catch(() => false)));
+    const allQueued = queued.every(Boolean);
+
+    let results;
+    queuedTickets.forEach(t => ticketsInFlight.add(t.idempotencyKey));
+    try {
+        results = await sendTicketBatch(queuedTickets.map(t => t.requestBody));
+    } catch (error) {
+        if (allQueued && !error.permanent) {
+            hideToast();
+            showToast(`📤 SEM CONEXÃO! ${queuedTickets.length} bilhetes salvos e serão enviados automaticamente.`, 'checking');
+            clearNumbers();
+            clearCart();
+            renderPendingTickets();
+            return;
+        }
+        await Promise.all(queuedTickets.map(t => queueDeleteTicket(t.idempotencyKey).catch(() => {})));
+        throw error;
+    } finally {
+        queuedTickets.forEach(t => ticketsInFlight.delete(t.idempotencyKey));
+    }
+
+    const receipt = queuedTickets.map((ticket, index) => {
+        const result = results[index];
+        return {
+            numbers: ticket.requestBody.numerosEscolhidos,
+            concurso: ticket.requestBody.concurso,
+            success: !!result.success,
+            duplicate: result.duplicate === true,
+            bilheteNumber: result.bilheteNumber || null,
+            ticketId: result.ticketId || null,
+            error: result.success ? null : (result.error || 'Falha ao salvar bilhete'),
+            url: result.success ? buildBilheteUrl(ticket, result) : null
+        };
+    });
+    await Promise.all(queuedTickets.map(t => queueDeleteTicket(t.idempotencyKey).catch(() => {})));
+
+    const saved = receipt.filter(r => r.success).length;
+    console.log(`✅ BATCH: ${saved}/${receipt.length} bilhetes salvos`);
+
+    try {
+        sessionStorage.setItem(BATCH_RECEIPT_KEY, JSON.stringify({
+            platform: queuedTickets[0].requestBody.platform,
+            gameId: queuedTickets[0].requestBody.gameId,
+            drawDate: queuedTickets[0].requestBody.drawDate,
+            concurso: queuedTickets[0].requestBody.concurso,
+            composedAt: queuedTickets[0].composedAt,
+            tickets: receipt
+        }));
+    } catch (error) {
+        console.warn('⚠️ Could not store batch receipt:', error);
+    }
+
+    clearNumbers();
+    clearCart();
+    hideToast();
+    window.location.href = 'recibo.html';
+}
+
 // Toast notification
 function showToast(message, type = 'default') {
     const toast = document.getElementById('toast');
@@ -1509,9 +1931,8 @@ function initCountdown() {
 
         const schedule = getCurrentDrawSchedule();
 
-        // Build target time with explicit Brazil timezone
-        const drawDateStr = getBrazilDateString(schedule.drawDate);
-        const targetTime = new Date(`${drawDateStr}T${schedule.drawHour.toString().padStart(2, '0')}:00:00-03:00`);
+        // Registration closes one second after the cutoff (server or local)
+        const targetTime = new Date(schedule.cutoff.getTime() + 1000);
 
         const diff = targetTime - spTime;
 
@@ -1567,6 +1988,19 @@ function bindUiEvents() {
         submitBtn.addEventListener('click', showUserInfoPopup);
     }
 
+    const addToCartBtn = document.getElementById('btnAddToCart');
+    if (addToCartBtn) {
+        addToCartBtn.addEventListener('click', addToCart);
+    }
+
+    const cart = document.getElementById('ticketCart');
+    if (cart) {
+        cart.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.cart-remove');
+            if (removeBtn) removeFromCart(parseInt(removeBtn.dataset.index, 10));
+        });
+    }
+
     const closePopupBtn = document.getElementById('closePopupBtn');
     if (closePopupBtn) {
         closePopupBtn.addEventListener('click', closeUserInfoPopup);
@@ -1598,9 +2032,7 @@ function scrollToVerticalVideo() {
 
 // Update draw date display with CONCURSO NUMBER
 function updateDrawDateDisplay() {
-    const drawDate = getDrawDate();
-    const drawHour = getDrawHour();
-    const concurso = calculateConcurso(drawDate);
+    const { drawDate, drawHour, concurso } = getCurrentDrawSchedule();
 
     const day = drawDate.getDate().toString().padStart(2, '0');
     const month = (drawDate.getMonth() + 1).toString().padStart(2, '0');
@@ -1633,50 +2065,21 @@ function updateDrawDateDisplay() {
     // Debug alert (remove after testing)
     // alert(`Page: ${pathname}\nisLuzPage: ${isLuzPage}\nisN1Page: ${isN1Page}`);
     
-    // Use gviz/tq format for sheet name selection (more reliable than &sheet=)
-    const ENTRIES_URL = isLuzPage ? 'https://docs.google.com/spreadsheets/d/1b_VAYANY_XUsO0_kZzyb3PpJveO4KviwuF5mPxoHKLo/gviz/tq?tqx=out:csv&sheet=LUZ' :
-                       isN1Page ? 'https://docs.google.com/spreadsheets/d/1b_VAYANY_XUsO0_kZzyb3PpJveO4KviwuF5mPxoHKLo/gviz/tq?tqx=out:csv&sheet=N1' :
-                       'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
+    // Per-platform pages read their own sheet tab (gviz/tq export by default)
+    const ENTRIES_DATASET = isLuzPage ? 'publicEntries.POPLUZ' :
+                           isN1Page ? 'publicEntries.POPN1' :
+                           'publicEntries';
     
     // Platform filter: only show entries for this platform
     const PLATFORM_FILTER = isLuzPage ? 'POPLUZ' : isN1Page ? 'POPN1' : null;
     
-    console.log('🎯 Platform Filter:', PLATFORM_FILTER, '| URL:', ENTRIES_URL);
+    console.log('🎯 Platform Filter:', PLATFORM_FILTER, '| Source:', DataSources.describe(ENTRIES_DATASET));
     console.log('🔧 Filter will be applied:', PLATFORM_FILTER !== null);
 
     let allEntries = [], filteredEntries = [];
     let currentFilter = 'all', searchTerm = '';
     let currentPage = 1, perPage = 10;
 
-    function detectDelimiter(headerLine) {
-        const counts = {
-            ',': (headerLine.match(/,/g) || []).length,
-            ';': (headerLine.match(/;/g) || []).length,
-            '\t': (headerLine.match(/\t/g) || []).length,
-            '|': (headerLine.match(/\|/g) || []).length,
-        };
-        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
-    }
-
-    function parseCSVLine(line, delimiter = ',') {
-        const out = [];
-        let cur = '';
-        let inQ = false;
-        for (let i = 0; i < line.length; i++) {
-            const ch = line[i];
-            if (ch === '"') {
-                inQ = !inQ;
-            } else if (ch === delimiter && !inQ) {
-                out.push(cur.trim());
-                cur = '';
-            } else {
-                cur += ch;
-            }
-        }
-        out.push(cur.trim());
-        return out;
-    }
-
     function parseBrDateTime(str) {
         if (!str) return null;
         try {
@@ -1698,32 +2101,10 @@ function updateDrawDateDisplay() {
     }
 
     function getBallColorClass(num) { return 'ball-color-' + (num % 10); }
-    function normalizeStatus(status) {
-        const up = status.toUpperCase();
-        if (up === 'VALID' || up === 'VALIDADO') return 'valid';
-        if (up === 'INVALID' || up === 'INVÁLIDO') return 'invalid';
-        return 'pending';
-    }
-    function maskWhatsApp(w) {
-        if (!w) return '****';
-        const digits = w.replace(/\D/g, '');
-        if (digits.length < 4) return '****';
-        return '***' + digits.slice(-4);
-    }
 
     async function fetchEntries() {
         try {
-            // Append cache-busting parameter with & since URL already has query params
-            const url = `${ENTRIES_URL}&t=${Date.now()}`;
-            const res = await fetch(url, { cache: 'no-store', redirect: 'follow' });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-            const csv = await res.text();
-
-            // Check if we got HTML instead of CSV (Google Sheets might return login page)
-            if (csv.trim().startsWith('<!DOCTYPE') || csv.trim().startsWith('<html')) {
-                throw new Error('Received HTML instead of CSV. Sheet may not be publicly accessible.');
-            }
+            const csv = await DataSources.fetchText(ENTRIES_DATASET);
             const lines = csv.split(/\r?\n/).filter(Boolean);
             if (lines.length <= 1) throw new Error('CSV vazio');
 
@@ -1767,7 +2148,7 @@ function updateDrawDateDisplay() {
                     drawDate,
                     contest,
                     whatsapp: whatsappRaw,
-                    whatsappMasked: maskWhatsApp(whatsappRaw),
+                    whatsappMasked: maskWhatsappNumber(whatsappRaw),
                     status
                 });
             }
@@ -1810,7 +2191,7 @@ function updateDrawDateDisplay() {
     function applyFilters() {
         filteredEntries = allEntries;
         if (currentFilter !== 'all') {
-            filteredEntries = filteredEntries.filter(e => normalizeStatus(e.status) === currentFilter);
+            filteredEntries = filteredEntries.filter(e => normalizeTicketStatus(e.status) === currentFilter);
         }
         if (searchTerm) {
             const term = searchTerm.toLowerCase();
@@ -1837,7 +2218,7 @@ function updateDrawDateDisplay() {
         }
 
         pageEntries.forEach(entry => {
-            const statusClass = normalizeStatus(entry.status);
+            const statusClass = normalizeTicketStatus(entry.status);
             const statusLabel = statusClass === 'valid' ? 'VÁLIDO' :
                 statusClass === 'invalid' ? 'INVÁLIDO' :
                     'EM VERIFICAÇÃO';
@@ -0,0 +1,140 @@
+/**
+ * POP-SORTE - Ticket Utilities Module
+ *
+ * Small helpers shared by the public ticket pages (index, luz, n1, bilhete,
+ * meus-bilhetes): CSV parsing of the public sheets, Game ID validation,
+ * WhatsApp masking and ticket status normalization.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Ticket Utilities Module
+// ============================================
+window.TicketUtils = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Game ID: exactly 10 digits
+     */
+    const GAME_ID_REGEX = /^[0-9]{10}$/;
+
+    // ============================================
+    // CSV Parsing
+    // ============================================
+
+    /**
+     * Detect the delimiter used in a CSV header line
+     * @param {string} headerLine - First line of CSV
+     * @returns {string} Detected delimiter
+     */
+    function detectDelimiter(headerLine) {
+        const counts = {
+            ',': (headerLine.match(/,/g) || []).length,
+            ';': (headerLine.match(/;/g) || []).length,
+            '\t': (headerLine.match(/\t/g) || []).length,
+            '|': (headerLine.match(/\|/g) || []).length,
+        };
+        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
+    }
+
+    /**
+     * Parse a single CSV line respecting quoted fields ("" inside quotes is a literal quote)
+     * @param {string} line - CSV line to parse
+     * @param {string} delimiter - Field delimiter
+     * @returns {string[]} Array of field values
+     */
+    function parseCSVLine(line, delimiter = ',') {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (ch === delimiter && !inQuotes) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    }
+
+    /**
+     * Parse CSV text into rows, delimiter taken from the header line
+     * @param {string} csvText - Raw CSV text
+     * @returns {string[][]} Rows, header row first
+     */
+    function parseCSVRows(csvText) {
+        const lines = (csvText || '').split(/\r?\n/).filter(Boolean);
+        if (lines.length === 0) return [];
+
+        const delimiter = detectDelimiter(lines[0]);
+        return lines.map(line => parseCSVLine(line, delimiter));
+    }
+
+    // ============================================
+    // Ticket Fields
+    // ============================================
+
+    /**
+     * @param {string} id - Game ID
+     * @returns {boolean} True for exactly 10 digits
+     */
+    function isValidGameId(id) {
+        return typeof id === 'string' && GAME_ID_REGEX.test(id);
+    }
+
+    /**
+     * Mask WhatsApp number showing only last 4 digits
+     * @param {string} value - Full phone number
+     * @returns {string} Masked number
+     */
+    function maskWhatsappNumber(value) {
+        if (!value) return '****';
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 4) return '****';
+        return '***' + digits.slice(-4);
+    }
+
+    /**
+     * Sheet status (VALID / VALIDADO / INVALID / INVÁLIDO / anything else) to a badge class
+     * @param {string} status - Status column value
+     * @returns {string} 'valid' | 'invalid' | 'pending'
+     */
+    function normalizeTicketStatus(status) {
+        const up = (status || '').toUpperCase();
+        if (up === 'VALID' || up === 'VALIDADO') return 'valid';
+        if (up === 'INVALID' || up === 'INVÁLIDO') return 'invalid';
+        return 'pending';
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // CSV
+        detectDelimiter,
+        parseCSVLine,
+        parseCSVRows,
+
+        // Ticket fields
+        GAME_ID_REGEX,
+        isValidGameId,
+        maskWhatsappNumber,
+        normalizeTicketStatus
+    };
+})();